@@ -0,0 +1,46 @@
+/**
+ * Run pending database migrations in file name order.
+ *
+ *   npm run migrate
+ *
+ * Each file in scripts/migrations exports `{ description, up }`, where `up`
+ * receives the mongoose connection. Applied migrations are recorded in the
+ * `migrations` collection and skipped on later runs.
+ */
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+const run = async () => {
+  await connectDB();
+
+  const applied = mongoose.connection.collection('migrations');
+  const done = new Set((await applied.find().toArray()).map(migration => migration.name));
+
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.js'))
+    .sort();
+
+  for (const file of files) {
+    const name = path.basename(file, '.js');
+    if (done.has(name)) continue;
+
+    const migration = require(path.join(MIGRATIONS_DIR, file));
+    console.log(`Running ${name}: ${migration.description}`);
+
+    await migration.up(mongoose.connection);
+    await applied.insertOne({ name, appliedAt: new Date() });
+  }
+
+  console.log('Migrations complete');
+};
+
+run()
+  .catch(error => {
+    console.error(`Migration failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,16 @@
+const Attendance = require('../../src/models/Attendance');
+
+module.exports = {
+  description: 'Key attendance records by session instead of by day',
+
+  async up() {
+    const indexes = await Attendance.collection.indexes();
+
+    // The old { classroomId, date } unique index blocks a second session on the same day
+    if (indexes.some(index => index.name === 'classroomId_1_date_1')) {
+      await Attendance.collection.dropIndex('classroomId_1_date_1');
+    }
+
+    await Attendance.syncIndexes();
+  }
+};
@@ -0,0 +1,92 @@
+const Enrollment = require('../../src/models/Enrollment');
+const Classroom = require('../../src/models/Classroom');
+const Student = require('../../src/models/Student');
+
+module.exports = {
+  description: 'Backfill the Enrollment collection from classroom rosters and waitlists',
+
+  async up() {
+    await Enrollment.syncIndexes();
+
+    // Read the raw collection, which still has the old embedded `waitlist` arrays
+    const classrooms = await Classroom.collection
+      .find({}, { projection: { students: 1, waitlist: 1, isActive: 1, createdAt: 1 } })
+      .toArray();
+    const students = await Student.find().select('classrooms createdAt').lean();
+    const classroomIds = new Set(classrooms.map(classroom => classroom._id.toString()));
+
+    const operations = [];
+    const backfill = (studentId, classroomId, fields) => operations.push({
+      updateOne: {
+        filter: { studentId, classroomId },
+        update: { $setOnInsert: { studentId, classroomId, ...fields } },
+        upsert: true
+      }
+    });
+
+    classrooms.forEach(classroom => {
+      const onRoster = classroom.isActive === false
+        ? { status: 'completed', enrolledAt: classroom.createdAt, completedAt: new Date() }
+        : { status: 'active', enrolledAt: classroom.createdAt };
+
+      (classroom.students || []).forEach(studentId => backfill(studentId, classroom._id, onRoster));
+
+      (classroom.waitlist || []).forEach(entry => backfill(entry.studentId, classroom._id, {
+        status: 'waitlisted',
+        waitlistedAt: entry.addedAt || classroom.createdAt
+      }));
+    });
+
+    // Either array alone counts as enrolled, so rosters that drifted apart
+    // are reconciled rather than dropped
+    students.forEach(student => {
+      (student.classrooms || [])
+        .filter(classroomId => classroomIds.has(classroomId.toString()))
+        .forEach(classroomId => backfill(student._id, classroomId, {
+          status: 'active',
+          enrolledAt: student.createdAt
+        }));
+    });
+
+    if (operations.length > 0) {
+      await Enrollment.bulkWrite(operations, { ordered: false });
+    }
+
+    // Rebuild both caches from the enrollments
+    const rosterByClassroom = new Map(classrooms.map(classroom => [classroom._id.toString(), []]));
+    const rosterByStudent = new Map(students.map(student => [student._id.toString(), []]));
+
+    const onRoster = await Enrollment.find({ status: { $in: Enrollment.ROSTER_STATUSES } })
+      .select('studentId classroomId')
+      .lean();
+
+    onRoster.forEach(({ studentId, classroomId }) => {
+      const classroomRoster = rosterByClassroom.get(classroomId.toString());
+      const studentRoster = rosterByStudent.get(studentId.toString());
+
+      if (classroomRoster) classroomRoster.push(studentId);
+      if (studentRoster) studentRoster.push(classroomId);
+    });
+
+    if (classrooms.length > 0) {
+      await Classroom.collection.bulkWrite(classrooms.map(classroom => ({
+        updateOne: {
+          filter: { _id: classroom._id },
+          update: {
+            $set: { students: rosterByClassroom.get(classroom._id.toString()) },
+            $unset: { waitlist: '' }
+          }
+        }
+      })), { ordered: false });
+    }
+
+    if (students.length > 0) {
+      await Student.collection.bulkWrite(students.map(student => ({
+        updateOne: {
+          filter: { _id: student._id },
+          update: { $set: { classrooms: rosterByStudent.get(student._id.toString()) } }
+        }
+      })), { ordered: false });
+    }
+  }
+};
@@ -0,0 +1,39 @@
+const Enrollment = require('../../src/models/Enrollment');
+
+module.exports = {
+  description: 'Seed the history of existing enrollments from their dates',
+
+  async up() {
+    const enrollments = await Enrollment.find({ 'history.0': { $exists: false } })
+      .select('status enrolledAt waitlistedAt withdrawnAt completedAt reason')
+      .lean();
+
+    const operations = enrollments.map(enrollment => {
+      const history = [];
+
+      if (enrollment.waitlistedAt) {
+        history.push({ action: 'waitlisted', at: enrollment.waitlistedAt });
+      }
+      if (enrollment.enrolledAt) {
+        history.push({ action: 'enrolled', at: enrollment.enrolledAt });
+      }
+      if (enrollment.status === 'withdrawn' && enrollment.withdrawnAt) {
+        history.push({ action: 'withdrawn', at: enrollment.withdrawnAt, reason: enrollment.reason });
+      }
+      if (enrollment.status === 'completed' && enrollment.completedAt) {
+        history.push({ action: 'completed', at: enrollment.completedAt });
+      }
+
+      return {
+        updateOne: {
+          filter: { _id: enrollment._id },
+          update: { $set: { history } }
+        }
+      };
+    });
+
+    if (operations.length > 0) {
+      await Enrollment.bulkWrite(operations, { ordered: false });
+    }
+  }
+};
@@ -0,0 +1,31 @@
+const Alert = require('../../src/models/Alert');
+
+module.exports = {
+  description: 'Allow a single unresolved alert per student, classroom and rule',
+
+  async up() {
+    // Resolve the duplicates concurrent evaluations created, keeping the oldest
+    const duplicates = await Alert.aggregate([
+      { $match: { status: { $in: ['open', 'acknowledged'] } } },
+      { $sort: { triggeredAt: 1, _id: 1 } },
+      {
+        $group: {
+          _id: { studentId: '$studentId', classroomId: '$classroomId', ruleKey: '$ruleKey' },
+          ids: { $push: '$_id' }
+        }
+      },
+      { $match: { 'ids.1': { $exists: true } } }
+    ]);
+
+    const extraIds = duplicates.flatMap(group => group.ids.slice(1));
+
+    if (extraIds.length > 0) {
+      await Alert.updateMany(
+        { _id: { $in: extraIds } },
+        { status: 'resolved', resolvedAt: new Date(), resolution: 'Duplicate alert' }
+      );
+    }
+
+    await Alert.syncIndexes();
+  }
+};
@@ -1,28 +1,18 @@
 const app = require('./src/config/app');
 const connectDB = require('./src/config/db');
+const { startJobs } = require('./src/jobs');
+const { registerSubscribers } = require('./src/events');
+const realtimeService = require('./src/services/realtimeService');
 require('dotenv').config();
 
-// Route imports
-const authRoutes = require('./src/routes/authRoutes');
-const userRoutes = require('./src/routes/userRoutes');
-const studentRoutes = require('./src/routes/studentRoutes');
-const teacherRoutes = require('./src/routes/teacherRoutes');
-const classroomRoutes = require('./src/routes/classroomRoutes');
-const gradeRoutes = require('./src/routes/gradeRoutes');
-const attendanceRoutes = require('./src/routes/attendanceRoutes');
-
-
 // Connect to database
 connectDB();
 
-// Mount routes
-app.use('/api/auth', authRoutes);
-app.use('/api/users', userRoutes);
-app.use('/api/students', studentRoutes);
-app.use('/api/teachers', teacherRoutes);
-app.use('/api/classrooms', classroomRoutes);
-app.use('/api/grades', gradeRoutes);
-app.use('/api/attendance', attendanceRoutes);
+// Turn domain events into notifications
+registerSubscribers();
+
+// Schedule background jobs (alert sweep, notification digest)
+startJobs();
 
 // Get port from environment
 const PORT = process.env.PORT || 5000;
@@ -32,10 +22,16 @@ const server = app.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
 });
 
+// Push domain events to the clients' event streams
+realtimeService.attach(server);
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   console.log('UNHANDLED REJECTION! 💥 Shutting down...');
   console.log(err.name, err.message);
+  // End the event streams, which would otherwise keep the server open
+  realtimeService.detach();
+
   // Close server & exit process
   server.close(() => {
     process.exit(1);
@@ -0,0 +1,22 @@
+require('dotenv').config();
+
+// Rule types understood by utils/attendanceRules.js
+const ALERT_RULE_TYPES = ['consecutive-absences', 'attendance-rate', 'minutes-late'];
+
+// Applied for each rule type that no active global or classroom rule overrides
+const DEFAULT_ALERT_RULES = [
+  { name: 'Consecutive absences', type: 'consecutive-absences', threshold: 3 },
+  { name: 'Low attendance rate', type: 'attendance-rate', threshold: 90, windowDays: 30, minSessions: 5 },
+  { name: 'Chronic tardiness', type: 'minutes-late', threshold: 60, windowDays: 30 }
+];
+
+// How often every active classroom is re-evaluated; 0 turns the sweep off
+const ALERT_SWEEP_INTERVAL_MINUTES = process.env.ALERT_SWEEP_INTERVAL_MINUTES !== undefined
+  ? parseInt(process.env.ALERT_SWEEP_INTERVAL_MINUTES, 10)
+  : 24 * 60;
+
+module.exports = {
+  ALERT_RULE_TYPES,
+  DEFAULT_ALERT_RULES,
+  ALERT_SWEEP_INTERVAL_MINUTES
+};
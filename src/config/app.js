@@ -8,6 +8,23 @@ const xss = require('xss-clean');
 const hpp = require('hpp');
 const compression = require('compression');
 const errorHandler = require('../middleware/errorHandler');
+const { NotFoundError } = require('../utils/errorResponse');
+
+// Route imports
+const authRoutes = require('../routes/authRoutes');
+const userRoutes = require('../routes/userRoutes');
+const studentRoutes = require('../routes/studentRoutes');
+const teacherRoutes = require('../routes/teacherRoutes');
+const classroomRoutes = require('../routes/classroomRoutes');
+const gradeRoutes = require('../routes/gradeRoutes');
+const attendanceRoutes = require('../routes/attendanceRoutes');
+const gradeScaleRoutes = require('../routes/gradeScaleRoutes');
+const alertRoutes = require('../routes/alertRoutes');
+const termRoutes = require('../routes/termRoutes');
+const guardianRoutes = require('../routes/guardianRoutes');
+const notificationRoutes = require('../routes/notificationRoutes');
+const realtimeRoutes = require('../routes/realtimeRoutes');
+const messageRoutes = require('../routes/messageRoutes');
 
 // Initialize express app
 const app = express();
@@ -60,14 +77,25 @@ app.use(hpp({
 // Compression middleware
 app.use(compression());
 
-// Routes (will be imported in server.js)
+// Mount routes
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/students', studentRoutes);
+app.use('/api/teachers', teacherRoutes);
+app.use('/api/classrooms', classroomRoutes);
+app.use('/api/grades', gradeRoutes);
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/grade-scales', gradeScaleRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/terms', termRoutes);
+app.use('/api/guardians', guardianRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/realtime', realtimeRoutes);
+app.use('/api/messages', messageRoutes);
 
 // 404 error for undefined routes
 app.all('*', (req, res, next) => {
-  const err = new Error(`Can't find ${req.originalUrl} on this server!`);
-  err.status = 'fail';
-  err.statusCode = 404;
-  next(err);
+  next(new NotFoundError(`Can't find ${req.originalUrl} on this server!`));
 });
 
 // Global error handler
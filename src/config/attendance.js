@@ -0,0 +1,20 @@
+require('dotenv').config();
+
+// Check-ins up to this many minutes after the session start still count as present
+const LATE_GRACE_MINUTES = parseInt(process.env.ATTENDANCE_LATE_GRACE_MINUTES, 10) || 0;
+
+// Longest date range a single session generation request may cover
+const MAX_SESSION_RANGE_DAYS = parseInt(process.env.ATTENDANCE_MAX_SESSION_RANGE_DAYS, 10) || 190;
+
+// How long a self check-in window stays open unless the teacher says otherwise
+const CHECK_IN_WINDOW_MINUTES = parseInt(process.env.ATTENDANCE_CHECK_IN_WINDOW_MINUTES, 10) || 15;
+
+// Check-in codes rotate this often
+const CHECK_IN_CODE_STEP_SECONDS = 30;
+
+module.exports = {
+  LATE_GRACE_MINUTES,
+  MAX_SESSION_RANGE_DAYS,
+  CHECK_IN_WINDOW_MINUTES,
+  CHECK_IN_CODE_STEP_SECONDS
+};
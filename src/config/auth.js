@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 require('dotenv').config();
 
 // JWT settings
@@ -7,6 +8,9 @@ const JWT_EXPIRE = process.env.JWT_EXPIRE || '1d';
 const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'your_refresh_secret_key';
 const JWT_REFRESH_EXPIRE = process.env.JWT_REFRESH_EXPIRE || '7d';
 
+// Days a guardian invitation stays valid
+const GUARDIAN_INVITE_EXPIRE_DAYS = parseInt(process.env.GUARDIAN_INVITE_EXPIRE_DAYS, 10) || 7;
+
 // Generate access token
 const generateToken = (userId, role) => {
   return jwt.sign(
@@ -19,15 +23,29 @@ const generateToken = (userId, role) => {
   );
 };
 
-// Generate refresh token
-const generateRefreshToken = (userId) => {
+// Generate refresh token (each token is unique and tagged with its rotation family)
+const generateRefreshToken = (userId, family = crypto.randomUUID()) => {
   return jwt.sign(
-    { id: userId },
+    {
+      id: userId,
+      family
+    },
     JWT_REFRESH_SECRET,
-    { expiresIn: JWT_REFRESH_EXPIRE }
+    {
+      expiresIn: JWT_REFRESH_EXPIRE,
+      jwtid: crypto.randomUUID()
+    }
   );
 };
 
+// Hash a token before persisting or looking it up
+const hashToken = (token) => {
+  return crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+};
+
 // Verify token
 const verifyToken = (token) => {
   try {
@@ -69,6 +87,8 @@ module.exports = {
   generateRefreshToken,
   verifyToken,
   verifyRefreshToken,
+  hashToken,
   JWT_SECRET,
-  JWT_REFRESH_SECRET
+  JWT_REFRESH_SECRET,
+  GUARDIAN_INVITE_EXPIRE_DAYS
 };
\ No newline at end of file
@@ -0,0 +1,28 @@
+require('dotenv').config();
+
+// Mail settings
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+const MAIL_FROM = process.env.MAIL_FROM || 'Elearning <no-reply@elearning.local>';
+const MAIL_OUTPUT_DIR = process.env.MAIL_OUTPUT_DIR || 'logs/mail';
+
+// Base URL of the client application, used to build links in emails
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// SMTP settings
+const SMTP = {
+  host: process.env.SMTP_HOST || 'localhost',
+  port: parseInt(process.env.SMTP_PORT, 10) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER ? {
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASSWORD
+  } : undefined
+};
+
+module.exports = {
+  MAIL_TRANSPORT,
+  MAIL_FROM,
+  MAIL_OUTPUT_DIR,
+  APP_URL,
+  SMTP
+};
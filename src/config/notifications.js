@@ -0,0 +1,28 @@
+require('dotenv').config();
+const {
+  GRADE_POSTED,
+  ABSENCE_RECORDED,
+  STUDENT_ENROLLED,
+  STUDENT_WAITLISTED
+} = require('../events/eventTypes');
+
+// Domain events people are notified of
+const NOTIFICATION_TYPES = [GRADE_POSTED, ABSENCE_RECORDED, STUDENT_ENROLLED, STUDENT_WAITLISTED];
+
+// `inApp` shows the notification in the inbox, `email` adds it to the digest
+const NOTIFICATION_CHANNELS = ['inApp', 'email'];
+
+// Applied to every type a user has not set preferences for
+const DEFAULT_NOTIFICATION_PREFERENCES = { inApp: true, email: true };
+
+// How often pending notifications are emailed as a digest; 0 turns digests off
+const NOTIFICATION_DIGEST_INTERVAL_MINUTES = process.env.NOTIFICATION_DIGEST_INTERVAL_MINUTES !== undefined
+  ? parseInt(process.env.NOTIFICATION_DIGEST_INTERVAL_MINUTES, 10)
+  : 24 * 60;
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  DEFAULT_NOTIFICATION_PREFERENCES,
+  NOTIFICATION_DIGEST_INTERVAL_MINUTES
+};
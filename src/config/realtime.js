@@ -0,0 +1,21 @@
+require('dotenv').config();
+
+// Comment line sent on idle streams so proxies don't drop them
+const REALTIME_HEARTBEAT_SECONDS = parseInt(process.env.REALTIME_HEARTBEAT_SECONDS, 10) || 25;
+
+// How long a stream ticket can be redeemed after it was issued
+const REALTIME_TICKET_TTL_SECONDS = parseInt(process.env.REALTIME_TICKET_TTL_SECONDS, 10) || 60;
+
+// Topics a single stream may follow
+const REALTIME_MAX_TOPICS = parseInt(process.env.REALTIME_MAX_TOPICS, 10) || 50;
+
+// How often open streams check their subscriptions are still allowed, on top
+// of the checks run when enrollments, guardianships or users change
+const REALTIME_REAUTHORIZE_SECONDS = parseInt(process.env.REALTIME_REAUTHORIZE_SECONDS, 10) || 300;
+
+module.exports = {
+  REALTIME_HEARTBEAT_SECONDS,
+  REALTIME_TICKET_TTL_SECONDS,
+  REALTIME_MAX_TOPICS,
+  REALTIME_REAUTHORIZE_SECONDS
+};
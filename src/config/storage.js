@@ -0,0 +1,34 @@
+require('dotenv').config();
+
+// Storage settings
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+const STORAGE_LOCAL_DIR = process.env.STORAGE_LOCAL_DIR || 'uploads';
+
+// Upload limits
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE, 10) || 10 * 1024 * 1024; // 10 MB per file
+const MAX_UPLOAD_FILES = parseInt(process.env.MAX_UPLOAD_FILES, 10) || 5;
+
+// Accepted attachment types
+const ALLOWED_MIME_TYPES = [
+  'application/pdf',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'text/plain',
+  'text/csv',
+  'image/png',
+  'image/jpeg',
+  'image/gif'
+];
+
+module.exports = {
+  STORAGE_DRIVER,
+  STORAGE_LOCAL_DIR,
+  MAX_UPLOAD_SIZE,
+  MAX_UPLOAD_FILES,
+  ALLOWED_MIME_TYPES
+};
@@ -0,0 +1,93 @@
+// controllers/alertController.js
+const AlertService = require('../services/alertService');
+const asyncHandler = require('../middleware/async');
+
+/**
+ * @desc    Get alerts
+ * @route   GET /api/alerts
+ * @access  Private
+ */
+exports.getAlerts = asyncHandler(async (req, res, next) => {
+  const alerts = await AlertService.getAlerts(req.query, req.user);
+  res.status(200).json({ success: true, count: alerts.length, data: alerts });
+});
+
+/**
+ * @desc    Get an alert
+ * @route   GET /api/alerts/:id
+ * @access  Private
+ */
+exports.getAlertById = asyncHandler(async (req, res, next) => {
+  const alert = await AlertService.getAlertById(req.params.id, req.user);
+  res.status(200).json({ success: true, data: alert });
+});
+
+/**
+ * @desc    Acknowledge an alert
+ * @route   PUT /api/alerts/:id/acknowledge
+ * @access  Private
+ */
+exports.acknowledgeAlert = asyncHandler(async (req, res, next) => {
+  const alert = await AlertService.acknowledgeAlert(req.params.id, req.user);
+  res.status(200).json({ success: true, data: alert });
+});
+
+/**
+ * @desc    Resolve an alert
+ * @route   PUT /api/alerts/:id/resolve
+ * @access  Private
+ */
+exports.resolveAlert = asyncHandler(async (req, res, next) => {
+  const alert = await AlertService.resolveAlert(req.params.id, req.body.resolution, req.user);
+  res.status(200).json({ success: true, data: alert });
+});
+
+/**
+ * @desc    Re-evaluate every active classroom now
+ * @route   POST /api/alerts/sweep
+ * @access  Private/Admin
+ */
+exports.runSweep = asyncHandler(async (req, res, next) => {
+  const result = await AlertService.sweep();
+  res.status(200).json({ success: true, data: result });
+});
+
+/**
+ * @desc    Get alert rules
+ * @route   GET /api/alerts/rules
+ * @access  Private
+ */
+exports.getRules = asyncHandler(async (req, res, next) => {
+  const rules = await AlertService.getRules(req.query);
+  res.status(200).json({ success: true, count: rules.length, data: rules });
+});
+
+/**
+ * @desc    Create an alert rule
+ * @route   POST /api/alerts/rules
+ * @access  Private/Admin
+ */
+exports.createRule = asyncHandler(async (req, res, next) => {
+  const rule = await AlertService.createRule(req.body, req.user);
+  res.status(201).json({ success: true, data: rule });
+});
+
+/**
+ * @desc    Update an alert rule
+ * @route   PUT /api/alerts/rules/:ruleId
+ * @access  Private/Admin
+ */
+exports.updateRule = asyncHandler(async (req, res, next) => {
+  const rule = await AlertService.updateRule(req.params.ruleId, req.body);
+  res.status(200).json({ success: true, data: rule });
+});
+
+/**
+ * @desc    Delete an alert rule
+ * @route   DELETE /api/alerts/rules/:ruleId
+ * @access  Private/Admin
+ */
+exports.deleteRule = asyncHandler(async (req, res, next) => {
+  await AlertService.deleteRule(req.params.ruleId);
+  res.status(200).json({ success: true, message: 'Alert rule deleted successfully' });
+});
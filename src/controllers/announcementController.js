@@ -0,0 +1,62 @@
+// controllers/announcementController.js
+const AnnouncementService = require('../services/announcementService');
+const asyncHandler = require('../middleware/async');
+
+/**
+ * @desc    Post an announcement in a classroom
+ * @route   POST /api/classrooms/:id/announcements
+ * @access  Private
+ */
+exports.createAnnouncement = asyncHandler(async (req, res, next) => {
+  const announcement = await AnnouncementService.createAnnouncement(req.params.id, req.body, req.user);
+  res.status(201).json({ success: true, data: announcement });
+});
+
+/**
+ * @desc    Get the announcements of a classroom
+ * @route   GET /api/classrooms/:id/announcements
+ * @access  Private
+ */
+exports.getClassroomAnnouncements = asyncHandler(async (req, res, next) => {
+  const announcements = await AnnouncementService.getClassroomAnnouncements(req.params.id, req.query, req.user);
+  res.status(200).json({ success: true, data: announcements });
+});
+
+/**
+ * @desc    Get an announcement
+ * @route   GET /api/classrooms/:id/announcements/:announcementId
+ * @access  Private
+ */
+exports.getAnnouncementById = asyncHandler(async (req, res, next) => {
+  const announcement = await AnnouncementService.getAnnouncementById(
+    req.params.id,
+    req.params.announcementId,
+    req.user
+  );
+  res.status(200).json({ success: true, data: announcement });
+});
+
+/**
+ * @desc    Update an announcement
+ * @route   PUT /api/classrooms/:id/announcements/:announcementId
+ * @access  Private
+ */
+exports.updateAnnouncement = asyncHandler(async (req, res, next) => {
+  const announcement = await AnnouncementService.updateAnnouncement(
+    req.params.id,
+    req.params.announcementId,
+    req.body,
+    req.user
+  );
+  res.status(200).json({ success: true, data: announcement });
+});
+
+/**
+ * @desc    Delete an announcement
+ * @route   DELETE /api/classrooms/:id/announcements/:announcementId
+ * @access  Private
+ */
+exports.deleteAnnouncement = asyncHandler(async (req, res, next) => {
+  await AnnouncementService.deleteAnnouncement(req.params.id, req.params.announcementId, req.user);
+  res.status(200).json({ success: true, message: 'Announcement deleted successfully' });
+});
@@ -0,0 +1,68 @@
+// controllers/assignmentController.js
+const AssignmentService = require('../services/assignmentService');
+const asyncHandler = require('../middleware/async');
+
+/**
+ * @desc    Create an assignment in a classroom
+ * @route   POST /api/classrooms/:id/assignments
+ * @access  Private
+ */
+exports.createAssignment = asyncHandler(async (req, res, next) => {
+  const assignment = await AssignmentService.createAssignment(req.params.id, req.body, req.user);
+  res.status(201).json({ success: true, data: assignment });
+});
+
+/**
+ * @desc    Get the assignments of a classroom
+ * @route   GET /api/classrooms/:id/assignments
+ * @access  Private
+ */
+exports.getClassroomAssignments = asyncHandler(async (req, res, next) => {
+  const assignments = await AssignmentService.getClassroomAssignments(req.params.id, req.query, req.user);
+  res.status(200).json({ success: true, data: assignments });
+});
+
+/**
+ * @desc    Get an assignment
+ * @route   GET /api/classrooms/:id/assignments/:assignmentId
+ * @access  Private
+ */
+exports.getAssignmentById = asyncHandler(async (req, res, next) => {
+  const assignment = await AssignmentService.getAssignmentById(req.params.id, req.params.assignmentId, req.user);
+  res.status(200).json({ success: true, data: assignment });
+});
+
+/**
+ * @desc    Update an assignment
+ * @route   PUT /api/classrooms/:id/assignments/:assignmentId
+ * @access  Private
+ */
+exports.updateAssignment = asyncHandler(async (req, res, next) => {
+  const assignment = await AssignmentService.updateAssignment(
+    req.params.id,
+    req.params.assignmentId,
+    req.body,
+    req.user
+  );
+  res.status(200).json({ success: true, data: assignment });
+});
+
+/**
+ * @desc    Delete an assignment
+ * @route   DELETE /api/classrooms/:id/assignments/:assignmentId
+ * @access  Private
+ */
+exports.deleteAssignment = asyncHandler(async (req, res, next) => {
+  await AssignmentService.deleteAssignment(req.params.id, req.params.assignmentId, req.user);
+  res.status(200).json({ success: true, message: 'Assignment deleted successfully' });
+});
+
+/**
+ * @desc    Get the gradebook of a classroom (assignments x enrolled students)
+ * @route   GET /api/classrooms/:id/gradebook
+ * @access  Private
+ */
+exports.getGradebook = asyncHandler(async (req, res, next) => {
+  const gradebook = await AssignmentService.getGradebook(req.params.id, req.user);
+  res.status(200).json({ success: true, data: gradebook });
+});
@@ -9,14 +9,111 @@ class AttendanceController {
    * Create a new attendance record
    * @param {Object} req - The request object
    * @param {Object} res - The response object
+   * @param {Function} next - The next middleware
    */
-  async createAttendance(req, res) {
+  async createAttendance(req, res, next) {
     try {
       const attendanceData = req.body;
-      const attendance = await AttendanceService.createAttendance(attendanceData);
-      res.status(201).json(attendance);
+      const attendance = await AttendanceService.createAttendance(attendanceData, req.user);
+      res.status(201).json({ success: true, data: attendance });
     } catch (error) {
-      res.status(400).json({ error: error.message });
+      next(error);
+    }
+  }
+
+  /**
+   * Take attendance for a classroom's whole roster on a date
+   * @param {Object} req - The request object
+   * @param {Object} res - The response object
+   * @param {Function} next - The next middleware
+   */
+  async takeRosterAttendance(req, res, next) {
+    try {
+      const { classroomId, date } = req.params;
+      const { attendance, created } = await AttendanceService.takeRosterAttendance(classroomId, date, req.body, req.user);
+      res.status(created ? 201 : 200).json({ success: true, data: attendance });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Generate the expected sessions of a classroom's schedule for a date range
+   * @param {Object} req - The request object
+   * @param {Object} res - The response object
+   * @param {Function} next - The next middleware
+   */
+  async generateSessions(req, res, next) {
+    try {
+      const { classroomId } = req.params;
+      const result = await AttendanceService.generateSessions(classroomId, req.body, req.user);
+      res.status(result.created > 0 ? 201 : 200).json({ success: true, data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Open the self check-in window of a session
+   * @param {Object} req - The request object
+   * @param {Object} res - The response object
+   * @param {Function} next - The next middleware
+   */
+  async openCheckIn(req, res, next) {
+    try {
+      const { id } = req.params;
+      const checkIn = await AttendanceService.openCheckIn(id, req.body, req.user);
+      res.status(200).json({ success: true, data: checkIn });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the current check-in code of a session
+   * @param {Object} req - The request object
+   * @param {Object} res - The response object
+   * @param {Function} next - The next middleware
+   */
+  async getCheckInCode(req, res, next) {
+    try {
+      const { id } = req.params;
+      const checkIn = await AttendanceService.getCheckInCode(id, req.user);
+      res.status(200).json({ success: true, data: checkIn });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Close the self check-in window of a session
+   * @param {Object} req - The request object
+   * @param {Object} res - The response object
+   * @param {Function} next - The next middleware
+   */
+  async closeCheckIn(req, res, next) {
+    try {
+      const { id } = req.params;
+      const attendance = await AttendanceService.closeCheckIn(id, req.user);
+      res.status(200).json({ success: true, data: attendance });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Check the authenticated student in to a session
+   * @param {Object} req - The request object
+   * @param {Object} res - The response object
+   * @param {Function} next - The next middleware
+   */
+  async checkIn(req, res, next) {
+    try {
+      const { id } = req.params;
+      const record = await AttendanceService.checkIn(id, req.body.code, req.user);
+      res.status(200).json({ success: true, data: record });
+    } catch (error) {
+      next(error);
     }
   }
 
@@ -24,14 +121,15 @@ class AttendanceController {
    * Get attendance record by ID
    * @param {Object} req - The request object
    * @param {Object} res - The response object
+   * @param {Function} next - The next middleware
    */
-  async getAttendanceById(req, res) {
+  async getAttendanceById(req, res, next) {
     try {
       const { id } = req.params;
-      const attendance = await AttendanceService.getAttendanceById(id);
-      res.status(200).json(attendance);
+      const attendance = await AttendanceService.getAttendanceById(id, req.user);
+      res.status(200).json({ success: true, data: attendance });
     } catch (error) {
-      res.status(404).json({ error: error.message });
+      next(error);
     }
   }
 
@@ -39,15 +137,16 @@ class AttendanceController {
    * Get attendance records for a classroom
    * @param {Object} req - The request object
    * @param {Object} res - The response object
+   * @param {Function} next - The next middleware
    */
-  async getClassroomAttendance(req, res) {
+  async getClassroomAttendance(req, res, next) {
     try {
       const { classroomId } = req.params;
       const { query } = req;
-      const attendance = await AttendanceService.getClassroomAttendance(classroomId, query);
-      res.status(200).json(attendance);
+      const attendance = await AttendanceService.getClassroomAttendance(classroomId, query, req.user);
+      res.status(200).json({ success: true, data: attendance });
     } catch (error) {
-      res.status(400).json({ error: error.message });
+      next(error);
     }
   }
 
@@ -55,14 +154,15 @@ class AttendanceController {
    * Get attendance for a specific date and classroom
    * @param {Object} req - The request object
    * @param {Object} res - The response object
+   * @param {Function} next - The next middleware
    */
-  async getAttendanceByDate(req, res) {
+  async getAttendanceByDate(req, res, next) {
     try {
       const { classroomId, date } = req.params;
-      const attendance = await AttendanceService.getAttendanceByDate(classroomId, date);
-      res.status(200).json(attendance);
+      const attendance = await AttendanceService.getAttendanceByDate(classroomId, date, req.query.startTime, req.user);
+      res.status(200).json({ success: true, data: attendance });
     } catch (error) {
-      res.status(404).json({ error: error.message });
+      next(error);
     }
   }
 
@@ -70,15 +170,16 @@ class AttendanceController {
    * Get attendance records for a student
    * @param {Object} req - The request object
    * @param {Object} res - The response object
+   * @param {Function} next - The next middleware
    */
-  async getStudentAttendance(req, res) {
+  async getStudentAttendance(req, res, next) {
     try {
       const { studentId } = req.params;
       const { query } = req;
-      const attendance = await AttendanceService.getStudentAttendance(studentId, query);
-      res.status(200).json(attendance);
+      const attendance = await AttendanceService.getStudentAttendance(studentId, query, req.user);
+      res.status(200).json({ success: true, data: attendance });
     } catch (error) {
-      res.status(400).json({ error: error.message });
+      next(error);
     }
   }
 
@@ -86,15 +187,16 @@ class AttendanceController {
    * Update an attendance record
    * @param {Object} req - The request object
    * @param {Object} res - The response object
+   * @param {Function} next - The next middleware
    */
-  async updateAttendance(req, res) {
+  async updateAttendance(req, res, next) {
     try {
       const { id } = req.params;
       const updateData = req.body;
-      const attendance = await AttendanceService.updateAttendance(id, updateData);
-      res.status(200).json(attendance);
+      const attendance = await AttendanceService.updateAttendance(id, updateData, req.user);
+      res.status(200).json({ success: true, data: attendance });
     } catch (error) {
-      res.status(400).json({ error: error.message });
+      next(error);
     }
   }
 
@@ -102,15 +204,16 @@ class AttendanceController {
    * Update a specific student's attendance status
    * @param {Object} req - The request object
    * @param {Object} res - The response object
+   * @param {Function} next - The next middleware
    */
-  async updateStudentAttendance(req, res) {
+  async updateStudentAttendance(req, res, next) {
     try {
       const { id, studentId } = req.params;
       const updateData = req.body;
-      const updatedAttendance = await AttendanceService.updateStudentAttendance(id, studentId, updateData);
-      res.status(200).json(updatedAttendance);
+      const updatedAttendance = await AttendanceService.updateStudentAttendance(id, studentId, updateData, req.user);
+      res.status(200).json({ success: true, data: updatedAttendance });
     } catch (error) {
-      res.status(400).json({ error: error.message });
+      next(error);
     }
   }
 
@@ -118,15 +221,16 @@ class AttendanceController {
    * Add a student to an attendance record
    * @param {Object} req - The request object
    * @param {Object} res - The response object
+   * @param {Function} next - The next middleware
    */
-  async addStudentToAttendance(req, res) {
+  async addStudentToAttendance(req, res, next) {
     try {
       const { id, studentId } = req.params;
       const studentData = req.body;
-      const updatedAttendance = await AttendanceService.addStudentToAttendance(id, studentId, studentData);
-      res.status(200).json(updatedAttendance);
+      const updatedAttendance = await AttendanceService.addStudentToAttendance(id, studentId, studentData, req.user);
+      res.status(200).json({ success: true, data: updatedAttendance });
     } catch (error) {
-      res.status(400).json({ error: error.message });
+      next(error);
     }
   }
 
@@ -134,14 +238,15 @@ class AttendanceController {
    * Remove a student from an attendance record
    * @param {Object} req - The request object
    * @param {Object} res - The response object
+   * @param {Function} next - The next middleware
    */
-  async removeStudentFromAttendance(req, res) {
+  async removeStudentFromAttendance(req, res, next) {
     try {
       const { id, studentId } = req.params;
-      const updatedAttendance = await AttendanceService.removeStudentFromAttendance(id, studentId);
-      res.status(200).json(updatedAttendance);
+      const updatedAttendance = await AttendanceService.removeStudentFromAttendance(id, studentId, req.user);
+      res.status(200).json({ success: true, data: updatedAttendance });
     } catch (error) {
-      res.status(400).json({ error: error.message });
+      next(error);
     }
   }
 
@@ -149,18 +254,15 @@ class AttendanceController {
    * Delete an attendance record
    * @param {Object} req - The request object
    * @param {Object} res - The response object
+   * @param {Function} next - The next middleware
    */
-  async deleteAttendance(req, res) {
+  async deleteAttendance(req, res, next) {
     try {
       const { id } = req.params;
-      const success = await AttendanceService.deleteAttendance(id);
-      if (success) {
-        res.status(200).json({ message: 'Attendance record deleted successfully' });
-      } else {
-        res.status(404).json({ error: 'Attendance record not found' });
-      }
+      await AttendanceService.deleteAttendance(id, req.user);
+      res.status(200).json({ success: true, message: 'Attendance record deleted successfully' });
     } catch (error) {
-      res.status(400).json({ error: error.message });
+      next(error);
     }
   }
 
@@ -168,14 +270,15 @@ class AttendanceController {
    * Get attendance statistics for a classroom
    * @param {Object} req - The request object
    * @param {Object} res - The response object
+   * @param {Function} next - The next middleware
    */
-  async getClassroomAttendanceStatistics(req, res) {
+  async getClassroomAttendanceStatistics(req, res, next) {
     try {
       const { classroomId } = req.params;
-      const stats = await AttendanceService.getClassroomAttendanceStatistics(classroomId);
-      res.status(200).json(stats);
+      const stats = await AttendanceService.getClassroomAttendanceStatistics(classroomId, req.user);
+      res.status(200).json({ success: true, data: stats });
     } catch (error) {
-      res.status(400).json({ error: error.message });
+      next(error);
     }
   }
 
@@ -183,15 +286,16 @@ class AttendanceController {
    * Get attendance statistics for a student
    * @param {Object} req - The request object
    * @param {Object} res - The response object
+   * @param {Function} next - The next middleware
    */
-  async getStudentAttendanceStatistics(req, res) {
+  async getStudentAttendanceStatistics(req, res, next) {
     try {
       const { studentId } = req.params;
       const { classroomId } = req.query;
-      const stats = await AttendanceService.getStudentAttendanceStatistics(studentId, classroomId);
-      res.status(200).json(stats);
+      const stats = await AttendanceService.getStudentAttendanceStatistics(studentId, classroomId, req.user);
+      res.status(200).json({ success: true, data: stats });
     } catch (error) {
-      res.status(400).json({ error: error.message });
+      next(error);
     }
   }
 }
@@ -1,95 +1,110 @@
-const express = require('express');
-const router = express.Router();
 const AuthService = require('../services/authService');
+const asyncHandler = require('../middleware/async');
+
+// Describe the client a refresh token is issued to
+const getDeviceInfo = (req) => ({
+    deviceId: req.body.deviceId,
+    userAgent: req.headers['user-agent'],
+    ip: req.ip
+});
 
 /**
- * @route   POST /auth/register
  * @desc    Register a new user
+ * @route   POST /api/auth/register
  * @access  Public
  */
-router.post('/register', async (req, res) => {
-    try {
-        const userData = req.body;
-        const result = await AuthService.register(userData);
-        res.status(201).json(result);
-    } catch (error) {
-        res.status(400).json({ error: error.message });
-    }
+exports.register = asyncHandler(async (req, res, next) => {
+    const { deviceId, ...userData } = req.body;
+    const result = await AuthService.register(userData, getDeviceInfo(req));
+    res.status(201).json({ success: true, data: result });
 });
 
 /**
- * @route   POST /auth/login
  * @desc    Login user
+ * @route   POST /api/auth/login
  * @access  Public
  */
-router.post('/login', async (req, res) => {
-    try {
-        const { email, password } = req.body;
-        const result = await AuthService.login(email, password);
-        res.status(200).json(result);
-    } catch (error) {
-        res.status(401).json({ error: error.message });
-    }
+exports.login = asyncHandler(async (req, res, next) => {
+    const { email, password } = req.body;
+    const result = await AuthService.login(email, password, getDeviceInfo(req));
+    res.status(200).json({ success: true, data: result });
+});
+
+/**
+ * @desc    Accept a guardian invitation (opens a guardian account if needed)
+ * @route   POST /api/auth/accept-guardian-invite
+ * @access  Public
+ */
+exports.acceptGuardianInvite = asyncHandler(async (req, res, next) => {
+    const { token, deviceId, ...accountData } = req.body;
+    const result = await AuthService.acceptGuardianInvite(token, accountData, getDeviceInfo(req));
+    res.status(200).json({ success: true, data: result });
 });
 
 /**
- * @route   POST /auth/refresh-token
  * @desc    Refresh access token
+ * @route   POST /api/auth/refresh-token
  * @access  Public
  */
-router.post('/refresh-token', async (req, res) => {
-    try {
-        const { refreshToken } = req.body;
-        const result = await AuthService.refreshToken(refreshToken);
-        res.status(200).json(result);
-    } catch (error) {
-        res.status(401).json({ error: error.message });
-    }
+exports.refreshToken = asyncHandler(async (req, res, next) => {
+    const { refreshToken } = req.body;
+    const result = await AuthService.refreshToken(refreshToken, getDeviceInfo(req));
+    res.status(200).json({ success: true, data: result });
+});
+
+/**
+ * @desc    Revoke the refresh token of the current device
+ * @route   POST /api/auth/logout
+ * @access  Public
+ */
+exports.logout = asyncHandler(async (req, res, next) => {
+    const { refreshToken } = req.body;
+    await AuthService.logout(refreshToken);
+    res.status(200).json({ success: true, message: 'Logged out successfully' });
+});
+
+/**
+ * @desc    Revoke the refresh tokens of every device
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+exports.logoutAll = asyncHandler(async (req, res, next) => {
+    await AuthService.logoutAll(req.user._id);
+    res.status(200).json({ success: true, message: 'Logged out from all devices' });
 });
 
 /**
- * @route   POST /auth/forgot-password
  * @desc    Send password reset email
+ * @route   POST /api/auth/forgot-password
  * @access  Public
  */
-router.post('/forgot-password', async (req, res) => {
-    try {
-        const { email } = req.body;
-        const resetToken = await AuthService.forgotPassword(email);
-        res.status(200).json({ resetToken });
-    } catch (error) {
-        res.status(400).json({ error: error.message });
-    }
+exports.forgotPassword = asyncHandler(async (req, res, next) => {
+    const { email } = req.body;
+    await AuthService.forgotPassword(email);
+    res.status(200).json({
+        success: true,
+        message: 'If an account exists for this email, a password reset link has been sent'
+    });
 });
 
 /**
- * @route   POST /auth/reset-password
  * @desc    Reset password using token
+ * @route   POST /api/auth/reset-password
  * @access  Public
  */
-router.post('/reset-password', async (req, res) => {
-    try {
-        const { token, newPassword } = req.body;
-        const success = await AuthService.resetPassword(token, newPassword);
-        res.status(200).json({ success });
-    } catch (error) {
-        res.status(400).json({ error: error.message });
-    }
+exports.resetPassword = asyncHandler(async (req, res, next) => {
+    const { token, newPassword } = req.body;
+    await AuthService.resetPassword(token, newPassword);
+    res.status(200).json({ success: true, message: 'Password has been reset' });
 });
 
 /**
- * @route   POST /auth/update-password
  * @desc    Update user password
- * @access  Private (requires authentication)
+ * @route   POST /api/auth/update-password
+ * @access  Private
  */
-router.post('/update-password', async (req, res) => {
-    try {
-        const { userId, currentPassword, newPassword } = req.body;
-        const success = await AuthService.updatePassword(userId, currentPassword, newPassword);
-        res.status(200).json({ success });
-    } catch (error) {
-        res.status(400).json({ error: error.message });
-    }
+exports.updatePassword = asyncHandler(async (req, res, next) => {
+    const { currentPassword, newPassword } = req.body;
+    await AuthService.updatePassword(req.user._id, currentPassword, newPassword);
+    res.status(200).json({ success: true, message: 'Password updated successfully' });
 });
-
-module.exports = router;
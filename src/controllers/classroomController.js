@@ -1,102 +1,134 @@
 // controllers/classroomController.js
-const express = require('express');
 const ClassroomService = require('../services/classroomService');
-const router = express.Router();
+const EnrollmentService = require('../services/enrollmentService');
+const asyncHandler = require('../middleware/async');
 
-// Create a new classroom
-router.post('/', async (req, res) => {
-  try {
-    const classroom = await ClassroomService.createClassroom(req.body);
-    res.status(201).json(classroom);
-  } catch (error) {
-    res.status(400).json({ error: error.message });
-  }
+/**
+ * @desc    Create a new classroom
+ * @route   POST /api/classrooms
+ * @access  Private/Admin
+ */
+exports.createClassroom = asyncHandler(async (req, res, next) => {
+  const classroom = await ClassroomService.createClassroom(req.body);
+  res.status(201).json({ success: true, data: classroom });
 });
 
-// Get a classroom by ID
-router.get('/:id', async (req, res) => {
-  try {
-    const classroom = await ClassroomService.getClassroomById(req.params.id);
-    res.status(200).json(classroom);
-  } catch (error) {
-    res.status(404).json({ error: error.message });
-  }
+/**
+ * @desc    Get a classroom by ID
+ * @route   GET /api/classrooms/:id
+ * @access  Private
+ */
+exports.getClassroomById = asyncHandler(async (req, res, next) => {
+  const classroom = await ClassroomService.getClassroomById(req.params.id, req.user);
+  res.status(200).json({ success: true, data: classroom });
 });
 
-// Get all classrooms
-router.get('/', async (req, res) => {
-  try {
-    const classrooms = await ClassroomService.getAllClassrooms(req.query);
-    res.status(200).json(classrooms);
-  } catch (error) {
-    res.status(400).json({ error: error.message });
-  }
+/**
+ * @desc    Get all classrooms
+ * @route   GET /api/classrooms
+ * @access  Private
+ */
+exports.getAllClassrooms = asyncHandler(async (req, res, next) => {
+  const classrooms = await ClassroomService.getAllClassrooms(req.query);
+  res.status(200).json({ success: true, data: classrooms });
 });
 
-// Get classrooms by teacher ID
-router.get('/teacher/:teacherId', async (req, res) => {
-  try {
-    const classrooms = await ClassroomService.getTeacherClassrooms(req.params.teacherId);
-    res.status(200).json(classrooms);
-  } catch (error) {
-    res.status(400).json({ error: error.message });
-  }
+/**
+ * @desc    Get classrooms by teacher ID
+ * @route   GET /api/classrooms/teacher/:teacherId
+ * @access  Private
+ */
+exports.getTeacherClassrooms = asyncHandler(async (req, res, next) => {
+  const classrooms = await ClassroomService.getTeacherClassrooms(req.params.teacherId, req.user);
+  res.status(200).json({ success: true, data: classrooms });
 });
 
-// Get classrooms by student ID
-router.get('/student/:studentId', async (req, res) => {
-  try {
-    const classrooms = await ClassroomService.getStudentClassrooms(req.params.studentId);
-    res.status(200).json(classrooms);
-  } catch (error) {
-    res.status(400).json({ error: error.message });
-  }
+/**
+ * @desc    Get classrooms by student ID
+ * @route   GET /api/classrooms/student/:studentId
+ * @access  Private
+ */
+exports.getStudentClassrooms = asyncHandler(async (req, res, next) => {
+  const classrooms = await ClassroomService.getStudentClassrooms(req.params.studentId, req.user);
+  res.status(200).json({ success: true, data: classrooms });
 });
 
-// Update a classroom
-router.put('/:id', async (req, res) => {
-  try {
-    const classroom = await ClassroomService.updateClassroom(req.params.id, req.body);
-    res.status(200).json(classroom);
-  } catch (error) {
-    res.status(400).json({ error: error.message });
-  }
+/**
+ * @desc    Update a classroom
+ * @route   PUT /api/classrooms/:id
+ * @access  Private
+ */
+exports.updateClassroom = asyncHandler(async (req, res, next) => {
+  const classroom = await ClassroomService.updateClassroom(req.params.id, req.body, req.user);
+  res.status(200).json({ success: true, data: classroom });
 });
 
-// Delete a classroom
-router.delete('/:id', async (req, res) => {
-  try {
-    await ClassroomService.deleteClassroom(req.params.id);
-    res.status(200).json({ message: 'Classroom deleted successfully' });
-  } catch (error) {
-    res.status(400).json({ error: error.message });
-  }
+/**
+ * @desc    Delete a classroom
+ * @route   DELETE /api/classrooms/:id
+ * @access  Private/Admin
+ */
+exports.deleteClassroom = asyncHandler(async (req, res, next) => {
+  await ClassroomService.deleteClassroom(req.params.id);
+  res.status(200).json({ success: true, message: 'Classroom deleted successfully' });
 });
 
-// Add a student to a classroom
-router.post('/:classroomId/students/:studentId', async (req, res) => {
-  try {
-    const classroom = await ClassroomService.addStudentToClassroom(
-      req.params.classroomId,
-      req.params.studentId
-    );
-    res.status(200).json(classroom);
-  } catch (error) {
-    res.status(400).json({ error: error.message });
+/**
+ * @desc    Add a student to a classroom
+ * @route   POST /api/classrooms/:classroomId/students/:studentId
+ * @access  Private
+ */
+exports.addStudentToClassroom = asyncHandler(async (req, res, next) => {
+  const { classroom, enrollment } = await ClassroomService.addStudentToClassroom(
+    req.params.classroomId,
+    req.params.studentId,
+    req.user
+  );
+  
+  // A full classroom puts the student on its waitlist instead
+  if (enrollment.status === 'waitlisted') {
+    const position = await EnrollmentService.getWaitlistPosition(req.params.studentId, req.params.classroomId);
+    return res.status(202).json({
+      success: true,
+      message: `Classroom is full, student added to the waitlist at position ${position}`,
+      data: classroom
+    });
   }
+  
+  res.status(200).json({ success: true, data: classroom });
 });
 
-// Remove a student from a classroom
-router.delete('/:classroomId/students/:studentId', async (req, res) => {
-  try {
-    const classroom = await ClassroomService.removeStudentFromClassroom(
-      req.params.classroomId,
-      req.params.studentId
-    );
-    res.status(200).json(classroom);
-  } catch (error) {
-    res.status(400).json({ error: error.message });
-  }
+/**
+ * @desc    Remove a student from a classroom
+ * @route   DELETE /api/classrooms/:classroomId/students/:studentId
+ * @access  Private
+ */
+exports.removeStudentFromClassroom = asyncHandler(async (req, res, next) => {
+  const classroom = await ClassroomService.removeStudentFromClassroom(
+    req.params.classroomId,
+    req.params.studentId,
+    req.body.reason,
+    req.user
+  );
+  res.status(200).json({ success: true, data: classroom });
 });
 
-module.exports = router;
+/**
+ * @desc    Get the waitlist of a classroom
+ * @route   GET /api/classrooms/:id/waitlist
+ * @access  Private
+ */
+exports.getClassroomWaitlist = asyncHandler(async (req, res, next) => {
+  const waitlist = await EnrollmentService.getClassroomWaitlist(req.params.id, req.user);
+  res.status(200).json({ success: true, data: waitlist });
+});
+
+/**
+ * @desc    Get the enrollments of a classroom, including withdrawn students
+ * @route   GET /api/classrooms/:id/enrollments
+ * @access  Private
+ */
+exports.getClassroomEnrollments = asyncHandler(async (req, res, next) => {
+  const enrollments = await EnrollmentService.getClassroomEnrollments(req.params.id, req.query, req.user);
+  res.status(200).json({ success: true, data: enrollments });
+});
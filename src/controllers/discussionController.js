@@ -0,0 +1,122 @@
+// controllers/discussionController.js
+const DiscussionService = require('../services/discussionService');
+const asyncHandler = require('../middleware/async');
+
+/**
+ * @desc    Start a discussion in a classroom
+ * @route   POST /api/classrooms/:id/discussions
+ * @access  Private
+ */
+exports.createDiscussion = asyncHandler(async (req, res, next) => {
+  const discussion = await DiscussionService.createDiscussion(req.params.id, req.body, req.user);
+  res.status(201).json({ success: true, data: discussion });
+});
+
+/**
+ * @desc    Get the discussions of a classroom
+ * @route   GET /api/classrooms/:id/discussions
+ * @access  Private
+ */
+exports.getClassroomDiscussions = asyncHandler(async (req, res, next) => {
+  const result = await DiscussionService.getClassroomDiscussions(req.params.id, req.query, req.user);
+  res.status(200).json({
+    success: true,
+    data: result.discussions,
+    pagination: result.pagination
+  });
+});
+
+/**
+ * @desc    Get a discussion with its replies
+ * @route   GET /api/classrooms/:id/discussions/:discussionId
+ * @access  Private
+ */
+exports.getDiscussionById = asyncHandler(async (req, res, next) => {
+  const discussion = await DiscussionService.getDiscussionById(req.params.id, req.params.discussionId, req.user);
+  res.status(200).json({ success: true, data: discussion });
+});
+
+/**
+ * @desc    Edit a discussion
+ * @route   PUT /api/classrooms/:id/discussions/:discussionId
+ * @access  Private
+ */
+exports.updateDiscussion = asyncHandler(async (req, res, next) => {
+  const discussion = await DiscussionService.updateDiscussion(
+    req.params.id,
+    req.params.discussionId,
+    req.body,
+    req.user
+  );
+  res.status(200).json({ success: true, data: discussion });
+});
+
+/**
+ * @desc    Pin, lock or hide a discussion
+ * @route   PUT /api/classrooms/:id/discussions/:discussionId/moderation
+ * @access  Private
+ */
+exports.moderateDiscussion = asyncHandler(async (req, res, next) => {
+  const discussion = await DiscussionService.moderateDiscussion(
+    req.params.id,
+    req.params.discussionId,
+    req.body,
+    req.user
+  );
+  res.status(200).json({ success: true, data: discussion });
+});
+
+/**
+ * @desc    Delete a discussion
+ * @route   DELETE /api/classrooms/:id/discussions/:discussionId
+ * @access  Private
+ */
+exports.deleteDiscussion = asyncHandler(async (req, res, next) => {
+  await DiscussionService.deleteDiscussion(req.params.id, req.params.discussionId, req.user);
+  res.status(200).json({ success: true, message: 'Discussion deleted successfully' });
+});
+
+/**
+ * @desc    Reply to a discussion
+ * @route   POST /api/classrooms/:id/discussions/:discussionId/replies
+ * @access  Private
+ */
+exports.createReply = asyncHandler(async (req, res, next) => {
+  const reply = await DiscussionService.createReply(
+    req.params.id,
+    req.params.discussionId,
+    req.body,
+    req.user
+  );
+  res.status(201).json({ success: true, data: reply });
+});
+
+/**
+ * @desc    Edit a reply
+ * @route   PUT /api/classrooms/:id/discussions/replies/:replyId
+ * @access  Private
+ */
+exports.updateReply = asyncHandler(async (req, res, next) => {
+  const reply = await DiscussionService.updateReply(req.params.id, req.params.replyId, req.body, req.user);
+  res.status(200).json({ success: true, data: reply });
+});
+
+/**
+ * @desc    Hide or unhide a reply
+ * @route   PUT /api/classrooms/:id/discussions/replies/:replyId/moderation
+ * @access  Private
+ */
+exports.moderateReply = asyncHandler(async (req, res, next) => {
+  const reply = await DiscussionService.moderateReply(req.params.id, req.params.replyId, req.body, req.user);
+  res.status(200).json({ success: true, data: reply });
+});
+
+/**
+ * @desc    Delete a reply
+ * @route   DELETE /api/classrooms/:id/discussions/replies/:replyId
+ * @access  Private
+ */
+exports.deleteReply = asyncHandler(async (req, res, next) => {
+  await DiscussionService.deleteReply(req.params.id, req.params.replyId, req.user);
+  res.status(200).json({ success: true, message: 'Reply deleted successfully' });
+});
@@ -1,99 +1,103 @@
-const express = require('express');
-const router = express.Router();
+// controllers/gradeController.js
 const gradeService = require('../services/gradeService');
+const asyncHandler = require('../middleware/async');
 
 /**
- * Controller for Grade operations
+ * @desc    Create a new grade
+ * @route   POST /api/grades/grades
+ * @access  Private
  */
-
-// Create a new grade
-router.post('/grades', async (req, res) => {
-  try {
-    const grade = await gradeService.createGrade(req.body);
-    res.status(201).json(grade);
-  } catch (error) {
-    res.status(400).json({ message: error.message });
-  }
+exports.createGrade = asyncHandler(async (req, res, next) => {
+  const grade = await gradeService.createGrade(req.body, req.user);
+  res.status(201).json({ success: true, data: grade });
 });
 
-// Get a grade by ID
-router.get('/grades/:id', async (req, res) => {
-  try {
-    const grade = await gradeService.getGradeById(req.params.id);
-    res.status(200).json(grade);
-  } catch (error) {
-    res.status(404).json({ message: error.message });
-  }
+/**
+ * @desc    Get a grade by ID
+ * @route   GET /api/grades/grades/:id
+ * @access  Private
+ */
+exports.getGradeById = asyncHandler(async (req, res, next) => {
+  const grade = await gradeService.getGradeById(req.params.id, req.user);
+  res.status(200).json({ success: true, data: grade });
 });
 
-// Get all grades for a student
-router.get('/grades/student/:studentId', async (req, res) => {
-  try {
-    const grades = await gradeService.getGradesByStudent(req.params.studentId);
-    res.status(200).json(grades);
-  } catch (error) {
-    res.status(400).json({ message: error.message });
-  }
+/**
+ * @desc    Get all grades for a student
+ * @route   GET /api/grades/grades/student/:studentId
+ * @access  Private
+ */
+exports.getGradesByStudent = asyncHandler(async (req, res, next) => {
+  const grades = await gradeService.getGradesByStudent(req.params.studentId, req.user);
+  res.status(200).json({ success: true, data: grades });
 });
 
-// Get all grades for a classroom
-router.get('/grades/classroom/:classroomId', async (req, res) => {
-  try {
-    const grades = await gradeService.getGradesByClassroom(req.params.classroomId);
-    res.status(200).json(grades);
-  } catch (error) {
-    res.status(400).json({ message: error.message });
-  }
+/**
+ * @desc    Get all grades for a classroom
+ * @route   GET /api/grades/grades/classroom/:classroomId
+ * @access  Private
+ */
+exports.getGradesByClassroom = asyncHandler(async (req, res, next) => {
+  const grades = await gradeService.getGradesByClassroom(req.params.classroomId, req.user);
+  res.status(200).json({ success: true, data: grades });
 });
 
-// Get student's grades for a specific classroom
-router.get('/grades/student/:studentId/classroom/:classroomId', async (req, res) => {
-  try {
-    const grades = await gradeService.getStudentClassroomGrades(req.params.studentId, req.params.classroomId);
-    res.status(200).json(grades);
-  } catch (error) {
-    res.status(400).json({ message: error.message });
-  }
+/**
+ * @desc    Get student's grades for a specific classroom
+ * @route   GET /api/grades/grades/student/:studentId/classroom/:classroomId
+ * @access  Private
+ */
+exports.getStudentClassroomGrades = asyncHandler(async (req, res, next) => {
+  const grades = await gradeService.getStudentClassroomGrades(req.params.studentId, req.params.classroomId, req.user);
+  res.status(200).json({ success: true, data: grades });
 });
 
-// Calculate student's average grade for a classroom
-router.get('/grades/student/:studentId/classroom/:classroomId/average', async (req, res) => {
-  try {
-    const average = await gradeService.getStudentAverage(req.params.studentId, req.params.classroomId);
-    res.status(200).json({ average });
-  } catch (error) {
-    res.status(400).json({ message: error.message });
-  }
+/**
+ * @desc    Calculate student's average grade for a classroom
+ * @route   GET /api/grades/grades/student/:studentId/classroom/:classroomId/average
+ * @access  Private
+ */
+exports.getStudentAverage = asyncHandler(async (req, res, next) => {
+  const result = await gradeService.getStudentAverage(req.params.studentId, req.params.classroomId, req.user);
+  res.status(200).json({ success: true, data: result });
 });
 
-// Update a grade
-router.put('/grades/:id', async (req, res) => {
-  try {
-    const grade = await gradeService.updateGrade(req.params.id, req.body);
-    res.status(200).json(grade);
-  } catch (error) {
-    res.status(400).json({ message: error.message });
-  }
+/**
+ * @desc    Get student's final grade (letter and GPA points) for a classroom
+ * @route   GET /api/grades/grades/student/:studentId/classroom/:classroomId/final
+ * @access  Private
+ */
+exports.getStudentFinalGrade = asyncHandler(async (req, res, next) => {
+  const finalGrade = await gradeService.getStudentFinalGrade(req.params.studentId, req.params.classroomId, req.user);
+  res.status(200).json({ success: true, data: finalGrade });
 });
 
-// Delete a grade
-router.delete('/grades/:id', async (req, res) => {
-  try {
-    const result = await gradeService.deleteGrade(req.params.id);
-    res.status(200).json({ message: 'Grade deleted successfully' });
-  } catch (error) {
-    res.status(400).json({ message: error.message });
-  }
+/**
+ * @desc    Update a grade
+ * @route   PUT /api/grades/grades/:id
+ * @access  Private
+ */
+exports.updateGrade = asyncHandler(async (req, res, next) => {
+  const grade = await gradeService.updateGrade(req.params.id, req.body, req.user);
+  res.status(200).json({ success: true, data: grade });
 });
 
-// Get grade statistics for a classroom
-router.get('/grades/classroom/:classroomId/statistics', async (req, res) => {
-  try {
-    const stats = await gradeService.getClassroomGradeStatistics(req.params.classroomId);
-    res.status(200).json(stats);
-  } catch (error) {
-    res.status(400).json({ message: error.message });
-  }
+/**
+ * @desc    Delete a grade
+ * @route   DELETE /api/grades/grades/:id
+ * @access  Private
+ */
+exports.deleteGrade = asyncHandler(async (req, res, next) => {
+  await gradeService.deleteGrade(req.params.id, req.user);
+  res.status(200).json({ success: true, message: 'Grade deleted successfully' });
 });
 
-module.exports = router;
+/**
+ * @desc    Get grade statistics for a classroom
+ * @route   GET /api/grades/grades/classroom/:classroomId/statistics
+ * @access  Private
+ */
+exports.getClassroomGradeStatistics = asyncHandler(async (req, res, next) => {
+  const stats = await gradeService.getClassroomGradeStatistics(req.params.classroomId, req.query, req.user);
+  res.status(200).json({ success: true, data: stats });
+});
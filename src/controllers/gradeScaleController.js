@@ -0,0 +1,53 @@
+// controllers/gradeScaleController.js
+const GradeScaleService = require('../services/gradeScaleService');
+const asyncHandler = require('../middleware/async');
+
+/**
+ * @desc    Create a grade scale
+ * @route   POST /api/grade-scales
+ * @access  Private/Admin
+ */
+exports.createGradeScale = asyncHandler(async (req, res, next) => {
+  const scale = await GradeScaleService.createGradeScale(req.body, req.user);
+  res.status(201).json({ success: true, data: scale });
+});
+
+/**
+ * @desc    Get all grade scales
+ * @route   GET /api/grade-scales
+ * @access  Private
+ */
+exports.getGradeScales = asyncHandler(async (req, res, next) => {
+  const scales = await GradeScaleService.getGradeScales();
+  res.status(200).json({ success: true, count: scales.length, data: scales });
+});
+
+/**
+ * @desc    Get a grade scale
+ * @route   GET /api/grade-scales/:id
+ * @access  Private
+ */
+exports.getGradeScaleById = asyncHandler(async (req, res, next) => {
+  const scale = await GradeScaleService.getGradeScaleById(req.params.id);
+  res.status(200).json({ success: true, data: scale });
+});
+
+/**
+ * @desc    Update a grade scale
+ * @route   PUT /api/grade-scales/:id
+ * @access  Private/Admin
+ */
+exports.updateGradeScale = asyncHandler(async (req, res, next) => {
+  const scale = await GradeScaleService.updateGradeScale(req.params.id, req.body);
+  res.status(200).json({ success: true, data: scale });
+});
+
+/**
+ * @desc    Delete a grade scale
+ * @route   DELETE /api/grade-scales/:id
+ * @access  Private/Admin
+ */
+exports.deleteGradeScale = asyncHandler(async (req, res, next) => {
+  await GradeScaleService.deleteGradeScale(req.params.id);
+  res.status(200).json({ success: true, message: 'Grade scale deleted successfully' });
+});
@@ -0,0 +1,53 @@
+// controllers/guardianController.js
+const GuardianService = require('../services/guardianService');
+const asyncHandler = require('../middleware/async');
+
+/**
+ * @desc    Get the students linked to the signed-in guardian
+ * @route   GET /api/guardians/me/students
+ * @access  Private/Guardian
+ */
+exports.getMyStudents = asyncHandler(async (req, res, next) => {
+  const students = await GuardianService.getGuardianStudents(req.user);
+  res.status(200).json({ success: true, count: students.length, data: students });
+});
+
+/**
+ * @desc    Get a linked student's grades (?classroomId= to filter)
+ * @route   GET /api/guardians/me/students/:studentId/grades
+ * @access  Private/Guardian
+ */
+exports.getStudentGrades = asyncHandler(async (req, res, next) => {
+  const grades = await GuardianService.getStudentGrades(req.params.studentId, req.query, req.user);
+  res.status(200).json({ success: true, data: grades });
+});
+
+/**
+ * @desc    Get a linked student's attendance (?classroomId= to filter)
+ * @route   GET /api/guardians/me/students/:studentId/attendance
+ * @access  Private/Guardian
+ */
+exports.getStudentAttendance = asyncHandler(async (req, res, next) => {
+  const attendance = await GuardianService.getStudentAttendance(req.params.studentId, req.query, req.user);
+  res.status(200).json({ success: true, data: attendance });
+});
+
+/**
+ * @desc    Get a linked student's weekly timetable
+ * @route   GET /api/guardians/me/students/:studentId/timetable
+ * @access  Private/Guardian
+ */
+exports.getStudentTimetable = asyncHandler(async (req, res, next) => {
+  const timetable = await GuardianService.getStudentTimetable(req.params.studentId, req.query, req.user);
+  res.status(200).json({ success: true, data: timetable });
+});
+
+/**
+ * @desc    Get a linked student's attendance alerts
+ * @route   GET /api/guardians/me/students/:studentId/alerts
+ * @access  Private/Guardian
+ */
+exports.getStudentAlerts = asyncHandler(async (req, res, next) => {
+  const alerts = await GuardianService.getStudentAlerts(req.params.studentId, req.query, req.user);
+  res.status(200).json({ success: true, count: alerts.length, data: alerts });
+});
@@ -0,0 +1,134 @@
+// controllers/messageController.js
+const MessageService = require('../services/messageService');
+const asyncHandler = require('../middleware/async');
+
+/**
+ * Stream a message attachment to the client
+ * @param {Object} res - The response object
+ * @param {Function} next - The next middleware
+ * @param {Object} download - { attachment, stream } from the service
+ */
+const sendAttachment = (res, next, { attachment, stream }) => {
+  res.attachment(attachment.originalName);
+  if (attachment.mimeType) res.type(attachment.mimeType);
+  // Once the download has started the error can only end the response
+  stream.on('error', err => (res.headersSent ? res.destroy(err) : next(err)));
+  stream.pipe(res);
+};
+
+/**
+ * @desc    Get the signed-in user's conversations
+ * @route   GET /api/messages
+ * @access  Private
+ */
+exports.getConversations = asyncHandler(async (req, res, next) => {
+  const result = await MessageService.getConversations(req.query, req.user);
+  res.status(200).json({
+    success: true,
+    data: result.conversations,
+    pagination: result.pagination
+  });
+});
+
+/**
+ * @desc    Send a message to a user, with optional attachments
+ * @route   POST /api/messages
+ * @access  Private
+ */
+exports.sendMessage = asyncHandler(async (req, res, next) => {
+  const result = await MessageService.sendMessage(req.body, req.files, req.user);
+  res.status(201).json({ success: true, data: result });
+});
+
+/**
+ * @desc    Count the signed-in user's unread messages
+ * @route   GET /api/messages/unread-count
+ * @access  Private
+ */
+exports.getUnreadCount = asyncHandler(async (req, res, next) => {
+  const count = await MessageService.getUnreadCount(req.user);
+  res.status(200).json({ success: true, data: { count } });
+});
+
+/**
+ * @desc    Get a conversation and its messages
+ * @route   GET /api/messages/:conversationId
+ * @access  Private
+ */
+exports.getConversation = asyncHandler(async (req, res, next) => {
+  const result = await MessageService.getConversation(req.params.conversationId, req.query, req.user);
+  res.status(200).json({ success: true, data: result });
+});
+
+/**
+ * @desc    Reply in a conversation, with optional attachments
+ * @route   POST /api/messages/:conversationId
+ * @access  Private
+ */
+exports.reply = asyncHandler(async (req, res, next) => {
+  const message = await MessageService.reply(req.params.conversationId, req.body, req.files, req.user);
+  res.status(201).json({ success: true, data: message });
+});
+
+/**
+ * @desc    Mark the messages received in a conversation as read
+ * @route   PUT /api/messages/:conversationId/read
+ * @access  Private
+ */
+exports.markAsRead = asyncHandler(async (req, res, next) => {
+  const result = await MessageService.markAsRead(req.params.conversationId, req.user);
+  res.status(200).json({ success: true, data: result });
+});
+
+/**
+ * @desc    Download an attachment of a message
+ * @route   GET /api/messages/:conversationId/messages/:messageId/attachments/:attachmentId
+ * @access  Private
+ */
+exports.downloadAttachment = asyncHandler(async (req, res, next) => {
+  const download = await MessageService.getAttachment(
+    req.params.conversationId,
+    req.params.messageId,
+    req.params.attachmentId,
+    req.user
+  );
+  sendAttachment(res, next, download);
+});
+
+/**
+ * @desc    Audit: get all conversations (?userId= to filter)
+ * @route   GET /api/messages/audit/conversations
+ * @access  Private/Admin
+ */
+exports.auditConversations = asyncHandler(async (req, res, next) => {
+  const result = await MessageService.getConversations(req.query);
+  res.status(200).json({
+    success: true,
+    data: result.conversations,
+    pagination: result.pagination
+  });
+});
+
+/**
+ * @desc    Audit: get any conversation and its messages
+ * @route   GET /api/messages/audit/conversations/:conversationId
+ * @access  Private/Admin
+ */
+exports.auditConversation = asyncHandler(async (req, res, next) => {
+  const result = await MessageService.getConversation(req.params.conversationId, req.query);
+  res.status(200).json({ success: true, data: result });
+});
+
+/**
+ * @desc    Audit: download an attachment of any message
+ * @route   GET /api/messages/audit/conversations/:conversationId/messages/:messageId/attachments/:attachmentId
+ * @access  Private/Admin
+ */
+exports.auditAttachment = asyncHandler(async (req, res, next) => {
+  const download = await MessageService.getAttachment(
+    req.params.conversationId,
+    req.params.messageId,
+    req.params.attachmentId
+  );
+  sendAttachment(res, next, download);
+});
@@ -0,0 +1,63 @@
+// controllers/notificationController.js
+const NotificationService = require('../services/notificationService');
+const asyncHandler = require('../middleware/async');
+
+/**
+ * @desc    Get the signed-in user's notifications (?unread=true, ?type=, ?page=, ?limit=)
+ * @route   GET /api/notifications
+ * @access  Private
+ */
+exports.getNotifications = asyncHandler(async (req, res, next) => {
+  const result = await NotificationService.getNotifications(req.user, req.query);
+  res.status(200).json({ success: true, data: result });
+});
+
+/**
+ * @desc    Count the signed-in user's unread notifications
+ * @route   GET /api/notifications/unread-count
+ * @access  Private
+ */
+exports.getUnreadCount = asyncHandler(async (req, res, next) => {
+  const count = await NotificationService.getUnreadCount(req.user);
+  res.status(200).json({ success: true, data: { count } });
+});
+
+/**
+ * @desc    Mark a notification as read
+ * @route   PUT /api/notifications/:id/read
+ * @access  Private
+ */
+exports.markAsRead = asyncHandler(async (req, res, next) => {
+  const notification = await NotificationService.markAsRead(req.params.id, req.user);
+  res.status(200).json({ success: true, data: notification });
+});
+
+/**
+ * @desc    Mark all notifications as read
+ * @route   PUT /api/notifications/read-all
+ * @access  Private
+ */
+exports.markAllAsRead = asyncHandler(async (req, res, next) => {
+  const count = await NotificationService.markAllAsRead(req.user);
+  res.status(200).json({ success: true, data: { count } });
+});
+
+/**
+ * @desc    Get the signed-in user's notification preferences
+ * @route   GET /api/notifications/preferences
+ * @access  Private
+ */
+exports.getPreferences = asyncHandler(async (req, res, next) => {
+  const preferences = NotificationService.getPreferences(req.user);
+  res.status(200).json({ success: true, data: preferences });
+});
+
+/**
+ * @desc    Update the signed-in user's notification preferences
+ * @route   PUT /api/notifications/preferences
+ * @access  Private
+ */
+exports.updatePreferences = asyncHandler(async (req, res, next) => {
+  const preferences = await NotificationService.updatePreferences(req.user, req.body);
+  res.status(200).json({ success: true, data: preferences });
+});
@@ -0,0 +1,56 @@
+// controllers/realtimeController.js
+const RealtimeService = require('../services/realtimeService');
+const asyncHandler = require('../middleware/async');
+const { protect } = require('../middleware/auth');
+
+/**
+ * Authenticate a stream request with a ticket (?ticket=) or, failing that,
+ * the access token in the Authorization header
+ */
+exports.authenticateStream = asyncHandler(async (req, res, next) => {
+  if (!req.query.ticket) return protect(req, res, next);
+
+  const { user, tokenExpiresAt } = await RealtimeService.redeemTicket(req.query.ticket);
+  req.user = user;
+  req.tokenExpiresAt = tokenExpiresAt;
+  next();
+});
+
+/**
+ * @desc    Issue a one-time ticket for opening a stream from a browser
+ * @route   POST /api/realtime/tickets
+ * @access  Private
+ */
+exports.issueTicket = asyncHandler(async (req, res, next) => {
+  const ticket = RealtimeService.issueTicket(req.user, req.tokenExpiresAt);
+  res.status(201).json({ success: true, data: ticket });
+});
+
+/**
+ * @desc    Open a Server-Sent Events stream (?topics=classroom:<id>,student:<id>)
+ * @route   GET /api/realtime/stream
+ * @access  Private
+ */
+exports.openStream = asyncHandler(async (req, res, next) => {
+  await RealtimeService.connect(req.user, req, res, req.query.topics || [], req.tokenExpiresAt);
+});
+
+/**
+ * @desc    Follow more topics on an open stream
+ * @route   POST /api/realtime/streams/:connectionId/topics
+ * @access  Private
+ */
+exports.subscribe = asyncHandler(async (req, res, next) => {
+  const topics = await RealtimeService.subscribe(req.params.connectionId, req.body.topics, req.user);
+  res.status(200).json({ success: true, data: { topics } });
+});
+
+/**
+ * @desc    Stop following topics on an open stream
+ * @route   DELETE /api/realtime/streams/:connectionId/topics
+ * @access  Private
+ */
+exports.unsubscribe = asyncHandler(async (req, res, next) => {
+  const topics = RealtimeService.unsubscribe(req.params.connectionId, req.body.topics, req.user);
+  res.status(200).json({ success: true, data: { topics } });
+});
@@ -1,96 +1,215 @@
-const express = require('express');
-const StudentService = require('../services/StudentService');
+const StudentService = require('../services/studentService');
+const TranscriptService = require('../services/transcriptService');
+const TimetableService = require('../services/timetableService');
+const EnrollmentService = require('../services/enrollmentService');
+const EligibilityService = require('../services/eligibilityService');
+const GuardianService = require('../services/guardianService');
+const { renderTranscriptPdf } = require('../reports/transcriptPdf');
 const asyncHandler = require('../middleware/async');
-const ErrorResponse = require('../utils/errorResponse');
 
-const router = express.Router();
-
-// @route   POST /api/students
-// @desc    Create a new student
-// @access  Private
-router.post('/', asyncHandler(async (req, res, next) => {
+/**
+ * @desc    Create a new student
+ * @route   POST /api/students
+ * @access  Private/Admin
+ */
+exports.createStudent = asyncHandler(async (req, res, next) => {
     const student = await StudentService.createStudent(req.body);
     res.status(201).json({ success: true, data: student });
-}));
+});
 
-// @route   GET /api/students/:id
-// @desc    Get student by ID
-// @access  Private
-router.get('/:id', asyncHandler(async (req, res, next) => {
-    const student = await StudentService.getStudentById(req.params.id);
+/**
+ * @desc    Get student by ID
+ * @route   GET /api/students/:id
+ * @access  Private
+ */
+exports.getStudentById = asyncHandler(async (req, res, next) => {
+    const student = await StudentService.getStudentById(req.params.id, req.user);
     res.status(200).json({ success: true, data: student });
-}));
+});
 
-// @route   GET /api/students/user/:userId
-// @desc    Get student by user ID
-// @access  Private
-router.get('/user/:userId', asyncHandler(async (req, res, next) => {
-    const student = await StudentService.getStudentByUserId(req.params.userId);
+/**
+ * @desc    Get student by user ID
+ * @route   GET /api/students/user/:userId
+ * @access  Private
+ */
+exports.getStudentByUserId = asyncHandler(async (req, res, next) => {
+    const student = await StudentService.getStudentByUserId(req.params.userId, req.user);
     res.status(200).json({ success: true, data: student });
-}));
+});
 
-// @route   PUT /api/students/:id
-// @desc    Update student profile
-// @access  Private
-router.put('/:id', asyncHandler(async (req, res, next) => {
+/**
+ * @desc    Update student profile
+ * @route   PUT /api/students/:id
+ * @access  Private/Admin
+ */
+exports.updateStudent = asyncHandler(async (req, res, next) => {
     const student = await StudentService.updateStudent(req.params.id, req.body);
     res.status(200).json({ success: true, data: student });
-}));
+});
 
-// @route   GET /api/students/:id/classrooms
-// @desc    Get all classrooms for a student
-// @access  Private
-router.get('/:id/classrooms', asyncHandler(async (req, res, next) => {
-    const classrooms = await StudentService.getStudentClassrooms(req.params.id);
+/**
+ * @desc    Get all classrooms for a student
+ * @route   GET /api/students/:id/classrooms
+ * @access  Private
+ */
+exports.getStudentClassrooms = asyncHandler(async (req, res, next) => {
+    const classrooms = await StudentService.getStudentClassrooms(req.params.id, req.user);
     res.status(200).json({ success: true, data: classrooms });
-}));
+});
 
-// @route   POST /api/students/:id/enroll/:classroomId
-// @desc    Enroll student in a classroom
-// @access  Private
-router.post('/:id/enroll/:classroomId', asyncHandler(async (req, res, next) => {
-    const result = await StudentService.enrollInClassroom(req.params.id, req.params.classroomId);
-    res.status(200).json({ success: true, data: result });
-}));
+/**
+ * @desc    Enroll student in a classroom
+ * @route   POST /api/students/:id/enroll/:classroomId
+ * @access  Private
+ */
+exports.enrollInClassroom = asyncHandler(async (req, res, next) => {
+    const result = await StudentService.enrollInClassroom(req.params.id, req.params.classroomId, req.user);
+    res.status(result.status === 'waitlisted' ? 202 : 200).json({ success: true, data: result });
+});
+
+/**
+ * @desc    Check whether a student meets a classroom's enrollment requirements
+ * @route   GET /api/students/:id/eligibility/:classroomId
+ * @access  Private
+ */
+exports.getEnrollmentEligibility = asyncHandler(async (req, res, next) => {
+    const eligibility = await EligibilityService.getEligibility(req.params.id, req.params.classroomId, req.user);
+    res.status(200).json({ success: true, data: eligibility });
+});
 
-// @route   DELETE /api/students/:id/withdraw/:classroomId
-// @desc    Withdraw student from a classroom
-// @access  Private
-router.delete('/:id/withdraw/:classroomId', asyncHandler(async (req, res, next) => {
-    const result = await StudentService.withdrawFromClassroom(req.params.id, req.params.classroomId);
+/**
+ * @desc    Withdraw student from a classroom
+ * @route   DELETE /api/students/:id/withdraw/:classroomId
+ * @access  Private
+ */
+exports.withdrawFromClassroom = asyncHandler(async (req, res, next) => {
+    const result = await StudentService.withdrawFromClassroom(req.params.id, req.params.classroomId, req.body.reason, req.user);
     res.status(200).json({ success: true, data: result });
-}));
+});
 
-// @route   GET /api/students/:id/grades
-// @desc    Get student grades (optionally filter by classroom)
-// @access  Private
-router.get('/:id/grades', asyncHandler(async (req, res, next) => {
-    const grades = await StudentService.getStudentGrades(req.params.id, req.query.classroomId);
+/**
+ * @desc    Get student grades (optionally filter by classroom)
+ * @route   GET /api/students/:id/grades
+ * @access  Private
+ */
+exports.getStudentGrades = asyncHandler(async (req, res, next) => {
+    const grades = await StudentService.getStudentGrades(req.params.id, req.query.classroomId, req.user);
     res.status(200).json({ success: true, data: grades });
-}));
+});
 
-// @route   GET /api/students/:id/attendance
-// @desc    Get student attendance (optionally filter by classroom)
-// @access  Private
-router.get('/:id/attendance', asyncHandler(async (req, res, next) => {
-    const attendance = await StudentService.getStudentAttendance(req.params.id, req.query.classroomId);
+/**
+ * @desc    Get student attendance (optionally filter by classroom)
+ * @route   GET /api/students/:id/attendance
+ * @access  Private
+ */
+exports.getStudentAttendance = asyncHandler(async (req, res, next) => {
+    const attendance = await StudentService.getStudentAttendance(req.params.id, req.query.classroomId, req.user);
     res.status(200).json({ success: true, data: attendance });
-}));
+});
 
-// @route   GET /api/students
-// @desc    Get all students (with pagination and filtering)
-// @access  Private
-router.get('/', asyncHandler(async (req, res, next) => {
+/**
+ * @desc    Get all students (with pagination and filtering)
+ * @route   GET /api/students
+ * @access  Private
+ */
+exports.getAllStudents = asyncHandler(async (req, res, next) => {
     const students = await StudentService.getAllStudents(req.query);
     res.status(200).json({ success: true, data: students });
-}));
+});
 
-// @route   DELETE /api/students/:id
-// @desc    Delete student profile
-// @access  Private
-router.delete('/:id', asyncHandler(async (req, res, next) => {
+/**
+ * @desc    Delete student profile
+ * @route   DELETE /api/students/:id
+ * @access  Private/Admin
+ */
+exports.deleteStudent = asyncHandler(async (req, res, next) => {
     await StudentService.deleteStudent(req.params.id);
     res.status(200).json({ success: true, message: 'Student deleted successfully' });
-}));
+});
+
+/**
+ * @desc    Get student transcript (JSON, or PDF with ?format=pdf)
+ * @route   GET /api/students/:id/transcript
+ * @access  Private
+ */
+exports.getStudentTranscript = asyncHandler(async (req, res, next) => {
+    const transcript = await TranscriptService.getStudentTranscript(req.params.id, req.user);
+
+    if (req.query.format === 'pdf') {
+        res.type('application/pdf');
+        res.attachment(`transcript-${transcript.student.studentId}.pdf`);
+        return renderTranscriptPdf(transcript).pipe(res);
+    }
+
+    res.status(200).json({ success: true, data: transcript });
+});
+
+/**
+ * @desc    Get a student's weekly timetable
+ * @route   GET /api/students/:id/timetable
+ * @access  Private
+ */
+exports.getStudentTimetable = asyncHandler(async (req, res, next) => {
+    const timetable = await TimetableService.getStudentTimetable(req.params.id, req.query, req.user);
+    res.status(200).json({ success: true, data: timetable });
+});
+
+/**
+ * @desc    Get the classroom waitlists a student is on
+ * @route   GET /api/students/:id/waitlists
+ * @access  Private
+ */
+exports.getStudentWaitlists = asyncHandler(async (req, res, next) => {
+    const waitlists = await EnrollmentService.getStudentWaitlists(req.params.id, req.user);
+    res.status(200).json({ success: true, data: waitlists });
+});
+
+/**
+ * @desc    Get a student's enrollment history
+ * @route   GET /api/students/:id/enrollments
+ * @access  Private
+ */
+exports.getStudentEnrollments = asyncHandler(async (req, res, next) => {
+    const enrollments = await EnrollmentService.getStudentEnrollments(req.params.id, req.query, req.user);
+    res.status(200).json({ success: true, data: enrollments });
+});
+
+/**
+ * @desc    Get a student's guardians and pending invitations
+ * @route   GET /api/students/:id/guardians
+ * @access  Private
+ */
+exports.getStudentGuardians = asyncHandler(async (req, res, next) => {
+    const guardians = await GuardianService.getStudentGuardians(req.params.id, req.user);
+    res.status(200).json({ success: true, count: guardians.length, data: guardians });
+});
+
+/**
+ * @desc    Invite a student's parent contact to a guardian account
+ * @route   POST /api/students/:id/guardians/invite
+ * @access  Private/Admin
+ */
+exports.inviteGuardian = asyncHandler(async (req, res, next) => {
+    const guardianship = await GuardianService.inviteGuardian(req.params.id, req.body, req.user);
+    res.status(201).json({ success: true, data: guardianship });
+});
+
+/**
+ * @desc    Update a guardian's relationship, custody or permissions
+ * @route   PUT /api/students/:id/guardians/:guardianshipId
+ * @access  Private/Admin
+ */
+exports.updateGuardianship = asyncHandler(async (req, res, next) => {
+    const guardianship = await GuardianService.updateGuardianship(req.params.id, req.params.guardianshipId, req.body);
+    res.status(200).json({ success: true, data: guardianship });
+});
 
-module.exports = router;
+/**
+ * @desc    Unlink a guardian from a student or cancel an invitation
+ * @route   DELETE /api/students/:id/guardians/:guardianshipId
+ * @access  Private/Admin
+ */
+exports.revokeGuardianship = asyncHandler(async (req, res, next) => {
+    const guardianship = await GuardianService.revokeGuardianship(req.params.id, req.params.guardianshipId);
+    res.status(200).json({ success: true, data: guardianship });
+});
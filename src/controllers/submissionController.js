@@ -0,0 +1,86 @@
+// controllers/submissionController.js
+const SubmissionService = require('../services/submissionService');
+const asyncHandler = require('../middleware/async');
+
+/**
+ * @desc    Submit an attempt for an assignment
+ * @route   POST /api/classrooms/:id/assignments/:assignmentId/submissions
+ * @access  Private
+ */
+exports.createSubmission = asyncHandler(async (req, res, next) => {
+  const submission = await SubmissionService.submit(
+    req.params.id,
+    req.params.assignmentId,
+    req.body,
+    req.files,
+    req.user
+  );
+  res.status(201).json({ success: true, data: submission });
+});
+
+/**
+ * @desc    Get the submissions of an assignment
+ * @route   GET /api/classrooms/:id/assignments/:assignmentId/submissions
+ * @access  Private
+ */
+exports.getAssignmentSubmissions = asyncHandler(async (req, res, next) => {
+  const submissions = await SubmissionService.getAssignmentSubmissions(
+    req.params.id,
+    req.params.assignmentId,
+    req.query,
+    req.user
+  );
+  res.status(200).json({ success: true, count: submissions.length, data: submissions });
+});
+
+/**
+ * @desc    Get a submission
+ * @route   GET /api/classrooms/:id/assignments/:assignmentId/submissions/:submissionId
+ * @access  Private
+ */
+exports.getSubmissionById = asyncHandler(async (req, res, next) => {
+  const submission = await SubmissionService.getSubmissionById(
+    req.params.id,
+    req.params.assignmentId,
+    req.params.submissionId,
+    req.user
+  );
+  res.status(200).json({ success: true, data: submission });
+});
+
+/**
+ * @desc    Download an attachment of a submission
+ * @route   GET /api/classrooms/:id/assignments/:assignmentId/submissions/:submissionId/attachments/:attachmentId
+ * @access  Private
+ */
+exports.downloadAttachment = asyncHandler(async (req, res, next) => {
+  const { attachment, stream } = await SubmissionService.getAttachment(
+    req.params.id,
+    req.params.assignmentId,
+    req.params.submissionId,
+    req.params.attachmentId,
+    req.user
+  );
+  
+  res.attachment(attachment.originalName);
+  if (attachment.mimeType) res.type(attachment.mimeType);
+  // Once the download has started the error can only end the response
+  stream.on('error', err => (res.headersSent ? res.destroy(err) : next(err)));
+  stream.pipe(res);
+});
+
+/**
+ * @desc    Grade a submission
+ * @route   POST /api/classrooms/:id/assignments/:assignmentId/submissions/:submissionId/grade
+ * @access  Private
+ */
+exports.gradeSubmission = asyncHandler(async (req, res, next) => {
+  const result = await SubmissionService.gradeSubmission(
+    req.params.id,
+    req.params.assignmentId,
+    req.params.submissionId,
+    req.body,
+    req.user
+  );
+  res.status(200).json({ success: true, data: result });
+});
@@ -1,6 +1,6 @@
-const TeacherService = require('../services/TeacherService');
+const TeacherService = require('../services/teacherService');
+const TimetableService = require('../services/timetableService');
 const asyncHandler = require('../middleware/async');
-const ErrorResponse = require('../utils/errorResponse');
 
 /**
  * @desc    Create a new teacher
@@ -38,7 +38,7 @@ exports.getTeacherByUserId = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 exports.updateTeacher = asyncHandler(async (req, res, next) => {
-    const updatedTeacher = await TeacherService.updateTeacher(req.params.id, req.body);
+    const updatedTeacher = await TeacherService.updateTeacher(req.params.id, req.body, req.user);
     res.status(200).json({ success: true, data: updatedTeacher });
 });
 
@@ -52,6 +52,16 @@ exports.getTeacherClassrooms = asyncHandler(async (req, res, next) => {
     res.status(200).json({ success: true, data: classrooms });
 });
 
+/**
+ * @desc    Get a teacher's weekly timetable
+ * @route   GET /api/teachers/:id/timetable
+ * @access  Private
+ */
+exports.getTeacherTimetable = asyncHandler(async (req, res, next) => {
+    const timetable = await TimetableService.getTeacherTimetable(req.params.id, req.query);
+    res.status(200).json({ success: true, data: timetable });
+});
+
 /**
  * @desc    Get all teachers (with pagination & filtering)
  * @route   GET /api/teachers
@@ -0,0 +1,73 @@
+// controllers/termController.js
+const TermService = require('../services/termService');
+const asyncHandler = require('../middleware/async');
+
+/**
+ * @desc    Create an academic term
+ * @route   POST /api/terms
+ * @access  Private/Admin
+ */
+exports.createTerm = asyncHandler(async (req, res, next) => {
+  const term = await TermService.createTerm(req.body);
+  res.status(201).json({ success: true, data: term });
+});
+
+/**
+ * @desc    Get academic terms (?date= for the terms running on a date)
+ * @route   GET /api/terms
+ * @access  Private
+ */
+exports.getTerms = asyncHandler(async (req, res, next) => {
+  const terms = await TermService.getTerms(req.query);
+  res.status(200).json({ success: true, count: terms.length, data: terms });
+});
+
+/**
+ * @desc    Get the terms running today
+ * @route   GET /api/terms/current
+ * @access  Private
+ */
+exports.getCurrentTerms = asyncHandler(async (req, res, next) => {
+  const terms = await TermService.getCurrentTerms();
+  res.status(200).json({ success: true, count: terms.length, data: terms });
+});
+
+/**
+ * @desc    Get an academic term
+ * @route   GET /api/terms/:id
+ * @access  Private
+ */
+exports.getTermById = asyncHandler(async (req, res, next) => {
+  const term = await TermService.getTermById(req.params.id);
+  res.status(200).json({ success: true, data: term });
+});
+
+/**
+ * @desc    Update an academic term
+ * @route   PUT /api/terms/:id
+ * @access  Private/Admin
+ */
+exports.updateTerm = asyncHandler(async (req, res, next) => {
+  const term = await TermService.updateTerm(req.params.id, req.body);
+  res.status(200).json({ success: true, data: term });
+});
+
+/**
+ * @desc    Delete an academic term
+ * @route   DELETE /api/terms/:id
+ * @access  Private/Admin
+ */
+exports.deleteTerm = asyncHandler(async (req, res, next) => {
+  await TermService.deleteTerm(req.params.id);
+  res.status(200).json({ success: true, message: 'Academic term deleted successfully' });
+});
+
+/**
+ * @desc    Get the classrooms of an academic term
+ * @route   GET /api/terms/:id/classrooms
+ * @access  Private
+ */
+exports.getTermClassrooms = asyncHandler(async (req, res, next) => {
+  const classrooms = await TermService.getTermClassrooms(req.params.id);
+  res.status(200).json({ success: true, count: classrooms.length, data: classrooms });
+});
@@ -1,85 +1,63 @@
-const express = require('express');
-const router = express.Router();
-const UserService = require('../services/UserService');
-
+const UserService = require('../services/userService');
+const asyncHandler = require('../middleware/async');
 
 /**
- * @route GET /users
- * @desc Get all users with pagination and filtering
+ * @desc    Get all users with pagination and filtering
+ * @route   GET /api/users
+ * @access  Private/Admin
  */
-router.get('/users', async (req, res) => {
-    try {
-        const { page, limit, ...query } = req.query;
-        const users = await UserService.getUsers(query, Number(page), Number(limit));
-        res.json(users);
-    } catch (error) {
-        res.status(500).json({ message: error.message });
-    }
+exports.getUsers = asyncHandler(async (req, res, next) => {
+    const { page, limit, ...query } = req.query;
+    const users = await UserService.getUsers(query, Number(page) || 1, Number(limit) || 10);
+    res.status(200).json({ success: true, data: users });
 });
 
 /**
- * @route GET /users/:id
- * @desc Get user by ID
+ * @desc    Get user by ID
+ * @route   GET /api/users/:id
+ * @access  Private/Admin
  */
-router.get('/users/:id', async (req, res) => {
-    try {
-        const user = await UserService.getUserById(req.params.id);
-        res.json(user);
-    } catch (error) {
-        res.status(404).json({ message: error.message });
-    }
+exports.getUserById = asyncHandler(async (req, res, next) => {
+    const user = await UserService.getUserById(req.params.id);
+    res.status(200).json({ success: true, data: user });
 });
 
 /**
- * @route PUT /users/:id
- * @desc Update user details
+ * @desc    Update user details
+ * @route   PUT /api/users/:id
+ * @access  Private/Admin
  */
-router.put('/users/:id', async (req, res) => {
-    try {
-        const updatedUser = await UserService.updateUser(req.params.id, req.body);
-        res.json(updatedUser);
-    } catch (error) {
-        res.status(400).json({ message: error.message });
-    }
+exports.updateUser = asyncHandler(async (req, res, next) => {
+    const updatedUser = await UserService.updateUser(req.params.id, req.body);
+    res.status(200).json({ success: true, data: updatedUser });
 });
 
 /**
- * @route PUT /users/:id/role
- * @desc Update user role (admin only)
+ * @desc    Update user role
+ * @route   PUT /api/users/:id/role
+ * @access  Private/Admin
  */
-router.put('/users/:id/role', async (req, res) => {
-    try {
-        const updatedUser = await UserService.updateUserRole(req.params.id, req.body.role);
-        res.json(updatedUser);
-    } catch (error) {
-        res.status(400).json({ message: error.message });
-    }
+exports.updateUserRole = asyncHandler(async (req, res, next) => {
+    const updatedUser = await UserService.updateUserRole(req.params.id, req.body.role);
+    res.status(200).json({ success: true, data: updatedUser });
 });
 
 /**
- * @route PUT /users/:id/status
- * @desc Activate or deactivate user
+ * @desc    Activate or deactivate user
+ * @route   PUT /api/users/:id/status
+ * @access  Private/Admin
  */
-router.put('/users/:id/status', async (req, res) => {
-    try {
-        const updatedUser = await UserService.setUserStatus(req.params.id, req.body.isActive);
-        res.json(updatedUser);
-    } catch (error) {
-        res.status(400).json({ message: error.message });
-    }
+exports.setUserStatus = asyncHandler(async (req, res, next) => {
+    const updatedUser = await UserService.setUserStatus(req.params.id, req.body.isActive);
+    res.status(200).json({ success: true, data: updatedUser });
 });
 
 /**
- * @route DELETE /users/:id
- * @desc Delete user (admin only)
+ * @desc    Delete user
+ * @route   DELETE /api/users/:id
+ * @access  Private/Admin
  */
-router.delete('/users/:id', async (req, res) => {
-    try {
-        const success = await UserService.deleteUser(req.params.id);
-        res.json({ success });
-    } catch (error) {
-        res.status(400).json({ message: error.message });
-    }
+exports.deleteUser = asyncHandler(async (req, res, next) => {
+    await UserService.deleteUser(req.params.id);
+    res.status(200).json({ success: true, message: 'User deleted successfully' });
 });
-
-module.exports = router;
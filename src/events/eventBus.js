@@ -0,0 +1,46 @@
+const { EventEmitter } = require('events');
+
+// Subscribing to this receives every event
+const ALL_EVENTS = '*';
+
+/**
+ * In-process bus for domain events (a grade was posted, an absence was
+ * recorded, ...). Services publish after their write succeeded; subscribers
+ * run in the background and a failing subscriber never fails the write that
+ * published the event.
+ */
+class EventBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  /**
+   * Publish an event to its subscribers and to the catch-all ones
+   * @param {String} type - Event type, e.g. 'grade-posted'
+   * @param {Object} payload - Event data
+   */
+  publish(type, payload = {}) {
+    const event = { type, payload, occurredAt: new Date() };
+
+    [...this.emitter.listeners(type), ...this.emitter.listeners(ALL_EVENTS)].forEach(handler => {
+      Promise.resolve()
+        .then(() => handler(event))
+        .catch(err => console.error(`Error handling ${type} event: ${err.message}`));
+    });
+  }
+
+  /**
+   * Subscribe to an event type
+   * @param {String} type - Event type, or '*' for every event
+   * @param {Function} handler - Called with { type, payload, occurredAt }
+   * @returns {Function} Unsubscribes the handler
+   */
+  subscribe(type, handler) {
+    this.emitter.on(type, handler);
+    return () => this.emitter.off(type, handler);
+  }
+}
+
+module.exports = new EventBus();
+module.exports.ALL_EVENTS = ALL_EVENTS;
@@ -0,0 +1,19 @@
+/**
+ * Domain events published on the event bus. Some are also notification
+ * types users can set preferences for (see config/notifications.js). The
+ * grade, attendance and enrollment events are pushed to real-time
+ * subscribers; the access events make open streams check their
+ * subscriptions again.
+ */
+module.exports = {
+  GRADE_POSTED: 'grade-posted',
+  GRADE_UPDATED: 'grade-updated',
+  GRADE_DELETED: 'grade-deleted',
+  ATTENDANCE_UPDATED: 'attendance-updated',
+  ABSENCE_RECORDED: 'absence-recorded',
+  STUDENT_ENROLLED: 'student-enrolled',
+  STUDENT_WAITLISTED: 'student-waitlisted',
+  STUDENT_WITHDRAWN: 'student-withdrawn',
+  GUARDIANSHIP_CHANGED: 'guardianship-changed',
+  USER_ACCESS_CHANGED: 'user-access-changed'
+};
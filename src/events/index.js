@@ -0,0 +1,17 @@
+const eventBus = require('./eventBus');
+const notificationService = require('../services/notificationService');
+const { NOTIFICATION_TYPES } = require('../config/notifications');
+
+/**
+ * Subscribe the event consumers to the bus: notification events become
+ * notifications for the people concerned
+ */
+const registerSubscribers = () => {
+  NOTIFICATION_TYPES.forEach(type => {
+    eventBus.subscribe(type, event => notificationService.handleEvent(event));
+  });
+};
+
+module.exports = {
+  registerSubscribers
+};
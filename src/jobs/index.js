@@ -0,0 +1,24 @@
+const { every } = require('./scheduler');
+const alertService = require('../services/alertService');
+const notificationService = require('../services/notificationService');
+const { ALERT_SWEEP_INTERVAL_MINUTES } = require('../config/alerts');
+const { NOTIFICATION_DIGEST_INTERVAL_MINUTES } = require('../config/notifications');
+
+/**
+ * Schedule the periodic background jobs
+ */
+const startJobs = () => {
+  every('alert-sweep', ALERT_SWEEP_INTERVAL_MINUTES, async () => {
+    const result = await alertService.sweep();
+    console.log(`Alert sweep: ${result.students} students in ${result.classrooms} classrooms, ${result.opened} new alerts`);
+  });
+
+  every('notification-digest', NOTIFICATION_DIGEST_INTERVAL_MINUTES, async () => {
+    const result = await notificationService.sendDigests();
+    console.log(`Notification digest: ${result.notifications} notifications to ${result.users} users, ${result.failed} failed`);
+  });
+};
+
+module.exports = {
+  startJobs
+};
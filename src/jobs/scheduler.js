@@ -0,0 +1,47 @@
+/**
+ * Minimal in-process scheduler for periodic background jobs.
+ * A run is skipped while the previous one is still going.
+ */
+const timers = new Map();
+
+/**
+ * Run a task every `intervalMinutes`
+ * @param {String} name - Job name, used in logs
+ * @param {Number} intervalMinutes - Interval; 0 or less disables the job
+ * @param {Function} task - Async function to run
+ */
+const every = (name, intervalMinutes, task) => {
+  if (!intervalMinutes || intervalMinutes <= 0) return;
+
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await task();
+    } catch (error) {
+      console.error(`Job ${name} failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  }, intervalMinutes * 60 * 1000);
+
+  // Don't keep the process alive just for the jobs
+  timer.unref();
+  timers.set(name, timer);
+};
+
+/**
+ * Stop all scheduled jobs
+ */
+const stopAll = () => {
+  timers.forEach(timer => clearInterval(timer));
+  timers.clear();
+};
+
+module.exports = {
+  every,
+  stopAll
+};
@@ -0,0 +1,11 @@
+/**
+ * Escape a value for interpolation into an HTML email body
+ * @param {*} value - Value to escape
+ * @returns {String} Escaped string
+ */
+module.exports = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
@@ -0,0 +1,33 @@
+const escapeHtml = require('./escapeHtml');
+
+/**
+ * Invitation sent to a student's parent contact to open a guardian account
+ * @param {Object} data - Template data (contactName, studentName, acceptUrl,
+ *   hasAccount, expiresInDays)
+ * @returns {Object} Subject, text and html bodies
+ */
+module.exports = ({ contactName, studentName, acceptUrl, hasAccount, expiresInDays }) => {
+  const action = hasAccount
+    ? 'Sign in with your existing guardian account to accept:'
+    : 'Use the link below to create your guardian account:';
+
+  return {
+    subject: `You have been invited to follow ${studentName} on Elearning`,
+    text: [
+      `Hi ${contactName},`,
+      '',
+      `You have been invited to follow ${studentName}'s grades, attendance and timetable.`,
+      action,
+      acceptUrl,
+      '',
+      `This invitation expires in ${expiresInDays} days.`
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(contactName)},</p>
+      <p>You have been invited to follow ${escapeHtml(studentName)}'s grades, attendance and timetable.</p>
+      <p>${escapeHtml(action)}</p>
+      <p><a href="${escapeHtml(acceptUrl)}">Accept the invitation</a></p>
+      <p>This invitation expires in ${expiresInDays} days.</p>
+    `
+  };
+};
@@ -0,0 +1,11 @@
+const guardianInvite = require('./guardianInvite');
+const notificationDigest = require('./notificationDigest');
+const passwordReset = require('./passwordReset');
+const welcome = require('./welcome');
+
+module.exports = {
+  guardianInvite,
+  notificationDigest,
+  passwordReset,
+  welcome
+};
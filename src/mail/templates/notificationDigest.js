@@ -0,0 +1,28 @@
+const escapeHtml = require('./escapeHtml');
+
+/**
+ * Digest of the notifications a user received since the last one
+ * @param {Object} data - Template data (firstName, notifications [{ title,
+ *   message, createdAt }], inboxUrl)
+ * @returns {Object} Subject, text and html bodies
+ */
+module.exports = ({ firstName, notifications, inboxUrl }) => ({
+  subject: `You have ${notifications.length} new notification${notifications.length === 1 ? '' : 's'}`,
+  text: [
+    `Hi ${firstName},`,
+    '',
+    'Here is what happened since your last digest:',
+    '',
+    ...notifications.map(({ title, message }) => `- ${title}: ${message}`),
+    '',
+    `See everything in your inbox: ${inboxUrl}`
+  ].join('\n'),
+  html: `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>Here is what happened since your last digest:</p>
+    <ul>
+      ${notifications.map(({ title, message }) => `<li><strong>${escapeHtml(title)}</strong>: ${escapeHtml(message)}</li>`).join('\n      ')}
+    </ul>
+    <p><a href="${escapeHtml(inboxUrl)}">Open your inbox</a></p>
+  `
+});
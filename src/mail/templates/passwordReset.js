@@ -0,0 +1,24 @@
+const escapeHtml = require('./escapeHtml');
+
+/**
+ * Password reset email
+ * @param {Object} data - Template data (firstName, resetUrl, expiresInMinutes)
+ * @returns {Object} Subject, text and html bodies
+ */
+module.exports = ({ firstName, resetUrl, expiresInMinutes }) => ({
+  subject: 'Reset your password',
+  text: [
+    `Hi ${firstName},`,
+    '',
+    'We received a request to reset your password. Use the link below to choose a new one:',
+    resetUrl,
+    '',
+    `This link expires in ${expiresInMinutes} minutes. If you did not request a reset, you can ignore this email.`
+  ].join('\n'),
+  html: `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>We received a request to reset your password. Use the link below to choose a new one:</p>
+    <p><a href="${escapeHtml(resetUrl)}">Reset my password</a></p>
+    <p>This link expires in ${expiresInMinutes} minutes. If you did not request a reset, you can ignore this email.</p>
+  `
+});
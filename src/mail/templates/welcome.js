@@ -0,0 +1,21 @@
+const escapeHtml = require('./escapeHtml');
+
+/**
+ * Welcome email sent after registration
+ * @param {Object} data - Template data (firstName, username, loginUrl)
+ * @returns {Object} Subject, text and html bodies
+ */
+module.exports = ({ firstName, username, loginUrl }) => ({
+  subject: 'Welcome to Elearning',
+  text: [
+    `Hi ${firstName},`,
+    '',
+    `Your account "${username}" has been created. You can sign in at:`,
+    loginUrl
+  ].join('\n'),
+  html: `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>Your account <strong>${escapeHtml(username)}</strong> has been created.</p>
+    <p><a href="${escapeHtml(loginUrl)}">Sign in</a></p>
+  `
+});
@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+/**
+ * Prints each message to the console instead of sending it (local development)
+ */
+class ConsoleTransport {
+  /**
+   * Send a message
+   * @param {Object} message - Message (from, to, subject, text, html)
+   * @returns {Promise<Object>} Delivery info
+   */
+  async send(message) {
+    const messageId = crypto.randomUUID();
+
+    console.log(`📧 Mail ${messageId}`);
+    console.log(`From: ${message.from}`);
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log(message.text);
+
+    return { messageId };
+  }
+}
+
+module.exports = ConsoleTransport;
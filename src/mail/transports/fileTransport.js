@@ -0,0 +1,30 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { MAIL_OUTPUT_DIR } = require('../../config/mail');
+
+/**
+ * Writes each message to a JSON file instead of sending it (local development and tests)
+ */
+class FileTransport {
+  constructor(outputDir = MAIL_OUTPUT_DIR) {
+    this.outputDir = path.resolve(outputDir);
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - Message (from, to, subject, text, html)
+   * @returns {Promise<Object>} Delivery info
+   */
+  async send(message) {
+    const messageId = crypto.randomUUID();
+    const filePath = path.join(this.outputDir, `${Date.now()}-${messageId}.json`);
+
+    await fs.mkdir(this.outputDir, { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify({ messageId, ...message }, null, 2));
+
+    return { messageId, path: filePath };
+  }
+}
+
+module.exports = FileTransport;
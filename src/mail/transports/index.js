@@ -0,0 +1,28 @@
+const SmtpTransport = require('./smtpTransport');
+const FileTransport = require('./fileTransport');
+const ConsoleTransport = require('./consoleTransport');
+
+const transports = {
+  smtp: SmtpTransport,
+  file: FileTransport,
+  console: ConsoleTransport
+};
+
+/**
+ * Create a mail transport by name
+ * @param {String} name - Transport name (smtp, file, console)
+ * @returns {Object} Transport exposing `send(message)`
+ */
+const createTransport = (name) => {
+  const Transport = transports[name];
+
+  if (!Transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  return new Transport();
+};
+
+module.exports = {
+  createTransport
+};
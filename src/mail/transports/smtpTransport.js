@@ -0,0 +1,23 @@
+const nodemailer = require('nodemailer');
+const { SMTP } = require('../../config/mail');
+
+/**
+ * Delivers messages through an SMTP server
+ */
+class SmtpTransport {
+  constructor(options = SMTP) {
+    this.transporter = nodemailer.createTransport(options);
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - Message (from, to, subject, text, html)
+   * @returns {Promise<Object>} Delivery info
+   */
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,118 @@
+const User = require('../models/User');
+const { verifyToken } = require('../config/auth');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errorResponse');
+
+/**
+ * Authentication & authorization middleware
+ *
+ * Every router under /api (except /api/auth) is guarded by `protect`, and each
+ * route declares the roles allowed to call it with `authorize`:
+ *
+ *   Resource                                    | admin | teacher | student | guardian
+ *   --------------------------------------------|-------|---------|---------|---------
+ *   users (list, update, role, delete)          | yes   | -       | -       | -
+ *   users (read one)                            | yes   | yes     | -       | -
+ *   students (create, update, delete)           | yes   | -       | -       | -
+ *   students (read, grades, attendance)         | yes   | yes     | yes     | -
+ *   students (enroll, withdraw)                 | yes   | -       | yes     | -
+ *   students (enrollment eligibility, history)  | yes   | yes     | yes     | -
+ *   students (transcript, timetable, waitlists) | yes   | yes     | yes     | -
+ *   students (guardians)                        | yes   | yes     | -       | -
+ *   students (invite, update, unlink guardians) | yes   | -       | -       | -
+ *   teachers (create, list, subjects, delete)   | yes   | -       | -       | -
+ *   teachers (update profile)                   | yes   | yes     | -       | -
+ *   teachers (read, timetable)                  | yes   | yes     | yes     | -
+ *   classrooms (create, delete)                 | yes   | -       | -       | -
+ *   classrooms (update, roster, waitlist)       | yes   | yes     | -       | -
+ *   classrooms (enrollment history)             | yes   | yes     | -       | -
+ *   classrooms (read)                           | yes   | yes     | yes     | -
+ *   assignments (write), gradebook              | yes   | yes     | -       | -
+ *   assignments (read published)                | yes   | yes     | yes     | -
+ *   submissions (submit)                        | -     | -       | yes     | -
+ *   submissions (grade)                         | yes   | yes     | -       | -
+ *   submissions (read, download attachments)    | yes   | yes     | yes     | -
+ *   announcements (write)                       | yes   | yes     | -       | -
+ *   announcements (read published)              | yes   | yes     | yes     | -
+ *   discussions (read, post, reply, own edits)  | yes   | yes     | yes     | -
+ *   discussions (moderate: pin, lock, hide)     | yes   | yes     | -       | -
+ *   grades/attendance (write, class-wide reads) | yes   | yes     | -       | -
+ *   grades/attendance (per-student reads)       | yes   | yes     | yes     | -
+ *   attendance (open/close self check-in)       | yes   | yes     | -       | -
+ *   attendance (self check-in)                  | -     | -       | yes     | -
+ *   grade scales (write)                        | yes   | -       | -       | -
+ *   grade scales (read)                         | yes   | yes     | yes     | -
+ *   alerts (read, acknowledge, resolve), rules  | yes   | yes     | -       | -
+ *   alert rules (write), alert sweep            | yes   | -       | -       | -
+ *   academic terms (write)                      | yes   | -       | -       | -
+ *   academic terms (read)                       | yes   | yes     | yes     | -
+ *   academic terms (classrooms)                 | yes   | yes     | -       | -
+ *   guardians (linked students, read-only)      | -     | -       | -       | yes
+ *   notifications (own inbox, preferences)      | yes   | yes     | yes     | yes
+ *   realtime streams (topics per accessPolicy)  | yes   | yes     | yes     | yes
+ *   messages (own conversations, per policy)    | yes   | yes     | yes     | yes
+ *   messages (audit all conversations)          | yes   | -       | -       | -
+ *
+ * Which records a teacher, student or guardian may touch within those routes
+ * is decided by policies/accessPolicy.js.
+ */
+
+/**
+ * Require a valid access token and attach the authenticated user to `req.user`
+ * @param {Object} req - The request object
+ * @param {Object} res - The response object
+ * @param {Function} next - The next middleware
+ */
+const protect = async (req, res, next) => {
+  try {
+    const { authorization } = req.headers;
+
+    if (!authorization || !authorization.startsWith('Bearer ')) {
+      return next(new UnauthorizedError('Not authorized, no token provided'));
+    }
+
+    const token = authorization.split(' ')[1];
+    const { valid, expired, decoded } = verifyToken(token);
+
+    if (!valid) {
+      return next(new UnauthorizedError(expired ? 'Access token has expired' : 'Not authorized, invalid token'));
+    }
+
+    // Load the user so role changes and deactivations take effect immediately
+    const user = await User.findById(decoded.id);
+
+    if (!user) {
+      return next(new UnauthorizedError('User belonging to this token no longer exists'));
+    }
+
+    if (!user.isActive) {
+      return next(new UnauthorizedError('Your account has been deactivated'));
+    }
+
+    req.user = user;
+    // Long-lived responses (event streams) end when the token does
+    req.tokenExpiresAt = decoded.exp ? new Date(decoded.exp * 1000) : null;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restrict a route to the given roles. Must be used after `protect`.
+ * @param {...String} roles - Roles allowed to access the route
+ * @returns {Function} Express middleware
+ */
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return next(new ForbiddenError(
+      `User role '${req.user ? req.user.role : 'guest'}' is not authorized to access this route`
+    ));
+  }
+
+  next();
+};
+
+module.exports = {
+  protect,
+  authorize
+};
@@ -1,7 +1,77 @@
+const mongoose = require('mongoose');
+const multer = require('multer');
+const ErrorResponse = require('../utils/errorResponse');
+const { ValidationError, NotFoundError, ConflictError } = ErrorResponse;
+
+/**
+ * Translate known library errors into ErrorResponse instances
+ * @param {Error} err - The raised error
+ * @returns {ErrorResponse|null} Mapped error, or null when unknown
+ */
+const normalizeError = (err) => {
+  if (err instanceof ErrorResponse) return err;
+
+  // Mongoose schema validation
+  if (err instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(err.errors).map(e => ({
+      field: e.path,
+      message: e.message
+    }));
+    return new ValidationError('Validation failed', details);
+  }
+
+  // Malformed ObjectId or value that cannot be cast
+  if (err instanceof mongoose.Error.CastError) {
+    return new NotFoundError(`Resource not found with ${err.path} ${err.value}`);
+  }
+
+  // Duplicate key
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    const details = fields.map(field => ({
+      field,
+      message: `${field} already exists`
+    }));
+    return new ConflictError(`Duplicate value for ${fields.join(', ') || 'unique field'}`, details);
+  }
+
+  // Upload limits (file size, file count, unexpected field)
+  if (err instanceof multer.MulterError) {
+    return new ValidationError('Validation failed', [
+      { field: err.field || 'file', message: err.message }
+    ]);
+  }
+
+  // Malformed JSON body
+  if (err.type === 'entity.parse.failed') {
+    return new ErrorResponse('Malformed JSON in request body', 400, 'BAD_REQUEST');
+  }
+
+  return null;
+};
+
 const errorHandler = (err, req, res, next) => {
+  const error = normalizeError(err);
+
+  if (!error) {
     console.error(err.stack);
-    res.status(500).json({ success: false, message: 'Server Error' });
-  };
-  
-  module.exports = errorHandler;
-  
\ No newline at end of file
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Server Error'
+      }
+    });
+  }
+
+  res.status(error.statusCode).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message,
+      ...(error.details && { details: error.details })
+    }
+  });
+};
+
+module.exports = errorHandler;
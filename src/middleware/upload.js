@@ -0,0 +1,31 @@
+const multer = require('multer');
+const { MAX_UPLOAD_SIZE, MAX_UPLOAD_FILES, ALLOWED_MIME_TYPES } = require('../config/storage');
+const { ValidationError } = require('../utils/errorResponse');
+
+// Files are kept in memory and handed to the storage service by the services
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_UPLOAD_SIZE,
+    files: MAX_UPLOAD_FILES
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new ValidationError('Validation failed', [
+        { field: file.fieldname, message: `File type ${file.mimetype} is not allowed` }
+      ]));
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Accept up to MAX_UPLOAD_FILES files in a multipart field
+ * @param {String} field - Multipart field name
+ * @returns {Function} Express middleware
+ */
+const uploadFiles = (field = 'attachments') => upload.array(field, MAX_UPLOAD_FILES);
+
+module.exports = {
+  uploadFiles
+};
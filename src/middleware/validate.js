@@ -0,0 +1,30 @@
+const { ValidationError } = require('../utils/errorResponse');
+
+/**
+ * Validate and sanitize part of the request against a Joi schema.
+ * Unknown fields are stripped and values are coerced (dates, numbers, ...),
+ * so handlers only ever see whitelisted, typed data.
+ * @param {Object} schema - Joi schema
+ * @param {String} source - Request property to validate (body, query, params)
+ * @returns {Function} Express middleware
+ */
+const validate = (schema, source = 'body') => (req, res, next) => {
+  const { value, error } = schema.validate(req[source], {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message.replace(/"/g, '')
+    }));
+    return next(new ValidationError('Validation failed', details));
+  }
+
+  req[source] = value;
+  next();
+};
+
+module.exports = validate;
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const { startOfDay } = require('../utils/schedule');
+
+// A named span of days; both ends are inclusive
+const DateRangeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a name'],
+    trim: true
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Please provide a start date']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Please provide an end date']
+  }
+});
+
+const AcademicTermSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a term name'],
+    unique: true,
+    trim: true
+  },
+  semester: {
+    type: String,
+    enum: ['Fall', 'Spring', 'Summer', 'Winter', 'Year-round'],
+    required: [true, 'Please specify the semester']
+  },
+  year: {
+    type: Number,
+    required: [true, 'Please specify the academic year']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Please provide a start date']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Please provide an end date']
+  },
+  // Non-instructional days (breaks, public holidays, staff days)
+  holidays: [DateRangeSchema],
+  // Marking periods grades can be reported for
+  gradingPeriods: [DateRangeSchema]
+}, {
+  timestamps: true
+});
+
+// Store whole days
+AcademicTermSchema.pre('save', function(next) {
+  this.startDate = startOfDay(this.startDate);
+  this.endDate = startOfDay(this.endDate);
+  [...this.holidays, ...this.gradingPeriods].forEach(range => {
+    range.startDate = startOfDay(range.startDate);
+    range.endDate = startOfDay(range.endDate);
+  });
+  next();
+});
+
+AcademicTermSchema.index({ startDate: 1, endDate: 1 });
+
+/**
+ * Whether a date falls inside a range of whole days
+ * @param {Object} range - Object with startDate and endDate
+ * @param {Date} date - Date to check
+ * @returns {boolean} True if inside
+ */
+const inRange = (range, date) => {
+  const day = startOfDay(date);
+  return day >= startOfDay(range.startDate) && day <= startOfDay(range.endDate);
+};
+
+// Check if a date is a teaching day of the term
+AcademicTermSchema.methods.isInstructionalDay = function(date) {
+  return inRange(this, date) && !this.holidays.some(holiday => inRange(holiday, date));
+};
+
+// Find the grading period a date falls in
+AcademicTermSchema.methods.getGradingPeriod = function(date) {
+  return this.gradingPeriods.find(period => inRange(period, date)) || null;
+};
+
+// Mongo filter on a `date` field limiting it to the term's teaching days
+AcademicTermSchema.methods.instructionalDateFilter = function(field = 'date') {
+  const endOfDay = range => new Date(startOfDay(range.endDate).getTime() + 24 * 60 * 60 * 1000 - 1);
+  const filter = { [field]: { $gte: startOfDay(this.startDate), $lte: endOfDay(this) } };
+
+  if (this.holidays.length > 0) {
+    filter.$nor = this.holidays.map(holiday => ({
+      [field]: { $gte: startOfDay(holiday.startDate), $lte: endOfDay(holiday) }
+    }));
+  }
+
+  return filter;
+};
+
+// Static method to find the term running on a date
+AcademicTermSchema.statics.findByDate = function(date = new Date()) {
+  const day = startOfDay(date);
+  return this.find({ startDate: { $lte: day }, endDate: { $gte: day } }).sort({ startDate: 1 });
+};
+
+module.exports = mongoose.model('AcademicTerm', AcademicTermSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { ALERT_RULE_TYPES } = require('../config/alerts');
+
+const AlertSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Please provide a student ID']
+  },
+  classroomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    required: [true, 'Please provide a classroom ID']
+  },
+  // Configured rule, empty for the built-in default rules
+  ruleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertRule'
+  },
+  // Identifies the rule across evaluations (rule ID or `default:<type>`)
+  ruleKey: {
+    type: String,
+    required: true
+  },
+  ruleType: {
+    type: String,
+    enum: ALERT_RULE_TYPES,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // Measured value and the threshold it was compared with
+  value: {
+    type: Number
+  },
+  threshold: {
+    type: Number
+  },
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged', 'resolved'],
+    default: 'open'
+  },
+  triggeredAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastEvaluatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acknowledgedAt: {
+    type: Date
+  },
+  // Empty when the alert was resolved automatically
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  },
+  resolution: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// At most one unresolved alert per student, classroom and rule; it is looked
+// up on every evaluation
+AlertSchema.index(
+  { studentId: 1, classroomId: 1, ruleKey: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['open', 'acknowledged'] } } }
+);
+AlertSchema.index({ studentId: 1, classroomId: 1, ruleKey: 1, status: 1 });
+AlertSchema.index({ classroomId: 1, status: 1 });
+AlertSchema.index({ triggeredAt: -1 });
+
+module.exports = mongoose.model('Alert', AlertSchema);
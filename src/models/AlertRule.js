@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { ALERT_RULE_TYPES } = require('../config/alerts');
+
+const AlertRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a rule name'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ALERT_RULE_TYPES,
+    required: [true, 'Please specify the rule type']
+  },
+  // Consecutive absences, minimum attendance percentage or total minutes late
+  threshold: {
+    type: Number,
+    required: [true, 'Please provide a threshold'],
+    min: 0
+  },
+  // Only look at sessions from the last N days (all sessions when empty)
+  windowDays: {
+    type: Number,
+    min: 1
+  },
+  // Attendance rates over fewer sessions than this are not judged
+  minSessions: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Rules without a classroom apply to every classroom
+  classroomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+AlertRuleSchema.index({ isActive: 1, classroomId: 1 });
+
+module.exports = mongoose.model('AlertRule', AlertRuleSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+/**
+ * Announcement from a classroom's teacher to its students. Announcements
+ * with a future `publishAt` stay hidden from students until then.
+ */
+const AnnouncementSchema = new mongoose.Schema({
+  classroomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    required: [true, 'Please provide a classroom ID']
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  title: {
+    type: String,
+    required: [true, 'Please provide an announcement title'],
+    trim: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Please provide the announcement text']
+  },
+  // Pinned announcements are listed first
+  isPinned: {
+    type: Boolean,
+    default: false
+  },
+  publishAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+AnnouncementSchema.index({ classroomId: 1, isPinned: -1, publishAt: -1 });
+
+module.exports = mongoose.model('Announcement', AnnouncementSchema);
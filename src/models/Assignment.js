@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const AssignmentSchema = new mongoose.Schema({
+  classroomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    required: [true, 'Please provide a classroom ID']
+  },
+  title: {
+    type: String,
+    required: [true, 'Please provide an assignment title'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['quiz', 'exam', 'homework', 'project', 'participation', 'midterm', 'final', 'other'],
+    required: [true, 'Please specify the assignment type']
+  },
+  instructions: {
+    type: String
+  },
+  dueDate: {
+    type: Date
+  },
+  maxScore: {
+    type: Number,
+    required: [true, 'Please provide the maximum possible score'],
+    min: [0, 'Maximum score cannot be negative']
+  },
+  weight: {
+    type: Number,
+    default: 1,
+    min: 0,
+    max: 100
+  },
+  isExtraCredit: {
+    type: Boolean,
+    default: false
+  },
+  maxAttempts: {
+    type: Number,
+    default: 1,
+    min: [1, 'At least one attempt must be allowed']
+  },
+  allowLateSubmissions: {
+    type: Boolean,
+    default: true
+  },
+  isPublished: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual to get all grades for this assignment
+AssignmentSchema.virtual('grades', {
+  ref: 'Grade',
+  localField: '_id',
+  foreignField: 'assignmentId'
+});
+
+// Index for faster queries
+AssignmentSchema.index({ classroomId: 1, dueDate: 1 });
+AssignmentSchema.index({ classroomId: 1, isPublished: 1 });
+
+module.exports = mongoose.model('Assignment', AssignmentSchema);
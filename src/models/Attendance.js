@@ -17,6 +17,10 @@ const AttendanceRecordSchema = new mongoose.Schema({
   minutesLate: {
     type: Number,
     default: 0
+  },
+  // Arrival time; minutesLate is derived from it and the session start
+  checkedInAt: {
+    type: Date
   }
 });
 
@@ -30,11 +34,46 @@ const AttendanceSchema = new mongoose.Schema({
     type: Date,
     required: [true, 'Please provide a date']
   },
+  // Session within the day, copied from the Classroom.schedule entry it was
+  // created for. Day-level records (no schedule entry) leave these empty.
+  scheduleEntryId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  startTime: {
+    type: String
+  },
+  endTime: {
+    type: String
+  },
+  location: {
+    type: String
+  },
+  sessionStart: {
+    type: Date
+  },
+  sessionEnd: {
+    type: Date
+  },
   records: [AttendanceRecordSchema],
   takenBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Self check-in window; students prove presence with the rotating code
+  // derived from `secret` (see utils/totp.js)
+  checkIn: {
+    secret: {
+      type: String,
+      select: false
+    },
+    opensAt: Date,
+    closesAt: Date,
+    graceMinutes: Number,
+    openedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   sessionTopic: {
     type: String
   },
@@ -46,18 +85,21 @@ const AttendanceSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Create a compound index to ensure one attendance record per classroom per day
-AttendanceSchema.index({ classroomId: 1, date: 1 }, { unique: true });
+// One attendance record per classroom session (a day-level record has no startTime)
+AttendanceSchema.index({ classroomId: 1, date: 1, startTime: 1 }, { unique: true });
 
 // Additional indexes for faster queries
 AttendanceSchema.index({ 'records.studentId': 1 });
 AttendanceSchema.index({ date: 1 });
 
 // Static method to get attendance statistics for a classroom
-AttendanceSchema.statics.getClassroomStatistics = async function(classroomId) {
+// (`dateFilter` narrows the sessions, e.g. to a term's teaching days, and
+// `recordFilter` the unwound records, e.g. to the students' enrollment windows)
+AttendanceSchema.statics.getClassroomStatistics = async function(classroomId, dateFilter = {}, recordFilter = {}) {
   const stats = await this.aggregate([
-    { $match: { classroomId: mongoose.Types.ObjectId(classroomId) } },
+    { $match: { classroomId: new mongoose.Types.ObjectId(classroomId), ...dateFilter } },
     { $unwind: '$records' },
+    { $match: recordFilter },
     { 
       $group: {
         _id: '$records.status',
@@ -70,18 +112,18 @@ AttendanceSchema.statics.getClassroomStatistics = async function(classroomId) {
 };
 
 // Static method to get attendance statistics for a student
-AttendanceSchema.statics.getStudentStatistics = async function(studentId, classroomId) {
-  const match = { 'records.studentId': mongoose.Types.ObjectId(studentId) };
+AttendanceSchema.statics.getStudentStatistics = async function(studentId, classroomId, dateFilter = {}, recordFilter = {}) {
+  const match = { 'records.studentId': new mongoose.Types.ObjectId(studentId), ...dateFilter };
   
   if (classroomId) {
-    match.classroomId = mongoose.Types.ObjectId(classroomId);
+    match.classroomId = new mongoose.Types.ObjectId(classroomId);
   }
   
   const stats = await this.aggregate([
     { $match: match },
     { $unwind: '$records' },
     { 
-      $match: { 'records.studentId': mongoose.Types.ObjectId(studentId) }
+      $match: { 'records.studentId': new mongoose.Types.ObjectId(studentId), ...recordFilter }
     },
     { 
       $group: {
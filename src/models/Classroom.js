@@ -19,6 +19,7 @@ const ClassroomSchema = new mongoose.Schema({
     ref: 'Teacher',
     required: [true, 'Please provide a teacher']
   },
+  // Cache of the roster's enrollments, maintained by services/enrollmentService.js
   students: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Student'
@@ -32,14 +33,19 @@ const ClassroomSchema = new mongoose.Schema({
     endTime: String,
     location: String
   }],
+  // Semester and year are copied from the term when the classroom has one
+  termId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicTerm'
+  },
   semester: {
     type: String,
     enum: ['Fall', 'Spring', 'Summer', 'Winter', 'Year-round'],
-    required: [true, 'Please specify the semester']
+    required: [function() { return !this.termId; }, 'Please specify the semester']
   },
   year: {
     type: Number,
-    required: [true, 'Please specify the academic year']
+    required: [function() { return !this.termId; }, 'Please specify the academic year']
   },
   isActive: {
     type: Boolean,
@@ -57,6 +63,62 @@ const ClassroomSchema = new mongoose.Schema({
   credits: {
     type: Number,
     default: 1
+  },
+  // Who may enroll through self-enrollment (see utils/eligibility.js);
+  // requirements name either a classroom or any classroom of a subject
+  enrollmentRequirements: {
+    allowedGradeLevels: [String],
+    prerequisites: [{
+      _id: false,
+      classroomId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Classroom'
+      },
+      subject: String,
+      // Minimum final average, as a percentage
+      minimumGrade: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100
+      }
+    }],
+    corequisites: [{
+      _id: false,
+      classroomId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Classroom'
+      },
+      subject: String
+    }]
+  },
+  // Letter grades come from this scale, else the default scale
+  gradeScaleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GradeScale'
+  },
+  // Category weights by assignment type; without categories averages fall
+  // back to each grade's weightage (see utils/gradeCalculator.js)
+  gradingPolicy: {
+    categories: [{
+      _id: false,
+      assignmentType: {
+        type: String,
+        enum: ['quiz', 'exam', 'homework', 'project', 'participation', 'midterm', 'final', 'other'],
+        required: true
+      },
+      weight: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+      },
+      dropLowest: {
+        type: Number,
+        default: 0,
+        min: 0
+      }
+    }]
   }
 }, {
   timestamps: true,
@@ -69,6 +131,13 @@ ClassroomSchema.virtual('enrollmentCount').get(function() {
   return this.students ? this.students.length : 0;
 });
 
+// Virtual to get all enrollments (including waitlisted and withdrawn students)
+ClassroomSchema.virtual('enrollments', {
+  ref: 'Enrollment',
+  localField: '_id',
+  foreignField: 'classroomId'
+});
+
 // Virtual to get all grades for this classroom
 ClassroomSchema.virtual('grades', {
   ref: 'Grade',
@@ -88,6 +157,7 @@ ClassroomSchema.index({ teacherId: 1 });
 ClassroomSchema.index({ subject: 1 });
 ClassroomSchema.index({ gradeLevel: 1 });
 ClassroomSchema.index({ year: 1, semester: 1 });
+ClassroomSchema.index({ termId: 1 });
 ClassroomSchema.index({ isActive: 1 });
 
 // Check if classroom is at capacity before adding students
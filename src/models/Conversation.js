@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * Direct message conversation between two users. `participantKey` (the two
+ * user IDs, sorted) keeps a single conversation per pair of users.
+ */
+const ConversationSchema = new mongoose.Schema({
+  participants: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    validate: {
+      validator: participants => participants.length === 2,
+      message: 'A conversation has exactly two participants'
+    }
+  },
+  participantKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  subject: {
+    type: String,
+    trim: true
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Key identifying the conversation between two users
+ * @param {string} userId - First user ID
+ * @param {string} otherUserId - Second user ID
+ * @returns {string} Participant key
+ */
+ConversationSchema.statics.keyFor = function(userId, otherUserId) {
+  return [userId.toString(), otherUserId.toString()].sort().join(':');
+};
+
+// Index for faster queries
+ConversationSchema.index({ participants: 1, lastMessageAt: -1 });
+
+module.exports = mongoose.model('Conversation', ConversationSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * Discussion thread of a classroom, open to its students and teacher.
+ * Replies live in DiscussionReply.
+ */
+const DiscussionSchema = new mongoose.Schema({
+  classroomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    required: [true, 'Please provide a classroom ID']
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  title: {
+    type: String,
+    required: [true, 'Please provide a discussion title'],
+    trim: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Please provide the discussion text']
+  },
+  editedAt: {
+    type: Date
+  },
+  // Moderation: pinned threads are listed first, locked ones take no new
+  // replies and hidden ones are only visible to the teacher
+  isPinned: {
+    type: Boolean,
+    default: false
+  },
+  isLocked: {
+    type: Boolean,
+    default: false
+  },
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+DiscussionSchema.index({ classroomId: 1, isPinned: -1, lastActivityAt: -1 });
+
+module.exports = mongoose.model('Discussion', DiscussionSchema);
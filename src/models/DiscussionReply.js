@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * Reply in a discussion thread, either to the discussion itself or to
+ * another reply (`parentId`)
+ */
+const DiscussionReplySchema = new mongoose.Schema({
+  discussionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Discussion',
+    required: [true, 'Please provide a discussion ID']
+  },
+  classroomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    required: [true, 'Please provide a classroom ID']
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DiscussionReply'
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Cleared when a reply with answers of its own is deleted, so the thread
+  // keeps its shape
+  body: {
+    type: String
+  },
+  editedAt: {
+    type: Date
+  },
+  deletedAt: {
+    type: Date
+  },
+  // Hidden replies are only visible to the teacher
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+DiscussionReplySchema.index({ discussionId: 1, createdAt: 1 });
+DiscussionReplySchema.index({ parentId: 1 });
+
+module.exports = mongoose.model('DiscussionReply', DiscussionReplySchema);
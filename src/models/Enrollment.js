@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Statuses that put a student on the classroom roster; `Classroom.students`
+// and `Student.classrooms` cache exactly these enrollments
+const ROSTER_STATUSES = ['active', 'completed'];
+
+// One entry per change of status, so withdrawals and re-enrollments stay on record
+const HistoryEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['enrolled', 'waitlisted', 'withdrawn', 'completed', 'reopened'],
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+/**
+ * A student's place in a classroom. One document per student and classroom;
+ * re-enrolling reuses it and appends to its history.
+ */
+const EnrollmentSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Please provide a student ID']
+  },
+  classroomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    required: [true, 'Please provide a classroom ID']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'withdrawn', 'completed', 'waitlisted'],
+    required: true
+  },
+  enrolledAt: {
+    type: Date
+  },
+  // Waitlisted students are admitted in this order
+  waitlistedAt: {
+    type: Date
+  },
+  withdrawnAt: {
+    type: Date
+  },
+  withdrawnBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: {
+    type: Date
+  },
+  // Reason given for the latest withdrawal
+  reason: {
+    type: String,
+    trim: true
+  },
+  history: [HistoryEntrySchema]
+}, {
+  timestamps: true
+});
+
+EnrollmentSchema.index({ studentId: 1, classroomId: 1 }, { unique: true });
+
+// Index for faster queries
+EnrollmentSchema.index({ classroomId: 1, status: 1, waitlistedAt: 1 });
+EnrollmentSchema.index({ studentId: 1, status: 1 });
+
+EnrollmentSchema.statics.ROSTER_STATUSES = ROSTER_STATUSES;
+
+module.exports = mongoose.model('Enrollment', EnrollmentSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { isLateSubmission } = require('../utils/lateness');
 
 const GradeSchema = new mongoose.Schema({
   studentId: {
@@ -11,6 +12,11 @@ const GradeSchema = new mongoose.Schema({
     ref: 'Classroom',
     required: [true, 'Please provide a classroom ID']
   },
+  // When set, the assignment fields below are copied from (and kept in sync with) the Assignment
+  assignmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment'
+  },
   assignmentName: {
     type: String,
     required: [true, 'Please provide an assignment name'],
@@ -46,6 +52,16 @@ const GradeSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Extra credit adds to the earned points without raising the points possible
+  isExtraCredit: {
+    type: Boolean,
+    default: false
+  },
+  // Excused grades are left out of averages entirely
+  isExcused: {
+    type: Boolean,
+    default: false
+  },
   comments: {
     type: String
   },
@@ -67,7 +83,7 @@ GradeSchema.virtual('percentage').get(function() {
 
 // Method to check if submission is late
 GradeSchema.pre('save', function(next) {
-  if (this.dueDate && this.submissionDate > this.dueDate) {
+  if (isLateSubmission(this.submissionDate, this.dueDate)) {
     this.lateSubmission = true;
   }
   next();
@@ -78,5 +94,6 @@ GradeSchema.index({ studentId: 1, classroomId: 1 });
 GradeSchema.index({ classroomId: 1 });
 GradeSchema.index({ studentId: 1 });
 GradeSchema.index({ assignmentType: 1 });
+GradeSchema.index({ assignmentId: 1, studentId: 1 }, { unique: true, partialFilterExpression: { assignmentId: { $exists: true } } });
 
 module.exports = mongoose.model('Grade', GradeSchema);
\ No newline at end of file
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const GradeScaleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a grade scale name'],
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String
+  },
+  // A percentage earns the first band (highest cutoff first) it reaches
+  bands: {
+    type: [{
+      _id: false,
+      letter: {
+        type: String,
+        required: [true, 'Please provide a letter'],
+        trim: true
+      },
+      minPercentage: {
+        type: Number,
+        required: [true, 'Please provide the minimum percentage'],
+        min: 0
+      },
+      gpaPoints: {
+        type: Number,
+        required: [true, 'Please provide the GPA points'],
+        min: 0
+      }
+    }],
+    validate: {
+      validator: bands => bands.length > 0,
+      message: 'A grade scale needs at least one band'
+    }
+  },
+  // Used by classrooms that don't reference a scale
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Keep bands ordered from the highest cutoff down
+GradeScaleSchema.pre('save', function(next) {
+  this.bands.sort((a, b) => b.minPercentage - a.minPercentage);
+  next();
+});
+
+GradeScaleSchema.index({ isDefault: 1 });
+
+module.exports = mongoose.model('GradeScale', GradeScaleSchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// What a guardian may see of the student; everything is visible by default
+const PermissionsSchema = new mongoose.Schema({
+  viewGrades: {
+    type: Boolean,
+    default: true
+  },
+  viewAttendance: {
+    type: Boolean,
+    default: true
+  },
+  viewTimetable: {
+    type: Boolean,
+    default: true
+  },
+  viewAlerts: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+/**
+ * Link between a guardian's User account and a Student profile. A guardian
+ * may follow several students and a student may have several guardians.
+ * Links start as an invitation to an email address and point at the
+ * guardian once it is accepted; revoked links are kept on record.
+ */
+const GuardianshipSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Please provide a student ID']
+  },
+  // Set once the invitation is accepted
+  guardianId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Address the invitation was sent to
+  email: {
+    type: String,
+    required: [true, 'Please provide an email address'],
+    trim: true,
+    lowercase: true
+  },
+  relationship: {
+    type: String,
+    enum: ['parent', 'step-parent', 'grandparent', 'foster-parent', 'legal-guardian', 'other'],
+    default: 'parent'
+  },
+  // Legal custody of the student. Recorded for the school office; access is
+  // governed by `permissions`
+  hasCustody: {
+    type: Boolean,
+    default: true
+  },
+  permissions: {
+    type: PermissionsSchema,
+    default: () => ({})
+  },
+  status: {
+    type: String,
+    enum: ['invited', 'active', 'revoked'],
+    default: 'invited'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  invitedAt: {
+    type: Date
+  },
+  inviteTokenHash: {
+    type: String,
+    select: false
+  },
+  inviteExpires: {
+    type: Date,
+    select: false
+  },
+  acceptedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One link per student and invited address; re-inviting reuses it
+GuardianshipSchema.index({ studentId: 1, email: 1 }, { unique: true });
+
+// Index for faster queries
+GuardianshipSchema.index({ guardianId: 1, status: 1 });
+GuardianshipSchema.index({ inviteTokenHash: 1 });
+
+module.exports = mongoose.model('Guardianship', GuardianshipSchema);
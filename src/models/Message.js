@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const AttachmentSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String
+  },
+  size: {
+    type: Number
+  }
+});
+
+const MessageSchema = new mongoose.Schema({
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: [true, 'Please provide a conversation ID']
+  },
+  senderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Please provide a sender']
+  },
+  body: {
+    type: String,
+    default: ''
+  },
+  attachments: [AttachmentSchema],
+  // Read receipt: when the other participant read the message
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+MessageSchema.index({ conversationId: 1, createdAt: -1 });
+MessageSchema.index({ conversationId: 1, senderId: 1, readAt: 1 });
+
+module.exports = mongoose.model('Message', MessageSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } = require('../config/notifications');
+
+/**
+ * A notification for one user, created from a domain event. `channels` are
+ * the user's preferences for the type when it was created.
+ */
+const NotificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // IDs of the records the notification is about (studentId, classroomId, ...)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  channels: [{
+    type: String,
+    enum: NOTIFICATION_CHANNELS
+  }],
+  readAt: {
+    type: Date
+  },
+  // Set once the notification went out in an email digest
+  emailedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+NotificationSchema.index({ userId: 1, channels: 1, readAt: 1, createdAt: -1 });
+NotificationSchema.index({ channels: 1, emailedAt: 1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
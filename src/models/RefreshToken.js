@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const RefreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Please provide a user ID']
+  },
+  // SHA-256 of the issued token; the raw token is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // All tokens rotated from the same login share a family
+  family: {
+    type: String,
+    required: true
+  },
+  deviceId: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  createdByIp: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout-all', 'reuse-detected', 'password-changed']
+  },
+  replacedByHash: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Virtual to check whether the token can still be used
+RefreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Index for faster queries
+RefreshTokenSchema.index({ userId: 1 });
+RefreshTokenSchema.index({ family: 1 });
+
+// Let MongoDB purge expired tokens automatically
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
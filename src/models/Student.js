@@ -21,6 +21,7 @@ const StudentSchema = new mongoose.Schema({
     unique: true,
     trim: true
   },
+  // Cache of the student's roster enrollments, maintained by services/enrollmentService.js
   classrooms: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Classroom'
@@ -75,6 +76,13 @@ StudentSchema.virtual('grades', {
   foreignField: 'studentId'
 });
 
+// Virtual to get all enrollments of this student, past and present
+StudentSchema.virtual('enrollments', {
+  ref: 'Enrollment',
+  localField: '_id',
+  foreignField: 'studentId'
+});
+
 // Virtual to get all attendance records for this student
 StudentSchema.virtual('attendanceRecords', {
   ref: 'Attendance',
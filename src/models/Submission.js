@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { isLateSubmission } = require('../utils/lateness');
+
+const AttachmentSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String
+  },
+  size: {
+    type: Number
+  }
+});
+
+const SubmissionSchema = new mongoose.Schema({
+  assignmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: [true, 'Please provide an assignment ID']
+  },
+  classroomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    required: [true, 'Please provide a classroom ID']
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Please provide a student ID']
+  },
+  body: {
+    type: String
+  },
+  attachments: [AttachmentSchema],
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempt: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  dueDate: {
+    type: Date
+  },
+  isLate: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['submitted', 'graded'],
+    default: 'submitted'
+  },
+  gradeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Grade'
+  }
+}, {
+  timestamps: true
+});
+
+// Flag late submissions against the assignment's due date
+SubmissionSchema.pre('save', function(next) {
+  this.isLate = isLateSubmission(this.submittedAt, this.dueDate);
+  next();
+});
+
+// One document per attempt
+SubmissionSchema.index({ assignmentId: 1, studentId: 1, attempt: 1 }, { unique: true });
+
+// Index for faster queries
+SubmissionSchema.index({ studentId: 1 });
+SubmissionSchema.index({ classroomId: 1 });
+
+module.exports = mongoose.model('Submission', SubmissionSchema);
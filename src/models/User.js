@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const UserSchema = new mongoose.Schema({
   username: {
@@ -29,7 +30,7 @@ const UserSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['student', 'teacher', 'admin'],
+    enum: ['student', 'teacher', 'admin', 'guardian'],
     default: 'student'
   },
   firstName: {
@@ -53,6 +54,15 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Channels per notification type ({ inApp, email }); types left out use
+  // the defaults in config/notifications.js
+  notificationPreferences: {
+    type: Map,
+    of: new mongoose.Schema({
+      inApp: Boolean,
+      email: Boolean
+    }, { _id: false })
+  },
   passwordResetToken: String,
   passwordResetExpires: Date
 }, {
@@ -0,0 +1,237 @@
+// policies/accessPolicy.js
+const Student = require('../models/Student');
+const Teacher = require('../models/Teacher');
+const Classroom = require('../models/Classroom');
+const Guardianship = require('../models/Guardianship');
+const { ForbiddenError } = require('../utils/errorResponse');
+
+/**
+ * Resource ownership rules shared by the services.
+ *
+ * Role checks happen in the routers (see middleware/auth.js); this layer answers
+ * the finer question of *which* records an authenticated user may touch:
+ * - admins may access everything
+ * - students may only access their own Student profile and its records
+ * - teachers may only manage classrooms whose `teacherId` is their Teacher
+ *   profile, and may only read students enrolled in one of those classrooms
+ * - guardians may only read the students linked to them, and only what the
+ *   link's permissions allow
+ * - direct messages may only be exchanged along those relationships (see
+ *   assertCanMessage)
+ *
+ * Services take the acting user as an optional last argument and consult the
+ * policy when it is supplied; calls made without an actor are internal.
+ */
+class AccessPolicy {
+  /**
+   * Build the error thrown when access is denied
+   * @param {string} message - Error message
+   * @returns {ForbiddenError} Error carrying a 403 status code
+   */
+  forbidden(message) {
+    return new ForbiddenError(message);
+  }
+
+  /**
+   * Check whether the user is an administrator
+   * @param {Object} user - Authenticated user
+   * @returns {boolean} True for admins
+   */
+  isAdmin(user) {
+    return user.role === 'admin';
+  }
+
+  /**
+   * Get the Student profile ID linked to a user
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<string|null>} Student profile ID
+   */
+  async getStudentProfileId(user) {
+    if (user.role !== 'student') return null;
+    const student = await Student.findOne({ userId: user._id }).select('_id');
+    return student ? student._id.toString() : null;
+  }
+
+  /**
+   * Get the Teacher profile ID linked to a user
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<string|null>} Teacher profile ID
+   */
+  async getTeacherProfileId(user) {
+    if (user.role !== 'teacher') return null;
+    const teacher = await Teacher.findOne({ userId: user._id }).select('_id');
+    return teacher ? teacher._id.toString() : null;
+  }
+
+  /**
+   * Ensure the user may read a student's profile, grades and attendance
+   * @param {Object} user - Authenticated user
+   * @param {string} studentId - Student profile ID
+   * @returns {Promise<void>}
+   */
+  async assertCanViewStudent(user, studentId) {
+    if (this.isAdmin(user)) return;
+
+    if (user.role === 'student') {
+      const ownId = await this.getStudentProfileId(user);
+      if (ownId && ownId === studentId.toString()) return;
+      throw this.forbidden('Students can only access their own records');
+    }
+
+    if (user.role === 'teacher') {
+      const teacherId = await this.getTeacherProfileId(user);
+      const teachesStudent = teacherId && await Classroom.exists({ teacherId, students: studentId });
+      if (teachesStudent) return;
+      throw this.forbidden('Teachers can only access students enrolled in their classrooms');
+    }
+
+    throw this.forbidden();
+  }
+
+  /**
+   * Ensure the user may act on behalf of a student (enroll, withdraw)
+   * @param {Object} user - Authenticated user
+   * @param {string} studentId - Student profile ID
+   * @returns {Promise<void>}
+   */
+  async assertCanActForStudent(user, studentId) {
+    if (this.isAdmin(user)) return;
+
+    const ownId = await this.getStudentProfileId(user);
+    if (ownId && ownId === studentId.toString()) return;
+
+    throw this.forbidden('You can only perform this action for your own student profile');
+  }
+
+  /**
+   * Ensure the user is an active guardian of a student with the given permission
+   * @param {Object} user - Authenticated user
+   * @param {string} studentId - Student profile ID
+   * @param {string} permission - Guardianship permission, e.g. 'viewGrades'
+   * @returns {Promise<Object>} The guardianship
+   */
+  async assertGuardianOf(user, studentId, permission) {
+    const guardianship = user.role === 'guardian' && await Guardianship.findOne({
+      guardianId: user._id,
+      studentId,
+      status: 'active'
+    });
+
+    if (!guardianship) {
+      throw this.forbidden('Guardians can only access the students linked to them');
+    }
+
+    if (permission && !guardianship.permissions[permission]) {
+      throw this.forbidden('This information has not been shared with you');
+    }
+
+    return guardianship;
+  }
+
+  /**
+   * Ensure the user may read a classroom's details
+   * @param {Object} user - Authenticated user
+   * @param {Object} classroom - Classroom document
+   * @returns {Promise<void>}
+   */
+  async assertCanViewClassroom(user, classroom) {
+    if (this.isAdmin(user)) return;
+
+    if (user.role === 'teacher') {
+      const teacherId = await this.getTeacherProfileId(user);
+      if (teacherId && classroom.teacherId.toString() === teacherId) return;
+    }
+
+    if (user.role === 'student') {
+      const studentId = await this.getStudentProfileId(user);
+      if (studentId && classroom.students.some(id => id.toString() === studentId)) return;
+    }
+
+    throw this.forbidden('You are not a member of this classroom');
+  }
+
+  /**
+   * Ensure the user may manage a classroom (grades, attendance, roster, settings)
+   * @param {Object} user - Authenticated user
+   * @param {string} classroomId - Classroom ID
+   * @returns {Promise<void>}
+   */
+  async assertCanManageClassroom(user, classroomId) {
+    if (this.isAdmin(user)) return;
+
+    if (user.role === 'teacher') {
+      const teacherId = await this.getTeacherProfileId(user);
+      const ownsClassroom = teacherId && await Classroom.exists({ _id: classroomId, teacherId });
+      if (ownsClassroom) return;
+    }
+
+    throw this.forbidden('Only the classroom\'s teacher can perform this action');
+  }
+
+  /**
+   * Ensure two users may exchange direct messages. The rule is symmetric, so
+   * whoever may be messaged may also answer:
+   * - anyone may message an admin, and admins may message anyone
+   * - teachers may message each other
+   * - students and their teachers (the student is enrolled in one of the
+   *   teacher's classrooms)
+   * - guardians and the teachers of their linked students
+   * - guardians and their linked students
+   * Students cannot message other students, nor guardians other guardians.
+   * @param {Object} user - Authenticated user
+   * @param {Object} recipient - User receiving the message
+   * @returns {Promise<void>}
+   */
+  async assertCanMessage(user, recipient) {
+    if (this.isAdmin(user) || this.isAdmin(recipient)) return;
+
+    const byRole = { [user.role]: user, [recipient.role]: recipient };
+    const pair = [user.role, recipient.role].sort().join(':');
+    let allowed = false;
+
+    if (pair === 'teacher:teacher') {
+      allowed = true;
+    } else if (pair === 'student:teacher') {
+      const [teacherId, studentId] = await Promise.all([
+        this.getTeacherProfileId(byRole.teacher),
+        this.getStudentProfileId(byRole.student)
+      ]);
+      allowed = Boolean(teacherId && studentId && await Classroom.exists({ teacherId, students: studentId }));
+    } else if (pair === 'guardian:teacher') {
+      const [teacherId, studentIds] = await Promise.all([
+        this.getTeacherProfileId(byRole.teacher),
+        Guardianship.distinct('studentId', { guardianId: byRole.guardian._id, status: 'active' })
+      ]);
+      allowed = Boolean(teacherId && studentIds.length > 0
+        && await Classroom.exists({ teacherId, students: { $in: studentIds } }));
+    } else if (pair === 'guardian:student') {
+      const studentId = await this.getStudentProfileId(byRole.student);
+      allowed = Boolean(studentId && await Guardianship.exists({
+        guardianId: byRole.guardian._id,
+        studentId,
+        status: 'active'
+      }));
+    }
+
+    if (!allowed) {
+      throw this.forbidden('You cannot send messages to this user');
+    }
+  }
+
+  /**
+   * Ensure the user may access a teacher's own resources
+   * @param {Object} user - Authenticated user
+   * @param {string} teacherId - Teacher profile ID
+   * @returns {Promise<void>}
+   */
+  async assertCanActForTeacher(user, teacherId) {
+    if (this.isAdmin(user)) return;
+
+    const ownId = await this.getTeacherProfileId(user);
+    if (ownId && ownId === teacherId.toString()) return;
+
+    throw this.forbidden('Teachers can only access their own classrooms');
+  }
+}
+
+module.exports = new AccessPolicy();
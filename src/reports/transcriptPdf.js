@@ -0,0 +1,79 @@
+const PDFDocument = require('pdfkit');
+
+const COLUMNS = [
+  { label: 'Course', key: 'name', width: 180 },
+  { label: 'Subject', key: 'subject', width: 110 },
+  { label: 'Credits', key: 'credits', width: 55 },
+  { label: 'Average', key: 'average', width: 60 },
+  { label: 'Grade', key: 'letter', width: 45 },
+  { label: 'Points', key: 'gpaPoints', width: 45 }
+];
+
+const formatNumber = value => (value === null || value === undefined ? '-' : String(value));
+
+/**
+ * Print one table row at the current position
+ * @param {PDFDocument} doc - Document
+ * @param {Array} values - Cell texts, one per column
+ * @param {Object} options - `bold` for header rows
+ */
+const row = (doc, values, { bold = false } = {}) => {
+  if (doc.y + 14 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+
+  const y = doc.y;
+  let x = doc.page.margins.left;
+
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+  values.forEach((value, index) => {
+    doc.text(value, x, y, { width: COLUMNS[index].width - 5, lineBreak: false, ellipsis: true });
+    x += COLUMNS[index].width;
+  });
+  doc.x = doc.page.margins.left;
+  doc.y = y + 14;
+};
+
+/**
+ * Render a transcript (as built by transcriptService) as a PDF document.
+ * The caller pipes the returned document to its destination.
+ * @param {Object} transcript - Transcript
+ * @returns {PDFDocument} Ended PDF document stream
+ */
+const renderTranscriptPdf = (transcript) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const { student, terms, cumulative } = transcript;
+  const name = [student.firstName, student.lastName].filter(Boolean).join(' ');
+
+  doc.font('Helvetica-Bold').fontSize(18).text('Academic Transcript');
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(10)
+    .text(`Student: ${name || '-'}`)
+    .text(`Student ID: ${student.studentId}`)
+    .text(`Grade level: ${student.grade}`)
+    .text(`Generated: ${transcript.generatedAt.toISOString().slice(0, 10)}`);
+
+  terms.forEach(term => {
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(12).text(`${term.semester} ${term.year}`);
+    doc.moveDown(0.3);
+
+    row(doc, COLUMNS.map(column => column.label), { bold: true });
+    term.courses.forEach(course => {
+      row(doc, COLUMNS.map(column => formatNumber(course[column.key])));
+    });
+
+    doc.moveDown(0.3);
+    doc.font('Helvetica').fontSize(9)
+      .text(`Term credits: ${term.credits}    Term GPA: ${formatNumber(term.gpa)}`);
+  });
+
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(11)
+    .text(`Cumulative credits: ${cumulative.credits}    Cumulative GPA: ${formatNumber(cumulative.gpa)}`);
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  renderTranscriptPdf
+};
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const alertController = require('../controllers/alertController');
+const validate = require('../middleware/validate');
+const alertValidators = require('../validators/alertValidators');
+const { protect, authorize } = require('../middleware/auth');
+
+// All alert routes require authentication
+router.use(protect);
+
+// Get alert rules (admin, teacher)
+router.get('/rules', authorize('admin', 'teacher'), alertController.getRules);
+
+// Create an alert rule (admin only)
+router.post('/rules', authorize('admin'), validate(alertValidators.createRule), alertController.createRule);
+
+// Update an alert rule (admin only)
+router.put('/rules/:ruleId', authorize('admin'), validate(alertValidators.updateRule), alertController.updateRule);
+
+// Delete an alert rule (admin only)
+router.delete('/rules/:ruleId', authorize('admin'), alertController.deleteRule);
+
+// Re-evaluate every active classroom now (admin only)
+router.post('/sweep', authorize('admin'), alertController.runSweep);
+
+// Get alerts (admin, teacher)
+router.get('/', authorize('admin', 'teacher'), alertController.getAlerts);
+
+// Get an alert (admin, teacher)
+router.get('/:id', authorize('admin', 'teacher'), alertController.getAlertById);
+
+// Acknowledge an alert (admin, teacher)
+router.put('/:id/acknowledge', authorize('admin', 'teacher'), alertController.acknowledgeAlert);
+
+// Resolve an alert (admin, teacher)
+router.put('/:id/resolve', authorize('admin', 'teacher'), validate(alertValidators.resolveAlert), alertController.resolveAlert);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const announcementController = require('../controllers/announcementController');
+const validate = require('../middleware/validate');
+const announcementValidators = require('../validators/announcementValidators');
+const { authorize } = require('../middleware/auth');
+
+// Mounted under /api/classrooms/:id/announcements,
+// authentication is handled by the classroom router
+
+// Get the announcements of a classroom, ?status=published|scheduled for staff (admin, teacher, student)
+router.get('/', authorize('admin', 'teacher', 'student'), validate(announcementValidators.listAnnouncements, 'query'), announcementController.getClassroomAnnouncements);
+
+// Post an announcement, optionally scheduled with publishAt (admin, teacher)
+router.post('/', authorize('admin', 'teacher'), validate(announcementValidators.createAnnouncement), announcementController.createAnnouncement);
+
+// Get an announcement (admin, teacher, student)
+router.get('/:announcementId', authorize('admin', 'teacher', 'student'), announcementController.getAnnouncementById);
+
+// Update an announcement (admin, teacher)
+router.put('/:announcementId', authorize('admin', 'teacher'), validate(announcementValidators.updateAnnouncement), announcementController.updateAnnouncement);
+
+// Delete an announcement (admin, teacher)
+router.delete('/:announcementId', authorize('admin', 'teacher'), announcementController.deleteAnnouncement);
+
+module.exports = router;
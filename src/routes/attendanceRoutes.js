@@ -1,41 +1,74 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
 const attendanceController = require('../controllers/attendanceController');
+const validate = require('../middleware/validate');
+const attendanceValidators = require('../validators/attendanceValidators');
+const { protect, authorize } = require('../middleware/auth');
+const ErrorResponse = require('../utils/errorResponse');
 
-// Create a new attendance record
-router.post('/', attendanceController.createAttendance);
+// Codes are short, so limit how fast a student can guess
+const checkInLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: req => req.user._id.toString(),
+  handler: (req, res, next) => next(new ErrorResponse('Too many check-in attempts, please wait a minute', 429, 'TOO_MANY_REQUESTS'))
+});
 
-// Get attendance record by ID
-router.get('/:id', attendanceController.getAttendanceById);
+// All attendance routes require authentication
+router.use(protect);
 
-// Get attendance records for a classroom
-router.get('/classroom/:classroomId', attendanceController.getClassroomAttendance);
+// Create a new attendance record (admin, teacher)
+router.post('/', authorize('admin', 'teacher'), validate(attendanceValidators.createAttendance), attendanceController.createAttendance);
 
-// Get attendance for a specific date and classroom
-router.get('/classroom/:classroomId/date/:date', attendanceController.getAttendanceByDate);
+// Open the self check-in window of a session (admin, teacher)
+router.post('/:id/check-in/open', authorize('admin', 'teacher'), validate(attendanceValidators.openCheckIn), attendanceController.openCheckIn);
 
-// Get attendance records for a student
-router.get('/student/:studentId', attendanceController.getStudentAttendance);
+// Get the current rotating check-in code (admin, teacher)
+router.get('/:id/check-in/code', authorize('admin', 'teacher'), attendanceController.getCheckInCode);
 
-// Update an attendance record
-router.put('/:id', attendanceController.updateAttendance);
+// Close the self check-in window (admin, teacher)
+router.post('/:id/check-in/close', authorize('admin', 'teacher'), attendanceController.closeCheckIn);
 
-// Update a specific student's attendance status
-router.put('/:id/student/:studentId', attendanceController.updateStudentAttendance);
+// Check in to a session with the current code (student only)
+router.post('/:id/check-in', authorize('student'), checkInLimiter, validate(attendanceValidators.checkIn), attendanceController.checkIn);
 
-// Add a student to an attendance record
-router.post('/:id/students/:studentId', attendanceController.addStudentToAttendance);
+// Get attendance record by ID (admin, teacher, student)
+router.get('/:id', authorize('admin', 'teacher', 'student'), attendanceController.getAttendanceById);
 
-// Remove a student from an attendance record
-router.delete('/:id/students/:studentId', attendanceController.removeStudentFromAttendance);
+// Get attendance records for a classroom (admin, teacher)
+router.get('/classroom/:classroomId', authorize('admin', 'teacher'), attendanceController.getClassroomAttendance);
 
-// Delete an attendance record
-router.delete('/:id', attendanceController.deleteAttendance);
+// Generate the scheduled sessions of a classroom for a date range (admin, teacher)
+router.post('/classroom/:classroomId/sessions', authorize('admin', 'teacher'), validate(attendanceValidators.generateSessions), attendanceController.generateSessions);
 
-// Get attendance statistics for a classroom
-router.get('/classroom/:classroomId/statistics', attendanceController.getClassroomAttendanceStatistics);
+// Get attendance for a specific date and classroom, ?startTime=HH:mm picks the session (admin, teacher)
+router.get('/classroom/:classroomId/date/:date', authorize('admin', 'teacher'), attendanceController.getAttendanceByDate);
 
-// Get attendance statistics for a student
-router.get('/student/:studentId/statistics', attendanceController.getStudentAttendanceStatistics);
+// Get attendance records for a student (admin, teacher, student)
+router.get('/student/:studentId', authorize('admin', 'teacher', 'student'), attendanceController.getStudentAttendance);
+
+// Update an attendance record (admin, teacher)
+router.put('/:id', authorize('admin', 'teacher'), validate(attendanceValidators.updateAttendance), attendanceController.updateAttendance);
+
+// Update a specific student's attendance status (admin, teacher)
+router.put('/:id/student/:studentId', authorize('admin', 'teacher'), validate(attendanceValidators.updateStudentAttendance), attendanceController.updateStudentAttendance);
+
+// Add a student to an attendance record (admin, teacher)
+router.post('/:id/students/:studentId', authorize('admin', 'teacher'), validate(attendanceValidators.addStudentToAttendance), attendanceController.addStudentToAttendance);
+
+// Remove a student from an attendance record (admin, teacher)
+router.delete('/:id/students/:studentId', authorize('admin', 'teacher'), attendanceController.removeStudentFromAttendance);
+
+// Delete an attendance record (admin, teacher)
+router.delete('/:id', authorize('admin', 'teacher'), attendanceController.deleteAttendance);
+
+// Get attendance statistics for a classroom (admin, teacher)
+router.get('/classroom/:classroomId/statistics', authorize('admin', 'teacher'), attendanceController.getClassroomAttendanceStatistics);
+
+// Get attendance statistics for a student (admin, teacher, student)
+router.get('/student/:studentId/statistics', authorize('admin', 'teacher', 'student'), attendanceController.getStudentAttendanceStatistics);
 
 module.exports = router;
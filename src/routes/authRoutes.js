@@ -1,23 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const validate = require('../middleware/validate');
+const authValidators = require('../validators/authValidators');
+const { protect } = require('../middleware/auth');
 
 // Register a new user
-router.post('/register', authController.register);
+router.post('/register', validate(authValidators.register), authController.register);
 
 // Login user
-router.post('/login', authController.login);
+router.post('/login', validate(authValidators.login), authController.login);
+
+// Accept a guardian invitation and login
+router.post('/accept-guardian-invite', validate(authValidators.acceptGuardianInvite), authController.acceptGuardianInvite);
 
 // Refresh access token
-router.post('/refresh-token', authController.refreshToken);
+router.post('/refresh-token', validate(authValidators.refreshToken), authController.refreshToken);
+
+// Logout from the current device
+router.post('/logout', validate(authValidators.logout), authController.logout);
+
+// Logout from every device (requires authentication)
+router.post('/logout-all', protect, authController.logoutAll);
 
 // Send password reset email
-router.post('/forgot-password', authController.forgotPassword);
+router.post('/forgot-password', validate(authValidators.forgotPassword), authController.forgotPassword);
 
 // Reset password using token
-router.post('/reset-password', authController.resetPassword);
+router.post('/reset-password', validate(authValidators.resetPassword), authController.resetPassword);
 
-// Update user password
-router.post('/update-password', authController.updatePassword);
+// Update user password (requires authentication)
+router.post('/update-password', protect, validate(authValidators.updatePassword), authController.updatePassword);
 
 module.exports = router;
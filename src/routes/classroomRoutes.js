@@ -1,32 +1,88 @@
 const express = require('express');
 const router = express.Router();
 const classroomController = require('../controllers/classroomController');
+const assignmentController = require('../controllers/assignmentController');
+const attendanceController = require('../controllers/attendanceController');
+const submissionRoutes = require('./submissionRoutes');
+const announcementRoutes = require('./announcementRoutes');
+const discussionRoutes = require('./discussionRoutes');
+const validate = require('../middleware/validate');
+const classroomValidators = require('../validators/classroomValidators');
+const assignmentValidators = require('../validators/assignmentValidators');
+const attendanceValidators = require('../validators/attendanceValidators');
+const enrollmentValidators = require('../validators/enrollmentValidators');
+const { protect, authorize } = require('../middleware/auth');
 
-// Create a new classroom
-router.post('/', classroomController.createClassroom);
+// All classroom routes require authentication
+router.use(protect);
 
-// Get a classroom by ID
-router.get('/:id', classroomController.getClassroomById);
+// Create a new classroom (admin only)
+router.post('/', authorize('admin'), validate(classroomValidators.createClassroom), classroomController.createClassroom);
 
-// Get all classrooms
-router.get('/', classroomController.getAllClassrooms);
+// Get a classroom by ID (admin, teacher, student)
+router.get('/:id', authorize('admin', 'teacher', 'student'), classroomController.getClassroomById);
 
-// Get classrooms by teacher ID
-router.get('/teacher/:teacherId', classroomController.getTeacherClassrooms);
+// Get all classrooms (admin, teacher, student)
+router.get('/', authorize('admin', 'teacher', 'student'), classroomController.getAllClassrooms);
 
-// Get classrooms by student ID
-router.get('/student/:studentId', classroomController.getStudentClassrooms);
+// Get classrooms by teacher ID (admin, teacher)
+router.get('/teacher/:teacherId', authorize('admin', 'teacher'), classroomController.getTeacherClassrooms);
 
-// Update a classroom
-router.put('/:id', classroomController.updateClassroom);
+// Get classrooms by student ID (admin, teacher, student)
+router.get('/student/:studentId', authorize('admin', 'teacher', 'student'), classroomController.getStudentClassrooms);
 
-// Delete a classroom
-router.delete('/:id', classroomController.deleteClassroom);
+// Update a classroom (admin, teacher)
+router.put('/:id', authorize('admin', 'teacher'), validate(classroomValidators.updateClassroom), classroomController.updateClassroom);
 
-// Add a student to a classroom
-router.post('/:classroomId/students/:studentId', classroomController.addStudentToClassroom);
+// Delete a classroom (admin only)
+router.delete('/:id', authorize('admin'), classroomController.deleteClassroom);
 
-// Remove a student from a classroom
-router.delete('/:classroomId/students/:studentId', classroomController.removeStudentFromClassroom);
+// Add a student to a classroom, or to its waitlist when full (admin, teacher)
+router.post('/:classroomId/students/:studentId', authorize('admin', 'teacher'), classroomController.addStudentToClassroom);
+
+// Remove a student from a classroom or its waitlist, with an optional reason (admin, teacher)
+router.delete('/:classroomId/students/:studentId', authorize('admin', 'teacher'), validate(enrollmentValidators.withdraw), classroomController.removeStudentFromClassroom);
+
+// Get the waitlist of a classroom (admin, teacher)
+router.get('/:id/waitlist', authorize('admin', 'teacher'), classroomController.getClassroomWaitlist);
+
+// Get the enrollment history of a classroom, ?status= to filter (admin, teacher)
+router.get('/:id/enrollments', authorize('admin', 'teacher'), classroomController.getClassroomEnrollments);
+
+// Take attendance for the whole roster on a date (admin, teacher)
+router.post(
+  '/:classroomId/attendance/:date',
+  authorize('admin', 'teacher'),
+  validate(attendanceValidators.rosterAttendanceParams, 'params'),
+  validate(attendanceValidators.takeRosterAttendance),
+  attendanceController.takeRosterAttendance
+);
+
+// Get the assignments of a classroom (admin, teacher, student)
+router.get('/:id/assignments', authorize('admin', 'teacher', 'student'), assignmentController.getClassroomAssignments);
+
+// Create an assignment in a classroom (admin, teacher)
+router.post('/:id/assignments', authorize('admin', 'teacher'), validate(assignmentValidators.createAssignment), assignmentController.createAssignment);
+
+// Get an assignment (admin, teacher, student)
+router.get('/:id/assignments/:assignmentId', authorize('admin', 'teacher', 'student'), assignmentController.getAssignmentById);
+
+// Update an assignment (admin, teacher)
+router.put('/:id/assignments/:assignmentId', authorize('admin', 'teacher'), validate(assignmentValidators.updateAssignment), assignmentController.updateAssignment);
+
+// Delete an assignment (admin, teacher)
+router.delete('/:id/assignments/:assignmentId', authorize('admin', 'teacher'), assignmentController.deleteAssignment);
+
+// Submissions of an assignment
+router.use('/:id/assignments/:assignmentId/submissions', submissionRoutes);
+
+// Announcements of a classroom
+router.use('/:id/announcements', announcementRoutes);
+
+// Discussion threads of a classroom
+router.use('/:id/discussions', discussionRoutes);
+
+// Get the gradebook of a classroom (admin, teacher)
+router.get('/:id/gradebook', authorize('admin', 'teacher'), assignmentController.getGradebook);
 
 module.exports = router;
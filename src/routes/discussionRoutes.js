@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const discussionController = require('../controllers/discussionController');
+const validate = require('../middleware/validate');
+const discussionValidators = require('../validators/discussionValidators');
+const { authorize } = require('../middleware/auth');
+
+// Mounted under /api/classrooms/:id/discussions,
+// authentication is handled by the classroom router.
+// Membership, authorship and moderation rights are checked by the service.
+router.use(authorize('admin', 'teacher', 'student'));
+
+// Edit a reply (author)
+router.put('/replies/:replyId', validate(discussionValidators.updateReply), discussionController.updateReply);
+
+// Hide or unhide a reply (admin, teacher)
+router.put('/replies/:replyId/moderation', authorize('admin', 'teacher'), validate(discussionValidators.moderateReply), discussionController.moderateReply);
+
+// Delete a reply (author, admin, teacher)
+router.delete('/replies/:replyId', discussionController.deleteReply);
+
+// Get the discussions of a classroom (admin, teacher, student)
+router.get('/', validate(discussionValidators.listDiscussions, 'query'), discussionController.getClassroomDiscussions);
+
+// Start a discussion (admin, teacher, student)
+router.post('/', validate(discussionValidators.createDiscussion), discussionController.createDiscussion);
+
+// Get a discussion with its replies (admin, teacher, student)
+router.get('/:discussionId', discussionController.getDiscussionById);
+
+// Edit a discussion (author)
+router.put('/:discussionId', validate(discussionValidators.updateDiscussion), discussionController.updateDiscussion);
+
+// Delete a discussion (author until it has replies, admin, teacher)
+router.delete('/:discussionId', discussionController.deleteDiscussion);
+
+// Pin, lock or hide a discussion (admin, teacher)
+router.put('/:discussionId/moderation', authorize('admin', 'teacher'), validate(discussionValidators.moderateDiscussion), discussionController.moderateDiscussion);
+
+// Reply to a discussion or to one of its replies (admin, teacher, student)
+router.post('/:discussionId/replies', validate(discussionValidators.createReply), discussionController.createReply);
+
+module.exports = router;
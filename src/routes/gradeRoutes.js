@@ -1,32 +1,41 @@
 const express = require('express');
 const router = express.Router();
 const gradeController = require('../controllers/gradeController');
+const validate = require('../middleware/validate');
+const gradeValidators = require('../validators/gradeValidators');
+const { protect, authorize } = require('../middleware/auth');
 
-// Create a new grade
-router.post('/grades', gradeController.createGrade);
+// All grade routes require authentication
+router.use(protect);
 
-// Get a grade by ID
-router.get('/grades/:id', gradeController.getGradeById);
+// Create a new grade (admin, teacher)
+router.post('/grades', authorize('admin', 'teacher'), validate(gradeValidators.createGrade), gradeController.createGrade);
 
-// Get all grades for a student
-router.get('/grades/student/:studentId', gradeController.getGradesByStudent);
+// Get a grade by ID (admin, teacher, student)
+router.get('/grades/:id', authorize('admin', 'teacher', 'student'), gradeController.getGradeById);
 
-// Get all grades for a classroom
-router.get('/grades/classroom/:classroomId', gradeController.getGradesByClassroom);
+// Get all grades for a student (admin, teacher, student)
+router.get('/grades/student/:studentId', authorize('admin', 'teacher', 'student'), gradeController.getGradesByStudent);
 
-// Get student's grades for a specific classroom
-router.get('/grades/student/:studentId/classroom/:classroomId', gradeController.getStudentClassroomGrades);
+// Get all grades for a classroom (admin, teacher)
+router.get('/grades/classroom/:classroomId', authorize('admin', 'teacher'), gradeController.getGradesByClassroom);
 
-// Calculate student's average grade for a classroom
-router.get('/grades/student/:studentId/classroom/:classroomId/average', gradeController.getStudentAverage);
+// Get student's grades for a specific classroom (admin, teacher, student)
+router.get('/grades/student/:studentId/classroom/:classroomId', authorize('admin', 'teacher', 'student'), gradeController.getStudentClassroomGrades);
 
-// Update a grade
-router.put('/grades/:id', gradeController.updateGrade);
+// Calculate student's average grade for a classroom (admin, teacher, student)
+router.get('/grades/student/:studentId/classroom/:classroomId/average', authorize('admin', 'teacher', 'student'), gradeController.getStudentAverage);
 
-// Delete a grade
-router.delete('/grades/:id', gradeController.deleteGrade);
+// Get student's final grade for a classroom (admin, teacher, student)
+router.get('/grades/student/:studentId/classroom/:classroomId/final', authorize('admin', 'teacher', 'student'), gradeController.getStudentFinalGrade);
 
-// Get grade statistics for a classroom
-router.get('/grades/classroom/:classroomId/statistics', gradeController.getClassroomGradeStatistics);
+// Update a grade (admin, teacher)
+router.put('/grades/:id', authorize('admin', 'teacher'), validate(gradeValidators.updateGrade), gradeController.updateGrade);
+
+// Delete a grade (admin, teacher)
+router.delete('/grades/:id', authorize('admin', 'teacher'), gradeController.deleteGrade);
+
+// Get grade statistics for a classroom, ?gradingPeriod=name|id narrows to one period (admin, teacher)
+router.get('/grades/classroom/:classroomId/statistics', authorize('admin', 'teacher'), gradeController.getClassroomGradeStatistics);
 
 module.exports = router;
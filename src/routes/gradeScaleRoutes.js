@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const gradeScaleController = require('../controllers/gradeScaleController');
+const validate = require('../middleware/validate');
+const gradeScaleValidators = require('../validators/gradeScaleValidators');
+const { protect, authorize } = require('../middleware/auth');
+
+// All grade scale routes require authentication
+router.use(protect);
+
+// Create a grade scale (admin only)
+router.post('/', authorize('admin'), validate(gradeScaleValidators.createGradeScale), gradeScaleController.createGradeScale);
+
+// Get all grade scales (admin, teacher, student)
+router.get('/', authorize('admin', 'teacher', 'student'), gradeScaleController.getGradeScales);
+
+// Get a grade scale (admin, teacher, student)
+router.get('/:id', authorize('admin', 'teacher', 'student'), gradeScaleController.getGradeScaleById);
+
+// Update a grade scale (admin only)
+router.put('/:id', authorize('admin'), validate(gradeScaleValidators.updateGradeScale), gradeScaleController.updateGradeScale);
+
+// Delete a grade scale (admin only)
+router.delete('/:id', authorize('admin'), gradeScaleController.deleteGradeScale);
+
+module.exports = router;
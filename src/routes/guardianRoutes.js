@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const guardianController = require('../controllers/guardianController');
+const { protect, authorize } = require('../middleware/auth');
+
+// All guardian routes require authentication and are read-only
+router.use(protect);
+router.use(authorize('guardian'));
+
+// Get the students linked to the signed-in guardian (guardian)
+router.get('/me/students', guardianController.getMyStudents);
+
+// Get a linked student's grades, ?classroomId= to filter (guardian)
+router.get('/me/students/:studentId/grades', guardianController.getStudentGrades);
+
+// Get a linked student's attendance, ?classroomId= to filter (guardian)
+router.get('/me/students/:studentId/attendance', guardianController.getStudentAttendance);
+
+// Get a linked student's weekly timetable, filter with ?termId or ?semester&year (guardian)
+router.get('/me/students/:studentId/timetable', guardianController.getStudentTimetable);
+
+// Get a linked student's attendance alerts, ?status= to filter (guardian)
+router.get('/me/students/:studentId/alerts', guardianController.getStudentAlerts);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const messageController = require('../controllers/messageController');
+const validate = require('../middleware/validate');
+const messageValidators = require('../validators/messageValidators');
+const { uploadFiles } = require('../middleware/upload');
+const { protect, authorize } = require('../middleware/auth');
+
+// All message routes require authentication; who may message whom is
+// decided by accessPolicy.assertCanMessage
+router.use(protect);
+
+// Audit every conversation, ?userId= to filter (admin)
+router.get('/audit/conversations', authorize('admin'), validate(messageValidators.auditConversations, 'query'), messageController.auditConversations);
+
+// Audit a conversation and its messages (admin)
+router.get('/audit/conversations/:conversationId', authorize('admin'), validate(messageValidators.listConversations, 'query'), messageController.auditConversation);
+
+// Audit an attachment (admin)
+router.get('/audit/conversations/:conversationId/messages/:messageId/attachments/:attachmentId', authorize('admin'), messageController.auditAttachment);
+
+// Get the signed-in user's conversations with unread counts (all roles)
+router.get('/', validate(messageValidators.listConversations, 'query'), messageController.getConversations);
+
+// Send a message with optional attachments, starting a conversation if needed (all roles)
+router.post('/', uploadFiles(), validate(messageValidators.sendMessage), messageController.sendMessage);
+
+// Count unread messages (all roles)
+router.get('/unread-count', messageController.getUnreadCount);
+
+// Get one of the user's conversations and its messages (all roles)
+router.get('/:conversationId', validate(messageValidators.listConversations, 'query'), messageController.getConversation);
+
+// Reply in a conversation with optional attachments (all roles)
+router.post('/:conversationId', uploadFiles(), validate(messageValidators.reply), messageController.reply);
+
+// Mark the messages received in a conversation as read (all roles)
+router.put('/:conversationId/read', messageController.markAsRead);
+
+// Download an attachment of a message (all roles)
+router.get('/:conversationId/messages/:messageId/attachments/:attachmentId', messageController.downloadAttachment);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const validate = require('../middleware/validate');
+const notificationValidators = require('../validators/notificationValidators');
+const { protect } = require('../middleware/auth');
+
+// All notification routes require authentication; every user has their own inbox
+router.use(protect);
+
+// Get the signed-in user's notifications (all roles)
+router.get('/', notificationController.getNotifications);
+
+// Count unread notifications (all roles)
+router.get('/unread-count', notificationController.getUnreadCount);
+
+// Get notification preferences by type and channel (all roles)
+router.get('/preferences', notificationController.getPreferences);
+
+// Update notification preferences (all roles)
+router.put('/preferences', validate(notificationValidators.updatePreferences), notificationController.updatePreferences);
+
+// Mark all notifications as read (all roles)
+router.put('/read-all', notificationController.markAllAsRead);
+
+// Mark a notification as read (all roles)
+router.put('/:id/read', notificationController.markAsRead);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const realtimeController = require('../controllers/realtimeController');
+const validate = require('../middleware/validate');
+const realtimeValidators = require('../validators/realtimeValidators');
+const { protect } = require('../middleware/auth');
+
+// Open an event stream; authenticated by ticket or access token (all roles)
+router.get('/stream', realtimeController.authenticateStream, validate(realtimeValidators.stream, 'query'), realtimeController.openStream);
+
+// The other realtime routes require authentication
+router.use(protect);
+
+// Issue a stream ticket for EventSource clients (all roles)
+router.post('/tickets', realtimeController.issueTicket);
+
+// Follow classroom or student topics on an open stream (all roles, subject to access rules)
+router.post('/streams/:connectionId/topics', validate(realtimeValidators.topics), realtimeController.subscribe);
+
+// Stop following topics on an open stream (all roles)
+router.delete('/streams/:connectionId/topics', validate(realtimeValidators.topics), realtimeController.unsubscribe);
+
+module.exports = router;
@@ -1,38 +1,73 @@
 const express = require('express');
 const router = express.Router();
 const studentController = require('../controllers/studentController');
+const validate = require('../middleware/validate');
+const studentValidators = require('../validators/studentValidators');
+const enrollmentValidators = require('../validators/enrollmentValidators');
+const guardianValidators = require('../validators/guardianValidators');
+const { protect, authorize } = require('../middleware/auth');
 
-// Create a new student
-router.post('/', studentController.createStudent);
+// All student routes require authentication
+router.use(protect);
 
-// Get a student by ID
-router.get('/:id', studentController.getStudentById);
+// Create a new student (admin only)
+router.post('/', authorize('admin'), validate(studentValidators.createStudent), studentController.createStudent);
 
-// Get a student by user ID
-router.get('/user/:userId', studentController.getStudentByUserId);
+// Get a student by ID (admin, teacher, student)
+router.get('/:id', authorize('admin', 'teacher', 'student'), studentController.getStudentById);
 
-// Update a student's profile
-router.put('/:id', studentController.updateStudent);
+// Get a student by user ID (admin, teacher, student)
+router.get('/user/:userId', authorize('admin', 'teacher', 'student'), studentController.getStudentByUserId);
 
-// Get all classrooms for a student
-router.get('/:id/classrooms', studentController.getStudentClassrooms);
+// Update a student's profile (admin only)
+router.put('/:id', authorize('admin'), validate(studentValidators.updateStudent), studentController.updateStudent);
 
-// Enroll a student in a classroom
-router.post('/:id/enroll/:classroomId', studentController.enrollInClassroom);
+// Get all classrooms for a student (admin, teacher, student)
+router.get('/:id/classrooms', authorize('admin', 'teacher', 'student'), studentController.getStudentClassrooms);
 
-// Withdraw a student from a classroom
-router.delete('/:id/withdraw/:classroomId', studentController.withdrawFromClassroom);
+// Check a student against a classroom's enrollment requirements (admin, teacher, student)
+router.get('/:id/eligibility/:classroomId', authorize('admin', 'teacher', 'student'), studentController.getEnrollmentEligibility);
 
-// Get student grades (optionally filter by classroom)
-router.get('/:id/grades', studentController.getStudentGrades);
+// Enroll a student in a classroom, or waitlist them when it is full (admin, student)
+router.post('/:id/enroll/:classroomId', authorize('admin', 'student'), studentController.enrollInClassroom);
 
-// Get student attendance (optionally filter by classroom)
-router.get('/:id/attendance', studentController.getStudentAttendance);
+// Withdraw a student from a classroom or its waitlist, with an optional reason (admin, student)
+router.delete('/:id/withdraw/:classroomId', authorize('admin', 'student'), validate(enrollmentValidators.withdraw), studentController.withdrawFromClassroom);
 
-// Get all students (with pagination & filtering)
-router.get('/', studentController.getAllStudents);
+// Get a student's enrollment history, ?status= to filter (admin, teacher, student)
+router.get('/:id/enrollments', authorize('admin', 'teacher', 'student'), studentController.getStudentEnrollments);
 
-// Delete a student profile
-router.delete('/:id', studentController.deleteStudent);
+// Get a student's guardians and pending invitations (admin, teacher)
+router.get('/:id/guardians', authorize('admin', 'teacher'), studentController.getStudentGuardians);
+
+// Invite the student's parent contact to a guardian account (admin only)
+router.post('/:id/guardians/invite', authorize('admin'), validate(guardianValidators.inviteGuardian), studentController.inviteGuardian);
+
+// Update a guardian's relationship, custody or permissions (admin only)
+router.put('/:id/guardians/:guardianshipId', authorize('admin'), validate(guardianValidators.updateGuardianship), studentController.updateGuardianship);
+
+// Unlink a guardian or cancel an invitation (admin only)
+router.delete('/:id/guardians/:guardianshipId', authorize('admin'), studentController.revokeGuardianship);
+
+// Get the waitlists a student is on, with their positions (admin, teacher, student)
+router.get('/:id/waitlists', authorize('admin', 'teacher', 'student'), studentController.getStudentWaitlists);
+
+// Get student grades (optionally filter by classroom) (admin, teacher, student)
+router.get('/:id/grades', authorize('admin', 'teacher', 'student'), studentController.getStudentGrades);
+
+// Get student attendance (optionally filter by classroom) (admin, teacher, student)
+router.get('/:id/attendance', authorize('admin', 'teacher', 'student'), studentController.getStudentAttendance);
+
+// Get student transcript, ?format=pdf for a PDF export (admin, teacher, student)
+router.get('/:id/transcript', authorize('admin', 'teacher', 'student'), studentController.getStudentTranscript);
+
+// Get a student's weekly timetable, filter with ?termId or ?semester&year (admin, teacher, student)
+router.get('/:id/timetable', authorize('admin', 'teacher', 'student'), studentController.getStudentTimetable);
+
+// Get all students (with pagination & filtering) (admin, teacher)
+router.get('/', authorize('admin', 'teacher'), studentController.getAllStudents);
+
+// Delete a student profile (admin only)
+router.delete('/:id', authorize('admin'), studentController.deleteStudent);
 
 module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const submissionController = require('../controllers/submissionController');
+const validate = require('../middleware/validate');
+const submissionValidators = require('../validators/submissionValidators');
+const { uploadFiles } = require('../middleware/upload');
+const { authorize } = require('../middleware/auth');
+
+// Mounted under /api/classrooms/:id/assignments/:assignmentId/submissions,
+// authentication is handled by the classroom router
+
+// Submit an attempt with optional attachments (student only)
+router.post('/', authorize('student'), uploadFiles(), validate(submissionValidators.createSubmission), submissionController.createSubmission);
+
+// Get the submissions of an assignment (admin, teacher, student)
+router.get('/', authorize('admin', 'teacher', 'student'), submissionController.getAssignmentSubmissions);
+
+// Get a submission (admin, teacher, student)
+router.get('/:submissionId', authorize('admin', 'teacher', 'student'), submissionController.getSubmissionById);
+
+// Download an attachment of a submission (admin, teacher, student)
+router.get('/:submissionId/attachments/:attachmentId', authorize('admin', 'teacher', 'student'), submissionController.downloadAttachment);
+
+// Grade a submission (admin, teacher)
+router.post('/:submissionId/grade', authorize('admin', 'teacher'), validate(submissionValidators.gradeSubmission), submissionController.gradeSubmission);
+
+module.exports = router;
@@ -1,32 +1,41 @@
 const express = require('express');
 const router = express.Router();
 const teacherController = require('../controllers/teacherController');
+const validate = require('../middleware/validate');
+const teacherValidators = require('../validators/teacherValidators');
+const { protect, authorize } = require('../middleware/auth');
 
-// Create a new teacher
-router.post('/', teacherController.createTeacher);
+// All teacher routes require authentication
+router.use(protect);
 
-// Get a teacher by ID
-router.get('/:id', teacherController.getTeacherById);
+// Create a new teacher (admin only)
+router.post('/', authorize('admin'), validate(teacherValidators.createTeacher), teacherController.createTeacher);
 
-// Get a teacher by user ID
-router.get('/user/:userId', teacherController.getTeacherByUserId);
+// Get a teacher by ID (admin, teacher, student)
+router.get('/:id', authorize('admin', 'teacher', 'student'), teacherController.getTeacherById);
 
-// Update a teacher's profile
-router.put('/:id', teacherController.updateTeacher);
+// Get a teacher by user ID (admin, teacher, student)
+router.get('/user/:userId', authorize('admin', 'teacher', 'student'), teacherController.getTeacherByUserId);
 
-// Get all classrooms for a teacher
-router.get('/:id/classrooms', teacherController.getTeacherClassrooms);
+// Update a teacher's profile (admin, teacher)
+router.put('/:id', authorize('admin', 'teacher'), validate(teacherValidators.updateTeacher), teacherController.updateTeacher);
 
-// Get all teachers (with pagination & filtering)
-router.get('/', teacherController.getAllTeachers);
+// Get all classrooms for a teacher (admin, teacher, student)
+router.get('/:id/classrooms', authorize('admin', 'teacher', 'student'), teacherController.getTeacherClassrooms);
 
-// Add a subject to a teacher
-router.put('/:id/add-subject', teacherController.addSubject);
+// Get a teacher's weekly timetable, filter with ?termId or ?semester&year (admin, teacher, student)
+router.get('/:id/timetable', authorize('admin', 'teacher', 'student'), teacherController.getTeacherTimetable);
 
-// Remove a subject from a teacher
-router.put('/:id/remove-subject', teacherController.removeSubject);
+// Get all teachers (with pagination & filtering) (admin only)
+router.get('/', authorize('admin'), teacherController.getAllTeachers);
 
-// Delete a teacher profile
-router.delete('/:id', teacherController.deleteTeacher);
+// Add a subject to a teacher (admin only)
+router.put('/:id/add-subject', authorize('admin'), validate(teacherValidators.subject), teacherController.addSubject);
+
+// Remove a subject from a teacher (admin only)
+router.put('/:id/remove-subject', authorize('admin'), validate(teacherValidators.subject), teacherController.removeSubject);
+
+// Delete a teacher profile (admin only)
+router.delete('/:id', authorize('admin'), teacherController.deleteTeacher);
 
 module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const termController = require('../controllers/termController');
+const validate = require('../middleware/validate');
+const termValidators = require('../validators/termValidators');
+const { protect, authorize } = require('../middleware/auth');
+
+// All term routes require authentication
+router.use(protect);
+
+// Create an academic term (admin only)
+router.post('/', authorize('admin'), validate(termValidators.createTerm), termController.createTerm);
+
+// Get academic terms (admin, teacher, student)
+router.get('/', authorize('admin', 'teacher', 'student'), termController.getTerms);
+
+// Get the terms running today (admin, teacher, student)
+router.get('/current', authorize('admin', 'teacher', 'student'), termController.getCurrentTerms);
+
+// Get an academic term (admin, teacher, student)
+router.get('/:id', authorize('admin', 'teacher', 'student'), termController.getTermById);
+
+// Get the classrooms of an academic term (admin, teacher)
+router.get('/:id/classrooms', authorize('admin', 'teacher'), termController.getTermClassrooms);
+
+// Update an academic term (admin only)
+router.put('/:id', authorize('admin'), validate(termValidators.updateTerm), termController.updateTerm);
+
+// Delete an academic term (admin only)
+router.delete('/:id', authorize('admin'), termController.deleteTerm);
+
+module.exports = router;
@@ -1,23 +1,29 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
+const validate = require('../middleware/validate');
+const userValidators = require('../validators/userValidators');
+const { protect, authorize } = require('../middleware/auth');
 
-// Get all users with pagination and filtering
-router.get('/', userController.getUsers);
+// All user routes require authentication
+router.use(protect);
 
-// Get user by ID
-router.get('/:id', userController.getUserById);
+// Get all users with pagination and filtering (admin only)
+router.get('/', authorize('admin'), userController.getUsers);
 
-// Update user details
-router.put('/:id', userController.updateUser);
+// Get user by ID (admin, teacher)
+router.get('/:id', authorize('admin', 'teacher'), userController.getUserById);
+
+// Update user details (admin only)
+router.put('/:id', authorize('admin'), validate(userValidators.updateUser), userController.updateUser);
 
 // Update user role (admin only)
-router.put('/:id/role', userController.updateUserRole);
+router.put('/:id/role', authorize('admin'), validate(userValidators.updateUserRole), userController.updateUserRole);
 
-// Activate or deactivate user
-router.put('/:id/status', userController.setUserStatus);
+// Activate or deactivate user (admin only)
+router.put('/:id/status', authorize('admin'), validate(userValidators.setUserStatus), userController.setUserStatus);
 
 // Delete user (admin only)
-router.delete('/:id', userController.deleteUser);
+router.delete('/:id', authorize('admin'), userController.deleteUser);
 
 module.exports = router;
@@ -0,0 +1,392 @@
+// services/alertService.js
+const Alert = require('../models/Alert');
+const AlertRule = require('../models/AlertRule');
+const Attendance = require('../models/Attendance');
+const Classroom = require('../models/Classroom');
+const termService = require('./termService');
+const enrollmentService = require('./enrollmentService');
+const accessPolicy = require('../policies/accessPolicy');
+const { evaluateRule } = require('../utils/attendanceRules');
+const { isWithinWindows } = require('../utils/enrollmentWindows');
+const { DEFAULT_ALERT_RULES } = require('../config/alerts');
+const { NotFoundError, ConflictError } = require('../utils/errorResponse');
+
+/**
+ * Service layer for attendance alerts and the rules that raise them
+ */
+class AlertService {
+  /**
+   * Rules that apply to a classroom: the active global and classroom rules,
+   * plus the built-in default of every rule type none of them covers
+   * @param {string} classroomId - Classroom ID
+   * @returns {Promise<Array>} Alert rules
+   */
+  async getRulesForClassroom(classroomId) {
+    const rules = await AlertRule.find({
+      isActive: true,
+      $or: [{ classroomId: null }, { classroomId }]
+    });
+    
+    return [...rules, ...this.getUncoveredDefaults(rules)];
+  }
+
+  /**
+   * Built-in default rules of the types that no rule in force overrides
+   * @param {Array} rules - Active rules in force
+   * @returns {Array} Default rules
+   */
+  getUncoveredDefaults(rules) {
+    const covered = new Set(rules.map(rule => rule.type));
+    
+    return DEFAULT_ALERT_RULES.filter(rule => !covered.has(rule.type));
+  }
+
+  /**
+   * Key of the alerts a rule raises
+   * @param {Object} rule - Alert rule (configured or default)
+   * @returns {string} Rule key
+   */
+  getRuleKey(rule) {
+    return rule._id ? rule._id.toString() : `default:${rule.type}`;
+  }
+
+  /**
+   * Attendance history of a student in a classroom, oldest session first.
+   * Sessions on non-instructional days of the classroom's term, and sessions
+   * held while the student was not enrolled, are left out.
+   * @param {string} studentId - Student ID
+   * @param {string} classroomId - Classroom ID
+   * @returns {Promise<Array>} Session history ({ date, status, minutesLate })
+   */
+  async getStudentHistory(studentId, classroomId) {
+    const dateFilter = await termService.getInstructionalDateFilter(classroomId);
+    const sessions = await Attendance.find({ classroomId, 'records.studentId': studentId, ...dateFilter })
+      .select('date sessionStart records')
+      .sort({ date: 1, startTime: 1 });
+    const windows = await enrollmentService.getWindows(studentId, classroomId);
+    
+    return sessions
+      .filter(session => !windows || isWithinWindows(session.date, windows))
+      .map(session => {
+        const record = session.records.find(entry => entry.studentId.toString() === studentId.toString());
+        
+        return {
+          date: session.sessionStart || session.date,
+          status: record.status,
+          minutesLate: record.minutesLate
+        };
+      });
+  }
+
+  /**
+   * Evaluate every rule for a student in a classroom: open alerts for rules
+   * that are now met, refresh unresolved ones and resolve those that no
+   * longer apply, including alerts of rules that are no longer in force
+   * @param {string} studentId - Student ID
+   * @param {string} classroomId - Classroom ID
+   * @returns {Promise<Array>} Alerts opened by this evaluation
+   */
+  async evaluateStudent(studentId, classroomId) {
+    const rules = await this.getRulesForClassroom(classroomId);
+    const history = await this.getStudentHistory(studentId, classroomId);
+    const now = new Date();
+    const opened = [];
+    
+    for (const rule of rules) {
+      const ruleKey = this.getRuleKey(rule);
+      const result = evaluateRule(rule, history, now);
+      const active = await Alert.findOne({
+        studentId,
+        classroomId,
+        ruleKey,
+        status: { $ne: 'resolved' }
+      });
+      
+      if (result.triggered && active) {
+        active.set({ value: result.value, message: result.message, lastEvaluatedAt: now });
+        await active.save();
+      } else if (result.triggered) {
+        try {
+          opened.push(await Alert.create({
+            studentId,
+            classroomId,
+            ruleId: rule._id,
+            ruleKey,
+            ruleType: rule.type,
+            message: result.message,
+            value: result.value,
+            threshold: rule.threshold,
+            triggeredAt: now,
+            lastEvaluatedAt: now
+          }));
+        } catch (error) {
+          if (error.code !== 11000) throw error;
+          
+          // A concurrent evaluation opened the alert first; refresh it instead
+          await Alert.updateOne(
+            { studentId, classroomId, ruleKey, status: { $in: ['open', 'acknowledged'] } },
+            { value: result.value, message: result.message, lastEvaluatedAt: now }
+          );
+        }
+      } else if (active) {
+        active.set({
+          status: 'resolved',
+          resolvedAt: now,
+          resolution: 'Condition no longer met',
+          lastEvaluatedAt: now
+        });
+        await active.save();
+      }
+    }
+    
+    // A deactivated rule, or a default since overridden, leaves its alerts behind
+    await Alert.updateMany(
+      {
+        studentId,
+        classroomId,
+        ruleKey: { $nin: rules.map(rule => this.getRuleKey(rule)) },
+        status: { $ne: 'resolved' }
+      },
+      { status: 'resolved', resolvedAt: now, resolution: 'Rule no longer applies', lastEvaluatedAt: now }
+    );
+    
+    return opened;
+  }
+
+  /**
+   * Evaluate the students of an attendance write
+   * @param {string} classroomId - Classroom ID
+   * @param {Array} studentIds - Students whose attendance changed
+   * @returns {Promise<Array>} Alerts opened
+   */
+  async evaluateAttendance(classroomId, studentIds) {
+    const opened = [];
+    
+    for (const studentId of studentIds) {
+      opened.push(...await this.evaluateStudent(studentId, classroomId));
+    }
+    
+    return opened;
+  }
+
+  /**
+   * Re-evaluate every student of every active classroom, so window based
+   * rules also move on days without attendance writes
+   * @returns {Promise<Object>} Counts of classrooms, students and opened alerts
+   */
+  async sweep() {
+    const classrooms = await Classroom.find({ isActive: true }).select('students');
+    let students = 0;
+    let opened = 0;
+    
+    for (const classroom of classrooms) {
+      const alerts = await this.evaluateAttendance(classroom._id, classroom.students);
+      students += classroom.students.length;
+      opened += alerts.length;
+    }
+    
+    return {
+      classrooms: classrooms.length,
+      students,
+      opened
+    };
+  }
+
+  /**
+   * Get alerts. Teachers only see alerts of their own classrooms.
+   * @param {Object} query - Filter query (status, classroomId, studentId, ruleType)
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Array>} Array of alerts
+   */
+  async getAlerts(query = {}, actor) {
+    const filterObj = {};
+    
+    if (query.status) filterObj.status = query.status;
+    if (query.studentId) filterObj.studentId = query.studentId;
+    if (query.ruleType) filterObj.ruleType = query.ruleType;
+    if (query.classroomId) filterObj.classroomId = query.classroomId;
+    
+    if (actor && !accessPolicy.isAdmin(actor)) {
+      if (query.classroomId) {
+        await accessPolicy.assertCanManageClassroom(actor, query.classroomId);
+      } else {
+        const teacherId = await accessPolicy.getTeacherProfileId(actor);
+        const classroomIds = await Classroom.find({ teacherId }).distinct('_id');
+        filterObj.classroomId = { $in: classroomIds };
+      }
+    }
+    
+    const alerts = await Alert.find(filterObj)
+      .populate({
+        path: 'studentId',
+        select: 'userId studentId',
+        populate: { path: 'userId', select: 'firstName lastName' }
+      })
+      .populate('classroomId', 'name subject')
+      .sort({ triggeredAt: -1 });
+    
+    return alerts;
+  }
+
+  /**
+   * Get an alert by ID
+   * @param {string} id - Alert ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} The alert
+   */
+  async getAlertById(id, actor) {
+    const alert = await Alert.findById(id);
+    
+    if (!alert) {
+      throw new NotFoundError('Alert not found');
+    }
+    
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, alert.classroomId);
+    
+    return alert;
+  }
+
+  /**
+   * Acknowledge an open alert
+   * @param {string} id - Alert ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Updated alert
+   */
+  async acknowledgeAlert(id, actor) {
+    const alert = await this.getAlertById(id, actor);
+    
+    if (alert.status !== 'open') {
+      throw new ConflictError(`Alert is already ${alert.status}`);
+    }
+    
+    alert.set({
+      status: 'acknowledged',
+      acknowledgedBy: actor ? actor._id : undefined,
+      acknowledgedAt: Date.now()
+    });
+    await alert.save();
+    
+    return alert;
+  }
+
+  /**
+   * Resolve an alert
+   * @param {string} id - Alert ID
+   * @param {string} [resolution] - What was done about it
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Updated alert
+   */
+  async resolveAlert(id, resolution, actor) {
+    const alert = await this.getAlertById(id, actor);
+    
+    if (alert.status === 'resolved') {
+      throw new ConflictError('Alert is already resolved');
+    }
+    
+    alert.set({
+      status: 'resolved',
+      resolvedBy: actor ? actor._id : undefined,
+      resolvedAt: Date.now(),
+      resolution
+    });
+    await alert.save();
+    
+    return alert;
+  }
+
+  /**
+   * Create an alert rule
+   * @param {Object} ruleData - The rule data
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Created rule
+   */
+  async createRule(ruleData, actor) {
+    if (ruleData.classroomId) {
+      const classroom = await Classroom.exists({ _id: ruleData.classroomId });
+      if (!classroom) throw new NotFoundError('Classroom not found');
+    }
+    
+    const rule = await AlertRule.create({
+      ...ruleData,
+      createdBy: actor ? actor._id : undefined
+    });
+    
+    return rule;
+  }
+
+  /**
+   * Get the configured alert rules, followed by the built-in defaults still in
+   * force for the types they do not override
+   * @param {Object} query - Filter query (classroomId, isActive)
+   * @returns {Promise<Array>} Array of rules
+   */
+  async getRules(query = {}) {
+    const filterObj = {};
+    
+    if (query.classroomId) filterObj.classroomId = query.classroomId;
+    if (query.isActive) filterObj.isActive = query.isActive === 'true';
+    
+    const rules = await AlertRule.find(filterObj).sort({ type: 1, createdAt: 1 });
+    
+    if (query.isActive === 'false') {
+      return rules;
+    }
+    
+    const inForce = await AlertRule.find({
+      isActive: true,
+      $or: [{ classroomId: null }, ...(query.classroomId ? [{ classroomId: query.classroomId }] : [])]
+    }).select('type');
+    
+    const defaults = this.getUncoveredDefaults(inForce).map(rule => ({ ...rule, isDefault: true }));
+    
+    return [...rules, ...defaults];
+  }
+
+  /**
+   * Update an alert rule. Deactivating it resolves its unresolved alerts.
+   * @param {string} id - Rule ID
+   * @param {Object} updateData - Updated rule data
+   * @returns {Promise<Object>} Updated rule
+   */
+  async updateRule(id, updateData) {
+    const rule = await AlertRule.findByIdAndUpdate(id, updateData, {
+      new: true,
+      runValidators: true
+    });
+    
+    if (!rule) {
+      throw new NotFoundError('Alert rule not found');
+    }
+    
+    if (!rule.isActive) {
+      await Alert.updateMany(
+        { ruleId: id, status: { $ne: 'resolved' } },
+        { status: 'resolved', resolvedAt: Date.now(), resolution: 'Rule deactivated' }
+      );
+    }
+    
+    return rule;
+  }
+
+  /**
+   * Delete an alert rule. Its unresolved alerts are resolved.
+   * @param {string} id - Rule ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteRule(id) {
+    const rule = await AlertRule.findByIdAndDelete(id);
+    
+    if (!rule) {
+      throw new NotFoundError('Alert rule not found');
+    }
+    
+    await Alert.updateMany(
+      { ruleId: id, status: { $ne: 'resolved' } },
+      { status: 'resolved', resolvedAt: Date.now(), resolution: 'Rule deleted' }
+    );
+    
+    return true;
+  }
+}
+
+module.exports = new AlertService();
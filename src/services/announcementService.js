@@ -0,0 +1,154 @@
+// services/announcementService.js
+const Announcement = require('../models/Announcement');
+const Classroom = require('../models/Classroom');
+const accessPolicy = require('../policies/accessPolicy');
+const { NotFoundError } = require('../utils/errorResponse');
+
+/**
+ * Service layer for classroom Announcement operations
+ */
+class AnnouncementService {
+  /**
+   * Whether the actor sees announcements before they are published. Anyone
+   * who passed the membership check and is not a student is classroom staff.
+   * @param {Object} [actor] - Authenticated user
+   * @returns {boolean}
+   */
+  seesScheduled(actor) {
+    return !actor || actor.role !== 'student';
+  }
+
+  /**
+   * Check the actor is a member of a classroom
+   * @param {string} classroomId - Classroom ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} The classroom
+   */
+  async getMemberClassroom(classroomId, actor) {
+    const classroom = await Classroom.findById(classroomId).select('teacherId students');
+
+    if (!classroom) {
+      throw new NotFoundError('Classroom not found');
+    }
+
+    if (actor) await accessPolicy.assertCanViewClassroom(actor, classroom);
+
+    return classroom;
+  }
+
+  /**
+   * Post an announcement in a classroom
+   * @param {string} classroomId - Classroom ID
+   * @param {Object} announcementData - The announcement data
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Created announcement
+   */
+  async createAnnouncement(classroomId, announcementData, actor) {
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, classroomId);
+
+    const classroom = await Classroom.exists({ _id: classroomId });
+
+    if (!classroom) {
+      throw new NotFoundError('Classroom not found');
+    }
+
+    const announcement = await Announcement.create({
+      ...announcementData,
+      classroomId,
+      authorId: actor ? actor._id : undefined
+    });
+
+    return announcement;
+  }
+
+  /**
+   * Get the announcements of a classroom, pinned first and then newest first.
+   * Students only see published ones.
+   * @param {string} classroomId - Classroom ID
+   * @param {Object} query - Filter query (status: published or scheduled)
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Array>} Array of announcements
+   */
+  async getClassroomAnnouncements(classroomId, query = {}, actor) {
+    await this.getMemberClassroom(classroomId, actor);
+
+    const filterObj = { classroomId };
+    const now = new Date();
+
+    if (query.status === 'published') filterObj.publishAt = { $lte: now };
+    if (query.status === 'scheduled') filterObj.publishAt = { $gt: now };
+    if (!this.seesScheduled(actor)) filterObj.publishAt = { $lte: now };
+
+    const announcements = await Announcement.find(filterObj)
+      .populate('authorId', 'firstName lastName')
+      .sort({ isPinned: -1, publishAt: -1 });
+
+    return announcements;
+  }
+
+  /**
+   * Get an announcement of a classroom
+   * @param {string} classroomId - Classroom ID
+   * @param {string} announcementId - Announcement ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} The announcement
+   */
+  async getAnnouncementById(classroomId, announcementId, actor) {
+    // Check membership first, so non-members cannot probe which IDs exist
+    await this.getMemberClassroom(classroomId, actor);
+
+    const announcement = await Announcement.findOne({ _id: announcementId, classroomId })
+      .populate('authorId', 'firstName lastName');
+
+    if (!announcement || (!this.seesScheduled(actor) && announcement.publishAt > new Date())) {
+      throw new NotFoundError('Announcement not found');
+    }
+
+    return announcement;
+  }
+
+  /**
+   * Update an announcement
+   * @param {string} classroomId - Classroom ID
+   * @param {string} announcementId - Announcement ID
+   * @param {Object} updateData - Updated announcement data
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Updated announcement
+   */
+  async updateAnnouncement(classroomId, announcementId, updateData, actor) {
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, classroomId);
+
+    const announcement = await Announcement.findOneAndUpdate(
+      { _id: announcementId, classroomId },
+      updateData,
+      { new: true, runValidators: true }
+    ).populate('authorId', 'firstName lastName');
+
+    if (!announcement) {
+      throw new NotFoundError('Announcement not found');
+    }
+
+    return announcement;
+  }
+
+  /**
+   * Delete an announcement
+   * @param {string} classroomId - Classroom ID
+   * @param {string} announcementId - Announcement ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteAnnouncement(classroomId, announcementId, actor) {
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, classroomId);
+
+    const announcement = await Announcement.findOneAndDelete({ _id: announcementId, classroomId });
+
+    if (!announcement) {
+      throw new NotFoundError('Announcement not found');
+    }
+
+    return true;
+  }
+}
+
+module.exports = new AnnouncementService();
@@ -0,0 +1,225 @@
+// services/assignmentService.js
+const Assignment = require('../models/Assignment');
+const Classroom = require('../models/Classroom');
+const Grade = require('../models/Grade');
+const Submission = require('../models/Submission');
+const accessPolicy = require('../policies/accessPolicy');
+const { NotFoundError, ConflictError, ValidationError } = require('../utils/errorResponse');
+
+/**
+ * Service layer for Assignment operations
+ */
+class AssignmentService {
+  /**
+   * Create an assignment in a classroom
+   * @param {string} classroomId - Classroom ID
+   * @param {Object} assignmentData - The assignment data
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Created assignment
+   */
+  async createAssignment(classroomId, assignmentData, actor) {
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, classroomId);
+    
+    const classroom = await Classroom.findById(classroomId);
+    
+    if (!classroom) {
+      throw new NotFoundError('Classroom not found');
+    }
+    
+    const assignment = await Assignment.create({
+      ...assignmentData,
+      classroomId,
+      createdBy: actor ? actor._id : undefined
+    });
+    
+    return assignment;
+  }
+
+  /**
+   * Get the assignments of a classroom. Students only see published ones.
+   * @param {string} classroomId - Classroom ID
+   * @param {Object} query - Filter query
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Array>} Array of assignments
+   */
+  async getClassroomAssignments(classroomId, query = {}, actor) {
+    const classroom = await Classroom.findById(classroomId).select('teacherId students');
+    
+    if (!classroom) {
+      throw new NotFoundError('Classroom not found');
+    }
+    
+    if (actor) await accessPolicy.assertCanViewClassroom(actor, classroom);
+    
+    const filterObj = { classroomId };
+    
+    if (query.type) filterObj.type = query.type;
+    if (query.isPublished) filterObj.isPublished = query.isPublished === 'true';
+    if (actor && actor.role === 'student') filterObj.isPublished = true;
+    
+    const assignments = await Assignment.find(filterObj)
+      .sort({ dueDate: 1, createdAt: 1 });
+    
+    return assignments;
+  }
+
+  /**
+   * Get an assignment of a classroom
+   * @param {string} classroomId - Classroom ID
+   * @param {string} assignmentId - Assignment ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} The assignment
+   */
+  async getAssignmentById(classroomId, assignmentId, actor) {
+    const assignment = await Assignment.findOne({ _id: assignmentId, classroomId });
+    
+    if (!assignment || (actor && actor.role === 'student' && !assignment.isPublished)) {
+      throw new NotFoundError('Assignment not found');
+    }
+    
+    if (actor) {
+      const classroom = await Classroom.findById(classroomId).select('teacherId students');
+      await accessPolicy.assertCanViewClassroom(actor, classroom);
+    }
+    
+    return assignment;
+  }
+
+  /**
+   * Update an assignment and the grades that belong to it
+   * @param {string} classroomId - Classroom ID
+   * @param {string} assignmentId - Assignment ID
+   * @param {Object} updateData - Updated assignment data
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Updated assignment
+   */
+  async updateAssignment(classroomId, assignmentId, updateData, actor) {
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, classroomId);
+    
+    const assignment = await Assignment.findOne({ _id: assignmentId, classroomId });
+    
+    if (!assignment) {
+      throw new NotFoundError('Assignment not found');
+    }
+    
+    // Lowering maxScore must not leave existing grades above it
+    if (updateData.maxScore !== undefined) {
+      const overMax = await Grade.exists({ assignmentId, score: { $gt: updateData.maxScore } });
+      
+      if (overMax) {
+        throw new ValidationError('Validation failed', [
+          { field: 'maxScore', message: 'maxScore is lower than scores already awarded for this assignment' }
+        ]);
+      }
+    }
+    
+    assignment.set(updateData);
+    await assignment.save();
+    
+    // Keep the copies on the grades in sync
+    await Grade.updateMany(
+      { assignmentId },
+      {
+        assignmentName: assignment.title,
+        assignmentType: assignment.type,
+        maxScore: assignment.maxScore,
+        weightage: assignment.weight,
+        dueDate: assignment.dueDate,
+        isExtraCredit: assignment.isExtraCredit
+      }
+    );
+    
+    return assignment;
+  }
+
+  /**
+   * Delete an assignment that has not been submitted or graded yet
+   * @param {string} classroomId - Classroom ID
+   * @param {string} assignmentId - Assignment ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteAssignment(classroomId, assignmentId, actor) {
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, classroomId);
+    
+    const assignment = await Assignment.findOne({ _id: assignmentId, classroomId });
+    
+    if (!assignment) {
+      throw new NotFoundError('Assignment not found');
+    }
+    
+    const gradeCount = await Grade.countDocuments({ assignmentId });
+    
+    if (gradeCount > 0) {
+      throw new ConflictError(`Cannot delete assignment with ${gradeCount} grades. Delete the grades first.`);
+    }
+    
+    const submissionCount = await Submission.countDocuments({ assignmentId });
+    
+    if (submissionCount > 0) {
+      throw new ConflictError(`Cannot delete assignment with ${submissionCount} submissions`);
+    }
+    
+    await assignment.deleteOne();
+    
+    return true;
+  }
+
+  /**
+   * Build the gradebook of a classroom: every assignment for every enrolled student
+   * @param {string} classroomId - Classroom ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Assignments and one row per student
+   */
+  async getGradebook(classroomId, actor) {
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, classroomId);
+    
+    const classroom = await Classroom.findById(classroomId)
+      .populate({
+        path: 'students',
+        select: 'userId studentId',
+        populate: { path: 'userId', select: 'firstName lastName' }
+      });
+    
+    if (!classroom) {
+      throw new NotFoundError('Classroom not found');
+    }
+    
+    const assignments = await Assignment.find({ classroomId })
+      .sort({ dueDate: 1, createdAt: 1 });
+    
+    const grades = await Grade.find({
+      classroomId,
+      assignmentId: { $in: assignments.map(assignment => assignment._id) }
+    });
+    
+    // Index grades by student and assignment
+    const gradeIndex = new Map();
+    grades.forEach(grade => {
+      gradeIndex.set(`${grade.studentId}:${grade.assignmentId}`, grade);
+    });
+    
+    const rows = classroom.students.map(student => ({
+      student,
+      grades: assignments.map(assignment => {
+        const grade = gradeIndex.get(`${student._id}:${assignment._id}`);
+        
+        return {
+          assignmentId: assignment._id,
+          gradeId: grade ? grade._id : null,
+          score: grade ? grade.score : null,
+          percentage: grade ? grade.percentage : null,
+          lateSubmission: grade ? grade.lateSubmission : null,
+          isExcused: grade ? grade.isExcused : null
+        };
+      })
+    }));
+    
+    return {
+      assignments,
+      rows
+    };
+  }
+}
+
+module.exports = new AssignmentService();
@@ -1,6 +1,21 @@
 // services/attendanceService.js
 const Attendance = require('../models/Attendance');
 const Classroom = require('../models/Classroom');
+const accessPolicy = require('../policies/accessPolicy');
+const { startOfDay, dayOfWeek, toSession, expandSchedule, minutesLate } = require('../utils/schedule');
+const alertService = require('./alertService');
+const termService = require('./termService');
+const eventBus = require('../events/eventBus');
+const { ATTENDANCE_UPDATED, ABSENCE_RECORDED } = require('../events/eventTypes');
+const enrollmentService = require('./enrollmentService');
+const { generateSecret, generateCode, verifyCode } = require('../utils/totp');
+const {
+  LATE_GRACE_MINUTES,
+  MAX_SESSION_RANGE_DAYS,
+  CHECK_IN_WINDOW_MINUTES,
+  CHECK_IN_CODE_STEP_SECONDS
+} = require('../config/attendance');
+const { NotFoundError, ConflictError, ValidationError, ForbiddenError } = require('../utils/errorResponse');
 const mongoose = require('mongoose');
 
 /**
@@ -10,185 +25,723 @@ class AttendanceService {
   /**
    * Create a new attendance record for a classroom
    * @param {Object} attendanceData - The attendance data
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Promise<Object>} Created attendance record
    */
-  async createAttendance(attendanceData) {
-    try {
-      // Check if classroom exists
-      const classroom = await Classroom.findById(attendanceData.classroomId);
-      
-      if (!classroom) {
-        throw new Error('Classroom not found');
-      }
+  async createAttendance(attendanceData, actor) {
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, attendanceData.classroomId);
+    
+    // Check if classroom exists
+    const classroom = await Classroom.findById(attendanceData.classroomId).select('schedule');
+    
+    if (!classroom) {
+      throw new NotFoundError('Classroom not found');
+    }
+    
+    const { records = [], scheduleEntryId, startTime, endTime, location, ...fields } = attendanceData;
+    const session = this.resolveSession(classroom, attendanceData.date, { scheduleEntryId, startTime, endTime, location });
+    
+    // Check if attendance record already exists for this session
+    const existingAttendance = await Attendance.findOne(this.sessionFilter(attendanceData.classroomId, session));
+    
+    if (existingAttendance) {
+      throw new ConflictError('Attendance record already exists for this session');
+    }
+    
+    const attendance = new Attendance({
+      ...fields,
+      ...session,
+      takenBy: actor ? actor._id : attendanceData.takenBy
+    });
+    
+    records.forEach(({ studentId, ...changes }) => {
+      attendance.records.push({ studentId, status: changes.status });
+      this.applyRecordChanges(attendance, attendance.records[attendance.records.length - 1], changes);
+    });
+    
+    await attendance.save();
+    this.evaluateAlerts(attendance.classroomId, attendance.records.map(record => record.studentId));
+    this.publishChange(attendance, attendance.records.map(record => record.studentId));
+    this.publishAbsences(attendance);
+    
+    return attendance;
+  }
+
+  /**
+   * Re-check the alert rules for students whose attendance changed. Runs in
+   * the background; a failed evaluation must not fail the attendance write.
+   * @param {string} classroomId - Classroom ID
+   * @param {Array} studentIds - Student IDs
+   */
+  evaluateAlerts(classroomId, studentIds) {
+    alertService.evaluateAttendance(classroomId, studentIds)
+      .catch(err => console.error(`Error evaluating attendance alerts: ${err.message}`));
+  }
+
+  /**
+   * Let real-time subscribers know an attendance record changed
+   * @param {Object} attendance - Attendance document
+   * @param {Array} studentIds - Students whose records changed
+   * @param {Object} [details] - Extra event data, e.g. { deleted: true }
+   */
+  publishChange(attendance, studentIds, details = {}) {
+    eventBus.publish(ATTENDANCE_UPDATED, {
+      attendanceId: attendance._id,
+      classroomId: attendance.classroomId,
+      studentIds: studentIds.map(id => id.toString()),
+      date: attendance.sessionStart || attendance.date,
+      ...details
+    });
+  }
+
+  /**
+   * IDs of the students marked absent on an attendance record
+   * @param {Object} attendance - Attendance document
+   * @returns {Set} Student IDs (strings)
+   */
+  absentStudentIds(attendance) {
+    return new Set(attendance.records
+      .filter(record => record.status === 'absent')
+      .map(record => record.studentId.toString()));
+  }
+
+  /**
+   * Publish an event for every student newly marked absent
+   * @param {Object} attendance - Saved attendance document
+   * @param {Set} [previouslyAbsent] - Students already absent before the write
+   */
+  publishAbsences(attendance, previouslyAbsent = new Set()) {
+    this.absentStudentIds(attendance).forEach(studentId => {
+      if (previouslyAbsent.has(studentId)) return;
       
-      // Check if attendance record already exists for this date
-      const existingAttendance = await Attendance.findOne({
-        classroomId: attendanceData.classroomId,
-        date: new Date(attendanceData.date).setHours(0, 0, 0, 0)
+      eventBus.publish(ABSENCE_RECORDED, {
+        attendanceId: attendance._id,
+        classroomId: attendance.classroomId,
+        studentId,
+        date: attendance.sessionStart || attendance.date
       });
+    });
+  }
+
+  /**
+   * Work out which session of the day an attendance record is for
+   * @param {Object} classroom - Classroom (with schedule)
+   * @param {Date} date - Attendance date
+   * @param {Object} sessionData - scheduleEntryId, or startTime (with endTime and location for an unscheduled session)
+   * @returns {Object} Session fields; only `date` for a day-level record
+   */
+  resolveSession(classroom, date, sessionData = {}) {
+    const day = startOfDay(date);
+    const { scheduleEntryId, startTime } = sessionData;
+    
+    if (scheduleEntryId) {
+      const entry = classroom.schedule.id(scheduleEntryId);
+      
+      if (!entry) {
+        throw new ValidationError('Validation failed', [
+          { field: 'scheduleEntryId', message: 'Schedule entry not found in this classroom' }
+        ]);
+      }
       
-      if (existingAttendance) {
-        throw new Error('Attendance record already exists for this date');
+      if (entry.dayOfWeek !== dayOfWeek(day)) {
+        throw new ValidationError('Validation failed', [
+          { field: 'date', message: `This schedule entry is on ${entry.dayOfWeek}s` }
+        ]);
       }
       
-      // Create attendance record
-      const attendance = await Attendance.create(attendanceData);
-      return attendance;
-    } catch (error) {
-      throw new Error(`Error creating attendance record: ${error.message}`);
+      return toSession(entry, day);
+    }
+    
+    const entries = classroom.schedule.filter(entry => entry.dayOfWeek === dayOfWeek(day));
+    
+    if (startTime) {
+      // Sessions outside the regular schedule (make-up classes, trips) are allowed
+      const entry = entries.find(candidate => candidate.startTime === startTime);
+      return toSession(entry || sessionData, day);
+    }
+    
+    if (entries.length > 1) {
+      throw new ValidationError('Validation failed', [
+        { field: 'startTime', message: 'The classroom meets several times on this day, specify scheduleEntryId or startTime' }
+      ]);
+    }
+    
+    return entries.length === 1 ? toSession(entries[0], day) : { date: day };
+  }
+
+  /**
+   * Query matching the attendance record of a session
+   * @param {string} classroomId - Classroom ID
+   * @param {Object} session - Session fields
+   * @returns {Object} Mongo filter
+   */
+  sessionFilter(classroomId, session) {
+    return {
+      classroomId,
+      date: session.date,
+      startTime: session.startTime || null
+    };
+  }
+
+  /**
+   * Record a check-in: minutes late are counted from the session start (or,
+   * for day-level records, the opening of the self check-in window) and the
+   * status follows from them
+   * @param {Object} attendance - Attendance document
+   * @param {Object} record - Student record of the attendance
+   * @param {Date} checkedInAt - Check-in time
+   */
+  applyCheckIn(attendance, record, checkedInAt) {
+    record.checkedInAt = checkedInAt;
+    
+    const window = attendance.checkIn || {};
+    const start = attendance.sessionStart || window.opensAt;
+    
+    // Nothing to measure against
+    if (!start) return;
+    
+    const graceMinutes = window.graceMinutes !== undefined && window.graceMinutes !== null
+      ? window.graceMinutes
+      : LATE_GRACE_MINUTES;
+    
+    record.minutesLate = minutesLate(checkedInAt, start);
+    record.status = record.minutesLate > graceMinutes ? 'late' : 'present';
+  }
+
+  /**
+   * Open the self check-in window of an attendance session
+   * @param {string} id - Attendance ID
+   * @param {Object} options - durationMinutes and graceMinutes
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Window and the current code
+   */
+  async openCheckIn(id, options = {}, actor) {
+    const attendance = await this.getManagedAttendance(id, actor);
+    const now = new Date();
+    const durationMinutes = options.durationMinutes || CHECK_IN_WINDOW_MINUTES;
+    
+    attendance.checkIn = {
+      secret: generateSecret(),
+      opensAt: now,
+      closesAt: new Date(now.getTime() + durationMinutes * 60 * 1000),
+      graceMinutes: options.graceMinutes,
+      openedBy: actor ? actor._id : undefined
+    };
+    await attendance.save();
+    
+    return this.describeCheckIn(attendance, now);
+  }
+
+  /**
+   * Get the current check-in code, for the teacher to display
+   * @param {string} id - Attendance ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Window and the current code
+   */
+  async getCheckInCode(id, actor) {
+    await this.getManagedAttendance(id, actor);
+    const attendance = await Attendance.findById(id).select('+checkIn.secret');
+    const now = new Date();
+    
+    if (!this.isCheckInOpen(attendance, now)) {
+      throw new ConflictError('Check-in is not open for this session');
+    }
+    
+    return this.describeCheckIn(attendance, now);
+  }
+
+  /**
+   * Close the self check-in window early
+   * @param {string} id - Attendance ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Updated attendance record
+   */
+  async closeCheckIn(id, actor) {
+    const attendance = await this.getManagedAttendance(id, actor);
+    
+    if (!this.isCheckInOpen(attendance, new Date())) {
+      throw new ConflictError('Check-in is not open for this session');
+    }
+    
+    attendance.checkIn.closesAt = new Date();
+    await attendance.save();
+    
+    return attendance;
+  }
+
+  /**
+   * Check the acting student in with the code shown by the teacher
+   * @param {string} id - Attendance ID
+   * @param {string} code - Check-in code
+   * @param {Object} actor - Authenticated student
+   * @returns {Promise<Object>} The student's attendance record
+   */
+  async checkIn(id, code, actor) {
+    const studentId = await accessPolicy.getStudentProfileId(actor);
+    
+    if (!studentId) {
+      throw new ForbiddenError('Only students can check in');
+    }
+    
+    const attendance = await Attendance.findById(id).select('+checkIn.secret');
+    
+    if (!attendance) {
+      throw new NotFoundError('Attendance record not found');
+    }
+    
+    const enrolled = await Classroom.exists({ _id: attendance.classroomId, students: studentId });
+    
+    if (!enrolled) {
+      throw new ForbiddenError('You are not enrolled in this classroom');
+    }
+    
+    const now = new Date();
+    
+    if (!this.isCheckInOpen(attendance, now)) {
+      throw new ConflictError('Check-in is not open for this session');
+    }
+    
+    if (!verifyCode(attendance.checkIn.secret, code, now, CHECK_IN_CODE_STEP_SECONDS)) {
+      throw new ValidationError('Validation failed', [
+        { field: 'code', message: 'Invalid or expired check-in code' }
+      ]);
+    }
+    
+    const existing = attendance.records.find(entry => entry.studentId.toString() === studentId);
+    
+    if (existing && existing.checkedInAt) {
+      throw new ConflictError('You have already checked in to this session');
+    }
+    
+    const record = { studentId, status: existing ? existing.status : 'present' };
+    this.applyCheckIn(attendance, record, now);
+    
+    if (!await this.saveCheckIn(attendance._id, record, Boolean(existing))) {
+      throw new ConflictError('You have already checked in to this session');
+    }
+    
+    this.evaluateAlerts(attendance.classroomId, [studentId]);
+    this.publishChange(attendance, [studentId]);
+    
+    return {
+      attendanceId: attendance._id,
+      date: attendance.date,
+      startTime: attendance.startTime,
+      studentId: record.studentId,
+      status: record.status,
+      minutesLate: record.minutesLate,
+      checkedInAt: record.checkedInAt
+    };
+  }
+
+  /**
+   * Write a check-in unless the student has already checked in. Adding the
+   * record and filling in an existing one are both single conditional
+   * updates, so concurrent check-ins of a student cannot both succeed.
+   * @param {string} attendanceId - Attendance ID
+   * @param {Object} record - Checked-in record (studentId, status, minutesLate, checkedInAt)
+   * @param {boolean} hasRecord - Whether the student already had a record when read
+   * @returns {Promise<boolean>} True when the check-in was written
+   */
+  async saveCheckIn(attendanceId, record, hasRecord) {
+    const { studentId, status, minutesLate, checkedInAt } = record;
+    
+    if (!hasRecord) {
+      const added = await Attendance.updateOne(
+        { _id: attendanceId, 'records.studentId': { $ne: studentId } },
+        { $push: { records: { studentId, status, minutesLate, checkedInAt } } }
+      );
+      
+      if (added.matchedCount > 0) {
+        return true;
+      }
     }
+    
+    // Fill in the student's record unless it already holds a check-in; it may
+    // also have been added since the read, e.g. by the roster being taken
+    const filled = await Attendance.updateOne(
+      { _id: attendanceId, records: { $elemMatch: { studentId, checkedInAt: null } } },
+      {
+        $set: {
+          'records.$.status': status,
+          'records.$.minutesLate': minutesLate,
+          'records.$.checkedInAt': checkedInAt
+        }
+      }
+    );
+    
+    return filled.matchedCount > 0;
+  }
+
+  /**
+   * Whether the self check-in window is open
+   * @param {Object} attendance - Attendance document
+   * @param {Date} now - Current time
+   * @returns {boolean} True while the window is open
+   */
+  isCheckInOpen(attendance, now) {
+    const window = attendance.checkIn;
+    return Boolean(window && window.opensAt && window.opensAt <= now && now < window.closesAt);
+  }
+
+  /**
+   * Public view of an open check-in window with its current code
+   * @param {Object} attendance - Attendance document (with checkIn.secret)
+   * @param {Date} now - Current time
+   * @returns {Object} Window and code
+   */
+  describeCheckIn(attendance, now) {
+    const { code, expiresAt } = generateCode(attendance.checkIn.secret, now, CHECK_IN_CODE_STEP_SECONDS);
+    
+    return {
+      attendanceId: attendance._id,
+      opensAt: attendance.checkIn.opensAt,
+      closesAt: attendance.checkIn.closesAt,
+      graceMinutes: attendance.checkIn.graceMinutes,
+      code,
+      codeExpiresAt: expiresAt
+    };
+  }
+
+  /**
+   * Apply status/checkedInAt/minutesLate/remarks changes to a student record.
+   * Explicit values win over the ones derived from the check-in.
+   * @param {Object} attendance - Attendance document
+   * @param {Object} record - Student record of the attendance
+   * @param {Object} changes - Changes to apply
+   */
+  applyRecordChanges(attendance, record, changes) {
+    if (changes.checkedInAt) this.applyCheckIn(attendance, record, changes.checkedInAt);
+    
+    if (changes.status) {
+      record.status = changes.status;
+      // Minutes late only apply to late arrivals
+      if (changes.status !== 'late' && changes.minutesLate === undefined && !changes.checkedInAt) {
+        record.minutesLate = 0;
+      }
+    }
+    
+    if (changes.minutesLate !== undefined) record.minutesLate = changes.minutesLate;
+    if (changes.remarks !== undefined) record.remarks = changes.remarks;
+  }
+
+  /**
+   * Create the expected sessions of a classroom's schedule for a date range.
+   * The range is limited to the classroom's term and skips its holidays.
+   * Sessions that already exist are left untouched.
+   * @param {string} classroomId - Classroom ID
+   * @param {Object} range - startDate and endDate (inclusive)
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Number of sessions created and the sessions of the range
+   */
+  async generateSessions(classroomId, range, actor) {
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, classroomId);
+    
+    const classroom = await Classroom.findById(classroomId).select('schedule');
+    
+    if (!classroom) {
+      throw new NotFoundError('Classroom not found');
+    }
+    
+    let startDate = startOfDay(range.startDate);
+    let endDate = startOfDay(range.endDate);
+    
+    if ((endDate - startDate) / (24 * 60 * 60 * 1000) > MAX_SESSION_RANGE_DAYS) {
+      throw new ValidationError('Validation failed', [
+        { field: 'endDate', message: `Sessions can be generated for at most ${MAX_SESSION_RANGE_DAYS} days at a time` }
+      ]);
+    }
+    
+    const term = await termService.getClassroomTerm(classroomId);
+    
+    if (term) {
+      if (term.startDate > startDate) startDate = startOfDay(term.startDate);
+      if (term.endDate < endDate) endDate = startOfDay(term.endDate);
+    }
+    
+    const sessions = expandSchedule(
+      classroom.schedule,
+      startDate,
+      endDate,
+      day => !term || term.isInstructionalDay(day)
+    );
+    let created = 0;
+    
+    if (sessions.length > 0) {
+      const result = await Attendance.bulkWrite(sessions.map(session => ({
+        updateOne: {
+          filter: this.sessionFilter(classroomId, session),
+          update: { $setOnInsert: { ...session, classroomId, records: [], isComplete: false } },
+          upsert: true
+        }
+      })));
+      created = result.upsertedCount;
+    }
+    
+    const attendance = await Attendance.find({
+      classroomId,
+      date: { $gte: startDate, $lte: endDate }
+    }).sort({ date: 1, startTime: 1 });
+    
+    return {
+      created,
+      sessions: attendance
+    };
+  }
+
+  /**
+   * Take a classroom's attendance for a session from its roster in one call.
+   * Every enrolled student without a record gets the default status, then the
+   * listed changes are applied. Calling it again for the same session updates
+   * the existing register.
+   * @param {string} classroomId - Classroom ID
+   * @param {Date} date - Attendance date
+   * @param {Object} rosterData - defaultStatus, records (changes), sessionTopic, isComplete,
+   *   and scheduleEntryId/startTime when the classroom meets more than once that day
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} The attendance record and whether it was created
+   */
+  async takeRosterAttendance(classroomId, date, rosterData, actor) {
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, classroomId);
+    
+    const classroom = await Classroom.findById(classroomId).select('students schedule');
+    
+    if (!classroom) {
+      throw new NotFoundError('Classroom not found');
+    }
+    
+    const {
+      defaultStatus = 'present',
+      records: changes = [],
+      sessionTopic,
+      isComplete = true,
+      ...sessionData
+    } = rosterData;
+    const enrolled = new Set(classroom.students.map(id => id.toString()));
+    
+    const notEnrolled = changes
+      .map((change, index) => ({ change, index }))
+      .filter(({ change }) => !enrolled.has(change.studentId.toString()));
+    
+    if (notEnrolled.length > 0) {
+      throw new ValidationError('Validation failed', notEnrolled.map(({ index }) => ({
+        field: `records.${index}.studentId`,
+        message: 'Student is not enrolled in this classroom'
+      })));
+    }
+    
+    const session = this.resolveSession(classroom, date, sessionData);
+    const existing = await Attendance.findOne(this.sessionFilter(classroomId, session));
+    const attendance = existing || new Attendance({ ...session, classroomId, records: [] });
+    const previouslyAbsent = this.absentStudentIds(attendance);
+    
+    // Pre-fill students who are not on the register yet
+    const onRegister = new Set(attendance.records.map(record => record.studentId.toString()));
+    classroom.students.forEach(studentId => {
+      if (!onRegister.has(studentId.toString())) {
+        attendance.records.push({ studentId, status: defaultStatus });
+      }
+    });
+    
+    changes.forEach(({ studentId, ...change }) => {
+      const record = attendance.records.find(r => r.studentId.toString() === studentId.toString());
+      this.applyRecordChanges(attendance, record, change);
+    });
+    
+    if (sessionTopic !== undefined) attendance.sessionTopic = sessionTopic;
+    attendance.isComplete = isComplete;
+    if (actor) attendance.takenBy = actor._id;
+    
+    await attendance.save();
+    this.evaluateAlerts(classroomId, attendance.records.map(record => record.studentId));
+    this.publishChange(attendance, attendance.records.map(record => record.studentId));
+    this.publishAbsences(attendance, previouslyAbsent);
+    
+    return {
+      attendance,
+      created: !existing
+    };
   }
 
   /**
    * Get attendance record by ID
    * @param {string} id - Attendance ID
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Promise<Object>} The attendance record
    */
-  async getAttendanceById(id) {
-    try {
-      const attendance = await Attendance.findById(id)
-        .populate('classroomId', 'name subject')
-        .populate('takenBy', 'username')
-        .populate('records.studentId', 'userId');
+  async getAttendanceById(id, actor) {
+    const attendance = await Attendance.findById(id)
+      .populate('classroomId', 'name subject')
+      .populate('takenBy', 'username')
+      .populate('records.studentId', 'userId');
+    
+    if (!attendance) {
+      throw new NotFoundError('Attendance record not found');
+    }
+    
+    if (actor && actor.role === 'student') {
+      // Students only ever see their own row of the register
+      const ownId = await accessPolicy.getStudentProfileId(actor);
+      const ownRecords = attendance.records.filter(
+        record => record.studentId && record.studentId._id.toString() === ownId
+      );
       
-      if (!attendance) {
-        throw new Error('Attendance record not found');
+      if (ownRecords.length === 0) {
+        throw accessPolicy.forbidden('Students can only access their own records');
       }
       
-      return attendance;
-    } catch (error) {
-      throw new Error(`Error retrieving attendance record: ${error.message}`);
+      attendance.records = ownRecords;
+    } else if (actor) {
+      await accessPolicy.assertCanManageClassroom(actor, attendance.classroomId._id);
     }
+    
+    return attendance;
   }
 
   /**
    * Get attendance records for a classroom
    * @param {string} classroomId - Classroom ID
    * @param {Object} query - Filter query
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Promise<Array>} Array of attendance records
    */
-  async getClassroomAttendance(classroomId, query = {}) {
-    try {
-      // Build filter object based on query params
-      const filterObj = { classroomId };
-      
-      if (query.startDate && query.endDate) {
-        filterObj.date = {
-          $gte: new Date(query.startDate).setHours(0, 0, 0, 0),
-          $lte: new Date(query.endDate).setHours(23, 59, 59, 999)
-        };
-      } else if (query.startDate) {
-        filterObj.date = { $gte: new Date(query.startDate).setHours(0, 0, 0, 0) };
-      } else if (query.endDate) {
-        filterObj.date = { $lte: new Date(query.endDate).setHours(23, 59, 59, 999) };
-      }
-      
-      const attendance = await Attendance.find(filterObj)
-        .populate('takenBy', 'username')
-        .sort({ date: -1 });
-      
-      return attendance;
-    } catch (error) {
-      throw new Error(`Error retrieving classroom attendance: ${error.message}`);
+  async getClassroomAttendance(classroomId, query = {}, actor) {
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, classroomId);
+    
+    // Build filter object based on query params
+    const filterObj = { classroomId };
+    
+    if (query.startDate && query.endDate) {
+      filterObj.date = {
+        $gte: new Date(query.startDate).setHours(0, 0, 0, 0),
+        $lte: new Date(query.endDate).setHours(23, 59, 59, 999)
+      };
+    } else if (query.startDate) {
+      filterObj.date = { $gte: new Date(query.startDate).setHours(0, 0, 0, 0) };
+    } else if (query.endDate) {
+      filterObj.date = { $lte: new Date(query.endDate).setHours(23, 59, 59, 999) };
     }
+    
+    const attendance = await Attendance.find(filterObj)
+      .populate('takenBy', 'username')
+      .sort({ date: -1, startTime: 1 });
+    
+    return attendance;
   }
 
   /**
    * Get attendance for a specific date and classroom
    * @param {string} classroomId - Classroom ID
    * @param {Date} date - Date to check
+   * @param {string} [startTime] - Session start (HH:mm), required when several sessions share the date
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Promise<Object>} Attendance record
    */
-  async getAttendanceByDate(classroomId, date) {
-    try {
-      const attendanceDate = new Date(date).setHours(0, 0, 0, 0);
-      
-      const attendance = await Attendance.findOne({
-        classroomId,
-        date: attendanceDate
-      })
-        .populate('records.studentId', 'userId')
-        .populate('takenBy', 'username');
-      
-      return attendance;
-    } catch (error) {
-      throw new Error(`Error retrieving attendance by date: ${error.message}`);
+  async getAttendanceByDate(classroomId, date, startTime, actor) {
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, classroomId);
+    
+    const filterObj = { classroomId, date: startOfDay(date) };
+    if (startTime) filterObj.startTime = startTime;
+    
+    const sessions = await Attendance.find(filterObj)
+      .populate('records.studentId', 'userId')
+      .populate('takenBy', 'username');
+    
+    if (sessions.length === 0) {
+      throw new NotFoundError('No attendance record found for this date');
+    }
+    
+    if (sessions.length > 1) {
+      throw new ValidationError('Validation failed', [
+        { field: 'startTime', message: 'Several sessions were held on this date, specify startTime' }
+      ]);
     }
+    
+    return sessions[0];
   }
 
   /**
    * Get attendance records for a student
    * @param {string} studentId - Student ID
    * @param {Object} query - Filter query
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Promise<Array>} Array of attendance records
    */
-  async getStudentAttendance(studentId, query = {}) {
-    try {
-      // Build filter object
-      const filterObj = { 'records.studentId': studentId };
-      
-      if (query.classroomId) {
-        filterObj.classroomId = query.classroomId;
-      }
-      
-      if (query.startDate && query.endDate) {
-        filterObj.date = {
-          $gte: new Date(query.startDate).setHours(0, 0, 0, 0),
-          $lte: new Date(query.endDate).setHours(23, 59, 59, 999)
-        };
-      } else if (query.startDate) {
-        filterObj.date = { $gte: new Date(query.startDate).setHours(0, 0, 0, 0) };
-      } else if (query.endDate) {
-        filterObj.date = { $lte: new Date(query.endDate).setHours(23, 59, 59, 999) };
-      }
-      
-      const attendanceRecords = await Attendance.find(filterObj)
-        .populate('classroomId', 'name subject')
-        .sort({ date: -1 });
-      
-      // Filter to only include this student's records
-      const formattedRecords = attendanceRecords.map(record => {
-        const studentRecord = record.records.find(
-          r => r.studentId.toString() === studentId
-        );
-        
-        return {
-          _id: record._id,
-          date: record.date,
-          classroom: record.classroomId,
-          status: studentRecord.status,
-          remarks: studentRecord.remarks,
-          minutesLate: studentRecord.minutesLate
-        };
-      });
-      
-      return formattedRecords;
-    } catch (error) {
-      throw new Error(`Error retrieving student attendance: ${error.message}`);
+  async getStudentAttendance(studentId, query = {}, actor) {
+    if (actor) await accessPolicy.assertCanViewStudent(actor, studentId);
+    
+    // Build filter object
+    const filterObj = { 'records.studentId': studentId };
+    
+    if (query.classroomId) {
+      filterObj.classroomId = query.classroomId;
+    }
+    
+    if (query.startDate && query.endDate) {
+      filterObj.date = {
+        $gte: new Date(query.startDate).setHours(0, 0, 0, 0),
+        $lte: new Date(query.endDate).setHours(23, 59, 59, 999)
+      };
+    } else if (query.startDate) {
+      filterObj.date = { $gte: new Date(query.startDate).setHours(0, 0, 0, 0) };
+    } else if (query.endDate) {
+      filterObj.date = { $lte: new Date(query.endDate).setHours(23, 59, 59, 999) };
     }
+    
+    const attendanceRecords = await Attendance.find(filterObj)
+      .populate('classroomId', 'name subject')
+      .sort({ date: -1 });
+    
+    // Filter to only include this student's records
+    const formattedRecords = attendanceRecords.map(record => {
+      const studentRecord = record.records.find(
+        r => r.studentId.toString() === studentId
+      );
+      
+      return {
+        _id: record._id,
+        date: record.date,
+        startTime: record.startTime,
+        endTime: record.endTime,
+        classroom: record.classroomId,
+        status: studentRecord.status,
+        remarks: studentRecord.remarks,
+        minutesLate: studentRecord.minutesLate,
+        checkedInAt: studentRecord.checkedInAt
+      };
+    });
+    
+    return formattedRecords;
   }
 
   /**
    * Update an attendance record
    * @param {string} id - Attendance ID
    * @param {Object} updateData - Updated attendance data
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Promise<Object>} Updated attendance record
    */
-  async updateAttendance(id, updateData) {
-    try {
-      const attendance = await Attendance.findByIdAndUpdate(id, updateData, {
-        new: true,
-        runValidators: true
+  async updateAttendance(id, updateData, actor) {
+    const attendance = await this.getManagedAttendance(id, actor);
+    
+    const { date, ...fields } = updateData;
+    attendance.set(fields);
+    
+    // Moving a session keeps its times but shifts them to the new day
+    if (date) {
+      const session = attendance.startTime ? toSession(attendance, date) : { date: startOfDay(date) };
+      attendance.set({
+        date: session.date,
+        sessionStart: session.sessionStart,
+        sessionEnd: session.sessionEnd
       });
-      
-      if (!attendance) {
-        throw new Error('Attendance record not found');
-      }
-      
-      return attendance;
-    } catch (error) {
-      throw new Error(`Error updating attendance record: ${error.message}`);
     }
+    
+    await attendance.save();
+    this.evaluateAlerts(attendance.classroomId, attendance.records.map(record => record.studentId));
+    this.publishChange(attendance, attendance.records.map(record => record.studentId));
+    
+    return attendance;
   }
 
   /**
@@ -196,43 +749,29 @@ class AttendanceService {
    * @param {string} id - Attendance ID
    * @param {string} studentId - Student ID
    * @param {Object} updateData - Updated student attendance data
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Promise<Object>} Updated attendance record
    */
-  async updateStudentAttendance(id, studentId, updateData) {
-    try {
-      const attendance = await Attendance.findById(id);
-      
-      if (!attendance) {
-        throw new Error('Attendance record not found');
-      }
-      
-      // Find the student record
-      const studentRecordIndex = attendance.records.findIndex(
-        record => record.studentId.toString() === studentId
-      );
-      
-      if (studentRecordIndex === -1) {
-        throw new Error('Student record not found in this attendance');
-      }
-      
-      // Update the student record
-      const updatePath = `records.${studentRecordIndex}`;
-      const update = {};
-      
-      if (updateData.status) update[`${updatePath}.status`] = updateData.status;
-      if (updateData.remarks !== undefined) update[`${updatePath}.remarks`] = updateData.remarks;
-      if (updateData.minutesLate !== undefined) update[`${updatePath}.minutesLate`] = updateData.minutesLate;
-      
-      const updatedAttendance = await Attendance.findByIdAndUpdate(
-        id,
-        { $set: update },
-        { new: true, runValidators: true }
-      );
-      
-      return updatedAttendance;
-    } catch (error) {
-      throw new Error(`Error updating student attendance: ${error.message}`);
+  async updateStudentAttendance(id, studentId, updateData, actor) {
+    const attendance = await this.getManagedAttendance(id, actor);
+    
+    // Find the student record
+    const record = attendance.records.find(
+      entry => entry.studentId.toString() === studentId
+    );
+    
+    if (!record) {
+      throw new NotFoundError('Student record not found in this attendance');
     }
+    
+    const previouslyAbsent = this.absentStudentIds(attendance);
+    this.applyRecordChanges(attendance, record, updateData);
+    await attendance.save();
+    this.evaluateAlerts(attendance.classroomId, [studentId]);
+    this.publishChange(attendance, [studentId]);
+    this.publishAbsences(attendance, previouslyAbsent);
+    
+    return attendance;
   }
 
   /**
@@ -240,164 +779,190 @@ class AttendanceService {
    * @param {string} id - Attendance ID
    * @param {string} studentId - Student ID
    * @param {Object} studentData - Student attendance data
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Promise<Object>} Updated attendance record
    */
-  async addStudentToAttendance(id, studentId, studentData) {
-    try {
-      const attendance = await Attendance.findById(id);
-      
-      if (!attendance) {
-        throw new Error('Attendance record not found');
-      }
-      
-      // Check if student already exists in the record
-      const studentExists = attendance.records.some(
-        record => record.studentId.toString() === studentId
-      );
-      
-      if (studentExists) {
-        throw new Error('Student already exists in this attendance record');
-      }
-      
-      // Add student to attendance record
-      const newRecord = {
-        studentId,
-        status: studentData.status || 'present',
-        remarks: studentData.remarks || '',
-        minutesLate: studentData.minutesLate || 0
-      };
-      
-      const updatedAttendance = await Attendance.findByIdAndUpdate(
-        id,
-        { $push: { records: newRecord } },
-        { new: true, runValidators: true }
-      );
-      
-      return updatedAttendance;
-    } catch (error) {
-      throw new Error(`Error adding student to attendance: ${error.message}`);
+  async addStudentToAttendance(id, studentId, studentData, actor) {
+    const attendance = await this.getManagedAttendance(id, actor);
+    
+    // Check if student already exists in the record
+    const studentExists = attendance.records.some(
+      record => record.studentId.toString() === studentId
+    );
+    
+    if (studentExists) {
+      throw new ConflictError('Student already exists in this attendance record');
     }
+    
+    const previouslyAbsent = this.absentStudentIds(attendance);
+    
+    // Add student to attendance record
+    attendance.records.push({
+      studentId,
+      status: studentData.status || 'present',
+      remarks: studentData.remarks || '',
+      minutesLate: studentData.minutesLate || 0
+    });
+    
+    this.applyRecordChanges(attendance, attendance.records[attendance.records.length - 1], studentData);
+    await attendance.save();
+    this.evaluateAlerts(attendance.classroomId, [studentId]);
+    this.publishChange(attendance, [studentId]);
+    this.publishAbsences(attendance, previouslyAbsent);
+    
+    return attendance;
+  }
+
+  /**
+   * Load an attendance record the actor may manage
+   * @param {string} id - Attendance ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Attendance document
+   */
+  async getManagedAttendance(id, actor) {
+    const attendance = await Attendance.findById(id);
+    
+    if (!attendance) {
+      throw new NotFoundError('Attendance record not found');
+    }
+    
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, attendance.classroomId);
+    
+    return attendance;
   }
 
   /**
    * Remove a student from an attendance record
    * @param {string} id - Attendance ID
    * @param {string} studentId - Student ID
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Promise<Object>} Updated attendance record
    */
-  async removeStudentFromAttendance(id, studentId) {
-    try {
-      const attendance = await Attendance.findById(id);
-      
-      if (!attendance) {
-        throw new Error('Attendance record not found');
-      }
-      
-      // Remove student from attendance record
-      const updatedAttendance = await Attendance.findByIdAndUpdate(
-        id,
-        { $pull: { records: { studentId } } },
-        { new: true }
-      );
-      
-      return updatedAttendance;
-    } catch (error) {
-      throw new Error(`Error removing student from attendance: ${error.message}`);
+  async removeStudentFromAttendance(id, studentId, actor) {
+    if (actor) {
+      const existingAttendance = await Attendance.findById(id).select('classroomId');
+      if (existingAttendance) await accessPolicy.assertCanManageClassroom(actor, existingAttendance.classroomId);
+    }
+    
+    const attendance = await Attendance.findById(id);
+    
+    if (!attendance) {
+      throw new NotFoundError('Attendance record not found');
     }
+    
+    // Remove student from attendance record
+    const updatedAttendance = await Attendance.findByIdAndUpdate(
+      id,
+      { $pull: { records: { studentId } } },
+      { new: true }
+    );
+    this.evaluateAlerts(attendance.classroomId, [studentId]);
+    this.publishChange(attendance, [studentId]);
+    
+    return updatedAttendance;
   }
 
   /**
    * Delete an attendance record
    * @param {string} id - Attendance ID
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Promise<boolean>} True if deleted
    */
-  async deleteAttendance(id) {
-    try {
-      const attendance = await Attendance.findByIdAndDelete(id);
-      
-      if (!attendance) {
-        throw new Error('Attendance record not found');
-      }
-      
-      return true;
-    } catch (error) {
-      throw new Error(`Error deleting attendance record: ${error.message}`);
+  async deleteAttendance(id, actor) {
+    if (actor) {
+      const existingAttendance = await Attendance.findById(id).select('classroomId');
+      if (existingAttendance) await accessPolicy.assertCanManageClassroom(actor, existingAttendance.classroomId);
+    }
+    
+    const attendance = await Attendance.findByIdAndDelete(id);
+    
+    if (!attendance) {
+      throw new NotFoundError('Attendance record not found');
     }
+    
+    this.evaluateAlerts(attendance.classroomId, attendance.records.map(record => record.studentId));
+    this.publishChange(attendance, attendance.records.map(record => record.studentId), { deleted: true });
+    
+    return true;
   }
 
   /**
    * Get attendance statistics for a classroom
    * @param {string} classroomId - Classroom ID
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Promise<Object>} Attendance statistics
    */
-  async getClassroomAttendanceStatistics(classroomId) {
-    try {
-      const stats = await Attendance.getClassroomStatistics(classroomId);
-      
-      // Format the statistics
-      const formattedStats = {
-        total: 0,
-        present: 0,
-        absent: 0,
-        late: 0,
-        excused: 0
-      };
-      
-      stats.forEach(stat => {
-        formattedStats[stat._id] = stat.count;
-        formattedStats.total += stat.count;
-      });
-      
-      // Calculate percentages
-      if (formattedStats.total > 0) {
-        formattedStats.presentPercentage = ((formattedStats.present / formattedStats.total) * 100).toFixed(2);
-        formattedStats.absentPercentage = ((formattedStats.absent / formattedStats.total) * 100).toFixed(2);
-        formattedStats.latePercentage = ((formattedStats.late / formattedStats.total) * 100).toFixed(2);
-        formattedStats.excusedPercentage = ((formattedStats.excused / formattedStats.total) * 100).toFixed(2);
-      }
-      
-      return formattedStats;
-    } catch (error) {
-      throw new Error(`Error generating attendance statistics: ${error.message}`);
+  async getClassroomAttendanceStatistics(classroomId, actor) {
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, classroomId);
+    
+    // Sessions on non-instructional days of the term don't count, nor do
+    // records taken while a student was not enrolled
+    const dateFilter = await termService.getInstructionalDateFilter(classroomId);
+    const recordFilter = await enrollmentService.getAttendanceRecordFilter(classroomId);
+    const stats = await Attendance.getClassroomStatistics(classroomId, dateFilter, recordFilter);
+    
+    // Format the statistics
+    const formattedStats = {
+      total: 0,
+      present: 0,
+      absent: 0,
+      late: 0,
+      excused: 0
+    };
+    
+    stats.forEach(stat => {
+      formattedStats[stat._id] = stat.count;
+      formattedStats.total += stat.count;
+    });
+    
+    // Calculate percentages
+    if (formattedStats.total > 0) {
+      formattedStats.presentPercentage = ((formattedStats.present / formattedStats.total) * 100).toFixed(2);
+      formattedStats.absentPercentage = ((formattedStats.absent / formattedStats.total) * 100).toFixed(2);
+      formattedStats.latePercentage = ((formattedStats.late / formattedStats.total) * 100).toFixed(2);
+      formattedStats.excusedPercentage = ((formattedStats.excused / formattedStats.total) * 100).toFixed(2);
     }
+    
+    return formattedStats;
   }
 
   /**
    * Get attendance statistics for a student
    * @param {string} studentId - Student ID
    * @param {string} classroomId - Optional classroom ID
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Promise<Object>} Attendance statistics
    */
-  async getStudentAttendanceStatistics(studentId, classroomId = null) {
-    try {
-      const stats = await Attendance.getStudentStatistics(studentId, classroomId);
-      
-      // Format the statistics
-      const formattedStats = {
-        total: 0,
-        present: 0,
-        absent: 0,
-        late: 0,
-        excused: 0
-      };
-      
-      stats.forEach(stat => {
-        formattedStats[stat._id] = stat.count;
-        formattedStats.total += stat.count;
-      });
-      
-      // Calculate percentages
-      if (formattedStats.total > 0) {
-        formattedStats.presentPercentage = ((formattedStats.present / formattedStats.total) * 100).toFixed(2);
-        formattedStats.absentPercentage = ((formattedStats.absent / formattedStats.total) * 100).toFixed(2);
-        formattedStats.latePercentage = ((formattedStats.late / formattedStats.total) * 100).toFixed(2);
-        formattedStats.excusedPercentage = ((formattedStats.excused / formattedStats.total) * 100).toFixed(2);
-      }
-      
-      return formattedStats;
-    } catch (error) {
-      throw new Error(`Error generating student attendance statistics: ${error.message}`);
+  async getStudentAttendanceStatistics(studentId, classroomId = null, actor) {
+    if (actor) await accessPolicy.assertCanViewStudent(actor, studentId);
+    
+    const dateFilter = classroomId ? await termService.getInstructionalDateFilter(classroomId) : {};
+    const recordFilter = await enrollmentService.getStudentAttendanceFilter(studentId, classroomId);
+    const stats = await Attendance.getStudentStatistics(studentId, classroomId, dateFilter, recordFilter);
+    
+    // Format the statistics
+    const formattedStats = {
+      total: 0,
+      present: 0,
+      absent: 0,
+      late: 0,
+      excused: 0
+    };
+    
+    stats.forEach(stat => {
+      formattedStats[stat._id] = stat.count;
+      formattedStats.total += stat.count;
+    });
+    
+    // Calculate percentages
+    if (formattedStats.total > 0) {
+      formattedStats.presentPercentage = ((formattedStats.present / formattedStats.total) * 100).toFixed(2);
+      formattedStats.absentPercentage = ((formattedStats.absent / formattedStats.total) * 100).toFixed(2);
+      formattedStats.latePercentage = ((formattedStats.late / formattedStats.total) * 100).toFixed(2);
+      formattedStats.excusedPercentage = ((formattedStats.excused / formattedStats.total) * 100).toFixed(2);
     }
+    
+    return formattedStats;
   }
 }
 
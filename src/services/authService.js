@@ -1,5 +1,16 @@
 const User = require('../models/User');
-const { generateToken, generateRefreshToken } = require('../config/auth');
+const RefreshToken = require('../models/RefreshToken');
+const {
+  generateToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  hashToken
+} = require('../config/auth');
+const { APP_URL } = require('../config/mail');
+const MailService = require('./mailService');
+const GuardianService = require('./guardianService');
+const ErrorResponse = require('../utils/errorResponse');
+const { ValidationError, UnauthorizedError, NotFoundError, ConflictError } = ErrorResponse;
 const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 
@@ -7,161 +18,323 @@ class AuthService {
   /**
    * Register a new user
    * @param {Object} userData - User data (username, email, password, etc.)
+   * @param {Object} device - Device info (deviceId, userAgent, ip)
    * @returns {Object} - User object and tokens
    */
-  async register(userData) {
-    try {
-      const { username, email } = userData;
-      
-      // Check if user already exists
-      const existingUser = await User.findOne({
-        $or: [{ email }, { username }]
-      });
-      
-      if (existingUser) {
-        throw new Error(
-          existingUser.email === email 
-            ? 'Email already in use' 
-            : 'Username already taken'
-        );
-      }
-      
-      // Create the user
-      const user = await User.create(userData);
-      
-      // Generate tokens
-      const accessToken = generateToken(user._id, user.role);
-      const refreshToken = generateRefreshToken(user._id);
-      
-      // Update last login
-      user.lastLogin = Date.now();
-      await user.save({ validateBeforeSave: false });
-      
-      return {
-        user: {
-          _id: user._id,
-          username: user.username,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          role: user.role
-        },
-        accessToken,
-        refreshToken
-      };
-    } catch (error) {
-      throw error;
+  async register(userData, device = {}) {
+    const { username, email } = userData;
+    
+    // Check if user already exists
+    const existingUser = await User.findOne({
+      $or: [{ email }, { username }]
+    });
+    
+    if (existingUser) {
+      throw new ConflictError(
+        existingUser.email === email 
+          ? 'Email already in use' 
+          : 'Username already taken'
+      );
     }
+    
+    // Self-registration can never grant elevated roles
+    const { role, ...safeUserData } = userData;
+    
+    // Create the user
+    const user = await User.create(safeUserData);
+    
+    // Generate tokens
+    const accessToken = generateToken(user._id, user.role);
+    const refreshToken = await this.issueRefreshToken(user._id, undefined, device);
+    
+    // Update last login
+    user.lastLogin = Date.now();
+    await user.save({ validateBeforeSave: false });
+    
+    // A failed welcome email must not fail the registration
+    MailService.sendTemplate(user.email, 'welcome', {
+      firstName: user.firstName,
+      username: user.username,
+      loginUrl: `${APP_URL}/login`
+    }).catch(err => console.error(`Error sending welcome email: ${err.message}`));
+    
+    return {
+      user: {
+        _id: user._id,
+        username: user.username,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role
+      },
+      accessToken,
+      refreshToken
+    };
   }
   
   /**
    * Login a user
    * @param {String} email - User email
    * @param {String} password - User password
+   * @param {Object} device - Device info (deviceId, userAgent, ip)
    * @returns {Object} - User object and tokens
    */
-  async login(email, password) {
-    try {
-      // Find user
-      const user = await User.findOne({ email }).select('+password');
-      
-      if (!user) {
-        throw new Error('Invalid credentials');
-      }
-      
-      // Check if user is active
-      if (!user.isActive) {
-        throw new Error('Your account has been deactivated');
-      }
-      
-      // Check if password matches
-      const isMatch = await user.matchPassword(password);
-      
-      if (!isMatch) {
-        throw new Error('Invalid credentials');
-      }
-      
-      // Generate tokens
-      const accessToken = generateToken(user._id, user.role);
-      const refreshToken = generateRefreshToken(user._id);
-      
-      // Update last login
-      user.lastLogin = Date.now();
-      await user.save({ validateBeforeSave: false });
-      
-      return {
-        user: {
-          _id: user._id,
-          username: user.username,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          role: user.role
-        },
-        accessToken,
-        refreshToken
-      };
-    } catch (error) {
-      throw error;
+  async login(email, password, device = {}) {
+    // Find user
+    const user = await User.findOne({ email }).select('+password');
+    
+    if (!user) {
+      throw new UnauthorizedError('Invalid credentials');
+    }
+    
+    // Check if user is active
+    if (!user.isActive) {
+      throw new UnauthorizedError('Your account has been deactivated');
+    }
+    
+    // Check if password matches
+    const isMatch = await user.matchPassword(password);
+    
+    if (!isMatch) {
+      throw new UnauthorizedError('Invalid credentials');
     }
+    
+    // Generate tokens
+    const accessToken = generateToken(user._id, user.role);
+    const refreshToken = await this.issueRefreshToken(user._id, undefined, device);
+    
+    // Update last login
+    user.lastLogin = Date.now();
+    await user.save({ validateBeforeSave: false });
+    
+    return {
+      user: {
+        _id: user._id,
+        username: user.username,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role
+      },
+      accessToken,
+      refreshToken
+    };
   }
   
   /**
-   * Refresh access token using refresh token
+   * Accept a guardian invitation and sign the guardian in, opening their
+   * guardian account first if the invited address has none
+   * @param {String} token - Invitation token
+   * @param {Object} accountData - Account data (password, and username,
+   *   firstName, lastName for a new account)
+   * @param {Object} device - Device info (deviceId, userAgent, ip)
+   * @returns {Object} - User object and tokens
+   */
+  async acceptGuardianInvite(token, accountData, device = {}) {
+    const user = await GuardianService.acceptInvite(token, accountData);
+    
+    // Generate tokens
+    const accessToken = generateToken(user._id, user.role);
+    const refreshToken = await this.issueRefreshToken(user._id, undefined, device);
+    
+    // Update last login
+    user.lastLogin = Date.now();
+    await user.save({ validateBeforeSave: false });
+    
+    return {
+      user: {
+        _id: user._id,
+        username: user.username,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role
+      },
+      accessToken,
+      refreshToken
+    };
+  }
+  
+  /**
+   * Sign a refresh token and persist its hash
+   * @param {String} userId - User ID
+   * @param {String} family - Rotation family (a new one is started when omitted)
+   * @param {Object} device - Device info (deviceId, userAgent, ip)
+   * @returns {String} - Signed refresh token
+   */
+  async issueRefreshToken(userId, family, device = {}) {
+    const token = generateRefreshToken(userId, family);
+    const { decoded } = verifyRefreshToken(token);
+    
+    await RefreshToken.create({
+      userId,
+      tokenHash: hashToken(token),
+      family: decoded.family,
+      deviceId: device.deviceId,
+      userAgent: device.userAgent,
+      createdByIp: device.ip,
+      expiresAt: new Date(decoded.exp * 1000)
+    });
+    
+    return token;
+  }
+  
+  /**
+   * Revoke every active token of a rotation family
+   * @param {String} family - Rotation family
+   * @param {String} reason - Revocation reason
+   * @returns {Promise}
+   */
+  async revokeFamily(family, reason) {
+    return RefreshToken.updateMany(
+      { family, revokedAt: null },
+      { revokedAt: Date.now(), revokedReason: reason }
+    );
+  }
+  
+  /**
+   * Revoke every active token of a user
+   * @param {String} userId - User ID
+   * @param {String} reason - Revocation reason
+   * @returns {Promise}
+   */
+  async revokeAllForUser(userId, reason) {
+    return RefreshToken.updateMany(
+      { userId, revokedAt: null },
+      { revokedAt: Date.now(), revokedReason: reason }
+    );
+  }
+  
+  /**
+   * Refresh access token using refresh token.
+   * The presented token is rotated: it is revoked and replaced by a new one in
+   * the same family. Presenting an already-rotated token means it was stolen
+   * or replayed, so the whole family is revoked.
    * @param {String} refreshToken - User's refresh token
+   * @param {Object} device - Device info (deviceId, userAgent, ip)
    * @returns {Object} - New access token and refresh token
    */
-  async refreshToken(refreshToken) {
-    try {
-      // Verify refresh token & get user id
-      const { verifyRefreshToken } = require('../config/auth');
-      const decoded = verifyRefreshToken(refreshToken);
-      
-      if (!decoded.valid) {
-        throw new Error('Invalid or expired refresh token');
-      }
-      
-      // Get user
-      const user = await User.findById(decoded.decoded.id);
+  async refreshToken(refreshToken, device = {}) {
+    // Verify refresh token & get user id
+    const decoded = verifyRefreshToken(refreshToken);
+    
+    if (!decoded.valid) {
+      throw new UnauthorizedError('Invalid or expired refresh token');
+    }
+    
+    const tokenHash = hashToken(refreshToken);
+    const now = new Date();
+    
+    // Claim the token atomically so concurrent refreshes cannot both rotate it
+    const storedToken = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { revokedAt: now, revokedReason: 'rotated' } },
+      { new: true }
+    );
+    
+    if (!storedToken) {
+      const presentedToken = await RefreshToken.findOne({ tokenHash });
       
-      if (!user || !user.isActive) {
-        throw new Error('User not found or inactive');
+      // Reuse detection
+      if (presentedToken && presentedToken.revokedAt) {
+        await this.revokeFamily(presentedToken.family, 'reuse-detected');
+        throw new UnauthorizedError('Refresh token reuse detected, please log in again');
       }
       
-      // Generate new tokens
-      const newAccessToken = generateToken(user._id, user.role);
-      const newRefreshToken = generateRefreshToken(user._id);
-      
-      return {
-        accessToken: newAccessToken,
-        refreshToken: newRefreshToken
-      };
-    } catch (error) {
-      throw error;
+      throw new UnauthorizedError('Invalid or expired refresh token');
+    }
+    
+    // Get user
+    const user = await User.findById(storedToken.userId);
+    
+    if (!user || !user.isActive) {
+      await this.revokeFamily(storedToken.family, 'logout');
+      throw new UnauthorizedError('User not found or inactive');
+    }
+    
+    // Rotate: issue a successor in the same family to the claimed token
+    const newRefreshToken = await this.issueRefreshToken(user._id, storedToken.family, {
+      deviceId: device.deviceId || storedToken.deviceId,
+      userAgent: device.userAgent || storedToken.userAgent,
+      ip: device.ip
+    });
+    
+    await RefreshToken.updateOne(
+      { _id: storedToken._id },
+      { replacedByHash: hashToken(newRefreshToken) }
+    );
+    
+    const newAccessToken = generateToken(user._id, user.role);
+    
+    return {
+      accessToken: newAccessToken,
+      refreshToken: newRefreshToken
+    };
+  }
+  
+  /**
+   * Logout from the current device by revoking its refresh token family
+   * @param {String} refreshToken - User's refresh token
+   * @returns {Boolean} - Success status
+   */
+  async logout(refreshToken) {
+    if (!refreshToken) {
+      throw new ValidationError('Refresh token is required');
+    }
+    
+    const storedToken = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    
+    if (storedToken) {
+      await this.revokeFamily(storedToken.family, 'logout');
     }
+    
+    return true;
   }
   
   /**
-   * Send password reset email
+   * Logout from every device
+   * @param {String} userId - User ID
+   * @returns {Boolean} - Success status
+   */
+  async logoutAll(userId) {
+    await this.revokeAllForUser(userId, 'logout-all');
+    return true;
+  }
+  
+  /**
+   * Send password reset email.
+   * Resolves the same way whether or not the email is registered so the
+   * endpoint cannot be used to discover accounts.
    * @param {String} email - User email
-   * @returns {String} - Reset token
+   * @returns {Boolean} - Always true
    */
   async forgotPassword(email) {
+    const user = await User.findOne({ email });
+    
+    if (!user) {
+      return true;
+    }
+    
+    // Generate reset token
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+    
     try {
-      const user = await User.findOne({ email });
-      
-      if (!user) {
-        throw new Error('User not found with this email');
-      }
-      
-      // Generate reset token
-      const resetToken = user.createPasswordResetToken();
+      await MailService.sendTemplate(user.email, 'passwordReset', {
+        firstName: user.firstName,
+        resetUrl: `${APP_URL}/reset-password?token=${resetToken}`,
+        expiresInMinutes: 10
+      });
+    } catch (mailError) {
+      // Don't leave a usable token behind if it never reached the user
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
       await user.save({ validateBeforeSave: false });
       
-      return resetToken;
-    } catch (error) {
-      throw error;
+      throw new ErrorResponse('Password reset email could not be sent, please try again later', 503, 'MAIL_DELIVERY_FAILED');
     }
+    
+    return true;
   }
   
   /**
@@ -171,33 +344,32 @@ class AuthService {
    * @returns {Boolean} - Success status
    */
   async resetPassword(token, newPassword) {
-    try {
-      // Hash the token
-      const hashedToken = crypto
-        .createHash('sha256')
-        .update(token)
-        .digest('hex');
-      
-      const user = await User.findOne({
-        passwordResetToken: hashedToken,
-        passwordResetExpires: { $gt: Date.now() }
-      });
-      
-      if (!user) {
-        throw new Error('Token is invalid or has expired');
-      }
-      
-      // Set new password
-      user.password = newPassword;
-      user.passwordResetToken = undefined;
-      user.passwordResetExpires = undefined;
-      
-      await user.save();
-      
-      return true;
-    } catch (error) {
-      throw error;
+    // Hash the token
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(token)
+      .digest('hex');
+    
+    const user = await User.findOne({
+      passwordResetToken: hashedToken,
+      passwordResetExpires: { $gt: Date.now() }
+    });
+    
+    if (!user) {
+      throw new ValidationError('Token is invalid or has expired');
     }
+    
+    // Set new password
+    user.password = newPassword;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    
+    await user.save();
+    
+    // Sign out every device that may have used the old password
+    await this.revokeAllForUser(user._id, 'password-changed');
+    
+    return true;
   }
   
   /**
@@ -208,28 +380,27 @@ class AuthService {
    * @returns {Boolean} - Success status
    */
   async updatePassword(userId, currentPassword, newPassword) {
-    try {
-      const user = await User.findById(userId).select('+password');
-      
-      if (!user) {
-        throw new Error('User not found');
-      }
-      
-      // Check current password
-      const isMatch = await user.matchPassword(currentPassword);
-      
-      if (!isMatch) {
-        throw new Error('Current password is incorrect');
-      }
-      
-      // Set new password
-      user.password = newPassword;
-      await user.save();
-      
-      return true;
-    } catch (error) {
-      throw error;
+    const user = await User.findById(userId).select('+password');
+    
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    
+    // Check current password
+    const isMatch = await user.matchPassword(currentPassword);
+    
+    if (!isMatch) {
+      throw new UnauthorizedError('Current password is incorrect');
     }
+    
+    // Set new password
+    user.password = newPassword;
+    await user.save();
+    
+    // Sign out every device that may have used the old password
+    await this.revokeAllForUser(user._id, 'password-changed');
+    
+    return true;
   }
 }
 
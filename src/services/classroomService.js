@@ -2,6 +2,16 @@
 const Classroom = require('../models/Classroom');
 const Student = require('../models/Student');
 const Teacher = require('../models/Teacher');
+const AcademicTerm = require('../models/AcademicTerm');
+const Announcement = require('../models/Announcement');
+const termService = require('./termService');
+const timetableService = require('./timetableService');
+const enrollmentService = require('./enrollmentService');
+const discussionService = require('./discussionService');
+const accessPolicy = require('../policies/accessPolicy');
+const eventBus = require('../events/eventBus');
+const { STUDENT_ENROLLED, STUDENT_WAITLISTED, STUDENT_WITHDRAWN } = require('../events/eventTypes');
+const { NotFoundError, ValidationError } = require('../utils/errorResponse');
 const mongoose = require('mongoose');
 
 /**
@@ -14,6 +24,12 @@ class ClassroomService {
    * @returns {Promise<Object>} Created classroom
    */
   async createClassroom(classroomData) {
+    if (classroomData.termId) {
+      classroomData = { ...classroomData, ...await termService.getClassroomTermFields(classroomData.termId) };
+    }
+    
+    timetableService.assertNoConflicts(await timetableService.findClassroomConflicts(classroomData));
+    
     const session = await mongoose.startSession();
     try {
       session.startTransaction();
@@ -32,7 +48,7 @@ class ClassroomService {
       return classroom[0];
     } catch (error) {
       await session.abortTransaction();
-      throw new Error(`Error creating classroom: ${error.message}`);
+      throw error;
     } finally {
       session.endSession();
     }
@@ -41,111 +57,149 @@ class ClassroomService {
   /**
    * Get a classroom by ID
    * @param {string} id - Classroom ID
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Promise<Object>} The classroom
    */
-  async getClassroomById(id) {
-    try {
-      const classroom = await Classroom.findById(id)
-        .populate('teacherId', 'userId subjects')
-        .populate('students', 'userId studentId grade');
-      
-      if (!classroom) {
-        throw new Error('Classroom not found');
-      }
-      
-      return classroom;
-    } catch (error) {
-      throw new Error(`Error retrieving classroom: ${error.message}`);
+  async getClassroomById(id, actor) {
+    if (actor) {
+      const existingClassroom = await Classroom.findById(id).select('teacherId students');
+      if (existingClassroom) await accessPolicy.assertCanViewClassroom(actor, existingClassroom);
+    }
+    
+    const classroom = await Classroom.findById(id)
+      .populate('teacherId', 'userId subjects')
+      .populate('students', 'userId studentId grade');
+    
+    if (!classroom) {
+      throw new NotFoundError('Classroom not found');
     }
+    
+    return classroom;
   }
 
   /**
    * Get all classrooms
-   * @param {Object} query - Filter query
+   * @param {Object} query - Filter query; `runningFrom`/`runningTo` select the
+   *   classrooms whose term overlaps those dates (e.g. this week)
    * @returns {Promise<Array>} Array of classrooms
    */
   async getAllClassrooms(query = {}) {
-    try {
-      // Build filter object based on query params
-      const filterObj = {};
-      
-      if (query.subject) filterObj.subject = query.subject;
-      if (query.gradeLevel) filterObj.gradeLevel = query.gradeLevel;
-      if (query.semester) filterObj.semester = query.semester;
-      if (query.year) filterObj.year = parseInt(query.year);
-      if (query.isActive) filterObj.isActive = query.isActive === 'true';
-      
-      const classrooms = await Classroom.find(filterObj)
-        .populate('teacherId', 'userId subjects')
-        .sort({ createdAt: -1 });
-      
-      return classrooms;
-    } catch (error) {
-      throw new Error(`Error retrieving classrooms: ${error.message}`);
+    // Build filter object based on query params
+    const filterObj = {};
+    
+    if (query.subject) filterObj.subject = query.subject;
+    if (query.gradeLevel) filterObj.gradeLevel = query.gradeLevel;
+    if (query.semester) filterObj.semester = query.semester;
+    if (query.year) filterObj.year = parseInt(query.year);
+    if (query.isActive) filterObj.isActive = query.isActive === 'true';
+    if (query.termId) filterObj.termId = query.termId;
+    
+    if (query.runningFrom || query.runningTo) {
+      const from = new Date(query.runningFrom || query.runningTo);
+      const to = new Date(query.runningTo || query.runningFrom);
+      const termIds = await AcademicTerm.find({ startDate: { $lte: to }, endDate: { $gte: from } }).distinct('_id');
+      filterObj.termId = { $in: termIds };
     }
+    
+    const classrooms = await Classroom.find(filterObj)
+      .populate('teacherId', 'userId subjects')
+      .sort({ createdAt: -1 });
+    
+    return classrooms;
   }
 
   /**
    * Get all classrooms for a teacher
    * @param {string} teacherId - Teacher ID
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Promise<Array>} Array of classrooms
    */
-  async getTeacherClassrooms(teacherId) {
-    try {
-      const classrooms = await Classroom.find({ teacherId })
-        .populate('students', 'userId studentId grade')
-        .sort({ year: -1, semester: 1 });
-      
-      return classrooms;
-    } catch (error) {
-      throw new Error(`Error retrieving teacher classrooms: ${error.message}`);
-    }
+  async getTeacherClassrooms(teacherId, actor) {
+    if (actor) await accessPolicy.assertCanActForTeacher(actor, teacherId);
+    
+    const classrooms = await Classroom.find({ teacherId })
+      .populate('students', 'userId studentId grade')
+      .sort({ year: -1, semester: 1 });
+    
+    return classrooms;
   }
 
   /**
    * Get all classrooms for a student
    * @param {string} studentId - Student ID
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Promise<Array>} Array of classrooms
    */
-  async getStudentClassrooms(studentId) {
-    try {
-      const student = await Student.findById(studentId);
-      
-      if (!student) {
-        throw new Error('Student not found');
-      }
-      
-      const classrooms = await Classroom.find({ _id: { $in: student.classrooms } })
-        .populate('teacherId', 'userId subjects')
-        .sort({ year: -1, semester: 1 });
-      
-      return classrooms;
-    } catch (error) {
-      throw new Error(`Error retrieving student classrooms: ${error.message}`);
+  async getStudentClassrooms(studentId, actor) {
+    if (actor) await accessPolicy.assertCanViewStudent(actor, studentId);
+    
+    const student = await Student.findById(studentId);
+    
+    if (!student) {
+      throw new NotFoundError('Student not found');
     }
+    
+    const classrooms = await Classroom.find({ _id: { $in: student.classrooms } })
+      .populate('teacherId', 'userId subjects')
+      .sort({ year: -1, semester: 1 });
+    
+    return classrooms;
   }
 
   /**
    * Update a classroom
    * @param {string} id - Classroom ID
    * @param {Object} updateData - Updated classroom data
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Promise<Object>} Updated classroom
    */
-  async updateClassroom(id, updateData) {
-    try {
-      const classroom = await Classroom.findByIdAndUpdate(id, updateData, {
-        new: true,
-        runValidators: true
-      });
-      
-      if (!classroom) {
-        throw new Error('Classroom not found');
+  async updateClassroom(id, updateData, actor) {
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, id);
+    
+    if (updateData.termId) {
+      updateData = { ...updateData, ...await termService.getClassroomTermFields(updateData.termId) };
+    } else if (updateData.termId !== null && (updateData.semester || updateData.year)) {
+      const inTerm = await Classroom.exists({ _id: id, termId: { $ne: null } });
+      
+      if (inTerm) {
+        throw new ValidationError('Validation failed', [
+          { field: 'termId', message: 'Semester and year are taken from the academic term' }
+        ]);
       }
-      
-      return classroom;
-    } catch (error) {
-      throw new Error(`Error updating classroom: ${error.message}`);
     }
+    
+    // Only changes to when a classroom runs can introduce a clash
+    const scheduling = ['schedule', 'termId', 'semester', 'year', 'isActive'];
+    if (scheduling.some(field => updateData[field] !== undefined)) {
+      const existing = await Classroom.findById(id).lean();
+      
+      if (existing) {
+        timetableService.assertNoConflicts(
+          await timetableService.findClassroomConflicts({ ...existing, ...updateData })
+        );
+      }
+    }
+    
+    const classroom = await Classroom.findByIdAndUpdate(id, updateData, {
+      new: true,
+      runValidators: true
+    });
+    
+    if (!classroom) {
+      throw new NotFoundError('Classroom not found');
+    }
+    
+    if (updateData.isActive !== undefined) {
+      await enrollmentService.setClassroomActive(id, updateData.isActive, actor);
+    }
+    
+    // A larger capacity (or reactivation) may free seats for the waitlist
+    if (updateData.maxCapacity !== undefined || updateData.isActive === true) {
+      const admitted = await enrollmentService.promoteFromWaitlist(id);
+      if (admitted.length > 0) return await Classroom.findById(id);
+    }
+    
+    return classroom;
   }
 
   /**
@@ -162,7 +216,7 @@ class ClassroomService {
       const classroom = await Classroom.findById(id);
       
       if (!classroom) {
-        throw new Error('Classroom not found');
+        throw new NotFoundError('Classroom not found');
       }
       
       // Remove classroom from teacher's classrooms array
@@ -172,12 +226,12 @@ class ClassroomService {
         { session }
       );
       
-      // Remove classroom from students' classrooms arrays
-      await Student.updateMany(
-        { _id: { $in: classroom.students } },
-        { $pull: { classrooms: classroom._id } },
-        { session }
-      );
+      // Remove the classroom's enrollments and the students' cached references
+      await enrollmentService.removeClassroom(classroom, session);
+      
+      // Remove the classroom's announcements and discussions
+      await Announcement.deleteMany({ classroomId: classroom._id }, { session });
+      await discussionService.removeClassroom(classroom._id, session);
       
       // Delete the classroom
       await Classroom.findByIdAndDelete(id, { session });
@@ -186,123 +240,81 @@ class ClassroomService {
       return true;
     } catch (error) {
       await session.abortTransaction();
-      throw new Error(`Error deleting classroom: ${error.message}`);
+      throw error;
     } finally {
       session.endSession();
     }
   }
 
   /**
-   * Add a student to a classroom
+   * Add a student to a classroom. When the classroom is at capacity the
+   * student joins the end of its waitlist instead.
    * @param {string} classroomId - Classroom ID
    * @param {string} studentId - Student ID
-   * @returns {Promise<Object>} Updated classroom
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Updated classroom and the student's enrollment
    */
-  async addStudentToClassroom(classroomId, studentId) {
-    const session = await mongoose.startSession();
-    try {
-      session.startTransaction();
-      
-      // Get classroom and check capacity
-      const classroom = await Classroom.findById(classroomId);
-      
-      if (!classroom) {
-        throw new Error('Classroom not found');
-      }
-      
-      if (classroom.isAtCapacity()) {
-        throw new Error('Classroom is at maximum capacity');
-      }
-      
-      // Check if student exists
-      const student = await Student.findById(studentId);
-      
-      if (!student) {
-        throw new Error('Student not found');
-      }
-      
-      // Check if student is already in classroom
-      if (classroom.students.includes(studentId)) {
-        throw new Error('Student is already enrolled in this classroom');
-      }
-      
-      // Add student to classroom
-      await Classroom.findByIdAndUpdate(
-        classroomId,
-        { $push: { students: studentId } },
-        { session }
-      );
-      
-      // Add classroom to student
-      await Student.findByIdAndUpdate(
-        studentId,
-        { $push: { classrooms: classroomId } },
-        { session }
-      );
-      
-      await session.commitTransaction();
-      
-      // Return updated classroom
-      return await Classroom.findById(classroomId)
-        .populate('students', 'userId studentId grade');
-    } catch (error) {
-      await session.abortTransaction();
-      throw new Error(`Error adding student to classroom: ${error.message}`);
-    } finally {
-      session.endSession();
+  async addStudentToClassroom(classroomId, studentId, actor) {
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, classroomId);
+    
+    const classroom = await Classroom.findById(classroomId);
+    
+    if (!classroom) {
+      throw new NotFoundError('Classroom not found');
+    }
+    
+    // Check if student exists
+    const student = await Student.findById(studentId);
+    
+    if (!student) {
+      throw new NotFoundError('Student not found');
     }
+    
+    const enrollment = await enrollmentService.enroll(student, classroom, actor);
+    eventBus.publish(enrollment.status === 'waitlisted' ? STUDENT_WAITLISTED : STUDENT_ENROLLED, {
+      studentId: student._id,
+      classroomId: classroom._id
+    });
+    
+    // Return updated classroom
+    const updatedClassroom = await Classroom.findById(classroomId)
+      .populate('students', 'userId studentId grade');
+    
+    return { classroom: updatedClassroom, enrollment };
   }
 
   /**
-   * Remove a student from a classroom
+   * Remove a student from a classroom or its waitlist. The enrollment stays
+   * on record as withdrawn.
    * @param {string} classroomId - Classroom ID
    * @param {string} studentId - Student ID
+   * @param {string} [reason] - Why the student was removed
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Promise<Object>} Updated classroom
    */
-  async removeStudentFromClassroom(classroomId, studentId) {
-    const session = await mongoose.startSession();
-    try {
-      session.startTransaction();
-      
-      // Check if classroom exists
-      const classroom = await Classroom.findById(classroomId);
-      
-      if (!classroom) {
-        throw new Error('Classroom not found');
-      }
-      
-      // Check if student exists
-      const student = await Student.findById(studentId);
-      
-      if (!student) {
-        throw new Error('Student not found');
-      }
-      
-      // Remove student from classroom
-      await Classroom.findByIdAndUpdate(
-        classroomId,
-        { $pull: { students: studentId } },
-        { session }
-      );
-      
-      // Remove classroom from student
-      await Student.findByIdAndUpdate(
-        studentId,
-        { $pull: { classrooms: classroomId } },
-        { session }
-      );
-      
-      await session.commitTransaction();
-      
-      // Return updated classroom
-      return await Classroom.findById(classroomId)
-        .populate('students', 'userId studentId grade');
-    } catch (error) {
-      await session.abortTransaction();
-      throw new Error(`Error removing student from classroom: ${error.message}`);
-    } finally {
-      session.endSession();
+  async removeStudentFromClassroom(classroomId, studentId, reason, actor) {
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, classroomId);
+    
+    // Check if classroom exists
+    const classroom = await Classroom.exists({ _id: classroomId });
+    
+    if (!classroom) {
+      throw new NotFoundError('Classroom not found');
+    }
+    
+    // Check if student exists
+    const student = await Student.exists({ _id: studentId });
+    
+    if (!student) {
+      throw new NotFoundError('Student not found');
     }
+    
+    await enrollmentService.withdraw(studentId, classroomId, reason, actor);
+    eventBus.publish(STUDENT_WITHDRAWN, { studentId, classroomId, reason });
+    
+    // Return updated classroom
+    return await Classroom.findById(classroomId)
+      .populate('students', 'userId studentId grade');
   }
 }
 
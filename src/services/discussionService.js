@@ -0,0 +1,389 @@
+// services/discussionService.js
+const Discussion = require('../models/Discussion');
+const DiscussionReply = require('../models/DiscussionReply');
+const Classroom = require('../models/Classroom');
+const accessPolicy = require('../policies/accessPolicy');
+const { buildReplyTree } = require('../utils/threads');
+const { NotFoundError, ConflictError, ValidationError, ForbiddenError } = require('../utils/errorResponse');
+
+/**
+ * Service layer for classroom Discussion threads and their replies.
+ *
+ * Threads are open to the classroom's students and teacher. The teacher
+ * (and admins) moderate: they can pin, lock and hide threads and hide
+ * replies. Hidden content stays visible to moderators only.
+ */
+class DiscussionService {
+  /**
+   * Check the actor is a member of a classroom
+   * @param {string} classroomId - Classroom ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} The classroom
+   */
+  async getMemberClassroom(classroomId, actor) {
+    const classroom = await Classroom.findById(classroomId).select('teacherId students');
+
+    if (!classroom) {
+      throw new NotFoundError('Classroom not found');
+    }
+
+    if (actor) await accessPolicy.assertCanViewClassroom(actor, classroom);
+
+    return classroom;
+  }
+
+  /**
+   * Whether the actor moderates the classroom's discussions. Anyone who
+   * passed the membership check and is not a student is classroom staff.
+   * @param {Object} [actor] - Authenticated user
+   * @returns {boolean}
+   */
+  isModerator(actor) {
+    return !actor || actor.role !== 'student';
+  }
+
+  /**
+   * Whether the actor wrote a thread or reply
+   * @param {Object} post - Discussion or reply
+   * @param {Object} [actor] - Authenticated user
+   * @returns {boolean}
+   */
+  isAuthor(post, actor) {
+    const authorId = post.authorId && (post.authorId._id || post.authorId);
+    return Boolean(actor && authorId && authorId.toString() === actor._id.toString());
+  }
+
+  /**
+   * Load a discussion of a classroom, hiding hidden threads from non-moderators
+   * @param {string} classroomId - Classroom ID
+   * @param {string} discussionId - Discussion ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} The discussion
+   */
+  async getDiscussion(classroomId, discussionId, actor) {
+    const discussion = await Discussion.findOne({ _id: discussionId, classroomId });
+
+    if (!discussion || (discussion.isHidden && !this.isModerator(actor))) {
+      throw new NotFoundError('Discussion not found');
+    }
+
+    return discussion;
+  }
+
+  /**
+   * Load a reply of a classroom's discussion
+   * @param {string} classroomId - Classroom ID
+   * @param {string} replyId - Reply ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} { reply, discussion }
+   */
+  async getReply(classroomId, replyId, actor) {
+    const reply = await DiscussionReply.findOne({ _id: replyId, classroomId });
+
+    if (!reply || reply.deletedAt || (reply.isHidden && !this.isModerator(actor))) {
+      throw new NotFoundError('Reply not found');
+    }
+
+    const discussion = await this.getDiscussion(classroomId, reply.discussionId, actor);
+
+    return { reply, discussion };
+  }
+
+  /**
+   * Start a discussion in a classroom
+   * @param {string} classroomId - Classroom ID
+   * @param {Object} discussionData - title, body
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Created discussion
+   */
+  async createDiscussion(classroomId, discussionData, actor) {
+    await this.getMemberClassroom(classroomId, actor);
+
+    const discussion = await Discussion.create({
+      title: discussionData.title,
+      body: discussionData.body,
+      classroomId,
+      authorId: actor ? actor._id : undefined
+    });
+
+    return discussion;
+  }
+
+  /**
+   * Get the discussions of a classroom, pinned first and then by latest
+   * activity. Hidden threads are left out for non-moderators.
+   * @param {string} classroomId - Classroom ID
+   * @param {Object} query - Filter query (page, limit)
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Discussions and pagination info
+   */
+  async getClassroomDiscussions(classroomId, query = {}, actor) {
+    await this.getMemberClassroom(classroomId, actor);
+
+    const page = parseInt(query.page, 10) || 1;
+    const limit = parseInt(query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+
+    const filterObj = { classroomId };
+
+    if (!this.isModerator(actor)) filterObj.isHidden = false;
+
+    const [discussions, total] = await Promise.all([
+      Discussion.find(filterObj)
+        .populate('authorId', 'firstName lastName')
+        .sort({ isPinned: -1, lastActivityAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Discussion.countDocuments(filterObj)
+    ]);
+
+    return {
+      discussions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a discussion with its replies arranged as a tree. Non-moderators get
+   * a placeholder without author or text for hidden replies.
+   * @param {string} classroomId - Classroom ID
+   * @param {string} discussionId - Discussion ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} The discussion with `replies`
+   */
+  async getDiscussionById(classroomId, discussionId, actor) {
+    await this.getMemberClassroom(classroomId, actor);
+    await this.getDiscussion(classroomId, discussionId, actor);
+
+    const [discussion, replies] = await Promise.all([
+      Discussion.findById(discussionId).populate('authorId', 'firstName lastName').lean(),
+      DiscussionReply.find({ discussionId })
+        .populate('authorId', 'firstName lastName')
+        .sort({ createdAt: 1 })
+        .lean()
+    ]);
+
+    // Deleted replies only keep their place in the thread
+    const moderator = this.isModerator(actor);
+    const visible = replies.map(reply => (
+      reply.deletedAt || (reply.isHidden && !moderator)
+        ? { ...reply, authorId: null, body: null }
+        : reply
+    ));
+
+    return { ...discussion, replies: buildReplyTree(visible) };
+  }
+
+  /**
+   * Edit a discussion; only its author can
+   * @param {string} classroomId - Classroom ID
+   * @param {string} discussionId - Discussion ID
+   * @param {Object} updateData - title, body
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Updated discussion
+   */
+  async updateDiscussion(classroomId, discussionId, updateData, actor) {
+    await this.getMemberClassroom(classroomId, actor);
+    const discussion = await this.getDiscussion(classroomId, discussionId, actor);
+
+    if (actor && !this.isAuthor(discussion, actor)) {
+      throw new ForbiddenError('Only the author can edit this discussion');
+    }
+
+    if (discussion.isLocked) {
+      throw new ConflictError('This discussion is locked');
+    }
+
+    discussion.set(updateData);
+    discussion.editedAt = new Date();
+    await discussion.save();
+
+    return discussion;
+  }
+
+  /**
+   * Pin, lock or hide a discussion
+   * @param {string} classroomId - Classroom ID
+   * @param {string} discussionId - Discussion ID
+   * @param {Object} moderation - isPinned, isLocked, isHidden
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Updated discussion
+   */
+  async moderateDiscussion(classroomId, discussionId, moderation, actor) {
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, classroomId);
+
+    const discussion = await this.getDiscussion(classroomId, discussionId, actor);
+
+    discussion.set(moderation);
+    discussion.moderatedBy = actor ? actor._id : undefined;
+    await discussion.save();
+
+    return discussion;
+  }
+
+  /**
+   * Delete a discussion and its replies. Authors can delete their own
+   * threads until someone replies; moderators can delete any.
+   * @param {string} classroomId - Classroom ID
+   * @param {string} discussionId - Discussion ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteDiscussion(classroomId, discussionId, actor) {
+    await this.getMemberClassroom(classroomId, actor);
+    const discussion = await this.getDiscussion(classroomId, discussionId, actor);
+
+    if (!this.isModerator(actor)) {
+      if (!this.isAuthor(discussion, actor)) {
+        throw new ForbiddenError('Only the author or the classroom\'s teacher can delete this discussion');
+      }
+
+      if (discussion.replyCount > 0) {
+        throw new ConflictError('Cannot delete a discussion that has replies');
+      }
+    }
+
+    await DiscussionReply.deleteMany({ discussionId });
+    await discussion.deleteOne();
+
+    return true;
+  }
+
+  /**
+   * Reply to a discussion or to one of its replies
+   * @param {string} classroomId - Classroom ID
+   * @param {string} discussionId - Discussion ID
+   * @param {Object} replyData - body, parentId
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Created reply
+   */
+  async createReply(classroomId, discussionId, replyData, actor) {
+    await this.getMemberClassroom(classroomId, actor);
+    const discussion = await this.getDiscussion(classroomId, discussionId, actor);
+
+    if (discussion.isLocked && !this.isModerator(actor)) {
+      throw new ConflictError('This discussion is locked');
+    }
+
+    if (replyData.parentId) {
+      const parent = await DiscussionReply.exists({ _id: replyData.parentId, discussionId });
+
+      if (!parent) {
+        throw new ValidationError('Validation failed', [
+          { field: 'parentId', message: 'parentId must be a reply in this discussion' }
+        ]);
+      }
+    }
+
+    const reply = await DiscussionReply.create({
+      body: replyData.body,
+      parentId: replyData.parentId,
+      discussionId,
+      classroomId,
+      authorId: actor ? actor._id : undefined
+    });
+
+    await Discussion.updateOne(
+      { _id: discussionId },
+      { $inc: { replyCount: 1 }, lastActivityAt: reply.createdAt }
+    );
+
+    return reply;
+  }
+
+  /**
+   * Edit a reply; only its author can
+   * @param {string} classroomId - Classroom ID
+   * @param {string} replyId - Reply ID
+   * @param {Object} updateData - body
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Updated reply
+   */
+  async updateReply(classroomId, replyId, updateData, actor) {
+    await this.getMemberClassroom(classroomId, actor);
+    const { reply, discussion } = await this.getReply(classroomId, replyId, actor);
+
+    if (actor && !this.isAuthor(reply, actor)) {
+      throw new ForbiddenError('Only the author can edit this reply');
+    }
+
+    if (discussion.isLocked && !this.isModerator(actor)) {
+      throw new ConflictError('This discussion is locked');
+    }
+
+    reply.body = updateData.body;
+    reply.editedAt = new Date();
+    await reply.save();
+
+    return reply;
+  }
+
+  /**
+   * Hide or unhide a reply
+   * @param {string} classroomId - Classroom ID
+   * @param {string} replyId - Reply ID
+   * @param {Object} moderation - isHidden
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Updated reply
+   */
+  async moderateReply(classroomId, replyId, moderation, actor) {
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, classroomId);
+
+    const { reply } = await this.getReply(classroomId, replyId, actor);
+
+    reply.isHidden = moderation.isHidden;
+    reply.moderatedBy = actor ? actor._id : undefined;
+    await reply.save();
+
+    return reply;
+  }
+
+  /**
+   * Delete a reply (its author or a moderator). A reply that has answers is
+   * emptied instead, so the answers keep their place in the thread.
+   * @param {string} classroomId - Classroom ID
+   * @param {string} replyId - Reply ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteReply(classroomId, replyId, actor) {
+    await this.getMemberClassroom(classroomId, actor);
+    const { reply } = await this.getReply(classroomId, replyId, actor);
+
+    if (!this.isModerator(actor) && !this.isAuthor(reply, actor)) {
+      throw new ForbiddenError('Only the author or the classroom\'s teacher can delete this reply');
+    }
+
+    const hasAnswers = await DiscussionReply.exists({ parentId: reply._id });
+
+    if (hasAnswers) {
+      reply.body = undefined;
+      reply.deletedAt = new Date();
+      await reply.save();
+    } else {
+      await reply.deleteOne();
+    }
+
+    await Discussion.updateOne({ _id: reply.discussionId }, { $inc: { replyCount: -1 } });
+
+    return true;
+  }
+
+  /**
+   * Delete the discussions and replies of a classroom that is being deleted
+   * @param {string} classroomId - Classroom ID
+   * @param {Object} session - Mongoose session of the surrounding transaction
+   * @returns {Promise<void>}
+   */
+  async removeClassroom(classroomId, session) {
+    await DiscussionReply.deleteMany({ classroomId }, { session });
+    await Discussion.deleteMany({ classroomId }, { session });
+  }
+}
+
+module.exports = new DiscussionService();
@@ -0,0 +1,120 @@
+// services/eligibilityService.js
+const Student = require('../models/Student');
+const Classroom = require('../models/Classroom');
+const Enrollment = require('../models/Enrollment');
+const transcriptService = require('./transcriptService');
+const accessPolicy = require('../policies/accessPolicy');
+const { findUnmetRequirements } = require('../utils/eligibility');
+const ErrorResponse = require('../utils/errorResponse');
+const { NotFoundError } = ErrorResponse;
+
+/**
+ * Service layer for enrollment prerequisites and eligibility
+ */
+class EligibilityService {
+  /**
+   * Evaluate a classroom's enrollment requirements for a student. Prerequisites
+   * are checked against the final grades of completed classrooms, co-requisites
+   * against the classrooms the student is enrolled in or waiting for now.
+   * @param {Object} student - Student document
+   * @param {Object} classroom - Classroom document
+   * @returns {Promise<Object>} { eligible, unmet }
+   */
+  async evaluateEligibility(student, classroom) {
+    const requirements = classroom.enrollmentRequirements;
+    
+    if (!this.hasRequirements(requirements)) {
+      return { eligible: true, unmet: [] };
+    }
+    
+    const enrollments = await Enrollment.find({
+      studentId: student._id,
+      classroomId: { $ne: classroom._id },
+      status: { $in: ['completed', 'active', 'waitlisted'] }
+    }).select('classroomId status');
+    
+    // A running average of a classroom still in progress is not a final grade
+    const completedIds = new Set(enrollments
+      .filter(enrollment => enrollment.status === 'completed')
+      .map(enrollment => enrollment.classroomId.toString()));
+    const courses = completedIds.size > 0
+      ? (await transcriptService.getStudentCourses(student._id))
+        .filter(course => completedIds.has(course.classroomId.toString()))
+      : [];
+    
+    const currentIds = enrollments
+      .filter(enrollment => enrollment.status !== 'completed')
+      .map(enrollment => enrollment.classroomId);
+    const current = await Classroom.find({ _id: { $in: currentIds } }).select('subject');
+    const currentClassrooms = current.map(c => ({ classroomId: c._id, subject: c.subject }));
+    
+    // Requirements on a specific classroom are reported by its name
+    const referencedIds = [...requirements.prerequisites, ...requirements.corequisites]
+      .map(requirement => requirement.classroomId)
+      .filter(Boolean);
+    const referenced = await Classroom.find({ _id: { $in: referencedIds } }).select('name');
+    const classroomNames = new Map(referenced.map(c => [c._id.toString(), c.name]));
+    
+    const unmet = findUnmetRequirements(
+      requirements,
+      { grade: student.grade, courses, currentClassrooms },
+      classroomNames
+    );
+    
+    return { eligible: unmet.length === 0, unmet };
+  }
+
+  /**
+   * Reject an enrollment whose requirements are not met
+   * @param {Object} student - Student document
+   * @param {Object} classroom - Classroom document
+   * @throws {ErrorResponse} 422 listing the unmet requirements
+   */
+  async assertEligible(student, classroom) {
+    const { eligible, unmet } = await this.evaluateEligibility(student, classroom);
+    
+    if (!eligible) {
+      throw new ErrorResponse('Enrollment requirements are not met', 422, 'ENROLLMENT_REQUIREMENTS_NOT_MET', unmet);
+    }
+  }
+
+  /**
+   * Check whether a student may enroll in a classroom
+   * @param {string} studentId - Student ID
+   * @param {string} classroomId - Classroom ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} { eligible, unmet }
+   */
+  async getEligibility(studentId, classroomId, actor) {
+    if (actor) await accessPolicy.assertCanViewStudent(actor, studentId);
+    
+    const student = await Student.findById(studentId);
+    
+    if (!student) {
+      throw new NotFoundError(`No student found with id ${studentId}`);
+    }
+    
+    const classroom = await Classroom.findById(classroomId);
+    
+    if (!classroom) {
+      throw new NotFoundError(`No classroom found with id ${classroomId}`);
+    }
+    
+    return this.evaluateEligibility(student, classroom);
+  }
+
+  /**
+   * Whether a classroom restricts enrollment at all
+   * @param {Object} requirements - Classroom.enrollmentRequirements
+   * @returns {Boolean} True if any requirement is declared
+   */
+  hasRequirements(requirements) {
+    return Boolean(requirements) && (
+      requirements.allowedGradeLevels.length > 0 ||
+      requirements.prerequisites.length > 0 ||
+      requirements.corequisites.length > 0
+    );
+  }
+}
+
+module.exports = new EligibilityService();
@@ -0,0 +1,555 @@
+// services/enrollmentService.js
+const Enrollment = require('../models/Enrollment');
+const Classroom = require('../models/Classroom');
+const Student = require('../models/Student');
+const timetableService = require('./timetableService');
+const accessPolicy = require('../policies/accessPolicy');
+const eventBus = require('../events/eventBus');
+const { STUDENT_ENROLLED } = require('../events/eventTypes');
+const { enrollmentWindows, outsideWindowsFilter } = require('../utils/enrollmentWindows');
+const { NotFoundError, ConflictError, ValidationError } = require('../utils/errorResponse');
+const mongoose = require('mongoose');
+
+/**
+ * Service layer for enrollments. Every change to who is in (or waiting for) a
+ * classroom goes through here, so the Enrollment collection and the roster
+ * caches (`Classroom.students`, `Student.classrooms`) change together.
+ */
+class EnrollmentService {
+  /**
+   * Enroll a student in a classroom, or put them on its waitlist when the
+   * classroom is at capacity
+   * @param {Object} student - Student document
+   * @param {Object} classroom - Classroom document
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} The enrollment (status active or waitlisted)
+   */
+  async enroll(student, classroom, actor) {
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+
+      // Decide everything from reads inside the transaction, so concurrent
+      // enrollments cannot all see the same free seat
+      let enrollment = await Enrollment.findOne({ studentId: student._id, classroomId: classroom._id })
+        .session(session);
+
+      if (enrollment && enrollment.status === 'active') {
+        throw new ConflictError('Student is already enrolled in this classroom');
+      }
+
+      if (enrollment && enrollment.status === 'completed') {
+        throw new ConflictError('Student has already completed this classroom');
+      }
+
+      const current = await Classroom.findById(classroom._id).session(session);
+
+      if (!current) {
+        throw new NotFoundError('Classroom not found');
+      }
+
+      timetableService.assertNoConflicts(
+        await timetableService.findStudentConflicts(student._id, current, session)
+      );
+
+      const gotSeat = await this.claimSeat(student._id, current._id, session);
+
+      if (enrollment && enrollment.status === 'waitlisted' && !gotSeat) {
+        throw new ConflictError('Student is already on the waitlist for this classroom');
+      }
+
+      if (!enrollment) {
+        enrollment = new Enrollment({ studentId: student._id, classroomId: classroom._id });
+      }
+
+      const now = new Date();
+
+      if (gotSeat) {
+        enrollment.set({ status: 'active', enrolledAt: now });
+      } else {
+        // Over capacity the student queues for the next free seat
+        enrollment.set({ status: 'waitlisted', waitlistedAt: now });
+      }
+
+      // A re-enrollment keeps the earlier withdrawal in the history only
+      enrollment.set({ withdrawnAt: undefined, withdrawnBy: undefined, reason: undefined });
+      enrollment.history.push({
+        action: gotSeat ? 'enrolled' : 'waitlisted',
+        at: now,
+        by: actor ? actor._id : undefined
+      });
+      await enrollment.save({ session });
+
+      if (gotSeat) {
+        await this.addToRoster([student._id], classroom._id, session);
+      }
+
+      await session.commitTransaction();
+      return enrollment;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Take a seat in a classroom if one is free. The roster only grows while it
+   * is under capacity, and the write makes concurrent claims conflict.
+   * @param {string} studentId - Student ID
+   * @param {string} classroomId - Classroom ID
+   * @param {Object} session - Mongoose session of the surrounding transaction
+   * @returns {Promise<boolean>} True when the student got a seat
+   */
+  async claimSeat(studentId, classroomId, session) {
+    const result = await Classroom.updateOne(
+      {
+        _id: classroomId,
+        $expr: {
+          $or: [
+            { $not: ['$maxCapacity'] },
+            { $lt: [{ $size: '$students' }, '$maxCapacity'] }
+          ]
+        }
+      },
+      { $addToSet: { students: studentId } },
+      { session }
+    );
+
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Withdraw a student from a classroom or its waitlist. A freed seat goes to
+   * the next student on the waitlist.
+   * @param {string} studentId - Student ID
+   * @param {string} classroomId - Classroom ID
+   * @param {string} [reason] - Why the student left
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} The withdrawn enrollment
+   */
+  async withdraw(studentId, classroomId, reason, actor) {
+    const enrollment = await Enrollment.findOne({
+      studentId,
+      classroomId,
+      status: { $in: ['active', 'waitlisted'] }
+    });
+
+    if (!enrollment) {
+      throw new ValidationError('Student is not enrolled in this classroom');
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+
+      const heldSeat = enrollment.status === 'active';
+
+      const now = new Date();
+      const by = actor ? actor._id : undefined;
+
+      enrollment.set({ status: 'withdrawn', withdrawnAt: now, withdrawnBy: by, reason });
+      enrollment.history.push({ action: 'withdrawn', at: now, by, reason });
+      await enrollment.save({ session });
+
+      let admitted = [];
+      if (heldSeat) {
+        await this.removeFromRoster([studentId], classroomId, session);
+        admitted = await this.admitWaitlisted(classroomId, session);
+      }
+
+      await session.commitTransaction();
+      this.publishAdmissions(classroomId, admitted);
+      return enrollment;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Admit waitlisted students into free seats, in waitlist order. Students
+   * whose timetable now clashes with the classroom keep their place.
+   * @param {string} classroomId - Classroom ID
+   * @param {Object} session - Mongoose session of the surrounding transaction
+   * @returns {Promise<Array>} IDs of the admitted students
+   */
+  async admitWaitlisted(classroomId, session) {
+    const classroom = await Classroom.findById(classroomId).session(session);
+
+    if (!classroom || !classroom.isActive) {
+      return [];
+    }
+
+    const waitlist = await this.getWaitlist(classroomId, session);
+    const freeSeats = classroom.maxCapacity
+      ? classroom.maxCapacity - classroom.students.length
+      : waitlist.length;
+    const admitted = [];
+
+    for (const enrollment of waitlist) {
+      if (admitted.length >= freeSeats) break;
+
+      const conflicts = await timetableService.findStudentConflicts(enrollment.studentId, classroom, session);
+      if (conflicts.length > 0) continue;
+
+      const now = new Date();
+
+      enrollment.set({ status: 'active', enrolledAt: now });
+      enrollment.history.push({ action: 'enrolled', at: now, reason: 'Admitted from the waitlist' });
+      await enrollment.save({ session });
+      admitted.push(enrollment.studentId);
+    }
+
+    if (admitted.length > 0) {
+      await this.addToRoster(admitted, classroomId, session);
+    }
+
+    return admitted;
+  }
+
+  /**
+   * Publish an enrollment event for each student admitted from the waitlist,
+   * once the admissions are committed
+   * @param {string} classroomId - Classroom ID
+   * @param {Array} studentIds - IDs of the admitted students
+   */
+  publishAdmissions(classroomId, studentIds) {
+    studentIds.forEach(studentId => eventBus.publish(STUDENT_ENROLLED, { studentId, classroomId }));
+  }
+
+  /**
+   * Admit waitlisted students in a transaction of their own, e.g. after the
+   * classroom's capacity was raised
+   * @param {string} classroomId - Classroom ID
+   * @returns {Promise<Array>} IDs of the admitted students
+   */
+  async promoteFromWaitlist(classroomId) {
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+
+      const admitted = await this.admitWaitlisted(classroomId, session);
+
+      await session.commitTransaction();
+      this.publishAdmissions(classroomId, admitted);
+      return admitted;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Close or reopen a classroom's enrollments when it is deactivated or
+   * reactivated. Closing completes the roster and drops the waitlist.
+   * @param {string} classroomId - Classroom ID
+   * @param {boolean} isActive - New active state of the classroom
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<void>}
+   */
+  async setClassroomActive(classroomId, isActive, actor) {
+    const at = new Date();
+    const by = actor ? actor._id : undefined;
+
+    if (isActive) {
+      await Enrollment.updateMany(
+        { classroomId, status: 'completed' },
+        {
+          $set: { status: 'active' },
+          $unset: { completedAt: 1 },
+          $push: { history: { action: 'reopened', at, by } }
+        }
+      );
+      return;
+    }
+
+    await Enrollment.updateMany(
+      { classroomId, status: 'active' },
+      {
+        $set: { status: 'completed', completedAt: at },
+        $push: { history: { action: 'completed', at, by } }
+      }
+    );
+
+    const reason = 'Classroom closed';
+    await Enrollment.updateMany(
+      { classroomId, status: 'waitlisted' },
+      {
+        $set: { status: 'withdrawn', withdrawnAt: at, withdrawnBy: by, reason },
+        $push: { history: { action: 'withdrawn', at, by, reason } }
+      }
+    );
+  }
+
+  /**
+   * Remove every enrollment of a classroom that is being deleted
+   * @param {Object} classroom - Classroom document
+   * @param {Object} session - Mongoose session of the surrounding transaction
+   * @returns {Promise<void>}
+   */
+  async removeClassroom(classroom, session) {
+    await Student.updateMany(
+      { _id: { $in: classroom.students } },
+      { $pull: { classrooms: classroom._id } },
+      { session }
+    );
+
+    await Enrollment.deleteMany({ classroomId: classroom._id }, { session });
+  }
+
+  /**
+   * Add students to the roster caches of a classroom
+   * @param {Array} studentIds - Student IDs
+   * @param {string} classroomId - Classroom ID
+   * @param {Object} session - Mongoose session of the surrounding transaction
+   * @returns {Promise<void>}
+   */
+  async addToRoster(studentIds, classroomId, session) {
+    await Classroom.findByIdAndUpdate(
+      classroomId,
+      { $addToSet: { students: { $each: studentIds } } },
+      { session }
+    );
+
+    await Student.updateMany(
+      { _id: { $in: studentIds } },
+      { $addToSet: { classrooms: classroomId } },
+      { session }
+    );
+  }
+
+  /**
+   * Remove students from the roster caches of a classroom
+   * @param {Array} studentIds - Student IDs
+   * @param {string} classroomId - Classroom ID
+   * @param {Object} session - Mongoose session of the surrounding transaction
+   * @returns {Promise<void>}
+   */
+  async removeFromRoster(studentIds, classroomId, session) {
+    await Classroom.findByIdAndUpdate(
+      classroomId,
+      { $pullAll: { students: studentIds } },
+      { session }
+    );
+
+    await Student.updateMany(
+      { _id: { $in: studentIds } },
+      { $pull: { classrooms: classroomId } },
+      { session }
+    );
+  }
+
+  /**
+   * Waitlisted enrollments of a classroom, in admission order
+   * @param {string} classroomId - Classroom ID
+   * @param {Object} [session] - Mongoose session
+   * @returns {Query} Enrollments
+   */
+  getWaitlist(classroomId, session = null) {
+    return Enrollment.find({ classroomId, status: 'waitlisted' })
+      .sort({ waitlistedAt: 1, _id: 1 })
+      .session(session);
+  }
+
+  /**
+   * 1-based waitlist position of a student, or null if not waiting
+   * @param {string} studentId - Student ID
+   * @param {string} classroomId - Classroom ID
+   * @returns {Promise<number|null>} Position
+   */
+  async getWaitlistPosition(studentId, classroomId) {
+    const waitlist = await this.getWaitlist(classroomId);
+    const index = waitlist.findIndex(enrollment => enrollment.studentId.toString() === studentId.toString());
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Get the waitlist of a classroom, in admission order
+   * @param {string} classroomId - Classroom ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Array>} Waitlist entries with their position
+   */
+  async getClassroomWaitlist(classroomId, actor) {
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, classroomId);
+
+    const classroom = await Classroom.exists({ _id: classroomId });
+
+    if (!classroom) {
+      throw new NotFoundError('Classroom not found');
+    }
+
+    const waitlist = await this.getWaitlist(classroomId)
+      .populate('studentId', 'userId studentId grade');
+
+    return waitlist.map((enrollment, index) => ({
+      position: index + 1,
+      student: enrollment.studentId,
+      addedAt: enrollment.waitlistedAt
+    }));
+  }
+
+  /**
+   * Get the waitlists a student is on, with their position in each
+   * @param {string} studentId - Student ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Array>} Waitlist positions
+   */
+  async getStudentWaitlists(studentId, actor) {
+    if (actor) await accessPolicy.assertCanViewStudent(actor, studentId);
+
+    const student = await Student.findById(studentId);
+
+    if (!student) {
+      throw new NotFoundError(`No student found with id ${studentId}`);
+    }
+
+    const enrollments = await Enrollment.find({ studentId, status: 'waitlisted' })
+      .populate('classroomId', 'name subject semester year');
+
+    return Promise.all(enrollments
+      .filter(enrollment => enrollment.classroomId)
+      .map(async enrollment => {
+        const classroom = enrollment.classroomId;
+        const waitlist = await this.getWaitlist(classroom._id);
+
+        return {
+          classroomId: classroom._id,
+          name: classroom.name,
+          subject: classroom.subject,
+          semester: classroom.semester,
+          year: classroom.year,
+          position: waitlist.findIndex(entry => entry._id.equals(enrollment._id)) + 1,
+          waitlistCount: waitlist.length,
+          addedAt: enrollment.waitlistedAt
+        };
+      }));
+  }
+
+  /**
+   * Get a student's enrollments, past and present
+   * @param {string} studentId - Student ID
+   * @param {Object} query - Filter query (status)
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Array>} Enrollments with their history
+   */
+  async getStudentEnrollments(studentId, query = {}, actor) {
+    if (actor) await accessPolicy.assertCanViewStudent(actor, studentId);
+
+    const student = await Student.exists({ _id: studentId });
+
+    if (!student) {
+      throw new NotFoundError(`No student found with id ${studentId}`);
+    }
+
+    const filterObj = { studentId };
+    if (query.status) filterObj.status = query.status;
+
+    return Enrollment.find(filterObj)
+      .populate('classroomId', 'name subject semester year')
+      .populate('history.by', 'firstName lastName role')
+      .sort({ updatedAt: -1 });
+  }
+
+  /**
+   * Get a classroom's enrollments, including withdrawn and waitlisted students
+   * @param {string} classroomId - Classroom ID
+   * @param {Object} query - Filter query (status)
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Array>} Enrollments with their history
+   */
+  async getClassroomEnrollments(classroomId, query = {}, actor) {
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, classroomId);
+
+    const classroom = await Classroom.exists({ _id: classroomId });
+
+    if (!classroom) {
+      throw new NotFoundError('Classroom not found');
+    }
+
+    const filterObj = { classroomId };
+    if (query.status) filterObj.status = query.status;
+
+    return Enrollment.find(filterObj)
+      .populate('studentId', 'userId studentId grade')
+      .populate('history.by', 'firstName lastName role')
+      .sort({ status: 1, enrolledAt: 1 });
+  }
+
+  /**
+   * Enrollment windows of every student ever enrolled in a classroom
+   * @param {string} classroomId - Classroom ID
+   * @returns {Promise<Map>} Windows by student ID
+   */
+  async getWindowsByStudent(classroomId) {
+    const enrollments = await Enrollment.find({ classroomId })
+      .select('studentId status enrolledAt withdrawnAt completedAt history');
+
+    return new Map(enrollments.map(enrollment => [
+      enrollment.studentId.toString(),
+      { studentId: enrollment.studentId, windows: enrollmentWindows(enrollment) }
+    ]));
+  }
+
+  /**
+   * Enrollment windows of a student in a classroom, or null when the student
+   * has no enrollment there
+   * @param {string} studentId - Student ID
+   * @param {string} classroomId - Classroom ID
+   * @returns {Promise<Array|null>} Windows
+   */
+  async getWindows(studentId, classroomId) {
+    const enrollment = await Enrollment.findOne({ studentId, classroomId })
+      .select('status enrolledAt withdrawnAt completedAt history');
+
+    return enrollment ? enrollmentWindows(enrollment) : null;
+  }
+
+  /**
+   * Filter on unwound attendance records that leaves out records taken while
+   * the student was not enrolled
+   * @param {string} classroomId - Classroom ID
+   * @returns {Promise<Object>} Aggregation $match filter
+   */
+  async getAttendanceRecordFilter(classroomId) {
+    const windowsByStudent = await this.getWindowsByStudent(classroomId);
+
+    return outsideWindowsFilter(
+      [...windowsByStudent.values()].map(({ studentId, windows }) => ({
+        match: { 'records.studentId': studentId },
+        windows
+      })),
+      'date'
+    );
+  }
+
+  /**
+   * Filter on a student's attendance (by classroom) that leaves out sessions
+   * held while the student was not enrolled
+   * @param {string} studentId - Student ID
+   * @param {string} [classroomId] - Limit to one classroom
+   * @returns {Promise<Object>} Aggregation $match filter
+   */
+  async getStudentAttendanceFilter(studentId, classroomId) {
+    const filterObj = { studentId };
+    if (classroomId) filterObj.classroomId = classroomId;
+
+    const enrollments = await Enrollment.find(filterObj)
+      .select('classroomId status enrolledAt withdrawnAt completedAt history');
+
+    return outsideWindowsFilter(
+      enrollments.map(enrollment => ({
+        match: { classroomId: enrollment.classroomId },
+        windows: enrollmentWindows(enrollment)
+      })),
+      'date'
+    );
+  }
+}
+
+module.exports = new EnrollmentService();
@@ -0,0 +1,115 @@
+// services/gradeScaleService.js
+const GradeScale = require('../models/GradeScale');
+const Classroom = require('../models/Classroom');
+const { DEFAULT_GRADE_BANDS } = require('../utils/gradeScale');
+const { NotFoundError, ConflictError } = require('../utils/errorResponse');
+
+/**
+ * Service layer for GradeScale operations
+ */
+class GradeScaleService {
+  /**
+   * Create a grade scale
+   * @param {Object} scaleData - The grade scale data
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Created grade scale
+   */
+  async createGradeScale(scaleData, actor) {
+    const scale = new GradeScale({
+      ...scaleData,
+      createdBy: actor ? actor._id : undefined
+    });
+    
+    await scale.save();
+    if (scale.isDefault) await this.clearOtherDefaults(scale._id);
+    
+    return scale;
+  }
+
+  /**
+   * Get all grade scales
+   * @returns {Promise<Array>} Array of grade scales
+   */
+  async getGradeScales() {
+    const scales = await GradeScale.find().sort({ isDefault: -1, name: 1 });
+    return scales;
+  }
+
+  /**
+   * Get a grade scale by ID
+   * @param {string} id - Grade scale ID
+   * @returns {Promise<Object>} The grade scale
+   */
+  async getGradeScaleById(id) {
+    const scale = await GradeScale.findById(id);
+    
+    if (!scale) {
+      throw new NotFoundError('Grade scale not found');
+    }
+    
+    return scale;
+  }
+
+  /**
+   * Update a grade scale
+   * @param {string} id - Grade scale ID
+   * @param {Object} updateData - Updated grade scale data
+   * @returns {Promise<Object>} Updated grade scale
+   */
+  async updateGradeScale(id, updateData) {
+    const scale = await this.getGradeScaleById(id);
+    
+    scale.set(updateData);
+    await scale.save();
+    if (scale.isDefault) await this.clearOtherDefaults(scale._id);
+    
+    return scale;
+  }
+
+  /**
+   * Delete a grade scale no classroom uses
+   * @param {string} id - Grade scale ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteGradeScale(id) {
+    const scale = await this.getGradeScaleById(id);
+    
+    const classroomCount = await Classroom.countDocuments({ gradeScaleId: id });
+    
+    if (classroomCount > 0) {
+      throw new ConflictError(`Cannot delete grade scale used by ${classroomCount} classrooms`);
+    }
+    
+    await scale.deleteOne();
+    
+    return true;
+  }
+
+  /**
+   * Only one scale can be the default
+   * @param {string} defaultId - ID of the new default scale
+   * @returns {Promise<void>}
+   */
+  async clearOtherDefaults(defaultId) {
+    await GradeScale.updateMany({ _id: { $ne: defaultId }, isDefault: true }, { isDefault: false });
+  }
+
+  /**
+   * Resolve the bands that apply to a classroom: its own scale, else the
+   * default scale, else the built-in A-F scale
+   * @param {Object} classroom - Classroom (with gradeScaleId)
+   * @returns {Promise<Object>} Scale name and bands
+   */
+  async getScaleForClassroom(classroom) {
+    const scale = (classroom.gradeScaleId && await GradeScale.findById(classroom.gradeScaleId))
+      || await GradeScale.findOne({ isDefault: true });
+    
+    if (!scale) {
+      return { name: 'Standard', bands: DEFAULT_GRADE_BANDS };
+    }
+    
+    return { name: scale.name, bands: scale.bands };
+  }
+}
+
+module.exports = new GradeScaleService();
@@ -1,5 +1,17 @@
 // services/gradeService.js
 const Grade = require('../models/Grade');
+const Assignment = require('../models/Assignment');
+const Classroom = require('../models/Classroom');
+const gradeScaleService = require('./gradeScaleService');
+const termService = require('./termService');
+const enrollmentService = require('./enrollmentService');
+const { calculateAverage } = require('../utils/gradeCalculator');
+const { toLetterGrade } = require('../utils/gradeScale');
+const { isWithinWindows } = require('../utils/enrollmentWindows');
+const accessPolicy = require('../policies/accessPolicy');
+const eventBus = require('../events/eventBus');
+const { GRADE_POSTED, GRADE_UPDATED, GRADE_DELETED } = require('../events/eventTypes');
+const { NotFoundError, ValidationError } = require('../utils/errorResponse');
 const mongoose = require('mongoose');
 
 /**
@@ -9,203 +21,447 @@ class GradeService {
   /**
    * Create a new grade
    * @param {Object} gradeData - The grade data
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Promise<Object>} Created grade
    */
-  async createGrade(gradeData) {
-    try {
-      const grade = await Grade.create(gradeData);
-      return grade;
-    } catch (error) {
-      throw new Error(`Error creating grade: ${error.message}`);
+  async createGrade(gradeData, actor) {
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, gradeData.classroomId);
+    
+    if (gradeData.assignmentId) {
+      gradeData = { ...gradeData, ...await this.getAssignmentFields(gradeData) };
     }
+    
+    const grade = await Grade.create({
+      ...gradeData,
+      gradedBy: actor ? actor._id : gradeData.gradedBy,
+      gradedAt: Date.now()
+    });
+    
+    eventBus.publish(GRADE_POSTED, {
+      gradeId: grade._id,
+      studentId: grade.studentId,
+      classroomId: grade.classroomId,
+      assignmentName: grade.assignmentName,
+      score: grade.score,
+      maxScore: grade.maxScore
+    });
+    
+    return grade;
+  }
+
+  /**
+   * Resolve the assignment fields copied onto a grade from its Assignment
+   * @param {Object} gradeData - The grade data (with assignmentId)
+   * @returns {Promise<Object>} Assignment fields for the grade
+   */
+  async getAssignmentFields(gradeData) {
+    const assignment = await Assignment.findById(gradeData.assignmentId);
+    
+    if (!assignment) {
+      throw new NotFoundError('Assignment not found');
+    }
+    
+    if (assignment.classroomId.toString() !== gradeData.classroomId.toString()) {
+      throw new ValidationError('Validation failed', [
+        { field: 'assignmentId', message: 'Assignment does not belong to this classroom' }
+      ]);
+    }
+    
+    if (gradeData.score > assignment.maxScore) {
+      throw new ValidationError('Validation failed', [
+        { field: 'score', message: 'score cannot be greater than maxScore' }
+      ]);
+    }
+    
+    return {
+      assignmentName: assignment.title,
+      assignmentType: assignment.type,
+      maxScore: assignment.maxScore,
+      weightage: assignment.weight,
+      dueDate: assignment.dueDate,
+      isExtraCredit: assignment.isExtraCredit
+    };
   }
 
   /**
    * Get a grade by ID
    * @param {string} id - Grade ID
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Promise<Object>} The grade
    */
-  async getGradeById(id) {
-    try {
-      const grade = await Grade.findById(id);
-      if (!grade) {
-        throw new Error('Grade not found');
-      }
-      return grade;
-    } catch (error) {
-      throw new Error(`Error retrieving grade: ${error.message}`);
+  async getGradeById(id, actor) {
+    const grade = await Grade.findById(id);
+    if (!grade) {
+      throw new NotFoundError('Grade not found');
     }
+    
+    if (actor) await accessPolicy.assertCanViewStudent(actor, grade.studentId);
+    
+    return grade;
   }
 
   /**
    * Get all grades for a student
    * @param {string} studentId - Student ID
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Promise<Array>} Array of grades
    */
-  async getGradesByStudent(studentId) {
-    try {
-      const grades = await Grade.find({ studentId })
-        .populate('classroomId', 'name subject')
-        .sort({ submissionDate: -1 });
-      return grades;
-    } catch (error) {
-      throw new Error(`Error retrieving student grades: ${error.message}`);
-    }
+  async getGradesByStudent(studentId, actor) {
+    if (actor) await accessPolicy.assertCanViewStudent(actor, studentId);
+    
+    const grades = await Grade.find({ studentId })
+      .populate('classroomId', 'name subject')
+      .sort({ submissionDate: -1 });
+    return grades;
   }
 
   /**
    * Get all grades for a classroom
    * @param {string} classroomId - Classroom ID
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Promise<Array>} Array of grades
    */
-  async getGradesByClassroom(classroomId) {
-    try {
-      const grades = await Grade.find({ classroomId })
-        .populate('studentId', 'userId')
-        .populate('gradedBy', 'username')
-        .sort({ submissionDate: -1 });
-      return grades;
-    } catch (error) {
-      throw new Error(`Error retrieving classroom grades: ${error.message}`);
-    }
+  async getGradesByClassroom(classroomId, actor) {
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, classroomId);
+    
+    const grades = await Grade.find({ classroomId })
+      .populate('studentId', 'userId')
+      .populate('gradedBy', 'username')
+      .sort({ submissionDate: -1 });
+    return grades;
   }
 
   /**
    * Get student's grades for a specific classroom
    * @param {string} studentId - Student ID
    * @param {string} classroomId - Classroom ID
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Promise<Array>} Array of grades
    */
-  async getStudentClassroomGrades(studentId, classroomId) {
-    try {
-      const grades = await Grade.find({ studentId, classroomId })
-        .sort({ submissionDate: -1 });
-      return grades;
-    } catch (error) {
-      throw new Error(`Error retrieving student classroom grades: ${error.message}`);
-    }
+  async getStudentClassroomGrades(studentId, classroomId, actor) {
+    if (actor) await accessPolicy.assertCanViewStudent(actor, studentId);
+    
+    const grades = await Grade.find({ studentId, classroomId })
+      .sort({ submissionDate: -1 });
+    return grades;
   }
 
   /**
-   * Calculate student's average grade for a classroom
+   * Calculate student's average grade for a classroom using its grading policy
    * @param {string} studentId - Student ID
    * @param {string} classroomId - Classroom ID
-   * @returns {Promise<number>} Average grade percentage
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Average percentage (null if nothing is graded) and category breakdown
    */
-  async getStudentAverage(studentId, classroomId) {
-    try {
-      const grades = await Grade.find({ studentId, classroomId });
-      
-      if (grades.length === 0) {
-        return 0;
-      }
-      
-      let totalWeightedScore = 0;
-      let totalWeightage = 0;
-      
-      grades.forEach(grade => {
-        const percentage = (grade.score / grade.maxScore) * 100;
-        totalWeightedScore += percentage * grade.weightage;
-        totalWeightage += grade.weightage;
-      });
-      
-      return totalWeightage > 0 ? (totalWeightedScore / totalWeightage).toFixed(2) : 0;
-    } catch (error) {
-      throw new Error(`Error calculating student average: ${error.message}`);
+  async getStudentAverage(studentId, classroomId, actor) {
+    if (actor) await accessPolicy.assertCanViewStudent(actor, studentId);
+    
+    const classroom = await this.getGradingPolicyClassroom(classroomId);
+    const grades = await Grade.find({ studentId, classroomId });
+    
+    return calculateAverage(grades, classroom.gradingPolicy);
+  }
+
+  /**
+   * Compute a student's final grade for a classroom's term
+   * @param {string} studentId - Student ID
+   * @param {string} classroomId - Classroom ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Average, letter grade, GPA points and credits
+   */
+  async getStudentFinalGrade(studentId, classroomId, actor) {
+    if (actor) await accessPolicy.assertCanViewStudent(actor, studentId);
+    
+    const classroom = await Classroom.findById(classroomId);
+    
+    if (!classroom) {
+      throw new NotFoundError('Classroom not found');
     }
+    
+    const grades = await Grade.find({ studentId, classroomId });
+    
+    return this.buildFinalGrade(classroom, grades);
+  }
+
+  /**
+   * Turn a student's grades in a classroom into a final grade
+   * @param {Object} classroom - Classroom document
+   * @param {Array} grades - The student's grades in the classroom
+   * @returns {Promise<Object>} Final grade (letter and points are null while nothing is graded)
+   */
+  async buildFinalGrade(classroom, grades) {
+    const { average, categories } = calculateAverage(grades, classroom.gradingPolicy);
+    const scale = await gradeScaleService.getScaleForClassroom(classroom);
+    const letterGrade = toLetterGrade(average, scale.bands);
+    
+    return {
+      classroomId: classroom._id,
+      name: classroom.name,
+      subject: classroom.subject,
+      year: classroom.year,
+      semester: classroom.semester,
+      credits: classroom.credits,
+      average,
+      letter: letterGrade ? letterGrade.letter : null,
+      gpaPoints: letterGrade ? letterGrade.gpaPoints : null,
+      gradeScale: scale.name,
+      categories
+    };
+  }
+
+  /**
+   * Load the grading policy of a classroom
+   * @param {string} classroomId - Classroom ID
+   * @returns {Promise<Object>} Classroom with its grading policy
+   */
+  async getGradingPolicyClassroom(classroomId) {
+    const classroom = await Classroom.findById(classroomId).select('gradingPolicy');
+    
+    if (!classroom) {
+      throw new NotFoundError('Classroom not found');
+    }
+    
+    return classroom;
   }
 
   /**
    * Update a grade
    * @param {string} id - Grade ID
    * @param {Object} updateData - Updated grade data
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Promise<Object>} Updated grade
    */
-  async updateGrade(id, updateData) {
-    try {
-      const grade = await Grade.findByIdAndUpdate(id, updateData, {
-        new: true,
-        runValidators: true
-      });
+  async updateGrade(id, updateData, actor) {
+    if (actor) {
+      const existingGrade = await Grade.findById(id).select('classroomId');
+      if (existingGrade) await accessPolicy.assertCanManageClassroom(actor, existingGrade.classroomId);
+    }
+    
+    const grade = await Grade.findById(id);
+    
+    if (!grade) {
+      throw new NotFoundError('Grade not found');
+    }
+    
+    // Assignment details of linked grades are edited on the Assignment itself
+    if (grade.assignmentId) {
+      const lockedFields = ['assignmentName', 'assignmentType', 'maxScore', 'weightage', 'dueDate', 'isExtraCredit']
+        .filter(field => updateData[field] !== undefined);
       
-      if (!grade) {
-        throw new Error('Grade not found');
+      if (lockedFields.length > 0) {
+        throw new ValidationError('Validation failed', lockedFields.map(field => ({
+          field,
+          message: `${field} is taken from the assignment`
+        })));
       }
-      
-      return grade;
-    } catch (error) {
-      throw new Error(`Error updating grade: ${error.message}`);
     }
+    
+    // Partial updates may change only one side of the score/maxScore pair
+    const score = updateData.score !== undefined ? updateData.score : grade.score;
+    const maxScore = updateData.maxScore !== undefined ? updateData.maxScore : grade.maxScore;
+    
+    if (score > maxScore) {
+      throw new ValidationError('Validation failed', [
+        { field: 'score', message: 'score cannot be greater than maxScore' }
+      ]);
+    }
+    
+    grade.set(updateData);
+    
+    if (actor) {
+      grade.gradedBy = actor._id;
+      grade.gradedAt = Date.now();
+    }
+    
+    // save() (rather than findByIdAndUpdate) so the late-submission hook runs
+    await grade.save();
+    
+    eventBus.publish(GRADE_UPDATED, {
+      gradeId: grade._id,
+      studentId: grade.studentId,
+      classroomId: grade.classroomId
+    });
+    
+    return grade;
   }
 
   /**
    * Delete a grade
    * @param {string} id - Grade ID
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Promise<boolean>} True if deleted
    */
-  async deleteGrade(id) {
-    try {
-      const grade = await Grade.findByIdAndDelete(id);
-      
-      if (!grade) {
-        throw new Error('Grade not found');
-      }
-      
-      return true;
-    } catch (error) {
-      throw new Error(`Error deleting grade: ${error.message}`);
+  async deleteGrade(id, actor) {
+    if (actor) {
+      const existingGrade = await Grade.findById(id).select('classroomId');
+      if (existingGrade) await accessPolicy.assertCanManageClassroom(actor, existingGrade.classroomId);
     }
+    
+    const grade = await Grade.findByIdAndDelete(id);
+    
+    if (!grade) {
+      throw new NotFoundError('Grade not found');
+    }
+    
+    eventBus.publish(GRADE_DELETED, {
+      gradeId: grade._id,
+      studentId: grade.studentId,
+      classroomId: grade.classroomId
+    });
+    
+    return true;
   }
 
   /**
-   * Get grade statistics for a classroom
+   * Get grade statistics for a classroom. Scores are the students' averages
+   * under the classroom's grading policy; classrooms in an academic term also
+   * get a breakdown per grading period. Grades submitted while a student was
+   * not enrolled are left out.
    * @param {string} classroomId - Classroom ID
+   * @param {Object} query - Filter query (gradingPeriod: name or ID)
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Promise<Object>} Grade statistics
    */
-  async getClassroomGradeStatistics(classroomId) {
-    try {
-      const grades = await Grade.find({ classroomId });
-      
-      if (grades.length === 0) {
+  async getClassroomGradeStatistics(classroomId, query = {}, actor) {
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, classroomId);
+    
+    const classroom = await this.getGradingPolicyClassroom(classroomId);
+    const term = await termService.getClassroomTerm(classroomId);
+    const filterObj = { classroomId };
+    
+    if (query.gradingPeriod) {
+      const period = this.findGradingPeriod(term, query.gradingPeriod);
+      const { startDate, endDate } = this.periodBounds(period);
+      filterObj.submissionDate = { $gte: startDate, $lte: endDate };
+    }
+    
+    const windowsByStudent = await enrollmentService.getWindowsByStudent(classroomId);
+    const grades = (await Grade.find(filterObj)).filter(grade => {
+      const enrollment = windowsByStudent.get(grade.studentId.toString());
+      return !enrollment || isWithinWindows(grade.submissionDate, enrollment.windows);
+    });
+    const stats = this.summarizeGrades(grades, classroom.gradingPolicy);
+    
+    if (term && !query.gradingPeriod) {
+      stats.gradingPeriods = term.gradingPeriods.map(period => {
+        const { startDate, endDate } = this.periodBounds(period);
+        const periodGrades = grades.filter(grade =>
+          grade.submissionDate >= startDate && grade.submissionDate <= endDate
+        );
+        const { averageScore, studentCount, assignmentCount } = this.summarizeGrades(periodGrades, classroom.gradingPolicy);
+        
         return {
-          averageScore: 0,
-          highestScore: 0,
-          lowestScore: 0,
-          assignmentCount: 0,
-          assignmentTypes: {}
+          _id: period._id,
+          name: period.name,
+          startDate: period.startDate,
+          endDate: period.endDate,
+          averageScore,
+          studentCount,
+          assignmentCount
         };
-      }
-      
-      let totalPercentage = 0;
-      let highestScore = 0;
-      let lowestScore = 100;
-      const assignmentTypes = {};
-      
-      grades.forEach(grade => {
-        const percentage = (grade.score / grade.maxScore) * 100;
-        totalPercentage += percentage;
-        
-        if (percentage > highestScore) highestScore = percentage;
-        if (percentage < lowestScore) lowestScore = percentage;
-        
-        // Count assignment types
-        if (assignmentTypes[grade.assignmentType]) {
-          assignmentTypes[grade.assignmentType]++;
-        } else {
-          assignmentTypes[grade.assignmentType] = 1;
-        }
       });
+    }
+    
+    return stats;
+  }
+
+  /**
+   * Summarize grades into class-wide statistics
+   * @param {Array} grades - Grades of a classroom
+   * @param {Object} policy - Classroom grading policy
+   * @returns {Object} Grade statistics
+   */
+  summarizeGrades(grades, policy) {
+    // Group grades by student and count assignment types
+    const gradesByStudent = new Map();
+    const assignmentTypes = {};
+    
+    grades.forEach(grade => {
+      const key = grade.studentId.toString();
+      if (!gradesByStudent.has(key)) gradesByStudent.set(key, []);
+      gradesByStudent.get(key).push(grade);
       
+      if (assignmentTypes[grade.assignmentType]) {
+        assignmentTypes[grade.assignmentType]++;
+      } else {
+        assignmentTypes[grade.assignmentType] = 1;
+      }
+    });
+    
+    const results = [...gradesByStudent.values()]
+      .map(studentGrades => calculateAverage(studentGrades, policy))
+      .filter(result => result.average !== null);
+    
+    if (results.length === 0) {
       return {
-        averageScore: (totalPercentage / grades.length).toFixed(2),
-        highestScore: highestScore.toFixed(2),
-        lowestScore: lowestScore.toFixed(2),
+        averageScore: 0,
+        highestScore: 0,
+        lowestScore: 0,
+        studentCount: 0,
         assignmentCount: grades.length,
-        assignmentTypes
+        assignmentTypes,
+        categories: []
       };
-    } catch (error) {
-      throw new Error(`Error generating grade statistics: ${error.message}`);
     }
+    
+    const averages = results.map(result => result.average);
+    
+    // Class-wide mean of each policy category
+    const categories = ((policy && policy.categories) || []).map((category, index) => {
+      const percentages = results
+        .map(result => result.categories[index].percentage)
+        .filter(percentage => percentage !== null);
+      
+      return {
+        assignmentType: category.assignmentType,
+        weight: category.weight,
+        averageScore: percentages.length > 0
+          ? (percentages.reduce((sum, value) => sum + value, 0) / percentages.length).toFixed(2)
+          : null
+      };
+    });
+    
+    return {
+      averageScore: (averages.reduce((sum, value) => sum + value, 0) / averages.length).toFixed(2),
+      highestScore: Math.max(...averages).toFixed(2),
+      lowestScore: Math.min(...averages).toFixed(2),
+      studentCount: results.length,
+      assignmentCount: grades.length,
+      assignmentTypes,
+      categories
+    };
+  }
+
+  /**
+   * Find a grading period of a term by name or ID
+   * @param {Object|null} term - Academic term of the classroom
+   * @param {string} value - Grading period name or ID
+   * @returns {Object} Grading period
+   */
+  findGradingPeriod(term, value) {
+    const period = term && term.gradingPeriods.find(candidate =>
+      candidate._id.toString() === value || candidate.name === value
+    );
+    
+    if (!period) {
+      throw new ValidationError('Validation failed', [
+        { field: 'gradingPeriod', message: 'Grading period not found in the classroom\'s term' }
+      ]);
+    }
+    
+    return period;
+  }
+
+  /**
+   * First and last moment of a grading period
+   * @param {Object} period - Grading period
+   * @returns {Object} { startDate, endDate }
+   */
+  periodBounds(period) {
+    const endDate = new Date(period.endDate);
+    endDate.setHours(23, 59, 59, 999);
+    
+    return { startDate: period.startDate, endDate };
   }
 }
 
@@ -0,0 +1,334 @@
+// services/guardianService.js
+const Guardianship = require('../models/Guardianship');
+const Student = require('../models/Student');
+const User = require('../models/User');
+const studentService = require('./studentService');
+const timetableService = require('./timetableService');
+const alertService = require('./alertService');
+const MailService = require('./mailService');
+const accessPolicy = require('../policies/accessPolicy');
+const eventBus = require('../events/eventBus');
+const { GUARDIANSHIP_CHANGED } = require('../events/eventTypes');
+const { hashToken, GUARDIAN_INVITE_EXPIRE_DAYS } = require('../config/auth');
+const { APP_URL } = require('../config/mail');
+const ErrorResponse = require('../utils/errorResponse');
+const { NotFoundError, ConflictError, ValidationError, UnauthorizedError } = ErrorResponse;
+const crypto = require('crypto');
+
+/**
+ * Guardian Service - Links guardian accounts to students and serves the
+ * guardians' read-only view of their children
+ */
+class GuardianService {
+  /**
+   * Invite a student's parent contact to follow the student. Re-inviting a
+   * pending or revoked link sends a fresh invitation.
+   * @param {string} studentId - Student ID
+   * @param {Object} inviteData - Link settings (relationship, hasCustody, permissions)
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} The guardianship
+   */
+  async inviteGuardian(studentId, inviteData = {}, actor) {
+    const student = await Student.findById(studentId).populate('userId', 'firstName lastName');
+
+    if (!student) {
+      throw new NotFoundError(`No student found with id ${studentId}`);
+    }
+
+    const email = student.parentContact.email.trim().toLowerCase();
+    let guardianship = await Guardianship.findOne({ studentId, email });
+
+    if (guardianship && guardianship.status === 'active') {
+      throw new ConflictError('The parent contact is already linked to this student');
+    }
+
+    const existingUser = await User.findOne({ email }).select('role');
+
+    if (existingUser && existingUser.role !== 'guardian') {
+      throw new ConflictError('The parent contact\'s email belongs to an account that is not a guardian account');
+    }
+
+    if (!guardianship) {
+      guardianship = new Guardianship({ studentId, email });
+    }
+
+    const inviteToken = crypto.randomBytes(32).toString('hex');
+
+    guardianship.set({
+      ...this.linkSettings(inviteData),
+      status: 'invited',
+      guardianId: undefined,
+      invitedBy: actor ? actor._id : undefined,
+      invitedAt: new Date(),
+      inviteTokenHash: hashToken(inviteToken),
+      inviteExpires: new Date(Date.now() + GUARDIAN_INVITE_EXPIRE_DAYS * 24 * 60 * 60 * 1000),
+      acceptedAt: undefined,
+      revokedAt: undefined
+    });
+    await guardianship.save();
+
+    try {
+      await MailService.sendTemplate(email, 'guardianInvite', {
+        contactName: student.parentContact.name,
+        studentName: student.userId ? `${student.userId.firstName} ${student.userId.lastName}` : 'your child',
+        acceptUrl: `${APP_URL}/guardian-invite?token=${inviteToken}`,
+        hasAccount: Boolean(existingUser),
+        expiresInDays: GUARDIAN_INVITE_EXPIRE_DAYS
+      });
+    } catch (mailError) {
+      // Don't leave a usable token behind if it never reached the contact
+      guardianship.set({ inviteTokenHash: undefined, inviteExpires: undefined });
+      await guardianship.save();
+
+      throw new ErrorResponse('Guardian invitation could not be sent, please try again later', 503, 'MAIL_DELIVERY_FAILED');
+    }
+
+    return this.getGuardianshipById(studentId, guardianship._id);
+  }
+
+  /**
+   * Pick the link settings out of request data; permissions are merged into
+   * the current ones
+   * @param {Object} data - Request data (relationship, hasCustody, permissions)
+   * @returns {Object} Update for the guardianship
+   */
+  linkSettings(data) {
+    const settings = {};
+
+    if (data.relationship !== undefined) settings.relationship = data.relationship;
+    if (data.hasCustody !== undefined) settings.hasCustody = data.hasCustody;
+
+    Object.entries(data.permissions || {}).forEach(([permission, allowed]) => {
+      settings[`permissions.${permission}`] = allowed;
+    });
+
+    return settings;
+  }
+
+  /**
+   * Accept a guardian invitation. The invited address signs in with its
+   * guardian account, or opens one when it has none.
+   * @param {string} token - Invitation token
+   * @param {Object} accountData - Password, plus username, firstName and
+   *   lastName for a new account
+   * @returns {Promise<Object>} The guardian user
+   */
+  async acceptInvite(token, accountData) {
+    const guardianship = await Guardianship.findOne({
+      inviteTokenHash: hashToken(token),
+      inviteExpires: { $gt: Date.now() },
+      status: 'invited'
+    });
+
+    if (!guardianship) {
+      throw new ValidationError('Invitation is invalid or has expired');
+    }
+
+    let user = await User.findOne({ email: guardianship.email }).select('+password');
+
+    if (user) {
+      if (user.role !== 'guardian') {
+        throw new ConflictError('This email belongs to an account that is not a guardian account');
+      }
+
+      if (!user.isActive) {
+        throw new UnauthorizedError('Your account has been deactivated');
+      }
+
+      if (!(await user.matchPassword(accountData.password))) {
+        throw new UnauthorizedError('Invalid credentials');
+      }
+    } else {
+      const missing = ['username', 'firstName', 'lastName'].filter(field => !accountData[field]);
+
+      if (missing.length > 0) {
+        throw new ValidationError(
+          'Please provide the details of your new account',
+          missing.map(field => ({ field, message: `${field} is required to create an account` }))
+        );
+      }
+
+      if (await User.exists({ username: accountData.username })) {
+        throw new ConflictError('Username already taken');
+      }
+
+      user = await User.create({
+        username: accountData.username,
+        email: guardianship.email,
+        password: accountData.password,
+        firstName: accountData.firstName,
+        lastName: accountData.lastName,
+        role: 'guardian'
+      });
+    }
+
+    guardianship.set({
+      guardianId: user._id,
+      status: 'active',
+      acceptedAt: new Date(),
+      inviteTokenHash: undefined,
+      inviteExpires: undefined
+    });
+    await guardianship.save();
+
+    return user;
+  }
+
+  /**
+   * Get the guardians of a student, including pending and revoked links
+   * @param {string} studentId - Student ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Array>} Guardianships
+   */
+  async getStudentGuardians(studentId, actor) {
+    if (actor) await accessPolicy.assertCanViewStudent(actor, studentId);
+
+    const student = await Student.findById(studentId).select('_id');
+
+    if (!student) {
+      throw new NotFoundError(`No student found with id ${studentId}`);
+    }
+
+    return Guardianship.find({ studentId })
+      .populate('guardianId', 'username email firstName lastName')
+      .sort({ status: 1, createdAt: 1 });
+  }
+
+  /**
+   * Get a guardianship of a student
+   * @param {string} studentId - Student ID
+   * @param {string} guardianshipId - Guardianship ID
+   * @returns {Promise<Object>} The guardianship
+   */
+  async getGuardianshipById(studentId, guardianshipId) {
+    const guardianship = await Guardianship.findOne({ _id: guardianshipId, studentId })
+      .populate('guardianId', 'username email firstName lastName');
+
+    if (!guardianship) {
+      throw new NotFoundError(`No guardian link found with id ${guardianshipId}`);
+    }
+
+    return guardianship;
+  }
+
+  /**
+   * Change the relationship, custody or permissions of a guardianship
+   * @param {string} studentId - Student ID
+   * @param {string} guardianshipId - Guardianship ID
+   * @param {Object} updateData - Link settings (relationship, hasCustody, permissions)
+   * @returns {Promise<Object>} Updated guardianship
+   */
+  async updateGuardianship(studentId, guardianshipId, updateData) {
+    const guardianship = await this.getGuardianshipById(studentId, guardianshipId);
+
+    guardianship.set(this.linkSettings(updateData));
+    await guardianship.save();
+    this.publishChange(guardianship);
+
+    return guardianship;
+  }
+
+  /**
+   * Unlink a guardian from a student, or cancel a pending invitation
+   * @param {string} studentId - Student ID
+   * @param {string} guardianshipId - Guardianship ID
+   * @returns {Promise<Object>} The revoked guardianship
+   */
+  async revokeGuardianship(studentId, guardianshipId) {
+    const guardianship = await this.getGuardianshipById(studentId, guardianshipId);
+
+    if (guardianship.status === 'revoked') {
+      throw new ConflictError('This guardian link has already been revoked');
+    }
+
+    guardianship.set({
+      status: 'revoked',
+      revokedAt: new Date(),
+      inviteTokenHash: undefined,
+      inviteExpires: undefined
+    });
+    await guardianship.save();
+    this.publishChange(guardianship);
+
+    return guardianship;
+  }
+
+  /**
+   * Let open streams of the guardian re-check what they may follow
+   * @param {Object} guardianship - Changed guardianship
+   */
+  publishChange(guardianship) {
+    if (!guardianship.guardianId) return;
+
+    eventBus.publish(GUARDIANSHIP_CHANGED, {
+      studentId: guardianship.studentId,
+      guardianId: guardianship.guardianId
+    });
+  }
+
+  /**
+   * Get the students linked to a guardian, with what the guardian may see
+   * @param {Object} actor - Authenticated guardian
+   * @returns {Promise<Array>} Active guardianships with their students
+   */
+  async getGuardianStudents(actor) {
+    return Guardianship.find({ guardianId: actor._id, status: 'active' })
+      .select('studentId relationship hasCustody permissions acceptedAt')
+      .populate({
+        path: 'studentId',
+        select: 'userId studentId grade',
+        populate: { path: 'userId', select: 'firstName lastName' }
+      })
+      .sort({ acceptedAt: 1 });
+  }
+
+  /**
+   * Get a linked student's grades
+   * @param {string} studentId - Student ID
+   * @param {Object} query - Filter query (classroomId)
+   * @param {Object} actor - Authenticated guardian
+   * @returns {Promise<Object>} Grades and GPA
+   */
+  async getStudentGrades(studentId, query, actor) {
+    await accessPolicy.assertGuardianOf(actor, studentId, 'viewGrades');
+    return studentService.getStudentGrades(studentId, query.classroomId);
+  }
+
+  /**
+   * Get a linked student's attendance
+   * @param {string} studentId - Student ID
+   * @param {Object} query - Filter query (classroomId)
+   * @param {Object} actor - Authenticated guardian
+   * @returns {Promise<Object>} Attendance records and statistics
+   */
+  async getStudentAttendance(studentId, query, actor) {
+    await accessPolicy.assertGuardianOf(actor, studentId, 'viewAttendance');
+    return studentService.getStudentAttendance(studentId, query.classroomId);
+  }
+
+  /**
+   * Get a linked student's weekly timetable
+   * @param {string} studentId - Student ID
+   * @param {Object} query - Filter query (termId, semester, year)
+   * @param {Object} actor - Authenticated guardian
+   * @returns {Promise<Object>} Timetable and any clashes within it
+   */
+  async getStudentTimetable(studentId, query, actor) {
+    await accessPolicy.assertGuardianOf(actor, studentId, 'viewTimetable');
+    return timetableService.getStudentTimetable(studentId, query);
+  }
+
+  /**
+   * Get a linked student's attendance alerts
+   * @param {string} studentId - Student ID
+   * @param {Object} query - Filter query (status, classroomId)
+   * @param {Object} actor - Authenticated guardian
+   * @returns {Promise<Array>} Alerts
+   */
+  async getStudentAlerts(studentId, query, actor) {
+    await accessPolicy.assertGuardianOf(actor, studentId, 'viewAlerts');
+    return alertService.getAlerts({ status: query.status, classroomId: query.classroomId, studentId });
+  }
+}
+
+module.exports = new GuardianService();
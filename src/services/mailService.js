@@ -0,0 +1,60 @@
+// services/mailService.js
+const { createTransport } = require('../mail/transports');
+const templates = require('../mail/templates');
+const { MAIL_TRANSPORT, MAIL_FROM } = require('../config/mail');
+
+/**
+ * Service layer for outgoing email
+ */
+class MailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  /**
+   * Replace the transport (e.g. a file transport in tests)
+   * @param {Object} transport - Transport exposing `send(message)`
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Get the configured transport, creating it on first use
+   * @returns {Object} Transport
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createTransport(MAIL_TRANSPORT);
+    }
+
+    return this.transport;
+  }
+
+  /**
+   * Render a template and send it
+   * @param {String} to - Recipient address
+   * @param {String} templateName - Template name
+   * @param {Object} data - Template data
+   * @returns {Promise<Object>} Delivery info
+   */
+  async sendTemplate(to, templateName, data = {}) {
+    const template = templates[templateName];
+
+    if (!template) {
+      throw new Error(`Unknown mail template: ${templateName}`);
+    }
+
+    const { subject, text, html } = template(data);
+
+    return this.getTransport().send({
+      from: MAIL_FROM,
+      to,
+      subject,
+      text,
+      html
+    });
+  }
+}
+
+module.exports = new MailService();
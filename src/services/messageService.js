@@ -0,0 +1,312 @@
+// services/messageService.js
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const storageService = require('./storageService');
+const accessPolicy = require('../policies/accessPolicy');
+const { NotFoundError, ValidationError } = require('../utils/errorResponse');
+
+const PARTICIPANT_FIELDS = 'firstName lastName role';
+
+/**
+ * Service layer for direct Messages between users.
+ *
+ * Each pair of users shares one conversation. Who may message whom is
+ * decided by accessPolicy.assertCanMessage, checked on every message so a
+ * conversation closes when the relationship behind it ends. Services called
+ * without an actor (the admin audit routes) see every conversation and leave
+ * read receipts untouched.
+ */
+class MessageService {
+  /**
+   * Load a conversation, restricted to its participants when an actor is given
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} The conversation
+   */
+  async loadConversation(conversationId, actor) {
+    const filter = { _id: conversationId };
+
+    if (actor) filter.participants = actor._id;
+
+    const conversation = await Conversation.findOne(filter);
+
+    if (!conversation) {
+      throw new NotFoundError('Conversation not found');
+    }
+
+    return conversation;
+  }
+
+  /**
+   * Store a message and its attachments in a conversation
+   * @param {Object} conversation - Conversation document
+   * @param {Object} sender - User sending the message
+   * @param {String} body - Message text
+   * @param {Array} files - Uploaded files
+   * @returns {Promise<Object>} Created message
+   */
+  async postMessage(conversation, sender, body, files = []) {
+    if (!body && files.length === 0) {
+      throw new ValidationError('Validation failed', [
+        { field: 'body', message: 'A message needs a body or at least one attachment' }
+      ]);
+    }
+
+    const attachments = await storageService.saveUploads(files);
+
+    try {
+      const message = await Message.create({
+        conversationId: conversation._id,
+        senderId: sender._id,
+        body,
+        attachments
+      });
+
+      await Conversation.updateOne({ _id: conversation._id }, { lastMessageAt: message.createdAt });
+
+      return message;
+    } catch (error) {
+      // Don't leave orphaned files behind
+      await storageService.deleteAll(attachments);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a message to a user, starting the conversation with them if needed
+   * @param {Object} messageData - recipientId, subject, body
+   * @param {Array} files - Uploaded files
+   * @param {Object} actor - Authenticated user sending the message
+   * @returns {Promise<Object>} The conversation and the message
+   */
+  async sendMessage(messageData, files = [], actor) {
+    if (messageData.recipientId === actor._id.toString()) {
+      throw new ValidationError('Validation failed', [
+        { field: 'recipientId', message: 'You cannot send a message to yourself' }
+      ]);
+    }
+
+    const recipient = await User.findOne({ _id: messageData.recipientId, isActive: true });
+
+    if (!recipient) {
+      throw new NotFoundError('Recipient not found');
+    }
+
+    await accessPolicy.assertCanMessage(actor, recipient);
+
+    const conversation = await this.findOrCreateConversation(actor, recipient, messageData.subject);
+    const message = await this.postMessage(conversation, actor, messageData.body, files);
+
+    return { conversation, message };
+  }
+
+  /**
+   * Get the conversation between two users, starting it if needed. The first
+   * message sets the subject.
+   * @param {Object} sender - User starting the conversation
+   * @param {Object} recipient - The other participant
+   * @param {String} [subject] - Subject of a new conversation
+   * @returns {Promise<Object>} The conversation
+   */
+  async findOrCreateConversation(sender, recipient, subject) {
+    const participantKey = Conversation.keyFor(sender._id, recipient._id);
+
+    try {
+      return await Conversation.findOneAndUpdate(
+        { participantKey },
+        {
+          $setOnInsert: {
+            participants: [sender._id, recipient._id],
+            subject,
+            startedBy: sender._id
+          }
+        },
+        { new: true, upsert: true, runValidators: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Both users wrote first at the same moment; the other upsert won
+      return Conversation.findOne({ participantKey });
+    }
+  }
+
+  /**
+   * Reply in a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} messageData - body
+   * @param {Array} files - Uploaded files
+   * @param {Object} actor - Authenticated participant sending the message
+   * @returns {Promise<Object>} Created message
+   */
+  async reply(conversationId, messageData, files = [], actor) {
+    const conversation = await this.loadConversation(conversationId, actor);
+    const otherId = conversation.participants.find(id => id.toString() !== actor._id.toString());
+    const recipient = await User.findOne({ _id: otherId, isActive: true });
+
+    if (!recipient) {
+      throw new NotFoundError('Recipient not found');
+    }
+
+    await accessPolicy.assertCanMessage(actor, recipient);
+
+    return this.postMessage(conversation, actor, messageData.body, files);
+  }
+
+  /**
+   * Get conversations, latest activity first. Participants see their own,
+   * each with the number of messages they have not read; the audit sees all,
+   * optionally those of one user.
+   * @param {Object} query - Filter query (userId for the audit, page, limit)
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Conversations and pagination info
+   */
+  async getConversations(query = {}, actor) {
+    const page = parseInt(query.page, 10) || 1;
+    const limit = parseInt(query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+
+    if (actor) {
+      filter.participants = actor._id;
+    } else if (query.userId) {
+      filter.participants = query.userId;
+    }
+
+    const [conversations, total] = await Promise.all([
+      Conversation.find(filter)
+        .populate('participants', PARTICIPANT_FIELDS)
+        .sort({ lastMessageAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Conversation.countDocuments(filter)
+    ]);
+
+    if (actor) {
+      const unread = await Message.aggregate([
+        {
+          $match: {
+            conversationId: { $in: conversations.map(conversation => conversation._id) },
+            senderId: { $ne: actor._id },
+            readAt: null
+          }
+        },
+        { $group: { _id: '$conversationId', count: { $sum: 1 } } }
+      ]);
+      const unreadById = new Map(unread.map(({ _id, count }) => [_id.toString(), count]));
+
+      conversations.forEach(conversation => {
+        conversation.unreadCount = unreadById.get(conversation._id.toString()) || 0;
+      });
+    }
+
+    return {
+      conversations,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a conversation and its messages, newest first. Reading does not mark
+   * messages as read; see markAsRead.
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} query - Filter query (page, limit)
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Conversation, messages and pagination info
+   */
+  async getConversation(conversationId, query = {}, actor) {
+    await this.loadConversation(conversationId, actor);
+
+    const page = parseInt(query.page, 10) || 1;
+    const limit = parseInt(query.limit, 10) || 50;
+    const skip = (page - 1) * limit;
+
+    const [conversation, messages, total] = await Promise.all([
+      Conversation.findById(conversationId).populate('participants', PARTICIPANT_FIELDS),
+      Message.find({ conversationId })
+        .populate('senderId', PARTICIPANT_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Message.countDocuments({ conversationId })
+    ]);
+
+    return {
+      conversation,
+      messages,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Mark the messages the actor received in a conversation as read
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} actor - Authenticated participant
+   * @returns {Promise<Object>} { count, readAt }
+   */
+  async markAsRead(conversationId, actor) {
+    await this.loadConversation(conversationId, actor);
+
+    const readAt = new Date();
+    const result = await Message.updateMany(
+      { conversationId, senderId: { $ne: actor._id }, readAt: null },
+      { readAt }
+    );
+
+    return { count: result.modifiedCount, readAt };
+  }
+
+  /**
+   * Count the messages the actor has not read, across their conversations
+   * @param {Object} actor - Authenticated user
+   * @returns {Promise<number>} Unread count
+   */
+  async getUnreadCount(actor) {
+    const conversationIds = await Conversation.distinct('_id', { participants: actor._id });
+
+    return Message.countDocuments({
+      conversationId: { $in: conversationIds },
+      senderId: { $ne: actor._id },
+      readAt: null
+    });
+  }
+
+  /**
+   * Open an attachment of a message for download
+   * @param {string} conversationId - Conversation ID
+   * @param {string} messageId - Message ID
+   * @param {string} attachmentId - Attachment ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} { attachment, stream }
+   */
+  async getAttachment(conversationId, messageId, attachmentId, actor) {
+    await this.loadConversation(conversationId, actor);
+
+    const message = await Message.findOne({ _id: messageId, conversationId });
+    const attachment = message && message.attachments.id(attachmentId);
+
+    if (!attachment || !await storageService.exists(attachment.key)) {
+      throw new NotFoundError('Attachment not found');
+    }
+
+    return {
+      attachment,
+      stream: storageService.createReadStream(attachment.key)
+    };
+  }
+}
+
+module.exports = new MessageService();
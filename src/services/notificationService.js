@@ -0,0 +1,328 @@
+// services/notificationService.js
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Classroom = require('../models/Classroom');
+const Guardianship = require('../models/Guardianship');
+const MailService = require('./mailService');
+const eventTypes = require('../events/eventTypes');
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  DEFAULT_NOTIFICATION_PREFERENCES
+} = require('../config/notifications');
+const { APP_URL } = require('../config/mail');
+const { NotFoundError } = require('../utils/errorResponse');
+
+/**
+ * Notification Service - Turns domain events into notifications, serves the
+ * users' inboxes and preferences and sends the email digests
+ */
+class NotificationService {
+  /**
+   * Notify a student and their guardians of a domain event
+   * @param {Object} event - Event from the event bus ({ type, payload })
+   * @returns {Promise<Array>} Created notifications
+   */
+  async handleEvent({ type, payload }) {
+    const [student, classroom] = await Promise.all([
+      Student.findById(payload.studentId).populate('userId', 'firstName lastName'),
+      Classroom.findById(payload.classroomId).select('name')
+    ]);
+
+    if (!student || !classroom) return [];
+
+    const studentName = student.userId
+      ? `${student.userId.firstName} ${student.userId.lastName}`
+      : 'The student';
+    const { permission, title, message, data } = this.describeEvent(type, payload, studentName, classroom.name);
+    const recipients = await this.getStudentAudience(student, permission);
+
+    return this.notify(recipients, {
+      type,
+      title,
+      message,
+      data: { studentId: student._id, classroomId: classroom._id, ...data }
+    });
+  }
+
+  /**
+   * Wording of the notification for an event
+   * @param {String} type - Event type
+   * @param {Object} payload - Event data
+   * @param {String} studentName - Name of the student the event is about
+   * @param {String} classroomName - Name of the classroom
+   * @returns {Object} { permission, title, message, data }; `permission` is
+   *   the guardianship permission guardians need to be told
+   */
+  describeEvent(type, payload, studentName, classroomName) {
+    switch (type) {
+      case eventTypes.GRADE_POSTED:
+        return {
+          permission: 'viewGrades',
+          title: `New grade in ${classroomName}`,
+          message: `${studentName} scored ${payload.score}/${payload.maxScore} on ${payload.assignmentName}`,
+          data: { gradeId: payload.gradeId }
+        };
+      case eventTypes.ABSENCE_RECORDED:
+        return {
+          permission: 'viewAttendance',
+          title: `Absence in ${classroomName}`,
+          message: `${studentName} was marked absent on ${new Date(payload.date).toDateString()}`,
+          data: { attendanceId: payload.attendanceId }
+        };
+      case eventTypes.STUDENT_ENROLLED:
+        return {
+          permission: 'viewTimetable',
+          title: `Enrolled in ${classroomName}`,
+          message: `${studentName} is now enrolled in ${classroomName}`,
+          data: {}
+        };
+      case eventTypes.STUDENT_WAITLISTED:
+        return {
+          permission: 'viewTimetable',
+          title: `Waitlisted for ${classroomName}`,
+          message: `${studentName} is on the waitlist for ${classroomName}`,
+          data: {}
+        };
+      default:
+        throw new Error(`Unknown notification type: ${type}`);
+    }
+  }
+
+  /**
+   * Users to notify about a student: the student and the guardians allowed
+   * to see that kind of information
+   * @param {Object} student - Student document
+   * @param {String} permission - Guardianship permission, e.g. 'viewGrades'
+   * @returns {Promise<Array>} User IDs
+   */
+  async getStudentAudience(student, permission) {
+    const guardianships = await Guardianship.find({
+      studentId: student._id,
+      status: 'active',
+      [`permissions.${permission}`]: true
+    }).select('guardianId');
+
+    const studentUserId = student.userId && (student.userId._id || student.userId);
+
+    return [studentUserId, ...guardianships.map(guardianship => guardianship.guardianId)]
+      .filter(Boolean);
+  }
+
+  /**
+   * Create a notification for each user, on the channels they chose for its type
+   * @param {Array} userIds - Recipients
+   * @param {Object} notification - type, title, message, data
+   * @returns {Promise<Array>} Created notifications
+   */
+  async notify(userIds, notification) {
+    const users = await User.find({ _id: { $in: userIds }, isActive: true })
+      .select('notificationPreferences');
+
+    const notifications = users
+      .map(user => ({
+        ...notification,
+        userId: user._id,
+        channels: this.getChannels(user, notification.type)
+      }))
+      .filter(({ channels }) => channels.length > 0);
+
+    return notifications.length > 0 ? Notification.insertMany(notifications) : [];
+  }
+
+  /**
+   * Channels a user receives a notification type on
+   * @param {Object} user - User (with notificationPreferences)
+   * @param {String} type - Notification type
+   * @returns {Array} Channel names
+   */
+  getChannels(user, type) {
+    const preferences = this.getTypePreferences(user, type);
+    return NOTIFICATION_CHANNELS.filter(channel => preferences[channel]);
+  }
+
+  /**
+   * A user's preferences for a notification type, defaults filled in
+   * @param {Object} user - User (with notificationPreferences)
+   * @param {String} type - Notification type
+   * @returns {Object} { inApp, email }
+   */
+  getTypePreferences(user, type) {
+    const saved = user.notificationPreferences && user.notificationPreferences.get(type);
+
+    return NOTIFICATION_CHANNELS.reduce((preferences, channel) => {
+      preferences[channel] = saved && typeof saved[channel] === 'boolean'
+        ? saved[channel]
+        : DEFAULT_NOTIFICATION_PREFERENCES[channel];
+      return preferences;
+    }, {});
+  }
+
+  /**
+   * Get a user's in-app notifications, newest first
+   * @param {Object} user - Authenticated user
+   * @param {Object} query - Filter query (unread, type, page, limit)
+   * @returns {Promise<Object>} Notifications, unread count and pagination info
+   */
+  async getNotifications(user, query = {}) {
+    const page = parseInt(query.page, 10) || 1;
+    const limit = parseInt(query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { userId: user._id, channels: 'inApp' };
+
+    if (query.unread === 'true') filter.readAt = null;
+    if (query.type) filter.type = query.type;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter).select('-channels -emailedAt').sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Notification.countDocuments(filter),
+      this.getUnreadCount(user)
+    ]);
+
+    return {
+      notifications,
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Count a user's unread in-app notifications
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<number>} Unread count
+   */
+  async getUnreadCount(user) {
+    return Notification.countDocuments({ userId: user._id, channels: 'inApp', readAt: null });
+  }
+
+  /**
+   * Mark one of the user's notifications as read
+   * @param {string} id - Notification ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} The notification
+   */
+  async markAsRead(id, user) {
+    const notification = await Notification.findOne({ _id: id, userId: user._id, channels: 'inApp' })
+      .select('-channels -emailedAt');
+
+    if (!notification) {
+      throw new NotFoundError('Notification not found');
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    return notification;
+  }
+
+  /**
+   * Mark all of the user's notifications as read
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<number>} Number of notifications marked
+   */
+  async markAllAsRead(user) {
+    const result = await Notification.updateMany(
+      { userId: user._id, channels: 'inApp', readAt: null },
+      { readAt: new Date() }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Get a user's preferences for every notification type
+   * @param {Object} user - Authenticated user
+   * @returns {Object} { [type]: { inApp, email } }
+   */
+  getPreferences(user) {
+    return NOTIFICATION_TYPES.reduce((preferences, type) => {
+      preferences[type] = this.getTypePreferences(user, type);
+      return preferences;
+    }, {});
+  }
+
+  /**
+   * Change a user's preferences; channels left out keep their setting
+   * @param {Object} user - Authenticated user
+   * @param {Object} changes - { [type]: { inApp?, email? } }
+   * @returns {Promise<Object>} Preferences for every notification type
+   */
+  async updatePreferences(user, changes) {
+    const target = await User.findById(user._id);
+
+    if (!target) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (!target.notificationPreferences) {
+      target.notificationPreferences = new Map();
+    }
+
+    Object.entries(changes).forEach(([type, channels]) => {
+      target.notificationPreferences.set(type, { ...this.getTypePreferences(target, type), ...channels });
+    });
+
+    await target.save({ validateBeforeSave: false });
+
+    return this.getPreferences(target);
+  }
+
+  /**
+   * Email every user their unread notifications since the last digest, one
+   * email per user. A failed delivery leaves the user's notifications for the
+   * next digest.
+   * @returns {Promise<Object>} { users, notifications, failed }
+   */
+  async sendDigests() {
+    const pending = await Notification.find({ channels: 'email', emailedAt: null, readAt: null })
+      .select('userId title message createdAt')
+      .sort({ createdAt: 1 });
+
+    const byUser = new Map();
+    pending.forEach(notification => {
+      const key = notification.userId.toString();
+      if (!byUser.has(key)) byUser.set(key, []);
+      byUser.get(key).push(notification);
+    });
+
+    const users = await User.find({ _id: { $in: [...byUser.keys()] }, isActive: true })
+      .select('email firstName');
+    const summary = { users: 0, notifications: 0, failed: 0 };
+
+    for (const user of users) {
+      const notifications = byUser.get(user._id.toString());
+
+      try {
+        await MailService.sendTemplate(user.email, 'notificationDigest', {
+          firstName: user.firstName,
+          notifications,
+          inboxUrl: `${APP_URL}/notifications`
+        });
+      } catch (err) {
+        console.error(`Error sending notification digest to ${user.email}: ${err.message}`);
+        summary.failed++;
+        continue;
+      }
+
+      await Notification.updateMany(
+        { _id: { $in: notifications.map(notification => notification._id) } },
+        { emailedAt: new Date() }
+      );
+      summary.users++;
+      summary.notifications += notifications.length;
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new NotificationService();
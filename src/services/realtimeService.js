@@ -0,0 +1,433 @@
+// services/realtimeService.js
+const crypto = require('crypto');
+const User = require('../models/User');
+const eventBus = require('../events/eventBus');
+const eventTypes = require('../events/eventTypes');
+const accessPolicy = require('../policies/accessPolicy');
+const {
+  REALTIME_HEARTBEAT_SECONDS,
+  REALTIME_TICKET_TTL_SECONDS,
+  REALTIME_MAX_TOPICS,
+  REALTIME_REAUTHORIZE_SECONDS
+} = require('../config/realtime');
+const {
+  NotFoundError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError
+} = require('../utils/errorResponse');
+
+// classroom:<id> or student:<id>
+const TOPIC_PATTERN = /^(classroom|student):([0-9a-fA-F]{24})$/;
+
+// Events pushed to streams, with the guardianship permission a guardian
+// needs to receive each
+const GUARDIAN_PERMISSIONS = {
+  [eventTypes.GRADE_POSTED]: 'viewGrades',
+  [eventTypes.GRADE_UPDATED]: 'viewGrades',
+  [eventTypes.GRADE_DELETED]: 'viewGrades',
+  [eventTypes.ATTENDANCE_UPDATED]: 'viewAttendance',
+  [eventTypes.ABSENCE_RECORDED]: 'viewAttendance',
+  [eventTypes.STUDENT_ENROLLED]: 'viewTimetable',
+  [eventTypes.STUDENT_WAITLISTED]: 'viewTimetable',
+  [eventTypes.STUDENT_WITHDRAWN]: 'viewTimetable'
+};
+
+/**
+ * Realtime Service - Pushes domain events to clients over Server-Sent Events.
+ *
+ * Clients open a stream (authenticated with the access token, or with a
+ * short-lived ticket for browsers' EventSource, which cannot send headers)
+ * and follow classroom or student topics. Events carry IDs only; clients
+ * fetch the changed records through the REST API. Streams live in this
+ * process, so every client of an instance is served by that instance.
+ *
+ * Access is not only checked when a topic is followed: a stream ends when
+ * the access token it was opened with expires, and its subscriptions are
+ * checked again when students withdraw, guardianships or users change, and
+ * every REALTIME_REAUTHORIZE_SECONDS for anything else (e.g. a classroom
+ * handed to another teacher). Topics that fail the check are dropped.
+ */
+class RealtimeService {
+  constructor() {
+    this.connections = new Map();
+    this.tickets = new Map();
+    this.heartbeat = null;
+    this.reauthorizer = null;
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Start pushing events to the streams served by an HTTP server
+   * @param {Object} server - HTTP server (from app.listen)
+   */
+  attach(server) {
+    if (!this.unsubscribe) {
+      this.unsubscribe = eventBus.subscribe(eventBus.ALL_EVENTS, event => this.handleEvent(event));
+    }
+
+    if (!this.heartbeat) {
+      this.heartbeat = setInterval(() => {
+        this.connections.forEach(connection => this.write(connection, ': ping\n\n'));
+        this.pruneTickets();
+      }, REALTIME_HEARTBEAT_SECONDS * 1000);
+
+      // Don't keep the process alive just for the heartbeat
+      this.heartbeat.unref();
+    }
+
+    if (!this.reauthorizer) {
+      this.reauthorizer = setInterval(() => {
+        this.reauthorize(() => true)
+          .catch(err => console.error(`Error re-authorizing streams: ${err.message}`));
+      }, REALTIME_REAUTHORIZE_SECONDS * 1000);
+      this.reauthorizer.unref();
+    }
+
+    server.on('close', () => this.detach());
+  }
+
+  /**
+   * Stop pushing events and end every stream. Open streams keep the server
+   * from closing, so this runs before it is shut down.
+   */
+  detach() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+    clearInterval(this.reauthorizer);
+    this.reauthorizer = null;
+
+    this.connections.forEach(connection => this.close(connection));
+  }
+
+  /**
+   * Issue a one-time ticket that opens a stream for the user
+   * @param {Object} user - Authenticated user
+   * @param {Date} [tokenExpiresAt] - Expiry of the access token the ticket
+   *   was requested with; streams opened with the ticket end then
+   * @returns {Object} { ticket, expiresAt }
+   */
+  issueTicket(user, tokenExpiresAt) {
+    const ticket = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + REALTIME_TICKET_TTL_SECONDS * 1000);
+
+    this.tickets.set(ticket, { userId: user._id, expiresAt, tokenExpiresAt });
+
+    return { ticket, expiresAt };
+  }
+
+  /**
+   * Redeem a stream ticket
+   * @param {string} ticket - Ticket from issueTicket
+   * @returns {Promise<Object>} { user, tokenExpiresAt }
+   */
+  async redeemTicket(ticket) {
+    const entry = this.tickets.get(ticket);
+    this.tickets.delete(ticket);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      throw new UnauthorizedError('Stream ticket is invalid or has expired');
+    }
+
+    const user = await User.findById(entry.userId);
+
+    if (!user || !user.isActive) {
+      throw new UnauthorizedError('User not found or inactive');
+    }
+
+    return { user, tokenExpiresAt: entry.tokenExpiresAt };
+  }
+
+  /**
+   * Drop tickets that were never redeemed
+   */
+  pruneTickets() {
+    const now = Date.now();
+
+    this.tickets.forEach((entry, ticket) => {
+      if (entry.expiresAt <= now) this.tickets.delete(ticket);
+    });
+  }
+
+  /**
+   * Open an event stream on a response and subscribe it to its first topics
+   * @param {Object} user - Authenticated user
+   * @param {Object} req - The request object
+   * @param {Object} res - The response object
+   * @param {Array} topics - Topics to follow from the start
+   * @param {Date} [tokenExpiresAt] - When the stream's access token expires
+   * @returns {Promise<Object>} The connection
+   */
+  async connect(user, req, res, topics = [], tokenExpiresAt) {
+    // Authorize the topics before the stream starts so errors get a normal response
+    const subscriptions = await this.authorizeTopics(user, topics);
+
+    const connection = {
+      id: crypto.randomUUID(),
+      user,
+      res,
+      subscriptions: new Map(),
+      expiry: null
+    };
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    subscriptions.forEach(subscription => connection.subscriptions.set(subscription.topic, subscription));
+    this.connections.set(connection.id, connection);
+
+    req.on('close', () => {
+      clearTimeout(connection.expiry);
+      this.connections.delete(connection.id);
+    });
+
+    // The client reconnects with a fresh token (or ticket) to keep listening
+    if (tokenExpiresAt) {
+      connection.expiry = setTimeout(
+        () => this.close(connection, 'token-expired'),
+        Math.max(new Date(tokenExpiresAt).getTime() - Date.now(), 0)
+      );
+      connection.expiry.unref();
+    }
+
+    this.send(connection, 'ready', {
+      connectionId: connection.id,
+      topics: [...connection.subscriptions.keys()]
+    });
+
+    return connection;
+  }
+
+  /**
+   * Get one of the user's open streams
+   * @param {string} connectionId - Connection ID (from the `ready` event)
+   * @param {Object} user - Authenticated user
+   * @returns {Object} The connection
+   */
+  getConnection(connectionId, user) {
+    const connection = this.connections.get(connectionId);
+
+    if (!connection || connection.user._id.toString() !== user._id.toString()) {
+      throw new NotFoundError('Stream not found');
+    }
+
+    return connection;
+  }
+
+  /**
+   * Follow more topics on an open stream
+   * @param {string} connectionId - Connection ID
+   * @param {Array} topics - Topics to add
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Array>} Topics the stream follows
+   */
+  async subscribe(connectionId, topics, user) {
+    const connection = this.getConnection(connectionId, user);
+    const added = topics.filter(topic => !connection.subscriptions.has(topic));
+
+    if (connection.subscriptions.size + added.length > REALTIME_MAX_TOPICS) {
+      throw new ValidationError(`A stream can follow at most ${REALTIME_MAX_TOPICS} topics`);
+    }
+
+    const subscriptions = await this.authorizeTopics(user, added);
+    subscriptions.forEach(subscription => connection.subscriptions.set(subscription.topic, subscription));
+
+    return [...connection.subscriptions.keys()];
+  }
+
+  /**
+   * Stop following topics on an open stream
+   * @param {string} connectionId - Connection ID
+   * @param {Array} topics - Topics to drop
+   * @param {Object} user - Authenticated user
+   * @returns {Array} Topics the stream follows
+   */
+  unsubscribe(connectionId, topics, user) {
+    const connection = this.getConnection(connectionId, user);
+    topics.forEach(topic => connection.subscriptions.delete(topic));
+
+    return [...connection.subscriptions.keys()];
+  }
+
+  /**
+   * Check the user may follow each topic. Classroom topics are for the
+   * classroom's staff; student topics for whoever may read the student.
+   * @param {Object} user - Authenticated user
+   * @param {Array} topics - Topics (classroom:<id> or student:<id>)
+   * @returns {Promise<Array>} Subscriptions ({ topic, kind, id, permissions })
+   */
+  async authorizeTopics(user, topics) {
+    if (topics.length > REALTIME_MAX_TOPICS) {
+      throw new ValidationError(`A stream can follow at most ${REALTIME_MAX_TOPICS} topics`);
+    }
+
+    const subscriptions = [];
+
+    for (const topic of topics) {
+      const match = TOPIC_PATTERN.exec(topic);
+
+      if (!match) {
+        throw new ValidationError('Validation failed', [{
+          field: 'topics',
+          message: `${topic} is not a valid topic (classroom:<id> or student:<id>)`
+        }]);
+      }
+
+      const [, kind, id] = match;
+      // Guardians only get the events their link lets them see
+      let permissions = null;
+
+      if (kind === 'classroom') {
+        await accessPolicy.assertCanManageClassroom(user, id);
+      } else if (user.role === 'guardian') {
+        permissions = (await accessPolicy.assertGuardianOf(user, id)).permissions;
+      } else {
+        await accessPolicy.assertCanViewStudent(user, id);
+      }
+
+      subscriptions.push({ topic, kind, id, permissions });
+    }
+
+    return subscriptions;
+  }
+
+  /**
+   * End a stream, telling the client why
+   * @param {Object} connection - Connection
+   * @param {String} [reason] - Reason sent in a `close` event
+   */
+  close(connection, reason) {
+    clearTimeout(connection.expiry);
+    this.connections.delete(connection.id);
+
+    if (reason) this.send(connection, 'close', { reason });
+    connection.res.end();
+  }
+
+  /**
+   * Route an event from the event bus: access changes make the affected
+   * streams check their subscriptions again, data events are pushed
+   * @param {Object} event - Event from the event bus ({ type, payload, occurredAt })
+   * @returns {Promise<void>}
+   */
+  async handleEvent(event) {
+    const { type, payload } = event;
+
+    if (GUARDIAN_PERMISSIONS[type]) {
+      this.dispatch(event);
+    }
+
+    switch (type) {
+      case eventTypes.STUDENT_WITHDRAWN:
+        // Teachers may lose sight of a student who left their classroom
+        await this.reauthorize(connection => connection.subscriptions.has(`student:${payload.studentId}`));
+        break;
+      case eventTypes.GUARDIANSHIP_CHANGED:
+        await this.reauthorize(connection => connection.user._id.toString() === payload.guardianId.toString());
+        break;
+      case eventTypes.USER_ACCESS_CHANGED:
+        await this.reauthorize(connection => connection.user._id.toString() === payload.userId.toString());
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Check the subscriptions of the matching streams again. Streams of users
+   * who were deactivated, deleted or changed role are closed; topics the user
+   * may no longer follow are dropped and announced in an `unsubscribed` event.
+   * @param {Function} predicate - Selects the connections to check
+   * @returns {Promise<void>}
+   */
+  async reauthorize(predicate) {
+    const connections = [...this.connections.values()].filter(predicate);
+
+    for (const connection of connections) {
+      const user = await User.findById(connection.user._id);
+
+      if (!user || !user.isActive || user.role !== connection.user.role) {
+        this.close(connection, 'access-revoked');
+        continue;
+      }
+
+      connection.user = user;
+      const dropped = [];
+
+      for (const topic of connection.subscriptions.keys()) {
+        try {
+          const [subscription] = await this.authorizeTopics(user, [topic]);
+          connection.subscriptions.set(topic, subscription);
+        } catch (error) {
+          if (!(error instanceof ForbiddenError) && !(error instanceof NotFoundError)) throw error;
+
+          connection.subscriptions.delete(topic);
+          dropped.push(topic);
+        }
+      }
+
+      if (dropped.length > 0 && this.connections.has(connection.id)) {
+        this.send(connection, 'unsubscribed', { topics: dropped, reason: 'access-revoked' });
+      }
+    }
+  }
+
+  /**
+   * Push an event to every stream following one of its topics
+   * @param {Object} event - Event from the event bus ({ type, payload, occurredAt })
+   */
+  dispatch({ type, payload, occurredAt }) {
+    const classroomTopic = payload.classroomId ? `classroom:${payload.classroomId}` : null;
+    const studentIds = [payload.studentId, ...(payload.studentIds || [])]
+      .filter(Boolean)
+      .map(id => id.toString());
+
+    this.connections.forEach(connection => {
+      const followsClassroom = classroomTopic && connection.subscriptions.has(classroomTopic);
+      const followedStudents = studentIds.filter(studentId => {
+        const subscription = connection.subscriptions.get(`student:${studentId}`);
+        return subscription && (!subscription.permissions || subscription.permissions[GUARDIAN_PERMISSIONS[type]]);
+      });
+
+      if (!followsClassroom && followedStudents.length === 0) return;
+
+      // Student followers only learn about the students they follow
+      const data = followsClassroom || !payload.studentIds
+        ? payload
+        : { ...payload, studentIds: followedStudents };
+
+      this.send(connection, type, { type, payload: data, occurredAt });
+    });
+  }
+
+  /**
+   * Send an event on a stream
+   * @param {Object} connection - Connection
+   * @param {String} event - Event name
+   * @param {Object} data - Event data (sent as JSON)
+   */
+  send(connection, event, data) {
+    this.write(connection, `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Write to a stream, flushing through the compression middleware
+   * @param {Object} connection - Connection
+   * @param {String} chunk - Raw event stream text
+   */
+  write(connection, chunk) {
+    connection.res.write(chunk);
+    if (typeof connection.res.flush === 'function') connection.res.flush();
+  }
+}
+
+module.exports = new RealtimeService();
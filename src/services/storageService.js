@@ -0,0 +1,89 @@
+// services/storageService.js
+const { createDriver } = require('../storage/drivers');
+const { STORAGE_DRIVER } = require('../config/storage');
+
+/**
+ * Service layer for stored files (attachments)
+ */
+class StorageService {
+  constructor() {
+    this.driver = null;
+  }
+
+  /**
+   * Replace the driver (e.g. a temporary directory in tests)
+   * @param {Object} driver - Driver exposing `save`, `exists`, `createReadStream` and `delete`
+   */
+  setDriver(driver) {
+    this.driver = driver;
+  }
+
+  /**
+   * Get the configured driver, creating it on first use
+   * @returns {Object} Driver
+   */
+  getDriver() {
+    if (!this.driver) {
+      this.driver = createDriver(STORAGE_DRIVER);
+    }
+
+    return this.driver;
+  }
+
+  /**
+   * Store uploaded files
+   * @param {Array} files - Multer files (buffer, originalname, mimetype)
+   * @returns {Promise<Array>} Attachment descriptors
+   */
+  async saveUploads(files = []) {
+    const attachments = [];
+
+    for (const file of files) {
+      const { key, size } = await this.getDriver().save(file.buffer, {
+        originalName: file.originalname,
+        mimeType: file.mimetype
+      });
+
+      attachments.push({
+        key,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size
+      });
+    }
+
+    return attachments;
+  }
+
+  /**
+   * Check whether a stored file is still there
+   * @param {String} key - Storage key
+   * @returns {Promise<boolean>} True when the file exists
+   */
+  async exists(key) {
+    return this.getDriver().exists(key);
+  }
+
+  /**
+   * Open a stored file for reading
+   * @param {String} key - Storage key
+   * @returns {ReadStream} File stream
+   */
+  createReadStream(key) {
+    return this.getDriver().createReadStream(key);
+  }
+
+  /**
+   * Delete stored files, ignoring individual failures
+   * @param {Array} attachments - Attachment descriptors
+   * @returns {Promise<void>}
+   */
+  async deleteAll(attachments = []) {
+    await Promise.all(attachments.map(attachment =>
+      this.getDriver().delete(attachment.key)
+        .catch(err => console.error(`Error deleting file ${attachment.key}: ${err.message}`))
+    ));
+  }
+}
+
+module.exports = new StorageService();
@@ -3,7 +3,14 @@ const User = require('../models/User');
 const Classroom = require('../models/Classroom');
 const Grade = require('../models/Grade');
 const Attendance = require('../models/Attendance');
-const ErrorResponse = require('../utils/errorResponse');
+const Enrollment = require('../models/Enrollment');
+const Guardianship = require('../models/Guardianship');
+const enrollmentService = require('./enrollmentService');
+const eligibilityService = require('./eligibilityService');
+const accessPolicy = require('../policies/accessPolicy');
+const eventBus = require('../events/eventBus');
+const { STUDENT_ENROLLED, STUDENT_WAITLISTED, STUDENT_WITHDRAWN } = require('../events/eventTypes');
+const { NotFoundError, ConflictError } = require('../utils/errorResponse');
 
 /**
  * Student Service - Handles all business logic related to students
@@ -19,14 +26,14 @@ class StudentService {
     const user = await User.findById(studentData.userId);
     
     if (!user) {
-      throw new ErrorResponse(`No user found with id ${studentData.userId}`, 404);
+      throw new NotFoundError(`No user found with id ${studentData.userId}`);
     }
     
     // Check if user is already a student
     const existingStudent = await Student.findOne({ userId: studentData.userId });
     
     if (existingStudent) {
-      throw new ErrorResponse(`User already has a student profile`, 400);
+      throw new ConflictError(`User already has a student profile`);
     }
     
     // Update user role to student if not already
@@ -44,13 +51,16 @@ class StudentService {
   /**
    * Get student by ID
    * @param {String} studentId - Student ID
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Object} Student profile
    */
-  async getStudentById(studentId) {
+  async getStudentById(studentId, actor) {
+    if (actor) await accessPolicy.assertCanViewStudent(actor, studentId);
+    
     const student = await Student.findById(studentId).populate('userId', 'username email firstName lastName');
     
     if (!student) {
-      throw new ErrorResponse(`No student found with id ${studentId}`, 404);
+      throw new NotFoundError(`No student found with id ${studentId}`);
     }
     
     return student;
@@ -59,15 +69,18 @@ class StudentService {
   /**
    * Get student by user ID
    * @param {String} userId - User ID
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Object} Student profile
    */
-  async getStudentByUserId(userId) {
+  async getStudentByUserId(userId, actor) {
     const student = await Student.findOne({ userId }).populate('userId', 'username email firstName lastName');
     
     if (!student) {
-      throw new ErrorResponse(`No student profile found for user with id ${userId}`, 404);
+      throw new NotFoundError(`No student profile found for user with id ${userId}`);
     }
     
+    if (actor) await accessPolicy.assertCanViewStudent(actor, student._id);
+    
     return student;
   }
 
@@ -84,7 +97,7 @@ class StudentService {
     }).populate('userId', 'username email firstName lastName');
     
     if (!student) {
-      throw new ErrorResponse(`No student found with id ${studentId}`, 404);
+      throw new NotFoundError(`No student found with id ${studentId}`);
     }
     
     return student;
@@ -93,13 +106,16 @@ class StudentService {
   /**
    * Get all classrooms for a student
    * @param {String} studentId - Student ID
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Array} List of classrooms
    */
-  async getStudentClassrooms(studentId) {
+  async getStudentClassrooms(studentId, actor) {
+    if (actor) await accessPolicy.assertCanViewStudent(actor, studentId);
+    
     const student = await Student.findById(studentId);
     
     if (!student) {
-      throw new ErrorResponse(`No student found with id ${studentId}`, 404);
+      throw new NotFoundError(`No student found with id ${studentId}`);
     }
     
     // Get classrooms containing this student
@@ -111,87 +127,102 @@ class StudentService {
   }
 
   /**
-   * Enroll student in a classroom
+   * Enroll student in a classroom, or put them on its waitlist when the
+   * classroom is at capacity. The classroom's enrollment requirements must be
+   * met; staff adding students through the roster are not held to them.
    * @param {String} studentId - Student ID
    * @param {String} classroomId - Classroom ID
-   * @returns {Object} Updated student and classroom
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Object} Updated student and classroom, and the enrollment status
    */
-  async enrollInClassroom(studentId, classroomId) {
+  async enrollInClassroom(studentId, classroomId, actor) {
+    if (actor) await accessPolicy.assertCanActForStudent(actor, studentId);
+    
     const student = await Student.findById(studentId);
     
     if (!student) {
-      throw new ErrorResponse(`No student found with id ${studentId}`, 404);
+      throw new NotFoundError(`No student found with id ${studentId}`);
     }
     
     const classroom = await Classroom.findById(classroomId);
     
     if (!classroom) {
-      throw new ErrorResponse(`No classroom found with id ${classroomId}`, 404);
+      throw new NotFoundError(`No classroom found with id ${classroomId}`);
     }
     
     // Check if student is already enrolled
     if (classroom.students.includes(studentId)) {
-      throw new ErrorResponse(`Student is already enrolled in this classroom`, 400);
+      throw new ConflictError(`Student is already enrolled in this classroom`);
     }
     
-    // Check if classroom is at capacity
-    if (classroom.isAtCapacity()) {
-      throw new ErrorResponse(`Classroom is at maximum capacity`, 400);
-    }
+    await eligibilityService.assertEligible(student, classroom);
     
-    // Add student to classroom and classroom to student
-    classroom.students.push(studentId);
-    student.classrooms.push(classroomId);
+    const enrollment = await enrollmentService.enroll(student, classroom, actor);
+    eventBus.publish(enrollment.status === 'waitlisted' ? STUDENT_WAITLISTED : STUDENT_ENROLLED, {
+      studentId: student._id,
+      classroomId: classroom._id
+    });
     
-    await Promise.all([classroom.save(), student.save()]);
+    const waitlistPosition = enrollment.status === 'waitlisted'
+      ? await enrollmentService.getWaitlistPosition(studentId, classroomId)
+      : null;
     
-    return { student, classroom };
+    return {
+      student: await Student.findById(studentId),
+      classroom: await Classroom.findById(classroomId),
+      status: enrollment.status === 'waitlisted' ? 'waitlisted' : 'enrolled',
+      waitlistPosition
+    };
   }
 
   /**
-   * Withdraw student from a classroom
+   * Withdraw student from a classroom (or its waitlist). The enrollment stays
+   * on record as withdrawn and a freed seat goes to the next student on the
+   * waitlist.
    * @param {String} studentId - Student ID
    * @param {String} classroomId - Classroom ID
+   * @param {String} [reason] - Why the student is leaving
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Object} Updated student and classroom
    */
-  async withdrawFromClassroom(studentId, classroomId) {
-    const student = await Student.findById(studentId);
+  async withdrawFromClassroom(studentId, classroomId, reason, actor) {
+    if (actor) await accessPolicy.assertCanActForStudent(actor, studentId);
+    
+    const student = await Student.exists({ _id: studentId });
     
     if (!student) {
-      throw new ErrorResponse(`No student found with id ${studentId}`, 404);
+      throw new NotFoundError(`No student found with id ${studentId}`);
     }
     
-    const classroom = await Classroom.findById(classroomId);
+    const classroom = await Classroom.exists({ _id: classroomId });
     
     if (!classroom) {
-      throw new ErrorResponse(`No classroom found with id ${classroomId}`, 404);
-    }
-    
-    // Check if student is enrolled
-    if (!classroom.students.includes(studentId)) {
-      throw new ErrorResponse(`Student is not enrolled in this classroom`, 400);
+      throw new NotFoundError(`No classroom found with id ${classroomId}`);
     }
     
-    // Remove student from classroom and classroom from student
-    classroom.students = classroom.students.filter(id => id.toString() !== studentId.toString());
-    student.classrooms = student.classrooms.filter(id => id.toString() !== classroomId.toString());
+    await enrollmentService.withdraw(studentId, classroomId, reason, actor);
+    eventBus.publish(STUDENT_WITHDRAWN, { studentId, classroomId, reason });
     
-    await Promise.all([classroom.save(), student.save()]);
-    
-    return { student, classroom };
+    return {
+      student: await Student.findById(studentId),
+      classroom: await Classroom.findById(classroomId)
+    };
   }
 
   /**
    * Get all grades for a student
    * @param {String} studentId - Student ID
    * @param {String} classroomId - Optional classroom ID to filter by
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Array} List of grades
    */
-  async getStudentGrades(studentId, classroomId) {
+  async getStudentGrades(studentId, classroomId, actor) {
+    if (actor) await accessPolicy.assertCanViewStudent(actor, studentId);
+    
     const student = await Student.findById(studentId);
     
     if (!student) {
-      throw new ErrorResponse(`No student found with id ${studentId}`, 404);
+      throw new NotFoundError(`No student found with id ${studentId}`);
     }
     
     // Build query
@@ -228,13 +259,16 @@ class StudentService {
    * Get attendance records for a student
    * @param {String} studentId - Student ID
    * @param {String} classroomId - Optional classroom ID to filter by
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Array} List of attendance records
    */
-  async getStudentAttendance(studentId, classroomId) {
+  async getStudentAttendance(studentId, classroomId, actor) {
+    if (actor) await accessPolicy.assertCanViewStudent(actor, studentId);
+    
     const student = await Student.findById(studentId);
     
     if (!student) {
-      throw new ErrorResponse(`No student found with id ${studentId}`, 404);
+      throw new NotFoundError(`No student found with id ${studentId}`);
     }
     
     // Build pipeline for aggregation
@@ -291,8 +325,9 @@ class StudentService {
     
     const attendanceRecords = await Attendance.aggregate(pipeline);
     
-    // Get statistics
-    const stats = await Attendance.getStudentStatistics(studentId, classroomId);
+    // Get statistics, leaving out sessions held while not enrolled
+    const recordFilter = await enrollmentService.getStudentAttendanceFilter(studentId, classroomId);
+    const stats = await Attendance.getStudentStatistics(studentId, classroomId, {}, recordFilter);
     
     return {
       records: attendanceRecords,
@@ -365,17 +400,22 @@ class StudentService {
     const student = await Student.findById(studentId);
     
     if (!student) {
-      throw new ErrorResponse(`No student found with id ${studentId}`, 404);
+      throw new NotFoundError(`No student found with id ${studentId}`);
     }
     
     // Check if student is enrolled in any classrooms
     if (student.classrooms.length > 0) {
-      throw new ErrorResponse(
-        `Cannot delete student enrolled in ${student.classrooms.length} classrooms. Withdraw student first.`,
-        400
+      throw new ConflictError(
+        `Cannot delete student enrolled in ${student.classrooms.length} classrooms. Withdraw student first.`
       );
     }
     
+    // Drop the student's waitlist places and enrollment history
+    await Enrollment.deleteMany({ studentId });
+    
+    // Unlink the student's guardians
+    await Guardianship.deleteMany({ studentId });
+    
     // Delete associated grades
     await Grade.deleteMany({ studentId });
     
@@ -388,13 +428,13 @@ class StudentService {
       );
       
       if (attendance.records.length === 0) {
-        await attendance.remove();
+        await attendance.deleteOne();
       } else {
         await attendance.save();
       }
     }
     
-    await student.remove();
+    await student.deleteOne();
     
     return true;
   }
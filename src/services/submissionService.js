@@ -0,0 +1,224 @@
+// services/submissionService.js
+const Submission = require('../models/Submission');
+const Assignment = require('../models/Assignment');
+const Classroom = require('../models/Classroom');
+const Grade = require('../models/Grade');
+const gradeService = require('./gradeService');
+const storageService = require('./storageService');
+const accessPolicy = require('../policies/accessPolicy');
+const { isLateSubmission } = require('../utils/lateness');
+const { NotFoundError, ConflictError, ValidationError, ForbiddenError } = require('../utils/errorResponse');
+
+/**
+ * Service layer for assignment Submission operations
+ */
+class SubmissionService {
+  /**
+   * Load an assignment of a classroom, hiding unpublished ones from students
+   * @param {string} classroomId - Classroom ID
+   * @param {string} assignmentId - Assignment ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} The assignment
+   */
+  async getAssignment(classroomId, assignmentId, actor) {
+    const assignment = await Assignment.findOne({ _id: assignmentId, classroomId });
+    
+    if (!assignment || (actor && actor.role === 'student' && !assignment.isPublished)) {
+      throw new NotFoundError('Assignment not found');
+    }
+    
+    return assignment;
+  }
+
+  /**
+   * Hand in an attempt for an assignment as the acting student
+   * @param {string} classroomId - Classroom ID
+   * @param {string} assignmentId - Assignment ID
+   * @param {Object} submissionData - Submission data (body)
+   * @param {Array} files - Uploaded files
+   * @param {Object} actor - Authenticated student
+   * @returns {Promise<Object>} Created submission
+   */
+  async submit(classroomId, assignmentId, submissionData, files = [], actor) {
+    const studentId = await accessPolicy.getStudentProfileId(actor);
+    
+    if (!studentId) {
+      throw new ForbiddenError('Only students can submit assignments');
+    }
+    
+    const assignment = await this.getAssignment(classroomId, assignmentId, actor);
+    
+    const enrolled = await Classroom.exists({ _id: classroomId, students: studentId });
+    if (!enrolled) {
+      throw new ForbiddenError('You are not enrolled in this classroom');
+    }
+    
+    if (!submissionData.body && files.length === 0) {
+      throw new ValidationError('Validation failed', [
+        { field: 'body', message: 'A submission needs a body or at least one attachment' }
+      ]);
+    }
+    
+    const submittedAt = new Date();
+    
+    if (!assignment.allowLateSubmissions && isLateSubmission(submittedAt, assignment.dueDate)) {
+      throw new ConflictError('The due date for this assignment has passed');
+    }
+    
+    const previousAttempts = await Submission.countDocuments({ assignmentId, studentId });
+    
+    if (previousAttempts >= assignment.maxAttempts) {
+      throw new ConflictError(`Maximum number of attempts (${assignment.maxAttempts}) reached`);
+    }
+    
+    const attachments = await storageService.saveUploads(files);
+    
+    try {
+      const submission = await Submission.create({
+        assignmentId,
+        classroomId,
+        studentId,
+        body: submissionData.body,
+        attachments,
+        submittedAt,
+        attempt: previousAttempts + 1,
+        dueDate: assignment.dueDate
+      });
+      
+      return submission;
+    } catch (error) {
+      // Don't leave orphaned files behind (e.g. a concurrent attempt won the race)
+      await storageService.deleteAll(attachments);
+      
+      if (error.code === 11000) {
+        throw new ConflictError('This attempt has already been submitted');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the submissions of an assignment. Students only see their own.
+   * @param {string} classroomId - Classroom ID
+   * @param {string} assignmentId - Assignment ID
+   * @param {Object} query - Filter query
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Array>} Array of submissions
+   */
+  async getAssignmentSubmissions(classroomId, assignmentId, query = {}, actor) {
+    await this.getAssignment(classroomId, assignmentId, actor);
+    
+    const filterObj = { assignmentId };
+    
+    if (query.status) filterObj.status = query.status;
+    if (query.studentId) filterObj.studentId = query.studentId;
+    
+    if (actor) {
+      if (actor.role === 'student') {
+        filterObj.studentId = await accessPolicy.getStudentProfileId(actor);
+      } else {
+        await accessPolicy.assertCanManageClassroom(actor, classroomId);
+      }
+    }
+    
+    const submissions = await Submission.find(filterObj)
+      .populate({
+        path: 'studentId',
+        select: 'userId studentId',
+        populate: { path: 'userId', select: 'firstName lastName' }
+      })
+      .sort({ submittedAt: -1 });
+    
+    return submissions;
+  }
+
+  /**
+   * Get a submission of an assignment
+   * @param {string} classroomId - Classroom ID
+   * @param {string} assignmentId - Assignment ID
+   * @param {string} submissionId - Submission ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} The submission
+   */
+  async getSubmissionById(classroomId, assignmentId, submissionId, actor) {
+    const submission = await Submission.findOne({ _id: submissionId, assignmentId, classroomId });
+    
+    if (!submission) {
+      throw new NotFoundError('Submission not found');
+    }
+    
+    if (actor) {
+      if (actor.role === 'student') {
+        await accessPolicy.assertCanActForStudent(actor, submission.studentId);
+      } else {
+        await accessPolicy.assertCanManageClassroom(actor, classroomId);
+      }
+    }
+    
+    return submission;
+  }
+
+  /**
+   * Open an attachment of a submission for download
+   * @param {string} classroomId - Classroom ID
+   * @param {string} assignmentId - Assignment ID
+   * @param {string} submissionId - Submission ID
+   * @param {string} attachmentId - Attachment ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Attachment descriptor and its read stream
+   */
+  async getAttachment(classroomId, assignmentId, submissionId, attachmentId, actor) {
+    const submission = await this.getSubmissionById(classroomId, assignmentId, submissionId, actor);
+    const attachment = submission.attachments.id(attachmentId);
+    
+    if (!attachment || !await storageService.exists(attachment.key)) {
+      throw new NotFoundError('Attachment not found');
+    }
+    
+    return {
+      attachment,
+      stream: storageService.createReadStream(attachment.key)
+    };
+  }
+
+  /**
+   * Grade a submission. The student's grade for the assignment is created on
+   * first grading and updated when a later attempt is graded.
+   * @param {string} classroomId - Classroom ID
+   * @param {string} assignmentId - Assignment ID
+   * @param {string} submissionId - Submission ID
+   * @param {Object} gradeData - Score and comments
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} The submission and its grade
+   */
+  async gradeSubmission(classroomId, assignmentId, submissionId, gradeData, actor) {
+    if (actor) await accessPolicy.assertCanManageClassroom(actor, classroomId);
+    
+    const submission = await this.getSubmissionById(classroomId, assignmentId, submissionId);
+    const existingGrade = await Grade.findOne({ assignmentId, studentId: submission.studentId });
+    
+    const grade = existingGrade
+      ? await gradeService.updateGrade(existingGrade._id, {
+        ...gradeData,
+        submissionDate: submission.submittedAt
+      }, actor)
+      : await gradeService.createGrade({
+        ...gradeData,
+        classroomId,
+        assignmentId,
+        studentId: submission.studentId,
+        submissionDate: submission.submittedAt
+      }, actor);
+    
+    submission.status = 'graded';
+    submission.gradeId = grade._id;
+    await submission.save();
+    
+    return {
+      submission,
+      grade
+    };
+  }
+}
+
+module.exports = new SubmissionService();
@@ -1,7 +1,8 @@
 const Teacher = require('../models/Teacher');
 const User = require('../models/User');
 const Classroom = require('../models/Classroom');
-const ErrorResponse = require('../utils/errorResponse');
+const accessPolicy = require('../policies/accessPolicy');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errorResponse');
 
 /**
  * Teacher Service - Handles all business logic related to teachers
@@ -17,14 +18,14 @@ class TeacherService {
     const user = await User.findById(teacherData.userId);
     
     if (!user) {
-      throw new ErrorResponse(`No user found with id ${teacherData.userId}`, 404);
+      throw new NotFoundError(`No user found with id ${teacherData.userId}`);
     }
     
     // Check if user is already a teacher
     const existingTeacher = await Teacher.findOne({ userId: teacherData.userId });
     
     if (existingTeacher) {
-      throw new ErrorResponse(`User already has a teacher profile`, 400);
+      throw new ConflictError(`User already has a teacher profile`);
     }
     
     // Update user role to teacher if not already
@@ -48,7 +49,7 @@ class TeacherService {
     const teacher = await Teacher.findById(teacherId).populate('userId', 'username email firstName lastName');
     
     if (!teacher) {
-      throw new ErrorResponse(`No teacher found with id ${teacherId}`, 404);
+      throw new NotFoundError(`No teacher found with id ${teacherId}`);
     }
     
     return teacher;
@@ -63,7 +64,7 @@ class TeacherService {
     const teacher = await Teacher.findOne({ userId }).populate('userId', 'username email firstName lastName');
     
     if (!teacher) {
-      throw new ErrorResponse(`No teacher profile found for user with id ${userId}`, 404);
+      throw new NotFoundError(`No teacher profile found for user with id ${userId}`);
     }
     
     return teacher;
@@ -73,16 +74,19 @@ class TeacherService {
    * Update teacher profile
    * @param {String} teacherId - Teacher ID
    * @param {Object} updateData - Data to update
+   * @param {Object} [actor] - Authenticated user performing the action
    * @returns {Object} Updated teacher profile
    */
-  async updateTeacher(teacherId, updateData) {
+  async updateTeacher(teacherId, updateData, actor) {
+    if (actor) await accessPolicy.assertCanActForTeacher(actor, teacherId);
+    
     const teacher = await Teacher.findByIdAndUpdate(teacherId, updateData, {
       new: true,
       runValidators: true
     }).populate('userId', 'username email firstName lastName');
     
     if (!teacher) {
-      throw new ErrorResponse(`No teacher found with id ${teacherId}`, 404);
+      throw new NotFoundError(`No teacher found with id ${teacherId}`);
     }
     
     return teacher;
@@ -97,7 +101,7 @@ class TeacherService {
     const teacher = await Teacher.findById(teacherId);
     
     if (!teacher) {
-      throw new ErrorResponse(`No teacher found with id ${teacherId}`, 404);
+      throw new NotFoundError(`No teacher found with id ${teacherId}`);
     }
     
     const classrooms = await Classroom.find({ teacherId })
@@ -182,12 +186,12 @@ class TeacherService {
     const teacher = await Teacher.findById(teacherId);
     
     if (!teacher) {
-      throw new ErrorResponse(`No teacher found with id ${teacherId}`, 404);
+      throw new NotFoundError(`No teacher found with id ${teacherId}`);
     }
     
     // Check if subject already exists
     if (teacher.subjects.includes(subject)) {
-      throw new ErrorResponse(`Teacher already has subject ${subject}`, 400);
+      throw new ConflictError(`Teacher already has subject ${subject}`);
     }
     
     teacher.subjects.push(subject);
@@ -206,12 +210,12 @@ class TeacherService {
     const teacher = await Teacher.findById(teacherId);
     
     if (!teacher) {
-      throw new ErrorResponse(`No teacher found with id ${teacherId}`, 404);
+      throw new NotFoundError(`No teacher found with id ${teacherId}`);
     }
     
     // Check if subject exists
     if (!teacher.subjects.includes(subject)) {
-      throw new ErrorResponse(`Teacher does not have subject ${subject}`, 400);
+      throw new ValidationError(`Teacher does not have subject ${subject}`);
     }
     
     teacher.subjects = teacher.subjects.filter(s => s !== subject);
@@ -229,16 +233,15 @@ class TeacherService {
     const teacher = await Teacher.findById(teacherId);
     
     if (!teacher) {
-      throw new ErrorResponse(`No teacher found with id ${teacherId}`, 404);
+      throw new NotFoundError(`No teacher found with id ${teacherId}`);
     }
     
     // Check if teacher has classrooms
     const classroomCount = await Classroom.countDocuments({ teacherId });
     
     if (classroomCount > 0) {
-      throw new ErrorResponse(
-        `Cannot delete teacher with ${classroomCount} active classrooms. Reassign classrooms first.`,
-        400
+      throw new ConflictError(
+        `Cannot delete teacher with ${classroomCount} active classrooms. Reassign classrooms first.`
       );
     }
     
@@ -249,7 +252,7 @@ class TeacherService {
       await user.save();
     }
     
-    await teacher.remove();
+    await teacher.deleteOne();
     
     return true;
   }
@@ -0,0 +1,200 @@
+// services/termService.js
+const AcademicTerm = require('../models/AcademicTerm');
+const Classroom = require('../models/Classroom');
+const { NotFoundError, ConflictError, ValidationError } = require('../utils/errorResponse');
+
+/**
+ * Service layer for AcademicTerm operations
+ */
+class TermService {
+  /**
+   * Create an academic term
+   * @param {Object} termData - The term data
+   * @returns {Promise<Object>} Created term
+   */
+  async createTerm(termData) {
+    const term = new AcademicTerm(termData);
+    
+    this.assertValidCalendar(term);
+    await term.save();
+    
+    return term;
+  }
+
+  /**
+   * Get academic terms
+   * @param {Object} query - Filter query (year, semester, date)
+   * @returns {Promise<Array>} Array of terms
+   */
+  async getTerms(query = {}) {
+    if (query.date) {
+      return AcademicTerm.findByDate(query.date);
+    }
+    
+    const filterObj = {};
+    
+    if (query.year) filterObj.year = parseInt(query.year);
+    if (query.semester) filterObj.semester = query.semester;
+    
+    const terms = await AcademicTerm.find(filterObj).sort({ startDate: -1 });
+    
+    return terms;
+  }
+
+  /**
+   * Get the terms running today
+   * @returns {Promise<Array>} Array of terms
+   */
+  async getCurrentTerms() {
+    return AcademicTerm.findByDate(new Date());
+  }
+
+  /**
+   * Get a term by ID
+   * @param {string} id - Term ID
+   * @returns {Promise<Object>} The term
+   */
+  async getTermById(id) {
+    const term = await AcademicTerm.findById(id);
+    
+    if (!term) {
+      throw new NotFoundError('Academic term not found');
+    }
+    
+    return term;
+  }
+
+  /**
+   * Update a term. Classrooms of the term pick up its semester and year.
+   * @param {string} id - Term ID
+   * @param {Object} updateData - Updated term data
+   * @returns {Promise<Object>} Updated term
+   */
+  async updateTerm(id, updateData) {
+    const term = await this.getTermById(id);
+    
+    term.set(updateData);
+    this.assertValidCalendar(term);
+    await term.save();
+    
+    if (updateData.semester || updateData.year) {
+      await Classroom.updateMany({ termId: id }, { semester: term.semester, year: term.year });
+    }
+    
+    return term;
+  }
+
+  /**
+   * Delete a term no classroom belongs to
+   * @param {string} id - Term ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteTerm(id) {
+    const term = await this.getTermById(id);
+    
+    const classroomCount = await Classroom.countDocuments({ termId: id });
+    
+    if (classroomCount > 0) {
+      throw new ConflictError(`Cannot delete term with ${classroomCount} classrooms`);
+    }
+    
+    await term.deleteOne();
+    
+    return true;
+  }
+
+  /**
+   * Get the classrooms of a term
+   * @param {string} id - Term ID
+   * @returns {Promise<Array>} Array of classrooms
+   */
+  async getTermClassrooms(id) {
+    await this.getTermById(id);
+    
+    const classrooms = await Classroom.find({ termId: id })
+      .populate('teacherId', 'userId subjects')
+      .sort({ subject: 1, name: 1 });
+    
+    return classrooms;
+  }
+
+  /**
+   * Semester and year a classroom takes from its term
+   * @param {string} termId - Term ID
+   * @returns {Promise<Object>} Term fields for the classroom
+   */
+  async getClassroomTermFields(termId) {
+    const term = await AcademicTerm.findById(termId);
+    
+    if (!term) {
+      throw new ValidationError('Validation failed', [
+        { field: 'termId', message: 'Academic term not found' }
+      ]);
+    }
+    
+    return {
+      termId: term._id,
+      semester: term.semester,
+      year: term.year
+    };
+  }
+
+  /**
+   * Get the term of a classroom
+   * @param {string} classroomId - Classroom ID
+   * @returns {Promise<Object|null>} Term, null if the classroom has none
+   */
+  async getClassroomTerm(classroomId) {
+    const classroom = await Classroom.findById(classroomId).select('termId');
+    
+    if (!classroom || !classroom.termId) return null;
+    
+    return AcademicTerm.findById(classroom.termId);
+  }
+
+  /**
+   * Filter limiting attendance of a classroom to its term's teaching days
+   * @param {string} classroomId - Classroom ID
+   * @returns {Promise<Object>} Mongo filter on `date` (empty without a term)
+   */
+  async getInstructionalDateFilter(classroomId) {
+    const term = await this.getClassroomTerm(classroomId);
+    return term ? term.instructionalDateFilter() : {};
+  }
+
+  /**
+   * Holidays and grading periods must lie inside the term, and grading
+   * periods must not overlap
+   * @param {Object} term - Term document
+   */
+  assertValidCalendar(term) {
+    const details = [];
+    
+    if (term.endDate < term.startDate) {
+      details.push({ field: 'endDate', message: 'endDate must not be before startDate' });
+    }
+    
+    ['holidays', 'gradingPeriods'].forEach(field => {
+      term[field].forEach((range, index) => {
+        if (range.endDate < range.startDate) {
+          details.push({ field: `${field}.${index}.endDate`, message: 'endDate must not be before startDate' });
+        } else if (range.startDate < term.startDate || range.endDate > term.endDate) {
+          details.push({ field: `${field}.${index}`, message: `${range.name} must fall within the term` });
+        }
+      });
+    });
+    
+    const periods = [...term.gradingPeriods].sort((a, b) => a.startDate - b.startDate);
+    periods.slice(1).forEach((period, index) => {
+      if (period.startDate <= periods[index].endDate) {
+        details.push({ field: 'gradingPeriods', message: `${periods[index].name} and ${period.name} overlap` });
+      }
+    });
+    
+    if (details.length > 0) {
+      throw new ValidationError('Validation failed', details);
+    }
+  }
+}
+
+module.exports = new TermService();
@@ -0,0 +1,227 @@
+// services/timetableService.js
+const Classroom = require('../models/Classroom');
+const Student = require('../models/Student');
+const Teacher = require('../models/Teacher');
+const accessPolicy = require('../policies/accessPolicy');
+const { sameTerm, roomKey, overlappingEntries, buildTimetable } = require('../utils/timetable');
+const { NotFoundError, ConflictError } = require('../utils/errorResponse');
+
+const CLASSROOM_FIELDS = 'name subject teacherId students schedule semester year termId';
+
+/**
+ * Service layer for weekly timetables and schedule conflicts
+ */
+class TimetableService {
+  /**
+   * Find the active classrooms whose schedule clashes with a classroom's,
+   * because they share its teacher, one of its students or one of its rooms
+   * @param {Object} classroom - Classroom as it would be saved (may be unsaved)
+   * @returns {Promise<Array>} Conflict details
+   */
+  async findClassroomConflicts(classroom) {
+    if (classroom.isActive === false || !classroom.schedule || classroom.schedule.length === 0) {
+      return [];
+    }
+
+    const studentIds = (classroom.students || []).map(id => id.toString());
+    const rooms = [...new Set(classroom.schedule.map(entry => roomKey(entry.location)).filter(Boolean))];
+
+    const shared = [{ teacherId: classroom.teacherId }];
+    if (studentIds.length > 0) shared.push({ students: { $in: studentIds } });
+    if (rooms.length > 0) shared.push({ 'schedule.location': { $in: rooms } });
+
+    const others = await this.getConcurrentClassrooms(classroom, { $or: shared });
+    const conflicts = [];
+
+    others.forEach(other => {
+      if (other.teacherId.toString() === classroom.teacherId.toString()) {
+        overlappingEntries(classroom.schedule, other.schedule)
+          .forEach(pair => conflicts.push(this.describeConflict('teacher', other, pair)));
+      }
+
+      const sharedStudents = other.students
+        .map(id => id.toString())
+        .filter(id => studentIds.includes(id));
+
+      if (sharedStudents.length > 0) {
+        overlappingEntries(classroom.schedule, other.schedule)
+          .forEach(pair => conflicts.push(this.describeConflict('student', other, pair, sharedStudents)));
+      }
+
+      overlappingEntries(classroom.schedule, other.schedule, (entry, otherEntry) =>
+        roomKey(entry.location) !== null && roomKey(entry.location) === roomKey(otherEntry.location)
+      ).forEach(pair => conflicts.push(this.describeConflict('room', other, pair)));
+    });
+
+    return conflicts;
+  }
+
+  /**
+   * Find the student's classrooms that clash with a classroom they are joining
+   * @param {string} studentId - Student ID
+   * @param {Object} classroom - Classroom being joined
+   * @param {Object} [session] - Mongoose session of the surrounding transaction
+   * @returns {Promise<Array>} Conflict details
+   */
+  async findStudentConflicts(studentId, classroom, session) {
+    if (classroom.isActive === false || !classroom.schedule || classroom.schedule.length === 0) {
+      return [];
+    }
+
+    const others = await this.getConcurrentClassrooms(classroom, { students: studentId }, session);
+
+    return others.flatMap(other => overlappingEntries(classroom.schedule, other.schedule)
+      .map(pair => this.describeConflict('student', other, pair, [studentId.toString()])));
+  }
+
+  /**
+   * Reject a change that would double-book a teacher, student or room
+   * @param {Array} conflicts - Conflict details from the find* methods
+   * @throws {ConflictError} Listing the conflicting classrooms
+   */
+  assertNoConflicts(conflicts) {
+    if (conflicts.length > 0) {
+      throw new ConflictError('Schedule conflicts with other classrooms', conflicts);
+    }
+  }
+
+  /**
+   * Active classrooms, other than the given one, running in the same term
+   * @param {Object} classroom - Classroom (semester, year, termId)
+   * @param {Object} filter - Additional filter
+   * @param {Object} [session] - Mongoose session to read in
+   * @returns {Promise<Array>} Classrooms
+   */
+  async getConcurrentClassrooms(classroom, filter, session) {
+    const termFilter = { year: classroom.year };
+    if (classroom.semester !== 'Year-round') {
+      termFilter.semester = { $in: [classroom.semester, 'Year-round'] };
+    }
+
+    const sameTermFilter = [termFilter];
+    if (classroom.termId) sameTermFilter.push({ termId: classroom.termId });
+
+    const filterObj = { isActive: true, $and: [{ $or: sameTermFilter }, filter] };
+    if (classroom._id) filterObj._id = { $ne: classroom._id };
+
+    const classrooms = await Classroom.find(filterObj).select(CLASSROOM_FIELDS).session(session || null);
+
+    return classrooms.filter(other => sameTerm(classroom, other));
+  }
+
+  /**
+   * Conflict detail naming the other classroom and the clashing session
+   * @param {string} type - teacher, student or room
+   * @param {Object} other - Conflicting classroom
+   * @param {Object} pair - Overlapping entries ({ entry, otherEntry })
+   * @param {Array} [studentIds] - Students booked in both classrooms
+   * @returns {Object} Conflict detail
+   */
+  describeConflict(type, other, { entry, otherEntry }, studentIds) {
+    const slot = `${otherEntry.dayOfWeek} ${otherEntry.startTime}-${otherEntry.endTime}`;
+    const who = {
+      teacher: 'Teacher is',
+      student: studentIds && studentIds.length > 1 ? `${studentIds.length} students are` : 'Student is',
+      room: `Room ${roomKey(entry.location)} is`
+    }[type];
+
+    return {
+      field: 'schedule',
+      type,
+      message: `${who} already booked in ${other.name} on ${slot}`,
+      classroomId: other._id,
+      classroomName: other.name,
+      dayOfWeek: otherEntry.dayOfWeek,
+      startTime: otherEntry.startTime,
+      endTime: otherEntry.endTime,
+      location: otherEntry.location,
+      ...(studentIds && { studentIds })
+    };
+  }
+
+  /**
+   * Get the weekly timetable of a teacher
+   * @param {string} teacherId - Teacher ID
+   * @param {Object} query - Filter query (termId, semester, year)
+   * @returns {Promise<Object>} Timetable and any clashes within it
+   */
+  async getTeacherTimetable(teacherId, query = {}) {
+    const teacher = await Teacher.findById(teacherId);
+
+    if (!teacher) {
+      throw new NotFoundError(`No teacher found with id ${teacherId}`);
+    }
+
+    const classrooms = await Classroom.find({ teacherId, isActive: true, ...this.termQuery(query) })
+      .select(CLASSROOM_FIELDS);
+
+    return this.toTimetable(classrooms);
+  }
+
+  /**
+   * Get the weekly timetable of a student
+   * @param {string} studentId - Student ID
+   * @param {Object} query - Filter query (termId, semester, year)
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Timetable and any clashes within it
+   */
+  async getStudentTimetable(studentId, query = {}, actor) {
+    if (actor) await accessPolicy.assertCanViewStudent(actor, studentId);
+
+    const student = await Student.findById(studentId);
+
+    if (!student) {
+      throw new NotFoundError(`No student found with id ${studentId}`);
+    }
+
+    const classrooms = await Classroom.find({ students: studentId, isActive: true, ...this.termQuery(query) })
+      .select(CLASSROOM_FIELDS);
+
+    return this.toTimetable(classrooms);
+  }
+
+  /**
+   * Classroom filter for the timetable query parameters
+   * @param {Object} query - Filter query (termId, semester, year)
+   * @returns {Object} Classroom filter
+   */
+  termQuery(query) {
+    const filterObj = {};
+
+    if (query.termId) filterObj.termId = query.termId;
+    if (query.semester) filterObj.semester = query.semester;
+    if (query.year) filterObj.year = parseInt(query.year);
+
+    return filterObj;
+  }
+
+  /**
+   * Timetable of a set of classrooms; clashes recorded before conflict
+   * detection existed are listed so they can be fixed
+   * @param {Array} classrooms - Classrooms
+   * @returns {Object} { timetable, conflicts }
+   */
+  toTimetable(classrooms) {
+    const conflicts = [];
+
+    classrooms.forEach((classroom, index) => {
+      classrooms.slice(index + 1)
+        .filter(other => sameTerm(classroom, other))
+        .forEach(other => overlappingEntries(classroom.schedule, other.schedule).forEach(({ entry }) => {
+          conflicts.push({
+            classroomIds: [classroom._id, other._id],
+            dayOfWeek: entry.dayOfWeek,
+            startTime: entry.startTime,
+            endTime: entry.endTime
+          });
+        }));
+    });
+
+    return {
+      timetable: buildTimetable(classrooms),
+      conflicts
+    };
+  }
+}
+
+module.exports = new TimetableService();
@@ -0,0 +1,108 @@
+// services/transcriptService.js
+const Student = require('../models/Student');
+const Classroom = require('../models/Classroom');
+const Grade = require('../models/Grade');
+const gradeService = require('./gradeService');
+const accessPolicy = require('../policies/accessPolicy');
+const { calculateGpa } = require('../utils/gradeScale');
+const { NotFoundError } = require('../utils/errorResponse');
+
+// Order of the terms within a year
+const SEMESTER_ORDER = ['Winter', 'Spring', 'Summer', 'Fall', 'Year-round'];
+
+/**
+ * Service layer for student transcripts
+ */
+class TranscriptService {
+  /**
+   * Build a student's transcript: final grades of every classroom they are or
+   * were graded in, grouped by term, with term and cumulative GPA
+   * @param {string} studentId - Student ID
+   * @param {Object} [actor] - Authenticated user performing the action
+   * @returns {Promise<Object>} Transcript
+   */
+  async getStudentTranscript(studentId, actor) {
+    if (actor) await accessPolicy.assertCanViewStudent(actor, studentId);
+    
+    const student = await Student.findById(studentId)
+      .populate('userId', 'firstName lastName email');
+    
+    if (!student) {
+      throw new NotFoundError(`No student found with id ${studentId}`);
+    }
+    
+    const courses = await this.getStudentCourses(studentId);
+    const terms = this.groupByTerm(courses);
+    
+    return {
+      student: {
+        id: student._id,
+        studentId: student.studentId,
+        firstName: student.userId ? student.userId.firstName : undefined,
+        lastName: student.userId ? student.userId.lastName : undefined,
+        grade: student.grade
+      },
+      terms,
+      cumulative: calculateGpa(courses),
+      generatedAt: new Date()
+    };
+  }
+
+  /**
+   * Final grades of every classroom a student is or was graded in
+   * @param {string} studentId - Student ID
+   * @returns {Promise<Array>} Final grades, without the category breakdown
+   */
+  async getStudentCourses(studentId) {
+    // Classrooms the student has since left still belong on the transcript
+    const gradedClassroomIds = await Grade.distinct('classroomId', { studentId });
+    const classrooms = await Classroom.find({
+      $or: [{ students: studentId }, { _id: { $in: gradedClassroomIds } }]
+    });
+    
+    const grades = await Grade.find({ studentId, classroomId: { $in: classrooms.map(c => c._id) } });
+    
+    const gradesByClassroom = new Map();
+    grades.forEach(grade => {
+      const key = grade.classroomId.toString();
+      if (!gradesByClassroom.has(key)) gradesByClassroom.set(key, []);
+      gradesByClassroom.get(key).push(grade);
+    });
+    
+    return Promise.all(classrooms.map(async classroom => {
+      const { categories, ...finalGrade } = await gradeService.buildFinalGrade(
+        classroom,
+        gradesByClassroom.get(classroom._id.toString()) || []
+      );
+      return finalGrade;
+    }));
+  }
+
+  /**
+   * Group final grades by year and semester, oldest term first
+   * @param {Array} courses - Final grades
+   * @returns {Array} Terms with their courses and term GPA
+   */
+  groupByTerm(courses) {
+    const terms = new Map();
+    
+    courses.forEach(course => {
+      const key = `${course.year}-${course.semester}`;
+      if (!terms.has(key)) {
+        terms.set(key, { year: course.year, semester: course.semester, courses: [] });
+      }
+      terms.get(key).courses.push(course);
+    });
+    
+    return [...terms.values()]
+      .sort((a, b) => a.year - b.year
+        || SEMESTER_ORDER.indexOf(a.semester) - SEMESTER_ORDER.indexOf(b.semester))
+      .map(term => ({
+        ...term,
+        courses: term.courses.sort((a, b) => a.subject.localeCompare(b.subject)),
+        ...calculateGpa(term.courses)
+      }));
+  }
+}
+
+module.exports = new TranscriptService();
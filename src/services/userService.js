@@ -1,6 +1,11 @@
-const User = require('./models/User');
-const Student = require('./models/Student');
-const Teacher = require('./models/Teacher');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Teacher = require('../models/Teacher');
+const Guardianship = require('../models/Guardianship');
+const Notification = require('../models/Notification');
+const eventBus = require('../events/eventBus');
+const { USER_ACCESS_CHANGED } = require('../events/eventTypes');
+const { ValidationError, NotFoundError } = require('../utils/errorResponse');
 
 class UserService {
   /**
@@ -11,43 +16,39 @@ class UserService {
    * @returns {Object} - Users and pagination info
    */
   async getUsers(query = {}, page = 1, limit = 10) {
-    try {
-      const filter = {};
-      
-      // Apply filters if provided
-      if (query.role) filter.role = query.role;
-      if (query.isActive !== undefined) filter.isActive = query.isActive === 'true';
-      if (query.search) {
-        filter.$or = [
-          { username: { $regex: query.search, $options: 'i' } },
-          { email: { $regex: query.search, $options: 'i' } },
-          { firstName: { $regex: query.search, $options: 'i' } },
-          { lastName: { $regex: query.search, $options: 'i' } }
-        ];
-      }
-      
-      // Count total documents for pagination
-      const total = await User.countDocuments(filter);
-      
-      // Get users with pagination
-      const users = await User.find(filter)
-        .select('-password')
-        .skip((page - 1) * limit)
-        .limit(limit)
-        .sort({ createdAt: -1 });
-      
-      return {
-        users,
-        pagination: {
-          total,
-          page,
-          limit,
-          pages: Math.ceil(total / limit)
-        }
-      };
-    } catch (error) {
-      throw error;
+    const filter = {};
+    
+    // Apply filters if provided
+    if (query.role) filter.role = query.role;
+    if (query.isActive !== undefined) filter.isActive = query.isActive === 'true';
+    if (query.search) {
+      filter.$or = [
+        { username: { $regex: query.search, $options: 'i' } },
+        { email: { $regex: query.search, $options: 'i' } },
+        { firstName: { $regex: query.search, $options: 'i' } },
+        { lastName: { $regex: query.search, $options: 'i' } }
+      ];
     }
+    
+    // Count total documents for pagination
+    const total = await User.countDocuments(filter);
+    
+    // Get users with pagination
+    const users = await User.find(filter)
+      .select('-password')
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .sort({ createdAt: -1 });
+    
+    return {
+      users,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
   }
   
   /**
@@ -56,25 +57,21 @@ class UserService {
    * @returns {Object} - User object
    */
   async getUserById(userId) {
-    try {
-      const user = await User.findById(userId).select('-password');
-      
-      if (!user) {
-        throw new Error('User not found');
-      }
-      
-      // Get associated profile (student or teacher) if available
-      let profile = null;
-      if (user.role === 'student') {
-        profile = await Student.findOne({ userId }).populate('classrooms', 'name subject');
-      } else if (user.role === 'teacher') {
-        profile = await Teacher.findOne({ userId }).populate('classrooms', 'name subject');
-      }
-      
-      return { user, profile };
-    } catch (error) {
-      throw error;
+    const user = await User.findById(userId).select('-password');
+    
+    if (!user) {
+      throw new NotFoundError('User not found');
     }
+    
+    // Get associated profile (student or teacher) if available
+    let profile = null;
+    if (user.role === 'student') {
+      profile = await Student.findOne({ userId }).populate('classrooms', 'name subject');
+    } else if (user.role === 'teacher') {
+      profile = await Teacher.findOne({ userId }).populate('classrooms', 'name subject');
+    }
+    
+    return { user, profile };
   }
   
   /**
@@ -84,24 +81,20 @@ class UserService {
    * @returns {Object} - Updated user
    */
   async updateUser(userId, updateData) {
-    try {
-      // Prevent updating sensitive fields
-      const { password, role, ...safeUpdateData } = updateData;
-      
-      const user = await User.findByIdAndUpdate(
-        userId,
-        safeUpdateData,
-        { new: true, runValidators: true }
-      ).select('-password');
-      
-      if (!user) {
-        throw new Error('User not found');
-      }
-      
-      return user;
-    } catch (error) {
-      throw error;
+    // Prevent updating sensitive fields
+    const { password, role, ...safeUpdateData } = updateData;
+    
+    const user = await User.findByIdAndUpdate(
+      userId,
+      safeUpdateData,
+      { new: true, runValidators: true }
+    ).select('-password');
+    
+    if (!user) {
+      throw new NotFoundError('User not found');
     }
+    
+    return user;
   }
   
   /**
@@ -111,25 +104,23 @@ class UserService {
    * @returns {Object} - Updated user
    */
   async updateUserRole(userId, newRole) {
-    try {
-      if (!['student', 'teacher', 'admin'].includes(newRole)) {
-        throw new Error('Invalid role');
-      }
-      
-      const user = await User.findByIdAndUpdate(
-        userId,
-        { role: newRole },
-        { new: true, runValidators: true }
-      ).select('-password');
-      
-      if (!user) {
-        throw new Error('User not found');
-      }
-      
-      return user;
-    } catch (error) {
-      throw error;
+    if (!['student', 'teacher', 'admin', 'guardian'].includes(newRole)) {
+      throw new ValidationError('Invalid role');
+    }
+    
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { role: newRole },
+      { new: true, runValidators: true }
+    ).select('-password');
+    
+    if (!user) {
+      throw new NotFoundError('User not found');
     }
+    
+    eventBus.publish(USER_ACCESS_CHANGED, { userId: user._id });
+    
+    return user;
   }
   
   /**
@@ -139,21 +130,19 @@ class UserService {
    * @returns {Object} - Updated user
    */
   async setUserStatus(userId, isActive) {
-    try {
-      const user = await User.findByIdAndUpdate(
-        userId,
-        { isActive },
-        { new: true, runValidators: true }
-      ).select('-password');
-      
-      if (!user) {
-        throw new Error('User not found');
-      }
-      
-      return user;
-    } catch (error) {
-      throw error;
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { isActive },
+      { new: true, runValidators: true }
+    ).select('-password');
+    
+    if (!user) {
+      throw new NotFoundError('User not found');
     }
+    
+    eventBus.publish(USER_ACCESS_CHANGED, { userId: user._id });
+    
+    return user;
   }
   
   /**
@@ -162,27 +151,28 @@ class UserService {
    * @returns {Boolean} - Success status
    */
   async deleteUser(userId) {
-    try {
-      const user = await User.findById(userId);
-      
-      if (!user) {
-        throw new Error('User not found');
-      }
-      
-      // Delete associated profile (student or teacher)
-      if (user.role === 'student') {
-        await Student.findOneAndDelete({ userId });
-      } else if (user.role === 'teacher') {
-        await Teacher.findOneAndDelete({ userId });
-      }
-      
-      // Delete the user
-      await User.findByIdAndDelete(userId);
-      
-      return true;
-    } catch (error) {
-      throw error;
+    const user = await User.findById(userId);
+    
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    
+    // Delete associated profile (student or teacher) or guardian links
+    if (user.role === 'student') {
+      await Student.findOneAndDelete({ userId });
+    } else if (user.role === 'teacher') {
+      await Teacher.findOneAndDelete({ userId });
+    } else if (user.role === 'guardian') {
+      await Guardianship.deleteMany({ guardianId: userId });
     }
+    
+    // Delete the user and their inbox
+    await Notification.deleteMany({ userId });
+    await User.findByIdAndDelete(userId);
+    
+    eventBus.publish(USER_ACCESS_CHANGED, { userId });
+    
+    return true;
   }
 }
 
@@ -0,0 +1,24 @@
+const LocalStorage = require('./localStorage');
+
+const drivers = {
+  local: LocalStorage
+};
+
+/**
+ * Create a storage driver by name
+ * @param {String} name - Driver name (local)
+ * @returns {Object} Driver exposing `save`, `exists`, `createReadStream` and `delete`
+ */
+const createDriver = (name) => {
+  const Driver = drivers[name];
+
+  if (!Driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  return new Driver();
+};
+
+module.exports = {
+  createDriver
+};
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { STORAGE_LOCAL_DIR } = require('../../config/storage');
+
+/**
+ * Stores files on the local disk
+ */
+class LocalStorage {
+  constructor(rootDir = STORAGE_LOCAL_DIR) {
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  /**
+   * Resolve a storage key to a path inside the root directory
+   * @param {String} key - Storage key
+   * @returns {String} Absolute file path
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Save a file
+   * @param {Buffer} buffer - File contents
+   * @param {Object} meta - File metadata (originalName, mimeType)
+   * @returns {Promise<Object>} Stored file info (key, size)
+   */
+  async save(buffer, meta = {}) {
+    const now = new Date();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const extension = path.extname(meta.originalName || '').toLowerCase();
+    const key = `${now.getFullYear()}/${month}/${crypto.randomUUID()}${extension}`;
+    const filePath = this.resolve(key);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+
+    return { key, size: buffer.length };
+  }
+
+  /**
+   * Open a stored file for reading
+   * @param {String} key - Storage key
+   * @returns {ReadStream} File stream
+   */
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  /**
+   * Check whether a file is stored
+   * @param {String} key - Storage key
+   * @returns {Promise<boolean>} True when the file exists
+   */
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolve(key));
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Delete a stored file
+   * @param {String} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,93 @@
+/**
+ * Evaluation of attendance alert rules against a student's session history.
+ *
+ * `history` holds one entry per session the student was on the register for,
+ * oldest first: `{ date, status, minutesLate }`. Excused sessions neither
+ * count against the student nor break a run of absences.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Sessions that fall inside a rule's window
+ * @param {Array} history - Session history
+ * @param {Number} [windowDays] - Window length, all sessions when empty
+ * @param {Date} now - Evaluation time
+ * @returns {Array} Sessions in the window
+ */
+const inWindow = (history, windowDays, now) => {
+  if (!windowDays) return history;
+  const since = now.getTime() - windowDays * MS_PER_DAY;
+  return history.filter(entry => new Date(entry.date).getTime() >= since);
+};
+
+const evaluators = {
+  'consecutive-absences': (rule, history) => {
+    let streak = 0;
+
+    for (let i = history.length - 1; i >= 0; i--) {
+      if (history[i].status === 'excused') continue;
+      if (history[i].status !== 'absent') break;
+      streak++;
+    }
+
+    return {
+      triggered: streak >= rule.threshold,
+      value: streak,
+      message: `${streak} consecutive absences`
+    };
+  },
+
+  'attendance-rate': (rule, history, now) => {
+    const counted = inWindow(history, rule.windowDays, now).filter(entry => entry.status !== 'excused');
+
+    if (counted.length === 0 || counted.length < (rule.minSessions || 1)) {
+      return { triggered: false, value: null, message: 'Not enough sessions to judge the attendance rate' };
+    }
+
+    const attended = counted.filter(entry => entry.status === 'present' || entry.status === 'late').length;
+    const rate = round((attended / counted.length) * 100);
+    const period = rule.windowDays ? ` over the last ${rule.windowDays} days` : '';
+
+    return {
+      triggered: rate < rule.threshold,
+      value: rate,
+      message: `Attendance rate of ${rate}%${period} is below ${rule.threshold}%`
+    };
+  },
+
+  'minutes-late': (rule, history, now) => {
+    const total = inWindow(history, rule.windowDays, now)
+      .reduce((sum, entry) => sum + (entry.minutesLate || 0), 0);
+    const period = rule.windowDays ? ` in the last ${rule.windowDays} days` : '';
+
+    return {
+      triggered: total > rule.threshold,
+      value: total,
+      message: `${total} minutes late${period}`
+    };
+  }
+};
+
+/**
+ * Evaluate one rule
+ * @param {Object} rule - Alert rule (type, threshold, windowDays, minSessions)
+ * @param {Array} history - Session history, oldest first
+ * @param {Date} [now] - Evaluation time
+ * @returns {Object} `triggered`, measured `value` and a human readable `message`
+ */
+const evaluateRule = (rule, history, now = new Date()) => {
+  const evaluator = evaluators[rule.type];
+
+  if (!evaluator) {
+    throw new Error(`Unknown alert rule type: ${rule.type}`);
+  }
+
+  return evaluator(rule, history, now);
+};
+
+module.exports = {
+  evaluateRule
+};
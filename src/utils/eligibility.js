@@ -0,0 +1,104 @@
+/**
+ * Evaluate a classroom's `enrollmentRequirements` against a student.
+ * Requirements name either a specific classroom or any classroom of a subject.
+ */
+
+/**
+ * Whether a course satisfies a requirement
+ * @param {Object} requirement - Requirement (classroomId or subject)
+ * @param {Object} course - Final grade or classroom (classroomId, subject)
+ * @returns {Boolean} True if the course is the one required
+ */
+const matchesRequirement = (requirement, course) => {
+  if (requirement.classroomId) {
+    return course.classroomId.toString() === requirement.classroomId.toString();
+  }
+
+  return Boolean(course.subject) &&
+    course.subject.trim().toLowerCase() === requirement.subject.trim().toLowerCase();
+};
+
+/**
+ * Human readable name of a requirement
+ * @param {Object} requirement - Requirement (classroomId or subject)
+ * @param {Map} classroomNames - Classroom names by ID
+ * @returns {String} Name of the required course
+ */
+const describeRequirement = (requirement, classroomNames) => {
+  if (requirement.classroomId) {
+    return classroomNames.get(requirement.classroomId.toString()) || `classroom ${requirement.classroomId}`;
+  }
+
+  return requirement.subject;
+};
+
+/**
+ * List the requirements a student does not meet
+ * @param {Object} requirements - Classroom.enrollmentRequirements
+ * @param {Object} student - { grade, courses, currentClassrooms } where courses
+ *   are the final grades of the student's completed classrooms
+ *   ({ classroomId, subject, average }) and currentClassrooms the classrooms
+ *   they are enrolled in or waitlisted for ({ classroomId, subject })
+ * @param {Map} [classroomNames] - Names of the classrooms requirements refer to
+ * @returns {Array} Unmet requirements ({ type, message, ... }); empty if eligible
+ */
+const findUnmetRequirements = (requirements, student, classroomNames = new Map()) => {
+  const unmet = [];
+
+  if (!requirements) return unmet;
+
+  const allowedGradeLevels = requirements.allowedGradeLevels || [];
+
+  if (allowedGradeLevels.length > 0 && !allowedGradeLevels.includes(student.grade)) {
+    unmet.push({
+      type: 'gradeLevel',
+      message: `Open to grade levels ${allowedGradeLevels.join(', ')}, student is in grade ${student.grade}`,
+      allowedGradeLevels,
+      studentGrade: student.grade
+    });
+  }
+
+  (requirements.prerequisites || []).forEach(prerequisite => {
+    const minimumGrade = prerequisite.minimumGrade || 0;
+    const averages = student.courses
+      .filter(course => matchesRequirement(prerequisite, course) && course.average !== null)
+      .map(course => course.average);
+    const bestAverage = averages.length > 0 ? Math.max(...averages) : null;
+
+    if (bestAverage === null || bestAverage < minimumGrade) {
+      const name = describeRequirement(prerequisite, classroomNames);
+
+      unmet.push({
+        type: 'prerequisite',
+        message: bestAverage === null
+          ? `Requires a completed ${name} course`
+          : `Requires a final grade of at least ${minimumGrade} in ${name} (best is ${bestAverage})`,
+        classroomId: prerequisite.classroomId,
+        subject: prerequisite.subject,
+        minimumGrade,
+        bestAverage
+      });
+    }
+  });
+
+  // Co-requisites are taken alongside, so only a current enrollment counts
+  (requirements.corequisites || []).forEach(corequisite => {
+    const currentClassrooms = student.currentClassrooms || [];
+
+    if (!currentClassrooms.some(current => matchesRequirement(corequisite, current))) {
+      unmet.push({
+        type: 'corequisite',
+        message: `Requires enrollment in ${describeRequirement(corequisite, classroomNames)}`,
+        classroomId: corequisite.classroomId,
+        subject: corequisite.subject
+      });
+    }
+  });
+
+  return unmet;
+};
+
+module.exports = {
+  matchesRequirement,
+  findUnmetRequirements
+};
@@ -0,0 +1,101 @@
+/**
+ * Enrollment windows: the periods during which a student was on a classroom's
+ * roster. Grades and attendance outside them (before enrolling, after
+ * withdrawing, between a withdrawal and a re-enrollment) are left out of
+ * statistics. Windows cover whole days, like the attendance register.
+ */
+const { startOfDay } = require('./schedule');
+
+const OPENING_ACTIONS = ['enrolled', 'reopened'];
+const CLOSING_ACTIONS = ['withdrawn', 'completed'];
+
+/**
+ * Last moment of a day
+ * @param {Date} date - Any date value
+ * @returns {Date} 23:59:59.999 on that day
+ */
+const endOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(23, 59, 59, 999);
+  return day;
+};
+
+/**
+ * Windows of an enrollment, from its history. Enrollments without a history
+ * (backfilled ones) span enrolledAt to withdrawnAt/completedAt.
+ * @param {Object} enrollment - Enrollment (status, history, enrolledAt, ...)
+ * @returns {Array} [{ start, end }], null meaning unbounded
+ */
+const enrollmentWindows = (enrollment) => {
+  const history = enrollment.history || [];
+
+  if (history.length === 0) {
+    if (enrollment.status === 'waitlisted') return [];
+
+    const end = enrollment.status === 'active' ? null : (enrollment.withdrawnAt || enrollment.completedAt || null);
+    return [{
+      start: enrollment.enrolledAt ? startOfDay(enrollment.enrolledAt) : null,
+      end: end ? endOfDay(end) : null
+    }];
+  }
+
+  const windows = [];
+  let open = null;
+
+  [...history]
+    .sort((a, b) => new Date(a.at) - new Date(b.at))
+    .forEach(event => {
+      if (OPENING_ACTIONS.includes(event.action) && !open) {
+        open = { start: startOfDay(event.at), end: null };
+        windows.push(open);
+      } else if (CLOSING_ACTIONS.includes(event.action) && open) {
+        open.end = endOfDay(event.at);
+        open = null;
+      }
+    });
+
+  return windows;
+};
+
+/**
+ * Whether a date falls inside any of the windows
+ * @param {Date} date - Date to check
+ * @param {Array} windows - Enrollment windows
+ * @returns {Boolean} True if inside a window
+ */
+const isWithinWindows = (date, windows) => windows.some(({ start, end }) =>
+  (!start || new Date(date) >= start) && (!end || new Date(date) <= end)
+);
+
+/**
+ * Mongo filter that drops everything outside the windows of the given keys,
+ * e.g. attendance records of a student outside their enrollment. Keys that
+ * are not listed are left alone; listed keys without windows are dropped.
+ * @param {Array} entries - [{ match, windows }], e.g. match { 'records.studentId': id }
+ * @param {String} dateField - Date field compared with the windows
+ * @returns {Object} Filter, empty when nothing is excluded
+ */
+const outsideWindowsFilter = (entries, dateField) => {
+  const excluded = entries
+    // An unbounded window excludes nothing
+    .filter(({ windows }) => !windows.some(({ start, end }) => !start && !end))
+    .map(({ match, windows }) => {
+      if (windows.length === 0) return match;
+
+      return {
+        ...match,
+        $nor: windows.map(({ start, end }) => ({
+          [dateField]: { ...(start && { $gte: start }), ...(end && { $lte: end }) }
+        }))
+      };
+    });
+
+  return excluded.length > 0 ? { $nor: excluded } : {};
+};
+
+module.exports = {
+  endOfDay,
+  enrollmentWindows,
+  isWithinWindows,
+  outsideWindowsFilter
+};
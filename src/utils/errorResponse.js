@@ -0,0 +1,58 @@
+/**
+ * Base class for errors that map to an HTTP response.
+ * Anything thrown that is not an ErrorResponse (or a known Mongoose error) is
+ * treated as an unexpected 500 by middleware/errorHandler.js.
+ */
+class ErrorResponse extends Error {
+  /**
+   * @param {String} message - Human readable message
+   * @param {Number} statusCode - HTTP status code
+   * @param {String} code - Machine readable error code
+   * @param {Array} details - Field-level details ({ field, message })
+   */
+  constructor(message, statusCode = 400, code = 'BAD_REQUEST', details = undefined) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class ValidationError extends ErrorResponse {
+  constructor(message = 'Validation failed', details = undefined) {
+    super(message, 400, 'VALIDATION_ERROR', details);
+  }
+}
+
+class UnauthorizedError extends ErrorResponse {
+  constructor(message = 'Not authorized') {
+    super(message, 401, 'UNAUTHORIZED');
+  }
+}
+
+class ForbiddenError extends ErrorResponse {
+  constructor(message = 'You do not have permission to access this resource') {
+    super(message, 403, 'FORBIDDEN');
+  }
+}
+
+class NotFoundError extends ErrorResponse {
+  constructor(message = 'Resource not found') {
+    super(message, 404, 'NOT_FOUND');
+  }
+}
+
+class ConflictError extends ErrorResponse {
+  constructor(message = 'Resource already exists', details = undefined) {
+    super(message, 409, 'CONFLICT', details);
+  }
+}
+
+module.exports = ErrorResponse;
+module.exports.ErrorResponse = ErrorResponse;
+module.exports.ValidationError = ValidationError;
+module.exports.UnauthorizedError = UnauthorizedError;
+module.exports.ForbiddenError = ForbiddenError;
+module.exports.NotFoundError = NotFoundError;
+module.exports.ConflictError = ConflictError;
@@ -0,0 +1,103 @@
+/**
+ * Grade averaging shared by the grade and assignment services.
+ *
+ * Without a grading policy a classroom keeps the original behaviour: a mean of
+ * grade percentages weighted by each grade's `weightage`. With a policy, grades
+ * are grouped into categories by `assignmentType`; each category is scored as
+ * earned points over possible points after dropping its lowest N grades, and
+ * the category scores are combined using the category weights. Categories with
+ * nothing graded yet are left out and the remaining weights are rescaled.
+ *
+ * In both modes excused grades are ignored and extra-credit grades add to the
+ * earned side only. Grades whose type is not part of the policy don't count.
+ */
+
+const round = value => Math.round(value * 100) / 100;
+
+const percentageOf = grade => (grade.score / grade.maxScore) * 100;
+
+/**
+ * Flat weighted mean used when a classroom has no grading policy
+ * @param {Array} grades - Grades (excused ones already removed)
+ * @returns {Number|null} Average percentage, null if nothing counts
+ */
+const flatAverage = (grades) => {
+  let totalWeightedScore = 0;
+  let totalWeightage = 0;
+
+  grades.forEach(grade => {
+    totalWeightedScore += percentageOf(grade) * grade.weightage;
+    if (!grade.isExtraCredit) totalWeightage += grade.weightage;
+  });
+
+  return totalWeightage > 0 ? round(totalWeightedScore / totalWeightage) : null;
+};
+
+/**
+ * Score a single policy category
+ * @param {Object} category - Policy category ({ assignmentType, weight, dropLowest })
+ * @param {Array} grades - Grades of the category (excused ones already removed)
+ * @returns {Object} Category breakdown
+ */
+const scoreCategory = (category, grades) => {
+  const regular = grades
+    .filter(grade => !grade.isExtraCredit)
+    .sort((a, b) => percentageOf(a) - percentageOf(b));
+  const extraCredit = grades.filter(grade => grade.isExtraCredit);
+
+  // Always keep at least one grade so the category still counts
+  const dropCount = Math.min(category.dropLowest || 0, Math.max(regular.length - 1, 0));
+  const dropped = regular.slice(0, dropCount);
+  const kept = regular.slice(dropCount);
+
+  const possible = kept.reduce((sum, grade) => sum + grade.maxScore, 0);
+  const earned = [...kept, ...extraCredit].reduce((sum, grade) => sum + grade.score, 0);
+
+  return {
+    assignmentType: category.assignmentType,
+    weight: category.weight,
+    earned,
+    possible,
+    percentage: possible > 0 ? round((earned / possible) * 100) : null,
+    gradeCount: grades.length,
+    droppedGradeIds: dropped.map(grade => grade._id)
+  };
+};
+
+/**
+ * Calculate a student's average in a classroom
+ * @param {Array} grades - The student's grades in the classroom
+ * @param {Object} [policy] - Classroom grading policy
+ * @returns {Object} `average` (percentage or null) and per-category breakdown
+ */
+const calculateAverage = (grades, policy) => {
+  const counted = grades.filter(grade => !grade.isExcused);
+
+  if (!policy || !policy.categories || policy.categories.length === 0) {
+    return {
+      average: flatAverage(counted),
+      categories: []
+    };
+  }
+
+  const categories = policy.categories.map(category => scoreCategory(
+    category,
+    counted.filter(grade => grade.assignmentType === category.assignmentType)
+  ));
+
+  const scored = categories.filter(category => category.percentage !== null);
+  const totalWeight = scored.reduce((sum, category) => sum + category.weight, 0);
+
+  const average = totalWeight > 0
+    ? round(scored.reduce((sum, category) => sum + category.percentage * category.weight, 0) / totalWeight)
+    : null;
+
+  return {
+    average,
+    categories
+  };
+};
+
+module.exports = {
+  calculateAverage
+};
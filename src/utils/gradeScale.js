@@ -0,0 +1,71 @@
+/**
+ * Letter grade and GPA helpers
+ */
+
+// Used when no grade scale has been configured as the default
+const DEFAULT_GRADE_BANDS = [
+  { letter: 'A', minPercentage: 93, gpaPoints: 4.0 },
+  { letter: 'A-', minPercentage: 90, gpaPoints: 3.7 },
+  { letter: 'B+', minPercentage: 87, gpaPoints: 3.3 },
+  { letter: 'B', minPercentage: 83, gpaPoints: 3.0 },
+  { letter: 'B-', minPercentage: 80, gpaPoints: 2.7 },
+  { letter: 'C+', minPercentage: 77, gpaPoints: 2.3 },
+  { letter: 'C', minPercentage: 73, gpaPoints: 2.0 },
+  { letter: 'C-', minPercentage: 70, gpaPoints: 1.7 },
+  { letter: 'D+', minPercentage: 67, gpaPoints: 1.3 },
+  { letter: 'D', minPercentage: 63, gpaPoints: 1.0 },
+  { letter: 'D-', minPercentage: 60, gpaPoints: 0.7 },
+  { letter: 'F', minPercentage: 0, gpaPoints: 0.0 }
+];
+
+/**
+ * Map a percentage to its letter grade
+ * @param {Number|null} percentage - Average percentage
+ * @param {Array} bands - Grade scale bands
+ * @returns {Object|null} `letter` and `gpaPoints`, null when there is no percentage
+ */
+const toLetterGrade = (percentage, bands = DEFAULT_GRADE_BANDS) => {
+  if (percentage === null || percentage === undefined) return null;
+
+  const band = [...bands]
+    .sort((a, b) => b.minPercentage - a.minPercentage)
+    .find(candidate => percentage >= candidate.minPercentage);
+
+  // Below the lowest cutoff: fall back to the lowest band
+  const match = band || bands.reduce((lowest, candidate) =>
+    candidate.minPercentage < lowest.minPercentage ? candidate : lowest
+  );
+
+  return {
+    letter: match.letter,
+    gpaPoints: match.gpaPoints
+  };
+};
+
+/**
+ * Credit-weighted GPA
+ * @param {Array} entries - Items with `credits` and `gpaPoints` (null points are skipped)
+ * @returns {Object} Credits counted, quality points and GPA (null if no credits)
+ */
+const calculateGpa = (entries) => {
+  let credits = 0;
+  let qualityPoints = 0;
+
+  entries.forEach(entry => {
+    if (entry.gpaPoints === null || entry.gpaPoints === undefined) return;
+    credits += entry.credits;
+    qualityPoints += entry.credits * entry.gpaPoints;
+  });
+
+  return {
+    credits,
+    qualityPoints: Math.round(qualityPoints * 100) / 100,
+    gpa: credits > 0 ? Math.round((qualityPoints / credits) * 100) / 100 : null
+  };
+};
+
+module.exports = {
+  DEFAULT_GRADE_BANDS,
+  toLetterGrade,
+  calculateGpa
+};
@@ -0,0 +1,13 @@
+/**
+ * Check whether work handed in at `submittedAt` missed its due date
+ * @param {Date} submittedAt - Submission date
+ * @param {Date} dueDate - Due date (no due date means never late)
+ * @returns {Boolean} True if late
+ */
+const isLateSubmission = (submittedAt, dueDate) => {
+  return Boolean(dueDate && submittedAt && submittedAt > dueDate);
+};
+
+module.exports = {
+  isLateSubmission
+};
@@ -0,0 +1,105 @@
+/**
+ * Helpers for turning `Classroom.schedule` entries into dated sessions.
+ * Dates are handled in server local time, like the attendance day boundaries.
+ */
+
+const DAYS_OF_WEEK = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Midnight (local time) of a date
+ * @param {Date|String|Number} date - Any date value
+ * @returns {Date} Start of that day
+ */
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Day name of a date, as used by `Classroom.schedule.dayOfWeek`
+ * @param {Date} date - Date
+ * @returns {String} Day name, e.g. Monday
+ */
+const dayOfWeek = (date) => DAYS_OF_WEEK[new Date(date).getDay()];
+
+/**
+ * Combine a day with an HH:mm time
+ * @param {Date} date - Day
+ * @param {String} time - Time in HH:mm format
+ * @returns {Date} Date at that time
+ */
+const atTime = (date, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const result = new Date(date);
+  result.setHours(hours, minutes, 0, 0);
+  return result;
+};
+
+/**
+ * Session fields for one schedule entry on a given day
+ * @param {Object} entry - Schedule entry (dayOfWeek, startTime, endTime, location)
+ * @param {Date} date - Day of the session
+ * @returns {Object} Session fields stored on an Attendance document
+ */
+const toSession = (entry, date) => {
+  const day = startOfDay(date);
+
+  return {
+    date: day,
+    scheduleEntryId: entry._id,
+    startTime: entry.startTime,
+    endTime: entry.endTime,
+    location: entry.location,
+    sessionStart: atTime(day, entry.startTime),
+    sessionEnd: entry.endTime ? atTime(day, entry.endTime) : undefined
+  };
+};
+
+/**
+ * Expected sessions of a schedule between two dates (inclusive)
+ * @param {Array} schedule - Schedule entries
+ * @param {Date} startDate - First day
+ * @param {Date} endDate - Last day
+ * @param {Function} [isIncluded] - Day filter, e.g. to skip holidays
+ * @returns {Array} Session fields, in chronological order
+ */
+const expandSchedule = (schedule, startDate, endDate, isIncluded = () => true) => {
+  const sessions = [];
+  const last = startOfDay(endDate);
+
+  for (let day = startOfDay(startDate); day <= last; day.setDate(day.getDate() + 1)) {
+    if (!isIncluded(day)) continue;
+
+    const name = dayOfWeek(day);
+
+    schedule
+      .filter(entry => entry.dayOfWeek === name)
+      .sort((a, b) => a.startTime.localeCompare(b.startTime))
+      .forEach(entry => sessions.push(toSession(entry, day)));
+  }
+
+  return sessions;
+};
+
+/**
+ * Whole minutes between the session start and a check-in (0 if on time)
+ * @param {Date} checkedInAt - Check-in time
+ * @param {Date} sessionStart - Session start
+ * @returns {Number} Minutes late
+ */
+const minutesLate = (checkedInAt, sessionStart) => {
+  const diff = new Date(checkedInAt) - new Date(sessionStart);
+  return diff > 0 ? Math.floor(diff / MS_PER_MINUTE) : 0;
+};
+
+module.exports = {
+  startOfDay,
+  dayOfWeek,
+  atTime,
+  toSession,
+  expandSchedule,
+  minutesLate
+};
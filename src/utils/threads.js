@@ -0,0 +1,25 @@
+/**
+ * Arrange discussion replies into a tree
+ * @param {Array} replies - Replies (plain objects with _id and parentId), oldest first
+ * @returns {Array} Top-level replies, each with its answers in `replies`
+ */
+const buildReplyTree = (replies) => {
+  const nodes = new Map(replies.map(reply => [reply._id.toString(), { ...reply, replies: [] }]));
+  const roots = [];
+
+  nodes.forEach(node => {
+    const parent = node.parentId && nodes.get(node.parentId.toString());
+
+    if (parent) {
+      parent.replies.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return roots;
+};
+
+module.exports = {
+  buildReplyTree
+};
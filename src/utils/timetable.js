@@ -0,0 +1,99 @@
+/**
+ * Helpers for comparing `Classroom.schedule` entries across classrooms.
+ * Times are HH:mm strings, which compare correctly as text.
+ */
+
+const WEEK_ORDER = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+/**
+ * Whether two schedule entries occupy the same time slot. Back-to-back
+ * entries (one ends when the other starts) do not overlap.
+ * @param {Object} a - Schedule entry (dayOfWeek, startTime, endTime)
+ * @param {Object} b - Schedule entry
+ * @returns {Boolean} True if they overlap
+ */
+const entriesOverlap = (a, b) => {
+  if (!a.dayOfWeek || a.dayOfWeek !== b.dayOfWeek) return false;
+  if (!a.startTime || !b.startTime) return false;
+
+  // Entries without an end time are treated as a single instant
+  const aEnd = a.endTime || a.startTime;
+  const bEnd = b.endTime || b.startTime;
+
+  if (a.startTime === b.startTime) return true;
+  return a.startTime < bEnd && b.startTime < aEnd;
+};
+
+/**
+ * Whether two classrooms run during the same part of the year. Year-round
+ * classrooms share their year with every semester.
+ * @param {Object} a - Classroom (semester, year)
+ * @param {Object} b - Classroom (semester, year)
+ * @returns {Boolean} True if their terms coincide
+ */
+const sameTerm = (a, b) => {
+  if (a.termId && b.termId && a.termId.toString() === b.termId.toString()) return true;
+  if (a.year !== b.year) return false;
+  return a.semester === b.semester || a.semester === 'Year-round' || b.semester === 'Year-round';
+};
+
+/**
+ * Comparable room name of a schedule entry
+ * @param {String} location - Schedule entry location
+ * @returns {String|null} Room name, or null when the entry has no room
+ */
+const roomKey = (location) => (location && location.trim()) || null;
+
+/**
+ * Pairs of overlapping entries between two schedules
+ * @param {Array} schedule - Schedule entries of one classroom
+ * @param {Array} other - Schedule entries of another classroom
+ * @param {Function} [predicate] - Extra condition on a pair, e.g. same room
+ * @returns {Array} [{ entry, otherEntry }]
+ */
+const overlappingEntries = (schedule, other, predicate = () => true) => {
+  const pairs = [];
+
+  (schedule || []).forEach(entry => {
+    (other || []).forEach(otherEntry => {
+      if (entriesOverlap(entry, otherEntry) && predicate(entry, otherEntry)) {
+        pairs.push({ entry, otherEntry });
+      }
+    });
+  });
+
+  return pairs;
+};
+
+/**
+ * Weekly timetable of a set of classrooms, Monday first
+ * @param {Array} classrooms - Classrooms with their schedules
+ * @returns {Array} [{ dayOfWeek, sessions: [...] }] for days with sessions
+ */
+const buildTimetable = (classrooms) => WEEK_ORDER
+  .map(day => ({
+    dayOfWeek: day,
+    sessions: classrooms
+      .flatMap(classroom => (classroom.schedule || [])
+        .filter(entry => entry.dayOfWeek === day)
+        .map(entry => ({
+          classroomId: classroom._id,
+          name: classroom.name,
+          subject: classroom.subject,
+          scheduleEntryId: entry._id,
+          startTime: entry.startTime,
+          endTime: entry.endTime,
+          location: entry.location
+        })))
+      .sort((a, b) => a.startTime.localeCompare(b.startTime))
+  }))
+  .filter(day => day.sessions.length > 0);
+
+module.exports = {
+  WEEK_ORDER,
+  entriesOverlap,
+  sameTerm,
+  roomKey,
+  overlappingEntries,
+  buildTimetable
+};
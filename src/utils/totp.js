@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time codes (RFC 6238 style, HMAC-SHA1) used for self check-in.
+ * Codes change every `step` seconds; verification also accepts the previous
+ * code so a code read just before it rotates still works.
+ */
+
+const DEFAULT_STEP_SECONDS = 30;
+const DEFAULT_DIGITS = 6;
+
+/**
+ * Create a random shared secret
+ * @returns {String} Hex encoded secret
+ */
+const generateSecret = () => crypto.randomBytes(20).toString('hex');
+
+/**
+ * Index of the time step a moment falls in
+ * @param {Date|Number} time - Moment
+ * @param {Number} step - Step length in seconds
+ * @returns {Number} Counter
+ */
+const counterAt = (time, step = DEFAULT_STEP_SECONDS) => Math.floor(new Date(time).getTime() / 1000 / step);
+
+/**
+ * HOTP value for a counter (RFC 4226)
+ * @param {String} secret - Hex encoded secret
+ * @param {Number} counter - Counter
+ * @param {Number} digits - Code length
+ * @returns {String} Zero padded code
+ */
+const hotp = (secret, counter, digits = DEFAULT_DIGITS) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', Buffer.from(secret, 'hex')).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Code valid at a moment
+ * @param {String} secret - Hex encoded secret
+ * @param {Date|Number} [time] - Moment (now by default)
+ * @param {Number} [step] - Step length in seconds
+ * @returns {Object} `code` and the moment it `expiresAt`
+ */
+const generateCode = (secret, time = Date.now(), step = DEFAULT_STEP_SECONDS) => {
+  const counter = counterAt(time, step);
+
+  return {
+    code: hotp(secret, counter),
+    expiresAt: new Date((counter + 1) * step * 1000)
+  };
+};
+
+/**
+ * Check a submitted code against the current and previous step
+ * @param {String} secret - Hex encoded secret
+ * @param {String} code - Submitted code
+ * @param {Date|Number} [time] - Moment of submission
+ * @param {Number} [step] - Step length in seconds
+ * @returns {Boolean} True if the code is valid
+ */
+const verifyCode = (secret, code, time = Date.now(), step = DEFAULT_STEP_SECONDS) => {
+  const counter = counterAt(time, step);
+  const submitted = Buffer.from(String(code));
+
+  return [counter, counter - 1].some(candidate => {
+    const expected = Buffer.from(hotp(secret, candidate));
+    return expected.length === submitted.length && crypto.timingSafeEqual(expected, submitted);
+  });
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode
+};
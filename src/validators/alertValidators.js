@@ -0,0 +1,39 @@
+const Joi = require('joi');
+const { objectId } = require('./common');
+const { ALERT_RULE_TYPES } = require('../config/alerts');
+
+const ruleFields = {
+  name: Joi.string().trim(),
+  type: Joi.string().valid(...ALERT_RULE_TYPES),
+  threshold: Joi.number().min(0),
+  windowDays: Joi.number().integer().min(1).allow(null),
+  minSessions: Joi.number().integer().min(1),
+  classroomId: objectId().allow(null),
+  isActive: Joi.boolean()
+};
+
+// Attendance rates are percentages
+const percentageThreshold = {
+  is: 'attendance-rate',
+  then: Joi.number().max(100)
+};
+
+exports.createRule = Joi.object({
+  ...ruleFields,
+  name: ruleFields.name.required(),
+  type: ruleFields.type.required(),
+  threshold: ruleFields.threshold.required().when('type', percentageThreshold)
+});
+
+// The rule type is fixed at creation, the alerts it raised depend on it
+exports.updateRule = Joi.object({
+  name: ruleFields.name,
+  threshold: ruleFields.threshold,
+  windowDays: ruleFields.windowDays,
+  minSessions: ruleFields.minSessions,
+  isActive: ruleFields.isActive
+}).min(1);
+
+exports.resolveAlert = Joi.object({
+  resolution: Joi.string().trim().allow('')
+});
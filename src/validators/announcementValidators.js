@@ -0,0 +1,21 @@
+const Joi = require('joi');
+
+const announcementFields = {
+  title: Joi.string().trim().max(200),
+  body: Joi.string().trim(),
+  isPinned: Joi.boolean(),
+  // A future date schedules the announcement
+  publishAt: Joi.date()
+};
+
+exports.createAnnouncement = Joi.object({
+  ...announcementFields,
+  title: announcementFields.title.required(),
+  body: announcementFields.body.required()
+});
+
+exports.updateAnnouncement = Joi.object(announcementFields).min(1);
+
+exports.listAnnouncements = Joi.object({
+  status: Joi.string().valid('published', 'scheduled')
+});
@@ -0,0 +1,25 @@
+const Joi = require('joi');
+const { assignmentTypes } = require('./gradeValidators');
+
+const assignmentFields = {
+  title: Joi.string().trim(),
+  type: Joi.string().valid(...assignmentTypes),
+  instructions: Joi.string().allow(''),
+  dueDate: Joi.date(),
+  maxScore: Joi.number().positive(),
+  weight: Joi.number().min(0).max(100),
+  isExtraCredit: Joi.boolean(),
+  maxAttempts: Joi.number().integer().min(1),
+  allowLateSubmissions: Joi.boolean(),
+  isPublished: Joi.boolean()
+};
+
+exports.createAssignment = Joi.object({
+  ...assignmentFields,
+  title: assignmentFields.title.required(),
+  type: assignmentFields.type.required(),
+  maxScore: assignmentFields.maxScore.required()
+});
+
+// An assignment cannot be moved to another classroom
+exports.updateAssignment = Joi.object(assignmentFields).min(1);
@@ -0,0 +1,88 @@
+const Joi = require('joi');
+const { objectId, time } = require('./common');
+
+const status = () => Joi.string().valid('present', 'absent', 'late', 'excused');
+
+const recordFields = {
+  status: status(),
+  remarks: Joi.string().allow(''),
+  minutesLate: Joi.number().integer().min(0),
+  checkedInAt: Joi.date()
+};
+
+// Picks the session of the day; startTime alone may describe an unscheduled session
+const sessionFields = {
+  scheduleEntryId: objectId(),
+  startTime: time(),
+  endTime: time().when('startTime', {
+    is: Joi.exist(),
+    then: Joi.string().custom((value, helpers) => {
+      const { startTime } = helpers.state.ancestors[0];
+      return value > startTime ? value : helpers.message('endTime must be after startTime');
+    })
+  }),
+  location: Joi.string().trim()
+};
+
+const sessionMessages = {
+  'object.oxor': 'Provide either scheduleEntryId or startTime, not both'
+};
+
+// `takenBy` is always set from the authenticated user
+exports.createAttendance = Joi.object({
+  classroomId: objectId().required(),
+  date: Joi.date().required(),
+  records: Joi.array().items(Joi.object({
+    ...recordFields,
+    studentId: objectId().required(),
+    status: recordFields.status.required()
+  })).unique('studentId'),
+  ...sessionFields,
+  sessionTopic: Joi.string().trim().allow(''),
+  isComplete: Joi.boolean()
+}).oxor('scheduleEntryId', 'startTime').messages(sessionMessages);
+
+// The register for a classroom's roster on one day
+exports.rosterAttendanceParams = Joi.object({
+  classroomId: objectId().required(),
+  date: Joi.date().required()
+});
+
+// Every enrolled student gets `defaultStatus` unless listed in `records`
+exports.takeRosterAttendance = Joi.object({
+  defaultStatus: status().default('present'),
+  records: Joi.array().items(Joi.object({
+    ...recordFields,
+    studentId: objectId().required()
+  })).unique('studentId').default([]),
+  ...sessionFields,
+  sessionTopic: Joi.string().trim().allow(''),
+  isComplete: Joi.boolean().default(true)
+}).oxor('scheduleEntryId', 'startTime').messages(sessionMessages);
+
+exports.generateSessions = Joi.object({
+  startDate: Joi.date().required(),
+  endDate: Joi.date().min(Joi.ref('startDate')).required()
+});
+
+// Individual records are changed through the per-student endpoints
+exports.updateAttendance = Joi.object({
+  date: Joi.date(),
+  sessionTopic: Joi.string().trim().allow(''),
+  isComplete: Joi.boolean()
+}).min(1);
+
+exports.updateStudentAttendance = Joi.object(recordFields).min(1);
+
+exports.addStudentToAttendance = Joi.object(recordFields);
+
+exports.openCheckIn = Joi.object({
+  durationMinutes: Joi.number().integer().min(1).max(240),
+  graceMinutes: Joi.number().integer().min(0)
+});
+
+exports.checkIn = Joi.object({
+  code: Joi.string().trim().pattern(/^\d{6}$/).required().messages({
+    'string.pattern.base': 'code must be a 6 digit code'
+  })
+});
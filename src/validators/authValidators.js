@@ -0,0 +1,54 @@
+const Joi = require('joi');
+const { email } = require('./common');
+
+const password = Joi.string().min(6).max(128);
+
+exports.register = Joi.object({
+  username: Joi.string().trim().min(3).max(20).required(),
+  email: email().required(),
+  password: password.required(),
+  firstName: Joi.string().trim().required(),
+  lastName: Joi.string().trim().required(),
+  deviceId: Joi.string().max(200)
+});
+
+exports.login = Joi.object({
+  email: email().required(),
+  password: Joi.string().required(),
+  deviceId: Joi.string().max(200)
+});
+
+// Username and names are only needed when the invited address has no account yet
+exports.acceptGuardianInvite = Joi.object({
+  token: Joi.string().hex().required(),
+  password: Joi.string().required(),
+  username: Joi.string().trim().min(3).max(20),
+  firstName: Joi.string().trim(),
+  lastName: Joi.string().trim(),
+  deviceId: Joi.string().max(200)
+});
+
+exports.refreshToken = Joi.object({
+  refreshToken: Joi.string().required(),
+  deviceId: Joi.string().max(200)
+});
+
+exports.logout = Joi.object({
+  refreshToken: Joi.string().required()
+});
+
+exports.forgotPassword = Joi.object({
+  email: email().required()
+});
+
+exports.resetPassword = Joi.object({
+  token: Joi.string().hex().required(),
+  newPassword: password.required()
+});
+
+exports.updatePassword = Joi.object({
+  currentPassword: Joi.string().required(),
+  newPassword: password.required().invalid(Joi.ref('currentPassword')).messages({
+    'any.invalid': 'newPassword must differ from currentPassword'
+  })
+});
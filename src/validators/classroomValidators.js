@@ -0,0 +1,100 @@
+const Joi = require('joi');
+const { objectId, time, dayOfWeek } = require('./common');
+const { assignmentTypes } = require('./gradeValidators');
+
+const scheduleEntry = Joi.object({
+  dayOfWeek: dayOfWeek().required(),
+  startTime: time().required(),
+  endTime: time().required(),
+  location: Joi.string().trim()
+}).custom((value, helpers) => {
+  // HH:mm strings compare correctly as text
+  if (value.startTime >= value.endTime) {
+    return helpers.message('schedule startTime must be before endTime');
+  }
+  return value;
+});
+
+const gradingCategory = Joi.object({
+  assignmentType: Joi.string().valid(...assignmentTypes).required(),
+  weight: Joi.number().min(0).max(100).required(),
+  dropLowest: Joi.number().integer().min(0)
+});
+
+// An empty category list switches back to weighting grades by their weightage
+const gradingPolicy = Joi.object({
+  categories: Joi.array().items(gradingCategory).unique('assignmentType').required()
+}).custom((value, helpers) => {
+  const totalWeight = value.categories.reduce((sum, category) => sum + category.weight, 0);
+  if (value.categories.length > 0 && Math.abs(totalWeight - 100) > 0.001) {
+    return helpers.message('gradingPolicy category weights must add up to 100');
+  }
+  return value;
+});
+
+// A requirement names one classroom or any classroom of a subject
+const requirement = {
+  classroomId: objectId(),
+  subject: Joi.string().trim()
+};
+
+const requirementMessages = {
+  'object.xor': 'Provide either classroomId or subject, not both',
+  'object.missing': 'Provide either classroomId or subject'
+};
+
+const enrollmentRequirements = Joi.object({
+  allowedGradeLevels: Joi.array().items(Joi.string().trim()).unique(),
+  prerequisites: Joi.array().items(Joi.object({
+    ...requirement,
+    minimumGrade: Joi.number().min(0).max(100)
+  }).xor('classroomId', 'subject').messages(requirementMessages)),
+  corequisites: Joi.array().items(
+    Joi.object(requirement).xor('classroomId', 'subject').messages(requirementMessages)
+  )
+});
+
+// The roster (`students`) is managed through the roster endpoints and the
+// teacher is fixed at creation, so neither is accepted on update
+const classroomFields = {
+  name: Joi.string().trim(),
+  subject: Joi.string().trim(),
+  gradeLevel: Joi.string().trim(),
+  schedule: Joi.array().items(scheduleEntry),
+  semester: Joi.string().valid('Fall', 'Spring', 'Summer', 'Winter', 'Year-round'),
+  year: Joi.number().integer().min(1900).max(3000),
+  isActive: Joi.boolean(),
+  description: Joi.string().allow(''),
+  syllabus: Joi.string().allow(''),
+  maxCapacity: Joi.number().integer().min(1),
+  credits: Joi.number().min(0),
+  gradingPolicy,
+  enrollmentRequirements,
+  gradeScaleId: objectId().allow(null),
+  termId: objectId().allow(null)
+};
+
+// Classrooms in a term take their semester and year from it
+const fromTerm = schema => schema.when('termId', {
+  is: Joi.exist().not(null),
+  then: Joi.forbidden().messages({
+    'any.unknown': '{{#label}} is taken from the academic term'
+  }),
+  otherwise: schema.required()
+});
+
+exports.createClassroom = Joi.object({
+  ...classroomFields,
+  name: classroomFields.name.required(),
+  subject: classroomFields.subject.required(),
+  gradeLevel: classroomFields.gradeLevel.required(),
+  teacherId: objectId().required(),
+  semester: fromTerm(classroomFields.semester),
+  year: fromTerm(classroomFields.year)
+});
+
+exports.updateClassroom = Joi.object({
+  ...classroomFields,
+  semester: classroomFields.semester.when('termId', { is: Joi.exist().not(null), then: Joi.forbidden() }),
+  year: classroomFields.year.when('termId', { is: Joi.exist().not(null), then: Joi.forbidden() })
+}).min(1);
@@ -0,0 +1,23 @@
+const Joi = require('joi');
+
+// 24 character hex MongoDB ObjectId
+const objectId = () => Joi.string().hex().length(24).messages({
+  'string.hex': '{{#label}} must be a valid ID',
+  'string.length': '{{#label}} must be a valid ID'
+});
+
+// 24-hour clock time, e.g. 08:30 or 14:05
+const time = () => Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({
+  'string.pattern.base': '{{#label}} must be a time in HH:mm format'
+});
+
+const email = () => Joi.string().trim().lowercase().email();
+
+const dayOfWeek = () => Joi.string().valid('Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday');
+
+module.exports = {
+  objectId,
+  time,
+  email,
+  dayOfWeek
+};
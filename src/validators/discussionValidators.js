@@ -0,0 +1,37 @@
+const Joi = require('joi');
+const { objectId } = require('./common');
+
+exports.createDiscussion = Joi.object({
+  title: Joi.string().trim().max(200).required(),
+  body: Joi.string().trim().required()
+});
+
+exports.updateDiscussion = Joi.object({
+  title: Joi.string().trim().max(200),
+  body: Joi.string().trim()
+}).min(1);
+
+exports.moderateDiscussion = Joi.object({
+  isPinned: Joi.boolean(),
+  isLocked: Joi.boolean(),
+  isHidden: Joi.boolean()
+}).min(1);
+
+exports.listDiscussions = Joi.object({
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100)
+});
+
+// Without parentId the reply answers the discussion itself
+exports.createReply = Joi.object({
+  body: Joi.string().trim().required(),
+  parentId: objectId()
+});
+
+exports.updateReply = Joi.object({
+  body: Joi.string().trim().required()
+});
+
+exports.moderateReply = Joi.object({
+  isHidden: Joi.boolean().required()
+});
@@ -0,0 +1,7 @@
+const Joi = require('joi');
+
+// Body of the withdraw / remove-from-roster requests; the reason is kept in
+// the enrollment history
+exports.withdraw = Joi.object({
+  reason: Joi.string().trim().max(500)
+});
@@ -0,0 +1,29 @@
+const Joi = require('joi');
+
+const band = Joi.object({
+  letter: Joi.string().trim().max(5).required(),
+  minPercentage: Joi.number().min(0).max(100).required(),
+  gpaPoints: Joi.number().min(0).required()
+});
+
+const gradeScaleFields = {
+  name: Joi.string().trim(),
+  description: Joi.string().allow(''),
+  // The lowest band must start at 0 so every percentage gets a letter
+  bands: Joi.array().items(band).min(1).unique('letter').unique('minPercentage')
+    .custom((value, helpers) => {
+      if (!value.some(entry => entry.minPercentage === 0)) {
+        return helpers.message('bands must include a band starting at 0');
+      }
+      return value;
+    }),
+  isDefault: Joi.boolean()
+};
+
+exports.createGradeScale = Joi.object({
+  ...gradeScaleFields,
+  name: gradeScaleFields.name.required(),
+  bands: gradeScaleFields.bands.required()
+});
+
+exports.updateGradeScale = Joi.object(gradeScaleFields).min(1);
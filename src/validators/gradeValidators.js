@@ -0,0 +1,56 @@
+const Joi = require('joi');
+const { objectId } = require('./common');
+
+const assignmentTypes = ['quiz', 'exam', 'homework', 'project', 'participation', 'midterm', 'final', 'other'];
+
+// `gradedBy`, `gradedAt` and `lateSubmission` are always set by the server
+const gradeFields = {
+  assignmentName: Joi.string().trim(),
+  assignmentType: Joi.string().valid(...assignmentTypes),
+  score: Joi.number().min(0),
+  maxScore: Joi.number().positive(),
+  weightage: Joi.number().min(0).max(100),
+  submissionDate: Joi.date(),
+  dueDate: Joi.date(),
+  isExtraCredit: Joi.boolean(),
+  isExcused: Joi.boolean(),
+  comments: Joi.string().allow('')
+};
+
+const scoreWithinMax = {
+  is: Joi.exist(),
+  then: Joi.number().max(Joi.ref('maxScore')).messages({
+    'number.max': 'score cannot be greater than maxScore'
+  })
+};
+
+// Grades for an Assignment take these fields from it; other grades must supply them
+const fromAssignment = (schema, required = true) => schema.when('assignmentId', {
+  is: Joi.exist(),
+  then: Joi.forbidden().messages({
+    'any.unknown': '{{#label}} is taken from the assignment'
+  }),
+  otherwise: required ? schema.required() : schema
+});
+
+exports.createGrade = Joi.object({
+  ...gradeFields,
+  studentId: objectId().required(),
+  classroomId: objectId().required(),
+  assignmentId: objectId(),
+  assignmentName: fromAssignment(gradeFields.assignmentName),
+  assignmentType: fromAssignment(gradeFields.assignmentType),
+  score: gradeFields.score.required().when('maxScore', scoreWithinMax),
+  maxScore: fromAssignment(gradeFields.maxScore),
+  weightage: fromAssignment(gradeFields.weightage, false),
+  dueDate: fromAssignment(gradeFields.dueDate, false),
+  isExtraCredit: fromAssignment(gradeFields.isExtraCredit, false)
+});
+
+// A grade cannot be moved to another student or classroom
+exports.updateGrade = Joi.object({
+  ...gradeFields,
+  score: gradeFields.score.when('maxScore', scoreWithinMax)
+}).min(1);
+
+exports.assignmentTypes = assignmentTypes;
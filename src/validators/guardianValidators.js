@@ -0,0 +1,19 @@
+const Joi = require('joi');
+
+const permissions = Joi.object({
+  viewGrades: Joi.boolean(),
+  viewAttendance: Joi.boolean(),
+  viewTimetable: Joi.boolean(),
+  viewAlerts: Joi.boolean()
+}).min(1);
+
+const linkSettings = {
+  relationship: Joi.string().valid('parent', 'step-parent', 'grandparent', 'foster-parent', 'legal-guardian', 'other'),
+  hasCustody: Joi.boolean(),
+  permissions
+};
+
+// The invitation always goes to the student's stored parent contact email
+exports.inviteGuardian = Joi.object(linkSettings);
+
+exports.updateGuardianship = Joi.object(linkSettings).min(1);
@@ -0,0 +1,22 @@
+const Joi = require('joi');
+const { objectId } = require('./common');
+
+// Attachments arrive as multipart files and are checked by middleware/upload.js
+exports.sendMessage = Joi.object({
+  recipientId: objectId().required(),
+  subject: Joi.string().trim().max(200),
+  body: Joi.string().trim().max(5000).allow('')
+});
+
+exports.reply = Joi.object({
+  body: Joi.string().trim().max(5000).allow('')
+});
+
+exports.listConversations = Joi.object({
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100)
+});
+
+exports.auditConversations = exports.listConversations.keys({
+  userId: objectId()
+});
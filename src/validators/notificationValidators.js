@@ -0,0 +1,12 @@
+const Joi = require('joi');
+const { NOTIFICATION_TYPES } = require('../config/notifications');
+
+const channels = Joi.object({
+  inApp: Joi.boolean(),
+  email: Joi.boolean()
+}).min(1);
+
+// { [type]: { inApp?, email? } } for any of the notification types
+exports.updatePreferences = Joi.object(
+  NOTIFICATION_TYPES.reduce((schema, type) => ({ ...schema, [type]: channels }), {})
+).min(1);
@@ -0,0 +1,14 @@
+const Joi = require('joi');
+
+// Topics are checked (format and access) by services/realtimeService.js
+const topics = Joi.array().items(Joi.string().trim()).min(1);
+
+// ?topics=classroom:<id>,student:<id> to follow topics from the start
+exports.stream = Joi.object({
+  ticket: Joi.string().hex(),
+  topics: Joi.string().custom(value => value.split(',').map(topic => topic.trim()).filter(Boolean))
+});
+
+exports.topics = Joi.object({
+  topics: topics.required()
+});
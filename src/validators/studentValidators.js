@@ -0,0 +1,35 @@
+const Joi = require('joi');
+const { objectId, email } = require('./common');
+
+const parentContact = Joi.object({
+  name: Joi.string().trim().required(),
+  email: email().required(),
+  phone: Joi.string().trim().required()
+});
+
+const emergencyContact = Joi.object({
+  name: Joi.string().trim(),
+  relationship: Joi.string().trim(),
+  phone: Joi.string().trim()
+});
+
+// Enrollment is managed through the enroll/withdraw endpoints, never through `classrooms`
+const profileFields = {
+  grade: Joi.string().trim(),
+  parentContact,
+  emergencyContact,
+  dateOfBirth: Joi.date().max('now'),
+  specialNeeds: Joi.string().allow(''),
+  medicalInfo: Joi.string().allow('')
+};
+
+exports.createStudent = Joi.object({
+  ...profileFields,
+  userId: objectId().required(),
+  studentId: Joi.string().trim().required(),
+  grade: profileFields.grade.required(),
+  parentContact: parentContact.required(),
+  enrollmentDate: Joi.date()
+});
+
+exports.updateStudent = Joi.object(profileFields).min(1);
@@ -0,0 +1,11 @@
+const Joi = require('joi');
+
+// Attachments arrive as multipart files and are checked by middleware/upload.js
+exports.createSubmission = Joi.object({
+  body: Joi.string().trim().allow('')
+});
+
+exports.gradeSubmission = Joi.object({
+  score: Joi.number().min(0).required(),
+  comments: Joi.string().allow('')
+});
@@ -0,0 +1,38 @@
+const Joi = require('joi');
+const { objectId, time } = require('./common');
+
+const officeHour = Joi.object({
+  day: Joi.string().trim().required(),
+  startTime: time().required(),
+  endTime: time().required()
+}).custom((value, helpers) => {
+  if (value.startTime >= value.endTime) {
+    return helpers.message('officeHours startTime must be before endTime');
+  }
+  return value;
+});
+
+// Classrooms are linked through the classroom endpoints, never through `classrooms`
+const profileFields = {
+  subjects: Joi.array().items(Joi.string().trim()).min(1),
+  qualifications: Joi.array().items(Joi.string().trim()),
+  department: Joi.string().trim(),
+  officeLocation: Joi.string().trim(),
+  officeHours: Joi.array().items(officeHour),
+  bio: Joi.string().allow(''),
+  employmentStatus: Joi.string().valid('full-time', 'part-time', 'substitute', 'contract')
+};
+
+exports.createTeacher = Joi.object({
+  ...profileFields,
+  userId: objectId().required(),
+  teacherId: Joi.string().trim().required(),
+  subjects: profileFields.subjects.required(),
+  hireDate: Joi.date()
+});
+
+exports.updateTeacher = Joi.object(profileFields).min(1);
+
+exports.subject = Joi.object({
+  subject: Joi.string().trim().required()
+});
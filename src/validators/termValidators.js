@@ -0,0 +1,29 @@
+const Joi = require('joi');
+
+const dateRange = Joi.object({
+  name: Joi.string().trim().required(),
+  startDate: Joi.date().required(),
+  // A single day when omitted
+  endDate: Joi.date().min(Joi.ref('startDate')).default(Joi.ref('startDate'))
+});
+
+const termFields = {
+  name: Joi.string().trim(),
+  semester: Joi.string().valid('Fall', 'Spring', 'Summer', 'Winter', 'Year-round'),
+  year: Joi.number().integer().min(1900).max(3000),
+  startDate: Joi.date(),
+  endDate: Joi.date(),
+  holidays: Joi.array().items(dateRange),
+  gradingPeriods: Joi.array().items(dateRange).unique('name')
+};
+
+exports.createTerm = Joi.object({
+  ...termFields,
+  name: termFields.name.required(),
+  semester: termFields.semester.required(),
+  year: termFields.year.required(),
+  startDate: termFields.startDate.required(),
+  endDate: termFields.endDate.min(Joi.ref('startDate')).required()
+});
+
+exports.updateTerm = Joi.object(termFields).min(1);
@@ -0,0 +1,18 @@
+const Joi = require('joi');
+const { email } = require('./common');
+
+// Role and password have dedicated endpoints and are never accepted here
+exports.updateUser = Joi.object({
+  username: Joi.string().trim().min(3).max(20),
+  email: email(),
+  firstName: Joi.string().trim(),
+  lastName: Joi.string().trim()
+}).min(1);
+
+exports.updateUserRole = Joi.object({
+  role: Joi.string().valid('student', 'teacher', 'admin', 'guardian').required()
+});
+
+exports.setUserStatus = Joi.object({
+  isActive: Joi.boolean().required()
+});
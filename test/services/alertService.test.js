@@ -0,0 +1,159 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Alert = require('../../src/models/Alert');
+const AlertRule = require('../../src/models/AlertRule');
+const alertService = require('../../src/services/alertService');
+
+const id = () => new mongoose.Types.ObjectId();
+const same = (a, b) => String(a) === String(b);
+const DAY = 24 * 60 * 60 * 1000;
+
+// A resolved query that can still be narrowed, like a Mongoose query
+const query = value => {
+  const result = Promise.resolve(value);
+  result.select = () => result;
+  result.sort = () => result;
+  return result;
+};
+
+describe('alertService rules in force', () => {
+  const classroomId = id();
+  const studentId = id();
+  let rules;
+  let alerts;
+  let history;
+
+  const rule = fields => ({ _id: id(), name: 'Rule', isActive: true, classroomId: null, ...fields });
+
+  const alert = fields => ({
+    _id: id(),
+    studentId,
+    classroomId,
+    status: 'open',
+    set(values) { Object.assign(this, values); },
+    async save() { return this; },
+    ...fields
+  });
+
+  const absences = count => Array.from({ length: count }, (_, index) => ({
+    date: new Date(Date.now() - (count - index) * DAY),
+    status: 'absent'
+  }));
+
+  const unresolved = () => alerts.filter(entry => entry.status !== 'resolved');
+
+  beforeEach(() => {
+    rules = [];
+    alerts = [];
+    history = [];
+
+    mock.method(AlertRule, 'find', filter => query(rules.filter(candidate =>
+      candidate.isActive === filter.isActive &&
+      filter.$or.some(scope => same(candidate.classroomId, scope.classroomId))
+    )));
+    mock.method(alertService, 'getStudentHistory', async () => history);
+    mock.method(Alert, 'findOne', async filter => unresolved().find(entry => entry.ruleKey === filter.ruleKey) || null);
+    mock.method(Alert, 'create', async fields => {
+      const created = alert(fields);
+      alerts.push(created);
+      return created;
+    });
+    mock.method(Alert, 'updateMany', async (filter, update) => {
+      unresolved()
+        .filter(entry => filter.ruleKey ? !filter.ruleKey.$nin.includes(entry.ruleKey) : same(entry.ruleId, filter.ruleId))
+        .forEach(entry => Object.assign(entry, update));
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const typesOf = list => list.map(entry => entry.type).sort();
+
+  describe('getRulesForClassroom', () => {
+    it('uses every default while no rule is configured', async () => {
+      const inForce = await alertService.getRulesForClassroom(classroomId);
+
+      assert.deepEqual(typesOf(inForce), ['attendance-rate', 'consecutive-absences', 'minutes-late']);
+    });
+
+    it('lets a classroom rule replace only its own type, and only in its classroom', async () => {
+      const own = rule({ type: 'consecutive-absences', threshold: 5, classroomId });
+      rules = [own];
+
+      const here = await alertService.getRulesForClassroom(classroomId);
+      const elsewhere = await alertService.getRulesForClassroom(id());
+
+      assert.deepEqual(typesOf(here), ['attendance-rate', 'consecutive-absences', 'minutes-late']);
+      assert.ok(here.includes(own));
+      assert.ok(elsewhere.some(entry => entry.type === 'consecutive-absences' && !entry._id));
+    });
+
+    it('keeps the defaults when the configured rule is inactive', async () => {
+      rules = [rule({ type: 'consecutive-absences', threshold: 5, isActive: false })];
+
+      const inForce = await alertService.getRulesForClassroom(classroomId);
+
+      assert.equal(inForce.length, 3);
+      assert.ok(inForce.every(entry => !entry._id));
+    });
+  });
+
+  describe('evaluateStudent', () => {
+    it('raises the default alert when no rule overrides it', async () => {
+      history = absences(3);
+
+      const opened = await alertService.evaluateStudent(studentId, classroomId);
+
+      assert.deepEqual(opened.map(entry => entry.ruleKey), ['default:consecutive-absences']);
+    });
+
+    it('resolves a default alert once a rule of its type is configured', async () => {
+      history = absences(3);
+      await alertService.evaluateStudent(studentId, classroomId);
+      rules = [rule({ type: 'consecutive-absences', threshold: 5 })];
+
+      await alertService.evaluateStudent(studentId, classroomId);
+
+      assert.equal(unresolved().length, 0);
+      assert.equal(alerts[0].resolution, 'Rule no longer applies');
+    });
+
+    it('resolves the alerts of a deactivated rule', async () => {
+      const configured = rule({ type: 'consecutive-absences', threshold: 2 });
+      rules = [configured];
+      history = absences(2);
+      await alertService.evaluateStudent(studentId, classroomId);
+      assert.equal(unresolved()[0].ruleKey, configured._id.toString());
+
+      configured.isActive = false;
+      history = absences(3);
+      await alertService.evaluateStudent(studentId, classroomId);
+
+      assert.deepEqual(unresolved().map(entry => entry.ruleKey), ['default:consecutive-absences']);
+    });
+  });
+
+  describe('updateRule', () => {
+    it('resolves the unresolved alerts of a rule it deactivates', async () => {
+      const configured = rule({ type: 'minutes-late', threshold: 30 });
+      alerts = [alert({ ruleId: configured._id, ruleKey: configured._id.toString() })];
+      mock.method(AlertRule, 'findByIdAndUpdate', async (ruleId, update) => Object.assign(configured, update));
+
+      await alertService.updateRule(configured._id, { isActive: false });
+
+      assert.equal(alerts[0].status, 'resolved');
+      assert.equal(alerts[0].resolution, 'Rule deactivated');
+    });
+
+    it('leaves the alerts of an active rule alone', async () => {
+      const configured = rule({ type: 'minutes-late', threshold: 30 });
+      alerts = [alert({ ruleId: configured._id, ruleKey: configured._id.toString() })];
+      mock.method(AlertRule, 'findByIdAndUpdate', async (ruleId, update) => Object.assign(configured, update));
+
+      await alertService.updateRule(configured._id, { threshold: 45 });
+
+      assert.equal(alerts[0].status, 'open');
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Attendance = require('../../src/models/Attendance');
+const Classroom = require('../../src/models/Classroom');
+const accessPolicy = require('../../src/policies/accessPolicy');
+const attendanceService = require('../../src/services/attendanceService');
+const { generateSecret, generateCode } = require('../../src/utils/totp');
+const { CHECK_IN_CODE_STEP_SECONDS } = require('../../src/config/attendance');
+const { ConflictError, ValidationError } = require('../../src/utils/errorResponse');
+
+const STEP_MS = CHECK_IN_CODE_STEP_SECONDS * 1000;
+
+// Applies the conditional check-in writes to an in-memory attendance document
+const fakeUpdateOne = attendance => async (filter, update) => {
+  const same = record => record.studentId.toString() === String(filter.records
+    ? filter.records.$elemMatch.studentId
+    : update.$push.records.studentId);
+
+  if (update.$push) {
+    if (attendance.records.some(same)) return { matchedCount: 0 };
+    attendance.records.push(update.$push.records);
+    return { matchedCount: 1 };
+  }
+
+  const record = attendance.records.find(entry => same(entry) && !entry.checkedInAt);
+  if (!record) return { matchedCount: 0 };
+  record.status = update.$set['records.$.status'];
+  record.minutesLate = update.$set['records.$.minutesLate'];
+  record.checkedInAt = update.$set['records.$.checkedInAt'];
+  return { matchedCount: 1 };
+};
+
+describe('attendanceService.checkIn', () => {
+  const studentId = new mongoose.Types.ObjectId().toString();
+  const student = { _id: new mongoose.Types.ObjectId(), role: 'student' };
+  let attendance;
+
+  beforeEach(() => {
+    const now = Date.now();
+
+    attendance = new Attendance({
+      classroomId: new mongoose.Types.ObjectId(),
+      date: new Date(now),
+      records: [],
+      checkIn: {
+        secret: generateSecret(),
+        opensAt: new Date(now - 60 * 1000),
+        closesAt: new Date(now + 10 * 60 * 1000),
+        graceMinutes: 5
+      }
+    });
+
+    mock.method(accessPolicy, 'getStudentProfileId', async () => studentId);
+    mock.method(Classroom, 'exists', async () => true);
+    mock.method(Attendance, 'findById', () => ({ select: async () => attendance }));
+    mock.method(Attendance, 'updateOne', fakeUpdateOne(attendance));
+    mock.method(attendanceService, 'evaluateAlerts', () => {});
+    mock.method(attendanceService, 'publishChange', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const currentCode = () => generateCode(attendance.checkIn.secret, Date.now(), CHECK_IN_CODE_STEP_SECONDS).code;
+
+  it('checks the student in with the current code', async () => {
+    const result = await attendanceService.checkIn(attendance._id, currentCode(), student);
+
+    assert.equal(result.studentId.toString(), studentId);
+    assert.equal(result.status, 'present');
+    assert.ok(result.checkedInAt instanceof Date);
+    assert.equal(attendance.records.length, 1);
+    assert.equal(attendance.records[0].status, 'present');
+  });
+
+  it('accepts the code of the previous step', async () => {
+    const previous = generateCode(attendance.checkIn.secret, Date.now() - STEP_MS, CHECK_IN_CODE_STEP_SECONDS).code;
+
+    await attendanceService.checkIn(attendance._id, previous, student);
+    assert.equal(attendance.records.length, 1);
+  });
+
+  it('rejects a code two steps old', async () => {
+    const stale = generateCode(attendance.checkIn.secret, Date.now() - 2 * STEP_MS, CHECK_IN_CODE_STEP_SECONDS).code;
+
+    await assert.rejects(attendanceService.checkIn(attendance._id, stale, student), ValidationError);
+    assert.equal(Attendance.updateOne.mock.callCount(), 0);
+  });
+
+  it('rejects replaying a code after checking in', async () => {
+    const code = currentCode();
+
+    await attendanceService.checkIn(attendance._id, code, student);
+    await assert.rejects(
+      attendanceService.checkIn(attendance._id, code, student),
+      error => error instanceof ConflictError && /already checked in/.test(error.message)
+    );
+    assert.equal(attendance.records.length, 1);
+  });
+
+  it('writes a single record when the same student checks in twice at once', async () => {
+    const code = currentCode();
+
+    const results = await Promise.allSettled([
+      attendanceService.checkIn(attendance._id, code, student),
+      attendanceService.checkIn(attendance._id, code, student)
+    ]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.ok(results.find(result => result.status === 'rejected').reason instanceof ConflictError);
+    assert.equal(attendance.records.length, 1);
+  });
+
+  it('fills in the record of a student already on the taken roster', async () => {
+    attendance.records.push({ studentId, status: 'absent' });
+
+    const result = await attendanceService.checkIn(attendance._id, currentCode(), student);
+
+    assert.equal(result.status, 'present');
+    assert.equal(attendance.records.length, 1);
+    assert.ok(attendance.records[0].checkedInAt instanceof Date);
+  });
+
+  it('rejects check-ins outside the window', async () => {
+    attendance.checkIn.closesAt = new Date(Date.now() - 1);
+
+    await assert.rejects(attendanceService.checkIn(attendance._id, currentCode(), student), ConflictError);
+  });
+
+  it('marks the student late after the grace period', async () => {
+    attendance.checkIn.opensAt = new Date(Date.now() - 8 * 60 * 1000);
+
+    const result = await attendanceService.checkIn(attendance._id, currentCode(), student);
+
+    assert.equal(result.status, 'late');
+    assert.equal(result.minutesLate, 8);
+  });
+});
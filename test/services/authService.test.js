@@ -0,0 +1,129 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const RefreshToken = require('../../src/models/RefreshToken');
+const authService = require('../../src/services/authService');
+const { generateRefreshToken, hashToken } = require('../../src/config/auth');
+const { UnauthorizedError } = require('../../src/utils/errorResponse');
+
+// Just enough of the MongoDB query language for the filters authService uses
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  const value = doc[field];
+
+  if (condition === null) {
+    return value == null;
+  }
+
+  if (condition && condition.$gt !== undefined) {
+    return value > condition.$gt;
+  }
+
+  return String(value) === String(condition);
+});
+
+describe('authService refresh token rotation', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), role: 'student', isActive: true };
+  let tokens;
+
+  beforeEach(() => {
+    tokens = [];
+
+    mock.method(User, 'findById', async () => user);
+    mock.method(RefreshToken, 'create', async doc => {
+      const stored = { _id: new mongoose.Types.ObjectId(), revokedAt: null, ...doc };
+      tokens.push(stored);
+      return stored;
+    });
+    mock.method(RefreshToken, 'findOne', async filter => tokens.find(doc => matches(doc, filter)) || null);
+    mock.method(RefreshToken, 'findOneAndUpdate', async (filter, update) => {
+      const doc = tokens.find(candidate => matches(candidate, filter));
+      return doc ? Object.assign(doc, update.$set) : null;
+    });
+    mock.method(RefreshToken, 'updateOne', async (filter, update) => {
+      const doc = tokens.find(candidate => matches(candidate, filter));
+      if (doc) Object.assign(doc, update);
+      return { matchedCount: doc ? 1 : 0 };
+    });
+    mock.method(RefreshToken, 'updateMany', async (filter, update) => {
+      const docs = tokens.filter(candidate => matches(candidate, filter));
+      docs.forEach(doc => Object.assign(doc, update));
+      return { matchedCount: docs.length };
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const stored = token => tokens.find(doc => doc.tokenHash === hashToken(token));
+
+  it('rotates the presented token into a successor of the same family', async () => {
+    const first = await authService.issueRefreshToken(user._id);
+
+    const result = await authService.refreshToken(first);
+
+    assert.equal(stored(first).revokedReason, 'rotated');
+    assert.equal(stored(first).replacedByHash, hashToken(result.refreshToken));
+    assert.equal(stored(result.refreshToken).family, stored(first).family);
+    assert.equal(stored(result.refreshToken).revokedAt, null);
+  });
+
+  it('revokes the whole family when a rotated token is reused', async () => {
+    const first = await authService.issueRefreshToken(user._id);
+    const { refreshToken: second } = await authService.refreshToken(first);
+
+    await assert.rejects(
+      authService.refreshToken(first),
+      error => error instanceof UnauthorizedError && /reuse detected/.test(error.message)
+    );
+
+    assert.equal(stored(second).revokedReason, 'reuse-detected');
+    await assert.rejects(authService.refreshToken(second), UnauthorizedError);
+  });
+
+  it('lets only one of two concurrent refreshes rotate the token', async () => {
+    const first = await authService.issueRefreshToken(user._id);
+
+    const results = await Promise.allSettled([
+      authService.refreshToken(first),
+      authService.refreshToken(first)
+    ]);
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+    assert.equal(RefreshToken.create.mock.callCount(), 2);
+  });
+
+  it('does not touch other families of the user on reuse', async () => {
+    const phone = await authService.issueRefreshToken(user._id);
+    const laptop = await authService.issueRefreshToken(user._id);
+    await authService.refreshToken(phone);
+
+    await assert.rejects(authService.refreshToken(phone), UnauthorizedError);
+
+    assert.equal(stored(laptop).revokedAt, null);
+  });
+
+  it('rejects refreshing after logout', async () => {
+    const first = await authService.issueRefreshToken(user._id);
+    const { refreshToken: second } = await authService.refreshToken(first);
+
+    await authService.logout(second);
+
+    assert.equal(stored(second).revokedReason, 'logout');
+    await assert.rejects(authService.refreshToken(second), UnauthorizedError);
+  });
+
+  it('rejects refreshing any device after logout-all', async () => {
+    const phone = await authService.issueRefreshToken(user._id);
+    const laptop = await authService.issueRefreshToken(user._id);
+
+    await authService.logoutAll(user._id);
+
+    await assert.rejects(authService.refreshToken(phone), UnauthorizedError);
+    await assert.rejects(authService.refreshToken(laptop), UnauthorizedError);
+    assert.ok(tokens.every(doc => doc.revokedReason === 'logout-all'));
+  });
+
+  it('rejects a token that was never issued', async () => {
+    await assert.rejects(authService.refreshToken(generateRefreshToken(user._id)), UnauthorizedError);
+  });
+});
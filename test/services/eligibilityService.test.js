@@ -0,0 +1,237 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Classroom = require('../../src/models/Classroom');
+const Enrollment = require('../../src/models/Enrollment');
+const transcriptService = require('../../src/services/transcriptService');
+const eligibilityService = require('../../src/services/eligibilityService');
+const ErrorResponse = require('../../src/utils/errorResponse');
+
+const id = () => new mongoose.Types.ObjectId();
+const same = (a, b) => a.toString() === b.toString();
+
+describe('eligibilityService', () => {
+  const algebraId = id();
+  const student = { _id: id(), grade: 10 };
+  let courses;
+  let enrollments;
+  let classrooms;
+
+  const classroom = (enrollmentRequirements) => ({
+    _id: id(),
+    enrollmentRequirements: {
+      allowedGradeLevels: [],
+      prerequisites: [],
+      corequisites: [],
+      ...enrollmentRequirements
+    }
+  });
+
+  // A finished classroom with its final grade
+  const completed = (course) => {
+    courses.push(course);
+    enrollments.push({ classroomId: course.classroomId, status: 'completed' });
+  };
+
+  // A classroom the student is in (or left) with its grades so far
+  const attending = (course, status = 'active') => {
+    courses.push(course);
+    enrollments.push({ classroomId: course.classroomId, status });
+    if (!classrooms.some(c => same(c._id, course.classroomId))) {
+      classrooms.push({ _id: course.classroomId, name: course.subject, subject: course.subject });
+    }
+  };
+
+  beforeEach(() => {
+    courses = [];
+    enrollments = [];
+    classrooms = [{ _id: algebraId, name: 'Algebra I', subject: 'Mathematics' }];
+    mock.method(transcriptService, 'getStudentCourses', async () => courses);
+    mock.method(Enrollment, 'find', filter => ({
+      select: async () => enrollments.filter(enrollment =>
+        !same(enrollment.classroomId, filter.classroomId.$ne) && filter.status.$in.includes(enrollment.status))
+    }));
+    mock.method(Classroom, 'find', filter => ({
+      select: async () => classrooms.filter(c => filter._id.$in.some(classroomId => same(classroomId, c._id)))
+    }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('evaluateEligibility', () => {
+    it('is eligible without requirements and does not load the transcript', async () => {
+      const result = await eligibilityService.evaluateEligibility(student, classroom());
+
+      assert.deepEqual(result, { eligible: true, unmet: [] });
+      assert.equal(transcriptService.getStudentCourses.mock.callCount(), 0);
+    });
+
+    it('is eligible when a prerequisite was completed with the minimum grade', async () => {
+      completed({ classroomId: algebraId, subject: 'Mathematics', average: 70 });
+
+      const result = await eligibilityService.evaluateEligibility(
+        student,
+        classroom({ prerequisites: [{ classroomId: algebraId, minimumGrade: 70 }] })
+      );
+
+      assert.deepEqual(result, { eligible: true, unmet: [] });
+    });
+
+    it('reports a prerequisite that was never taken', async () => {
+      const result = await eligibilityService.evaluateEligibility(
+        student,
+        classroom({ prerequisites: [{ classroomId: algebraId, minimumGrade: 60 }] })
+      );
+
+      assert.equal(result.eligible, false);
+      assert.equal(result.unmet.length, 1);
+      assert.equal(result.unmet[0].type, 'prerequisite');
+      assert.equal(result.unmet[0].message, 'Requires a completed Algebra I course');
+      assert.equal(result.unmet[0].bestAverage, null);
+    });
+
+    it('reports a prerequisite completed with a failing grade', async () => {
+      completed({ classroomId: algebraId, subject: 'Mathematics', average: 59.5 });
+
+      const result = await eligibilityService.evaluateEligibility(
+        student,
+        classroom({ prerequisites: [{ classroomId: algebraId, minimumGrade: 60 }] })
+      );
+
+      assert.equal(result.eligible, false);
+      assert.equal(
+        result.unmet[0].message,
+        'Requires a final grade of at least 60 in Algebra I (best is 59.5)'
+      );
+    });
+
+    it('uses the best attempt when a subject was taken more than once', async () => {
+      completed({ classroomId: id(), subject: 'Chemistry', average: 40 });
+      completed({ classroomId: id(), subject: 'chemistry ', average: 75 });
+
+      const result = await eligibilityService.evaluateEligibility(
+        student,
+        classroom({ prerequisites: [{ subject: 'Chemistry', minimumGrade: 65 }] })
+      );
+
+      assert.deepEqual(result, { eligible: true, unmet: [] });
+    });
+
+    it('does not count courses without a final grade yet', async () => {
+      completed({ classroomId: algebraId, subject: 'Mathematics', average: null });
+
+      const result = await eligibilityService.evaluateEligibility(
+        student,
+        classroom({ prerequisites: [{ classroomId: algebraId }] })
+      );
+
+      assert.equal(result.eligible, false);
+      assert.equal(result.unmet[0].message, 'Requires a completed Algebra I course');
+    });
+
+    it('does not count the running average of a classroom still in progress', async () => {
+      attending({ classroomId: algebraId, subject: 'Mathematics', average: 92 });
+
+      const result = await eligibilityService.evaluateEligibility(
+        student,
+        classroom({ prerequisites: [{ classroomId: algebraId, minimumGrade: 70 }] })
+      );
+
+      assert.equal(result.eligible, false);
+      assert.equal(result.unmet[0].message, 'Requires a completed Algebra I course');
+    });
+
+    it('does not count a withdrawn classroom that still has grades', async () => {
+      attending({ classroomId: algebraId, subject: 'Mathematics', average: 85 }, 'withdrawn');
+
+      const result = await eligibilityService.evaluateEligibility(
+        student,
+        classroom({ prerequisites: [{ subject: 'Mathematics', minimumGrade: 70 }] })
+      );
+
+      assert.equal(result.eligible, false);
+    });
+
+    it('checks the grade level', async () => {
+      const result = await eligibilityService.evaluateEligibility(
+        student,
+        classroom({ allowedGradeLevels: [11, 12] })
+      );
+
+      assert.equal(result.eligible, false);
+      assert.equal(result.unmet[0].type, 'gradeLevel');
+      assert.equal(result.unmet[0].message, 'Open to grade levels 11, 12, student is in grade 10');
+    });
+
+    it('accepts a co-requisite taken alongside, without a grade', async () => {
+      attending({ classroomId: id(), subject: 'Physics Lab', average: null });
+
+      const met = await eligibilityService.evaluateEligibility(
+        student,
+        classroom({ corequisites: [{ subject: 'Physics Lab' }] })
+      );
+      const unmet = await eligibilityService.evaluateEligibility(
+        student,
+        classroom({ corequisites: [{ subject: 'Chemistry Lab' }] })
+      );
+
+      assert.equal(met.eligible, true);
+      assert.equal(unmet.unmet[0].message, 'Requires enrollment in Chemistry Lab');
+    });
+
+    it('accepts a co-requisite the student is waitlisted for', async () => {
+      attending({ classroomId: id(), subject: 'Physics Lab', average: null }, 'waitlisted');
+
+      const result = await eligibilityService.evaluateEligibility(
+        student,
+        classroom({ corequisites: [{ subject: 'Physics Lab' }] })
+      );
+
+      assert.equal(result.eligible, true);
+    });
+
+    it('does not accept a past or withdrawn classroom as a co-requisite', async () => {
+      completed({ classroomId: algebraId, subject: 'Mathematics', average: 88 });
+      attending({ classroomId: id(), subject: 'Physics Lab', average: 70 }, 'withdrawn');
+
+      const result = await eligibilityService.evaluateEligibility(
+        student,
+        classroom({ corequisites: [{ classroomId: algebraId }, { subject: 'Physics Lab' }] })
+      );
+
+      assert.deepEqual(result.unmet.map(requirement => requirement.type), ['corequisite', 'corequisite']);
+    });
+
+    it('does not let the classroom satisfy its own requirements', async () => {
+      const target = classroom({ corequisites: [{ subject: 'Mathematics' }] });
+      attending({ classroomId: target._id, subject: 'Mathematics', average: 90 });
+
+      const result = await eligibilityService.evaluateEligibility(student, target);
+
+      assert.equal(result.eligible, false);
+    });
+  });
+
+  describe('assertEligible', () => {
+    it('rejects with 422 and the unmet requirements', async () => {
+      await assert.rejects(
+        eligibilityService.assertEligible(student, classroom({ prerequisites: [{ classroomId: algebraId }] })),
+        error => {
+          assert.ok(error instanceof ErrorResponse);
+          assert.equal(error.statusCode, 422);
+          assert.equal(error.code, 'ENROLLMENT_REQUIREMENTS_NOT_MET');
+          assert.equal(error.details.length, 1);
+          return true;
+        }
+      );
+    });
+
+    it('passes when the requirements are met', async () => {
+      completed({ classroomId: algebraId, subject: 'Mathematics', average: 80 });
+
+      await assert.doesNotReject(
+        eligibilityService.assertEligible(student, classroom({ prerequisites: [{ classroomId: algebraId, minimumGrade: 50 }] }))
+      );
+    });
+  });
+});
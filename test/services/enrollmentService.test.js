@@ -0,0 +1,200 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Enrollment = require('../../src/models/Enrollment');
+const Classroom = require('../../src/models/Classroom');
+const Student = require('../../src/models/Student');
+const timetableService = require('../../src/services/timetableService');
+const eventBus = require('../../src/events/eventBus');
+const enrollmentService = require('../../src/services/enrollmentService');
+const { ConflictError, ValidationError } = require('../../src/utils/errorResponse');
+
+const { ROSTER_STATUSES } = Enrollment;
+
+const same = (a, b) => String(a) === String(b);
+
+// A resolved query that can still be given a session, like a Mongoose query
+const query = value => {
+  const result = Promise.resolve(value);
+  result.session = () => result;
+  return result;
+};
+
+describe('enrollmentService seats and waitlist', () => {
+  let classroom;
+  let students;
+  let enrollments;
+
+  const addStudent = () => {
+    const student = { _id: new mongoose.Types.ObjectId(), classrooms: [] };
+    students.push(student);
+    return student;
+  };
+
+  const findEnrollment = filter => enrollments.find(enrollment =>
+    same(enrollment.studentId, filter.studentId) &&
+    same(enrollment.classroomId, filter.classroomId) &&
+    (!filter.status || filter.status.$in.includes(enrollment.status))
+  ) || null;
+
+  const statusOf = student => findEnrollment({ studentId: student._id, classroomId: classroom._id }).status;
+
+  // The roster caches hold exactly the students whose enrollment is on the roster
+  const assertRosterInSync = () => {
+    const onRoster = enrollments
+      .filter(enrollment => ROSTER_STATUSES.includes(enrollment.status))
+      .map(enrollment => String(enrollment.studentId))
+      .sort();
+
+    assert.deepEqual(classroom.students.map(String).sort(), onRoster);
+    students.forEach(student => {
+      assert.equal(student.classrooms.some(id => same(id, classroom._id)), onRoster.includes(String(student._id)));
+    });
+  };
+
+  beforeEach(() => {
+    classroom = { _id: new mongoose.Types.ObjectId(), students: [], maxCapacity: 2, isActive: true };
+    students = [];
+    enrollments = [];
+
+    mock.method(mongoose, 'startSession', async () => ({
+      startTransaction: () => {},
+      commitTransaction: async () => {},
+      abortTransaction: async () => {},
+      endSession: () => {}
+    }));
+
+    mock.method(Enrollment, 'findOne', filter => query(findEnrollment(filter)));
+    mock.method(Enrollment, 'find', filter => ({
+      sort: () => query(enrollments
+        .filter(enrollment => same(enrollment.classroomId, filter.classroomId) && enrollment.status === filter.status)
+        .sort((a, b) => a.waitlistedAt - b.waitlistedAt || String(a._id).localeCompare(String(b._id))))
+    }));
+    mock.method(Enrollment.prototype, 'save', async function() {
+      if (!enrollments.includes(this)) enrollments.push(this);
+      return this;
+    });
+
+    mock.method(Classroom, 'findById', () => query(classroom));
+    mock.method(Classroom, 'updateOne', async (filter, update) => {
+      const free = !classroom.maxCapacity || classroom.students.length < classroom.maxCapacity;
+      if (free && !classroom.students.some(id => same(id, update.$addToSet.students))) {
+        classroom.students.push(update.$addToSet.students);
+      }
+      return { matchedCount: free ? 1 : 0 };
+    });
+    mock.method(Classroom, 'findByIdAndUpdate', async (id, update) => {
+      if (update.$addToSet) {
+        update.$addToSet.students.$each
+          .filter(studentId => !classroom.students.some(existing => same(existing, studentId)))
+          .forEach(studentId => classroom.students.push(studentId));
+      }
+      if (update.$pullAll) {
+        classroom.students = classroom.students
+          .filter(existing => !update.$pullAll.students.some(studentId => same(existing, studentId)));
+      }
+      return classroom;
+    });
+
+    mock.method(Student, 'updateMany', async (filter, update) => {
+      students
+        .filter(student => filter._id.$in.some(id => same(id, student._id)))
+        .forEach(student => {
+          student.classrooms = student.classrooms.filter(id => !same(id, classroom._id));
+          if (update.$addToSet) student.classrooms.push(update.$addToSet.classrooms);
+        });
+    });
+
+    mock.method(timetableService, 'findStudentConflicts', async () => []);
+    mock.method(eventBus, 'publish', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('seats students until capacity is exactly reached, then waitlists', async () => {
+    const [first, second, third] = [addStudent(), addStudent(), addStudent()];
+
+    await enrollmentService.enroll(first, classroom);
+    await enrollmentService.enroll(second, classroom);
+    const waiting = await enrollmentService.enroll(third, classroom);
+
+    assert.equal(statusOf(first), 'active');
+    assert.equal(statusOf(second), 'active');
+    assert.equal(waiting.status, 'waitlisted');
+    assert.equal(classroom.students.length, classroom.maxCapacity);
+    assertRosterInSync();
+  });
+
+  it('gives the last seat to only one of two concurrent enrollments', async () => {
+    classroom.maxCapacity = 1;
+    const [first, second] = [addStudent(), addStudent()];
+
+    const results = await Promise.all([
+      enrollmentService.enroll(first, classroom),
+      enrollmentService.enroll(second, classroom)
+    ]);
+
+    assert.deepEqual(results.map(enrollment => enrollment.status).sort(), ['active', 'waitlisted']);
+    assertRosterInSync();
+  });
+
+  it('rejects enrolling a student who is already waitlisted while the classroom is full', async () => {
+    classroom.maxCapacity = 1;
+    const [first, second] = [addStudent(), addStudent()];
+    await enrollmentService.enroll(first, classroom);
+    await enrollmentService.enroll(second, classroom);
+
+    await assert.rejects(enrollmentService.enroll(second, classroom), ConflictError);
+    assert.equal(statusOf(second), 'waitlisted');
+  });
+
+  it('promotes the first waitlisted student when a seat frees', async () => {
+    const [first, second, third, fourth] = [addStudent(), addStudent(), addStudent(), addStudent()];
+    for (const student of [first, second, third, fourth]) {
+      await enrollmentService.enroll(student, classroom);
+    }
+
+    await enrollmentService.withdraw(first._id, classroom._id, 'Moved away');
+
+    assert.equal(statusOf(first), 'withdrawn');
+    assert.equal(statusOf(third), 'active');
+    assert.equal(statusOf(fourth), 'waitlisted');
+    assert.equal(eventBus.publish.mock.callCount(), 1);
+    assert.ok(same(eventBus.publish.mock.calls[0].arguments[1].studentId, third._id));
+    assertRosterInSync();
+  });
+
+  it('withdraws from the waitlist without touching the roster', async () => {
+    classroom.maxCapacity = 1;
+    const [first, second, third] = [addStudent(), addStudent(), addStudent()];
+    for (const student of [first, second, third]) {
+      await enrollmentService.enroll(student, classroom);
+    }
+
+    await enrollmentService.withdraw(second._id, classroom._id);
+
+    assert.equal(statusOf(second), 'withdrawn');
+    assert.equal(statusOf(third), 'waitlisted');
+    assert.deepEqual(classroom.students.map(String), [String(first._id)]);
+    assert.equal(eventBus.publish.mock.callCount(), 0);
+    assert.equal(await enrollmentService.getWaitlistPosition(third._id, classroom._id), 1);
+    assertRosterInSync();
+  });
+
+  it('re-enrolls a withdrawn student', async () => {
+    const student = addStudent();
+    await enrollmentService.enroll(student, classroom);
+    await enrollmentService.withdraw(student._id, classroom._id);
+
+    const enrollment = await enrollmentService.enroll(student, classroom);
+
+    assert.equal(enrollment.status, 'active');
+    assert.deepEqual(enrollment.history.map(entry => entry.action), ['enrolled', 'withdrawn', 'enrolled']);
+    assert.equal(enrollments.length, 1);
+    assertRosterInSync();
+  });
+
+  it('rejects withdrawing a student who is not enrolled', async () => {
+    await assert.rejects(enrollmentService.withdraw(addStudent()._id, classroom._id), ValidationError);
+  });
+});
@@ -0,0 +1,55 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Grade = require('../../src/models/Grade');
+const gradeService = require('../../src/services/gradeService');
+const { ValidationError } = require('../../src/utils/errorResponse');
+
+describe('gradeService.updateGrade', () => {
+  let grade;
+
+  beforeEach(() => {
+    grade = new Grade({
+      studentId: new mongoose.Types.ObjectId(),
+      classroomId: new mongoose.Types.ObjectId(),
+      assignmentName: 'Essay',
+      assignmentType: 'homework',
+      score: 40,
+      maxScore: 50
+    });
+
+    mock.method(Grade, 'findById', async () => grade);
+    mock.method(grade, 'save', async () => grade);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('rejects a score above the existing maxScore', async () => {
+    await assert.rejects(gradeService.updateGrade(grade._id, { score: 51 }), error => {
+      assert.ok(error instanceof ValidationError);
+      assert.deepEqual(error.details, [{ field: 'score', message: 'score cannot be greater than maxScore' }]);
+      return true;
+    });
+    assert.equal(grade.save.mock.callCount(), 0);
+  });
+
+  it('rejects lowering maxScore below the existing score', async () => {
+    await assert.rejects(gradeService.updateGrade(grade._id, { maxScore: 39 }), ValidationError);
+    assert.equal(grade.save.mock.callCount(), 0);
+  });
+
+  it('accepts a score equal to maxScore', async () => {
+    const updated = await gradeService.updateGrade(grade._id, { score: 50 });
+
+    assert.equal(updated.score, 50);
+    assert.equal(grade.save.mock.callCount(), 1);
+  });
+
+  it('checks the new pair when both sides change', async () => {
+    await assert.rejects(gradeService.updateGrade(grade._id, { score: 90, maxScore: 80 }), ValidationError);
+
+    const updated = await gradeService.updateGrade(grade._id, { score: 90, maxScore: 100 });
+    assert.equal(updated.score, 90);
+    assert.equal(updated.maxScore, 100);
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Classroom = require('../../src/models/Classroom');
+const timetableService = require('../../src/services/timetableService');
+const { ConflictError } = require('../../src/utils/errorResponse');
+
+const id = () => new mongoose.Types.ObjectId();
+const slot = (dayOfWeek, startTime, endTime, location) => ({ dayOfWeek, startTime, endTime, location });
+
+// A resolved query that can still be given a session, like a Mongoose query
+const query = value => {
+  const result = Promise.resolve(value);
+  result.session = () => result;
+  return result;
+};
+
+describe('timetableService conflict detection', () => {
+  const teacherId = id();
+  const studentId = id();
+  let others;
+
+  beforeEach(() => {
+    others = [];
+    // Stands in for the term query; the service still applies sameTerm itself
+    mock.method(Classroom, 'find', () => ({
+      select: () => query(others)
+    }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const classroom = (fields) => ({
+    _id: id(),
+    name: 'Algebra',
+    teacherId: id(),
+    students: [],
+    semester: 'Fall',
+    year: 2025,
+    schedule: [slot('Monday', '09:00', '10:00', 'A1')],
+    ...fields
+  });
+
+  describe('findStudentConflicts', () => {
+    it('reports an overlapping classroom of the student', async () => {
+      others = [classroom({ name: 'Biology', students: [studentId], schedule: [slot('Monday', '09:30', '10:30')] })];
+
+      const conflicts = await timetableService.findStudentConflicts(studentId, classroom());
+
+      assert.equal(conflicts.length, 1);
+      assert.equal(conflicts[0].type, 'student');
+      assert.equal(conflicts[0].message, 'Student is already booked in Biology on Monday 09:30-10:30');
+      assert.deepEqual(conflicts[0].studentIds, [studentId.toString()]);
+    });
+
+    it('allows back-to-back classrooms', async () => {
+      others = [classroom({ students: [studentId], schedule: [slot('Monday', '10:00', '11:00')] })];
+
+      assert.deepEqual(await timetableService.findStudentConflicts(studentId, classroom()), []);
+    });
+
+    it('ignores classrooms in another term', async () => {
+      others = [classroom({ semester: 'Spring', students: [studentId] })];
+
+      assert.deepEqual(await timetableService.findStudentConflicts(studentId, classroom()), []);
+    });
+
+    it('counts year-round classrooms in every semester of their year', async () => {
+      others = [classroom({ semester: 'Year-round', students: [studentId] })];
+
+      assert.equal((await timetableService.findStudentConflicts(studentId, classroom())).length, 1);
+    });
+
+    it('skips inactive or unscheduled classrooms without querying', async () => {
+      assert.deepEqual(await timetableService.findStudentConflicts(studentId, classroom({ isActive: false })), []);
+      assert.deepEqual(await timetableService.findStudentConflicts(studentId, classroom({ schedule: [] })), []);
+      assert.equal(Classroom.find.mock.callCount(), 0);
+    });
+  });
+
+  describe('findClassroomConflicts', () => {
+    it('reports teacher, student and room clashes separately', async () => {
+      others = [classroom({
+        name: 'Geometry',
+        teacherId,
+        students: [studentId],
+        schedule: [slot('Monday', '09:45', '10:45', ' A1 ')]
+      })];
+
+      const conflicts = await timetableService.findClassroomConflicts(
+        classroom({ teacherId, students: [studentId] })
+      );
+
+      assert.deepEqual(conflicts.map(conflict => conflict.type), ['teacher', 'student', 'room']);
+      assert.equal(conflicts[2].message, 'Room A1 is already booked in Geometry on Monday 09:45-10:45');
+    });
+
+    it('allows the same room back to back', async () => {
+      others = [classroom({ schedule: [slot('Monday', '10:00', '11:00', 'A1')] })];
+
+      assert.deepEqual(await timetableService.findClassroomConflicts(classroom({ teacherId })), []);
+    });
+
+    it('ignores other classrooms at the same time in different rooms', async () => {
+      others = [classroom({ schedule: [slot('Monday', '09:00', '10:00', 'B7')] })];
+
+      assert.deepEqual(await timetableService.findClassroomConflicts(classroom({ teacherId })), []);
+    });
+  });
+
+  describe('assertNoConflicts', () => {
+    it('throws a ConflictError listing the conflicts', () => {
+      const conflicts = [{ field: 'schedule', type: 'room' }];
+
+      assert.throws(() => timetableService.assertNoConflicts(conflicts), error => {
+        assert.ok(error instanceof ConflictError);
+        assert.deepEqual(error.details, conflicts);
+        return true;
+      });
+      assert.doesNotThrow(() => timetableService.assertNoConflicts([]));
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateRule } = require('../../src/utils/attendanceRules');
+
+const NOW = new Date('2025-03-31T12:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+// One session per entry, the last one `daysAgo` 0
+const sessions = (...entries) => entries.map((entry, i) => ({
+  date: new Date(NOW.getTime() - (entries.length - 1 - i) * DAY),
+  minutesLate: 0,
+  ...(typeof entry === 'string' ? { status: entry } : entry)
+}));
+
+describe('evaluateRule', () => {
+  it('rejects unknown rule types', () => {
+    assert.throws(() => evaluateRule({ type: 'nope', threshold: 1 }, [], NOW), /Unknown alert rule type: nope/);
+  });
+
+  describe('consecutive-absences', () => {
+    const rule = { type: 'consecutive-absences', threshold: 3 };
+
+    it('triggers when the streak reaches the threshold', () => {
+      const result = evaluateRule(rule, sessions('present', 'absent', 'absent', 'absent'), NOW);
+
+      assert.equal(result.triggered, true);
+      assert.equal(result.value, 3);
+      assert.equal(result.message, '3 consecutive absences');
+    });
+
+    it('does not trigger one absence below the threshold', () => {
+      const result = evaluateRule(rule, sessions('absent', 'present', 'absent', 'absent'), NOW);
+
+      assert.equal(result.triggered, false);
+      assert.equal(result.value, 2);
+    });
+
+    it('only counts the run that ends with the latest session', () => {
+      const result = evaluateRule(rule, sessions('absent', 'absent', 'absent', 'late'), NOW);
+
+      assert.equal(result.triggered, false);
+      assert.equal(result.value, 0);
+    });
+
+    it('skips excused sessions without breaking the run', () => {
+      const result = evaluateRule(rule, sessions('absent', 'excused', 'absent', 'excused', 'absent'), NOW);
+
+      assert.equal(result.triggered, true);
+      assert.equal(result.value, 3);
+    });
+
+    it('handles an empty history', () => {
+      assert.deepEqual(evaluateRule(rule, [], NOW), {
+        triggered: false,
+        value: 0,
+        message: '0 consecutive absences'
+      });
+    });
+  });
+
+  describe('attendance-rate', () => {
+    const rule = { type: 'attendance-rate', threshold: 80, minSessions: 5 };
+
+    it('does not judge fewer sessions than minSessions', () => {
+      const result = evaluateRule(rule, sessions('absent', 'absent', 'absent', 'absent'), NOW);
+
+      assert.equal(result.triggered, false);
+      assert.equal(result.value, null);
+    });
+
+    it('does not trigger at exactly the threshold', () => {
+      const result = evaluateRule(rule, sessions('present', 'present', 'late', 'present', 'absent'), NOW);
+
+      assert.equal(result.value, 80);
+      assert.equal(result.triggered, false);
+    });
+
+    it('triggers just below the threshold', () => {
+      const result = evaluateRule(
+        rule,
+        sessions('present', 'present', 'present', 'absent', 'present', 'present', 'absent'),
+        NOW
+      );
+
+      assert.equal(result.value, 71.43);
+      assert.equal(result.triggered, true);
+      assert.equal(result.message, 'Attendance rate of 71.43% is below 80%');
+    });
+
+    it('leaves excused sessions out of the rate and the session count', () => {
+      const history = sessions('present', 'present', 'present', 'present', 'excused', 'excused', 'absent');
+      const result = evaluateRule(rule, history, NOW);
+
+      assert.equal(result.value, 80);
+      assert.equal(result.triggered, false);
+
+      assert.equal(evaluateRule(rule, history.slice(1), NOW).value, null);
+    });
+
+    it('only counts sessions inside the window, including its first day', () => {
+      const windowed = { ...rule, windowDays: 4, minSessions: 1 };
+      const history = sessions('absent', 'absent', 'absent', 'present', 'present', 'present', 'absent');
+      const result = evaluateRule(windowed, history, NOW);
+
+      // Sessions 4 days ago up to today: absent(4), present x3, absent
+      assert.equal(result.value, 60);
+      assert.equal(result.triggered, true);
+      assert.match(result.message, /over the last 4 days/);
+    });
+
+    it('defaults minSessions to one session', () => {
+      const result = evaluateRule({ type: 'attendance-rate', threshold: 50 }, sessions('absent'), NOW);
+
+      assert.equal(result.value, 0);
+      assert.equal(result.triggered, true);
+    });
+  });
+
+  describe('minutes-late', () => {
+    const rule = { type: 'minutes-late', threshold: 30 };
+
+    it('does not trigger at exactly the threshold', () => {
+      const history = sessions({ status: 'late', minutesLate: 20 }, { status: 'late', minutesLate: 10 });
+      const result = evaluateRule(rule, history, NOW);
+
+      assert.equal(result.value, 30);
+      assert.equal(result.triggered, false);
+    });
+
+    it('triggers one minute over the threshold', () => {
+      const history = sessions({ status: 'late', minutesLate: 20 }, { status: 'late', minutesLate: 11 });
+      const result = evaluateRule(rule, history, NOW);
+
+      assert.equal(result.value, 31);
+      assert.equal(result.triggered, true);
+      assert.equal(result.message, '31 minutes late');
+    });
+
+    it('only adds up lateness inside the window', () => {
+      const history = sessions(
+        { status: 'late', minutesLate: 45 },
+        'present',
+        { status: 'late', minutesLate: 15 },
+        { status: 'present', minutesLate: undefined }
+      );
+      const result = evaluateRule({ ...rule, windowDays: 2 }, history, NOW);
+
+      assert.equal(result.value, 15);
+      assert.equal(result.triggered, false);
+      assert.equal(result.message, '15 minutes late in the last 2 days');
+    });
+  });
+});
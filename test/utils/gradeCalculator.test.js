@@ -0,0 +1,133 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateAverage } = require('../../src/utils/gradeCalculator');
+
+let nextId = 1;
+const grade = (assignmentType, score, maxScore = 100, extra = {}) => ({
+  _id: `g${nextId++}`,
+  assignmentType,
+  score,
+  maxScore,
+  weightage: 1,
+  ...extra
+});
+
+describe('calculateAverage', () => {
+  describe('without a grading policy', () => {
+    it('returns null when nothing is graded', () => {
+      assert.deepEqual(calculateAverage([]), { average: null, categories: [] });
+    });
+
+    it('weights grade percentages by their weightage', () => {
+      const grades = [
+        grade('homework', 50, 100, { weightage: 1 }),
+        grade('exam', 90, 100, { weightage: 3 })
+      ];
+
+      assert.equal(calculateAverage(grades).average, 80);
+    });
+
+    it('ignores excused grades', () => {
+      const grades = [grade('homework', 80), grade('homework', 0, 100, { isExcused: true })];
+
+      assert.equal(calculateAverage(grades).average, 80);
+    });
+
+    it('adds extra credit to the earned side only', () => {
+      const grades = [grade('exam', 80), grade('project', 10, 100, { isExtraCredit: true })];
+
+      assert.equal(calculateAverage(grades).average, 90);
+    });
+
+    it('falls back to the flat mean for a policy without categories', () => {
+      assert.equal(calculateAverage([grade('exam', 70)], { categories: [] }).average, 70);
+    });
+  });
+
+  describe('weighted categories', () => {
+    const policy = {
+      categories: [
+        { assignmentType: 'homework', weight: 40 },
+        { assignmentType: 'exam', weight: 60 }
+      ]
+    };
+
+    it('scores each category as earned over possible points and combines the weights', () => {
+      const grades = [
+        grade('homework', 8, 10),
+        grade('homework', 12, 20),
+        grade('exam', 90, 100)
+      ];
+      const result = calculateAverage(grades, policy);
+
+      // homework 20/30 = 66.67%, exam 90%
+      assert.equal(result.categories[0].percentage, 66.67);
+      assert.equal(result.categories[1].percentage, 90);
+      assert.equal(result.average, 80.67);
+    });
+
+    it('rescales the weights when a category has nothing graded', () => {
+      const result = calculateAverage([grade('exam', 75)], policy);
+
+      assert.equal(result.categories[0].percentage, null);
+      assert.equal(result.categories[0].gradeCount, 0);
+      assert.equal(result.average, 75);
+    });
+
+    it('returns null when no category has grades', () => {
+      assert.equal(calculateAverage([], policy).average, null);
+    });
+
+    it('leaves out grades whose type is not in the policy', () => {
+      const result = calculateAverage([grade('exam', 60), grade('quiz', 100)], policy);
+
+      assert.equal(result.average, 60);
+    });
+
+    it('treats a category of only excused grades as empty', () => {
+      const grades = [grade('homework', 0, 10, { isExcused: true }), grade('exam', 70)];
+
+      assert.equal(calculateAverage(grades, policy).average, 70);
+    });
+
+    it('adds extra credit within its category', () => {
+      const grades = [grade('exam', 80), grade('exam', 10, 100, { isExtraCredit: true })];
+      const result = calculateAverage(grades, policy);
+
+      assert.equal(result.categories[1].earned, 90);
+      assert.equal(result.categories[1].possible, 100);
+      assert.equal(result.average, 90);
+    });
+  });
+
+  describe('dropping the lowest grades', () => {
+    const policy = { categories: [{ assignmentType: 'quiz', weight: 100, dropLowest: 1 }] };
+
+    it('drops the lowest percentage, not the lowest raw score', () => {
+      const low = grade('quiz', 8, 20);
+      const grades = [grade('quiz', 5, 10), low, grade('quiz', 9, 10)];
+      const result = calculateAverage(grades, policy);
+
+      // 8/20 = 40% is dropped even though 5/10 has the lower score
+      assert.deepEqual(result.categories[0].droppedGradeIds, [low._id]);
+      assert.equal(result.average, 70);
+    });
+
+    it('always keeps at least one grade', () => {
+      const only = grade('quiz', 4, 10);
+      const result = calculateAverage([only], { categories: [{ assignmentType: 'quiz', weight: 100, dropLowest: 3 }] });
+
+      assert.deepEqual(result.categories[0].droppedGradeIds, []);
+      assert.equal(result.average, 40);
+    });
+
+    it('never drops extra credit', () => {
+      const grades = [grade('quiz', 6, 10), grade('quiz', 8, 10), grade('quiz', 1, 10, { isExtraCredit: true })];
+      const result = calculateAverage(grades, policy);
+
+      assert.equal(result.categories[0].droppedGradeIds.length, 1);
+      assert.equal(result.categories[0].earned, 9);
+      assert.equal(result.average, 90);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { entriesOverlap, sameTerm, roomKey, overlappingEntries } = require('../../src/utils/timetable');
+
+const slot = (dayOfWeek, startTime, endTime, location) => ({ dayOfWeek, startTime, endTime, location });
+
+describe('timetable helpers', () => {
+  describe('entriesOverlap', () => {
+    it('detects overlapping slots on the same day', () => {
+      assert.equal(entriesOverlap(slot('Monday', '09:00', '10:00'), slot('Monday', '09:30', '10:30')), true);
+      assert.equal(entriesOverlap(slot('Monday', '09:30', '10:30'), slot('Monday', '09:00', '10:00')), true);
+    });
+
+    it('detects a slot contained in another', () => {
+      assert.equal(entriesOverlap(slot('Monday', '09:00', '12:00'), slot('Monday', '10:00', '11:00')), true);
+    });
+
+    it('treats identical slots as overlapping', () => {
+      assert.equal(entriesOverlap(slot('Friday', '14:00', '15:00'), slot('Friday', '14:00', '15:00')), true);
+    });
+
+    it('lets back-to-back slots through when one ends as the other starts', () => {
+      assert.equal(entriesOverlap(slot('Monday', '09:00', '10:00'), slot('Monday', '10:00', '11:00')), false);
+      assert.equal(entriesOverlap(slot('Monday', '10:00', '11:00'), slot('Monday', '09:00', '10:00')), false);
+    });
+
+    it('overlaps by a single minute', () => {
+      assert.equal(entriesOverlap(slot('Monday', '09:00', '10:01'), slot('Monday', '10:00', '11:00')), true);
+    });
+
+    it('ignores slots on different days', () => {
+      assert.equal(entriesOverlap(slot('Monday', '09:00', '10:00'), slot('Tuesday', '09:00', '10:00')), false);
+    });
+
+    it('treats an entry without an end time as an instant', () => {
+      assert.equal(entriesOverlap(slot('Monday', '09:30'), slot('Monday', '09:00', '10:00')), true);
+      assert.equal(entriesOverlap(slot('Monday', '10:00'), slot('Monday', '09:00', '10:00')), false);
+      assert.equal(entriesOverlap(slot('Monday', '09:00'), slot('Monday', '09:00', '10:00')), true);
+    });
+
+    it('ignores entries without a day or start time', () => {
+      assert.equal(entriesOverlap(slot(undefined, '09:00', '10:00'), slot(undefined, '09:00', '10:00')), false);
+      assert.equal(entriesOverlap(slot('Monday', undefined, '10:00'), slot('Monday', '09:00', '10:00')), false);
+    });
+  });
+
+  describe('sameTerm', () => {
+    it('matches classrooms of the same academic term', () => {
+      assert.equal(sameTerm({ termId: 't1', year: 2024 }, { termId: 't1', year: 2025 }), true);
+    });
+
+    it('matches the same semester and year', () => {
+      assert.equal(sameTerm({ semester: 'Fall', year: 2025 }, { semester: 'Fall', year: 2025 }), true);
+    });
+
+    it('keeps different semesters or years apart', () => {
+      assert.equal(sameTerm({ semester: 'Fall', year: 2025 }, { semester: 'Spring', year: 2025 }), false);
+      assert.equal(sameTerm({ semester: 'Fall', year: 2025 }, { semester: 'Fall', year: 2024 }), false);
+    });
+
+    it('lets year-round classrooms share their year with every semester', () => {
+      assert.equal(sameTerm({ semester: 'Year-round', year: 2025 }, { semester: 'Spring', year: 2025 }), true);
+      assert.equal(sameTerm({ semester: 'Fall', year: 2025 }, { semester: 'Year-round', year: 2025 }), true);
+      assert.equal(sameTerm({ semester: 'Year-round', year: 2025 }, { semester: 'Spring', year: 2026 }), false);
+    });
+  });
+
+  describe('roomKey', () => {
+    it('trims room names and treats blanks as no room', () => {
+      assert.equal(roomKey(' B12 '), 'B12');
+      assert.equal(roomKey('   '), null);
+      assert.equal(roomKey(undefined), null);
+    });
+  });
+
+  describe('overlappingEntries', () => {
+    const schedule = [slot('Monday', '09:00', '10:00', 'A1'), slot('Wednesday', '13:00', '14:00', 'B2')];
+
+    it('pairs every clashing entry', () => {
+      const other = [slot('Monday', '09:30', '10:30', 'C3'), slot('Wednesday', '14:00', '15:00', 'B2')];
+      const pairs = overlappingEntries(schedule, other);
+
+      assert.equal(pairs.length, 1);
+      assert.equal(pairs[0].entry, schedule[0]);
+      assert.equal(pairs[0].otherEntry, other[0]);
+    });
+
+    it('applies the extra condition, e.g. the same room', () => {
+      const other = [slot('Monday', '09:30', '10:30', 'C3'), slot('Wednesday', '13:30', '14:30', ' B2')];
+      const pairs = overlappingEntries(schedule, other, (a, b) => roomKey(a.location) === roomKey(b.location));
+
+      assert.deepEqual(pairs, [{ entry: schedule[1], otherEntry: other[1] }]);
+    });
+
+    it('handles missing schedules', () => {
+      assert.deepEqual(overlappingEntries(undefined, schedule), []);
+      assert.deepEqual(overlappingEntries(schedule, null), []);
+    });
+  });
+});
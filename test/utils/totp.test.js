@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSecret, generateCode, verifyCode } = require('../../src/utils/totp');
+
+// RFC 6238 appendix B (SHA-1): the ASCII secret "12345678901234567890". The
+// RFC lists 8-digit codes; check-in codes are their last 6 digits.
+const RFC_SECRET = Buffer.from('12345678901234567890').toString('hex');
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+const at = seconds => seconds * 1000;
+
+describe('totp', () => {
+  describe('generateCode', () => {
+    RFC_VECTORS.forEach(([seconds, expected]) => {
+      it(`matches the RFC 6238 vector at T=${seconds}`, () => {
+        assert.equal(generateCode(RFC_SECRET, at(seconds)).code, expected);
+      });
+    });
+
+    it('expires the code at the end of its step', () => {
+      assert.deepEqual(generateCode(RFC_SECRET, at(59)).expiresAt, new Date(at(60)));
+      assert.deepEqual(generateCode(RFC_SECRET, at(60)).expiresAt, new Date(at(90)));
+    });
+
+    it('keeps the code for the whole step and changes it on the boundary', () => {
+      const { code } = generateCode(RFC_SECRET, at(60));
+
+      assert.equal(generateCode(RFC_SECRET, at(89.999)).code, code);
+      assert.notEqual(generateCode(RFC_SECRET, at(90)).code, code);
+    });
+
+    it('honours a custom step length', () => {
+      // 59s with a 60s step is counter 0, with a 30s step counter 1
+      assert.equal(generateCode(RFC_SECRET, at(59), 60).code, generateCode(RFC_SECRET, at(0)).code);
+    });
+  });
+
+  describe('verifyCode', () => {
+    const code = generateCode(RFC_SECRET, at(60)).code;
+
+    it('accepts the code during its own step', () => {
+      assert.equal(verifyCode(RFC_SECRET, code, at(60)), true);
+      assert.equal(verifyCode(RFC_SECRET, code, at(89.999)), true);
+    });
+
+    it('accepts the code throughout the following step', () => {
+      assert.equal(verifyCode(RFC_SECRET, code, at(90)), true);
+      assert.equal(verifyCode(RFC_SECRET, code, at(119.999)), true);
+    });
+
+    it('rejects the code two steps later', () => {
+      assert.equal(verifyCode(RFC_SECRET, code, at(120)), false);
+    });
+
+    it('rejects a code from a future step', () => {
+      assert.equal(verifyCode(RFC_SECRET, code, at(59.999)), false);
+    });
+
+    it('rejects malformed codes and codes for another secret', () => {
+      assert.equal(verifyCode(RFC_SECRET, code.slice(1), at(60)), false);
+      assert.equal(verifyCode(RFC_SECRET, `${code}0`, at(60)), false);
+      assert.equal(verifyCode(RFC_SECRET, '', at(60)), false);
+      assert.equal(verifyCode(generateSecret(), code, at(60)), false);
+    });
+  });
+});